@@ -0,0 +1,110 @@
+var _               = require('../libs/corelib-web/utils.js')._;
+var _l              = require('../request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var HTTPAdapter     = require("./http-adapter.js");
+
+//Adapters by server, such that all renderers and chunks using the same server share an adapter and route registry
+var adaptersByServer    = new WeakMap();
+
+/**
+ *
+ * @class ExpressAdapter
+ *
+ * HTTP adapter for Express applications and routers, or any other server object with an Express-like
+ * registration surface: server[HTTPMethod](URLPath, handler, ...).
+ *
+ * Requests and responses are the native Express objects. Errors are propagated to the Express error handling
+ * middleware; error handlers given to useErrorHandler() are registered with server.use().
+ *
+ */
+var ExpressAdapter = Class(HTTPAdapter, {
+
+    $statics : {
+
+        /**
+         *
+         * @param server        HTTP adapter or Express-like server
+         * @returns {HTTPAdapter|null}  The server when it is an adapter already, else the ExpressAdapter wrapping the
+         *                      server. Null when the server is not defined.
+         *
+         */
+        adapt : function(server) {
+            if (!_.def(server)) {
+                return null;
+            }
+
+            if (HTTPAdapter.isAdapter(server)) {
+                return server;
+            }
+
+            var cacheable   = typeof server === "object" || typeof server === "function";
+            var adapter     = cacheable ? adaptersByServer.get(server) : null;
+            if (!_.def(adapter)) {
+                adapter = new ExpressAdapter("ExpressAdapter", server);
+                if (cacheable) {
+                    adaptersByServer.set(server, adapter);
+                }
+            }
+
+            return adapter;
+        }
+    },
+
+    _server             : null,
+
+    /**
+     *
+     * Constructs Express adapter
+     *
+     * @param {String} adapterName
+     * @param {Object} server       Express application or router
+     *
+     */
+    constructor: function(adapterName, server) {
+        var me = "ExpressAdapter::constructor";
+
+        ExpressAdapter.$super.call(this, adapterName);
+
+        this._server = server;
+        if (!_.def(server)) {
+            _l.error(me, "Server is invalid, adapter {0} will not function properly".fmt(adapterName));
+            this._valid = false;
+        }
+    },
+
+    getServer : function() {
+        return this._server;
+    },
+
+    supportsMethod : function(HTTPMethod) {
+        return _.string(HTTPMethod) && _.hasMethod(this._server, HTTPMethod.toLowerCase());
+    },
+
+    register : function(HTTPMethod, URLPath, handlers) {
+        var me      = this.getIName() + "::ExpressAdapter::register";
+        var method  = String(HTTPMethod).toLowerCase();
+
+        if (!this.supportsMethod(method)) {
+            _l.error(me, "HTTP method [{0}] not known by server, unable to register route".fmt(method));
+            return false;
+        }
+
+        this._server[method].apply(this._server, [URLPath].concat(handlers));
+        return true;
+    },
+
+    useErrorHandler : function(errorHandler) {
+        var me = this.getIName() + "::ExpressAdapter::useErrorHandler";
+
+        if (!_.hasMethod(this._server, "use")) {
+            _l.error(me, "Server has no use method, unable to register error handler");
+            return;
+        }
+
+        this._server.use(errorHandler);
+    }
+
+});
+
+module.exports = ExpressAdapter;
@@ -0,0 +1,109 @@
+var _               = require('../libs/corelib-web/utils.js')._;
+var _l              = require('../request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var HTTPAdapter     = require("./http-adapter.js");
+var Facades         = require("./http-facades.js");
+
+/**
+ *
+ * @class FastifyAdapter
+ *
+ * HTTP adapter for Fastify instances. Routes are registered with fastify.route(); register all routes, i.e. call
+ * renderResponsesFor() and construct server app chunks, before the Fastify instance is started.
+ *
+ *      var app      = fastify();
+ *      var renderer = new JSONRenderer("json", new FastifyAdapter("api", app));
+ *
+ * The request body, params and query parsed by Fastify are used. Handlers write to the native node response,
+ * the Fastify reply is hijacked.
+ *
+ */
+var FastifyAdapter = Class(HTTPAdapter, {
+
+    $statics : {
+        ALL_METHODS     : ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"]
+    },
+
+    _fastify            : null,
+
+    /**
+     *
+     * Constructs Fastify adapter
+     *
+     * @param {String} adapterName
+     * @param {Object} fastify      Fastify instance
+     *
+     */
+    constructor: function(adapterName, fastify) {
+        var me = "FastifyAdapter::constructor";
+
+        FastifyAdapter.$super.call(this, adapterName);
+
+        this._fastify = fastify;
+        if (!_.hasMethod(fastify, "route")) {
+            _l.error(me, "Fastify instance is invalid, adapter {0} will not function properly".fmt(adapterName));
+            this._valid = false;
+        }
+    },
+
+    register : function(HTTPMethod, URLPath, handlers) {
+        var me      = this.getIName() + "::FastifyAdapter::register";
+        var self    = this;
+        var method  = String(HTTPMethod).toUpperCase();
+
+        if (!this.isValid() || !this.supportsMethod(HTTPMethod)) {
+            return false;
+        }
+
+        try {
+            this._fastify.route({
+                method  : method === "ALL" ? FastifyAdapter.ALL_METHODS : method,
+                url     : URLPath,
+                handler : function(request, reply) {
+                    return self._handleRequest(request, reply, handlers);
+                }
+            });
+        } catch (err) {
+            _l.error(me, "Unable to register route {0} {1} : ".fmt(method, URLPath), err);
+            return false;
+        }
+
+        return true;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _handleRequest : function(request, reply, handlers) {
+        var self        = this;
+        var nativeReq   = request.raw || request.req;
+        var nativeRes   = reply.raw || reply.res;
+
+        if (_.func(reply.hijack)) {
+            reply.hijack();
+        } else {
+            reply.sent = true;
+        }
+
+        var req = new Facades.HTTPRequest(nativeReq, {
+            params  : request.params,
+            query   : request.query,
+            body    : request.body
+        });
+        var res = new Facades.HTTPResponse(nativeRes);
+
+        return new Promise(function(resolve) {
+            nativeRes.on("finish", resolve);
+            nativeRes.on("close", resolve);
+
+            self._runHandlers(handlers, req, res);
+        });
+    }
+
+});
+
+module.exports = FastifyAdapter;
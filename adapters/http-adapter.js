@@ -0,0 +1,195 @@
+var _               = require('../libs/corelib-web/utils.js')._;
+var _l              = require('../request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("../libs/corelib-web/base.js").NamedBase;
+var Errors          = require("../errors.js");
+var AsyncUtils      = require("../async-utils.js");
+var RouteRegistry   = require("../route-registry.js");
+
+/**
+ *
+ * @class HTTPAdapter
+ *
+ * Base class of HTTP adapters, that decouple renderers and server app chunks from the HTTP server framework.
+ * An adapter can be given instead of a server to JSONRenderer, ServerAppChunk and any other class that
+ * RendersResponses; Express servers are wrapped in an ExpressAdapter automatically.
+ *
+ * The adapter interface covers:
+ *
+ *  * Route registration : register(HTTPMethod, URLPath, handlers), with handlers an ordered list of
+ *    functions with the Express calling convention function(req, res, next)
+ *
+ *  * Request and response abstraction : handlers receive Express compatible request and response objects,
+ *    also see HTTPRequest and HTTPResponse
+ *
+ *  * Error propagation : errors passed to next(err), thrown or rejected by handlers are given to the error
+ *    handlers registered with useErrorHandler(errorHandler), function(err, req, res, next). When no error
+ *    handler handles the error, it is rendered as problem details JSON.
+ *
+ *  * Route introspection : the routes registered by renderers and server app chunks are recorded in the route
+ *    registry of the adapter, see getRouteRegistry()
+ *
+ * Methods to override:
+ *  * register(HTTPMethod, URLPath, handlers)
+ *
+ */
+var HTTPAdapter = Class(NamedBase, {
+
+    $statics : {
+        HTTP_METHODS    : ["get", "post", "put", "patch", "delete", "head", "options", "all"],
+
+        isAdapter : function(obj) {
+            return obj instanceof HTTPAdapter;
+        }
+    },
+
+    _errorHandlers      : null,
+
+    _routeRegistry      : null,
+
+    constructor: function(adapterName) {
+        HTTPAdapter.$super.call(this, adapterName);
+
+        this._valid         = true;
+        this._errorHandlers = [];
+        this._routeRegistry = new RouteRegistry(adapterName + "::routes");
+    },
+
+    /**
+     *
+     * @returns {RouteRegistry}     Registry of the routes registered at this adapter by renderers and server app chunks
+     *
+     */
+    getRouteRegistry : function() {
+        return this._routeRegistry;
+    },
+
+    /**
+     *
+     * @param {String} HTTPMethod
+     * @returns {boolean}   True if routes can be registered for the HTTP method
+     *
+     */
+    supportsMethod : function(HTTPMethod) {
+        return HTTPAdapter.HTTP_METHODS.indexOf(String(HTTPMethod).toLowerCase()) >= 0;
+    },
+
+    /**
+     *
+     * Registers a route
+     *
+     * @param {String} HTTPMethod
+     * @param {String} URLPath          Express style path, e.g. /resource/:id
+     * @param {Array} handlers          Ordered list of handler functions, function(req, res, next)
+     *
+     * @returns {boolean}               True on success
+     *
+     */
+    register : function(HTTPMethod, URLPath, handlers) {
+        var me = this.getIName() + "::HTTPAdapter::register";
+
+        _l.error(me, "Method not implemented, don't know how to register routes");
+        return false;
+    },
+
+    /**
+     *
+     * @param {function} errorHandler   function(err, req, res, next)
+     *
+     */
+    useErrorHandler : function(errorHandler) {
+        this._errorHandlers.push(errorHandler);
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    /**
+     *
+     * Runs the handlers in order, each handler calls next() to continue with the next handler, or next(err) to
+     * stop and handle the error.
+     *
+     * @param {Array} handlers
+     * @param {HTTPRequest} req
+     * @param {HTTPResponse} res
+     * @param {function} [cbDone]       Called, as cbDone(), when the last handler calls next(). By default a
+     *                                  NotFoundError is handled then.
+     *
+     * @protected
+     */
+    _runHandlers : function(handlers, req, res, cbDone) {
+        var self    = this;
+        var idx     = 0;
+
+        var next = function(err) {
+            if (_.def(err)) {
+                self._handleError(err, req, res);
+                return;
+            }
+
+            if (idx >= handlers.length) {
+                if (_.func(cbDone)) {
+                    cbDone();
+                } else {
+                    self._handleError(
+                            new Errors.NotFoundError("Cannot {0} {1}".fmt(req.method, req.path)), req, res);
+                }
+                return;
+            }
+
+            AsyncUtils.callForwardingErrors(handlers[idx++], [req, res, next]);
+        };
+
+        next();
+    },
+
+    _handleError : function(err, req, res) {
+        var self    = this;
+        var idx     = 0;
+
+        var next = function(nextErr) {
+            if (_.def(nextErr)) {
+                err = nextErr;
+            }
+
+            if (idx >= self._errorHandlers.length) {
+                self._renderError(err, req, res);
+                return;
+            }
+
+            AsyncUtils.callForwardingErrors(function(req, res, next) {
+                return self._errorHandlers[idx++](err, req, res, next);
+            }, [req, res, next]);
+        };
+
+        next();
+    },
+
+    _renderError : function(err, req, res) {
+        var me      = this.getIName() + "::HTTPAdapter::_renderError";
+        var error   = Errors.FrameworkError.from(err);
+
+        if (error.status >= 500) {
+            _l.error(me, "Request {0} failed : ".fmt(req.originalUrl), error.stack);
+        }
+
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+
+        res.status(error.status)
+           .set("Content-Type", "application/problem+json")
+           .send(JSON.stringify(error.toProblem({
+                hideStackTrace  : true,
+                instance        : req.originalUrl
+            })));
+    }
+
+});
+
+module.exports = HTTPAdapter;
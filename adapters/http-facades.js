@@ -0,0 +1,404 @@
+var _               = require('../libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+
+/**
+ *
+ * Request and response facades over native node http.IncomingMessage and http.ServerResponse objects.
+ *
+ * The facades offer the subset of the Express request and response API used by the framework, renderers
+ * and most middleware. This allows renderers like JSONRenderer to run unchanged on any server an adapter
+ * is available for. The native objects are available as req.raw and res.raw.
+ *
+ */
+
+function parseQuery(search) {
+    var query   = {};
+    var params  = new URLSearchParams(search || "");
+
+    params.forEach(function(value, key) {
+        if (!query.hasOwnProperty(key)) {
+            query[key] = value;
+        } else if (_.array(query[key])) {
+            query[key].push(value);
+        } else {
+            query[key] = [query[key], value];
+        }
+    });
+
+    return query;
+}
+
+function parseCookies(cookieHeader) {
+    var cookies = {};
+    if (!_.string(cookieHeader)) {
+        return cookies;
+    }
+
+    cookieHeader.split(";").forEach(function(pair) {
+        var separator = pair.indexOf("=");
+        if (separator < 1) {
+            return;
+        }
+
+        var name    = pair.slice(0, separator).trim();
+        var value   = pair.slice(separator + 1).trim();
+        if (value.charAt(0) === '"') {
+            value = value.slice(1, -1);
+        }
+
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+function serializeCookie(name, value, options) {
+    options     = options || {};
+
+    var cookie  = name + "=" + encodeURIComponent(_.obj(value) ? "j:" + JSON.stringify(value) : String(value));
+
+    if (_.number(options.maxAge)) {
+        cookie += "; Max-Age=" + Math.floor(options.maxAge / 1000);
+        cookie += "; Expires=" + new Date(Date.now() + options.maxAge).toUTCString();
+    } else if (options.expires instanceof Date) {
+        cookie += "; Expires=" + options.expires.toUTCString();
+    }
+
+    if (_.string(options.domain)) {
+        cookie += "; Domain=" + options.domain;
+    }
+
+    cookie += "; Path=" + (options.path || "/");
+
+    if (options.httpOnly) {
+        cookie += "; HttpOnly";
+    }
+
+    if (options.secure) {
+        cookie += "; Secure";
+    }
+
+    if (options.sameSite) {
+        var sameSite = options.sameSite === true ? "Strict" : String(options.sameSite);
+        cookie += "; SameSite=" + sameSite.charAt(0).toUpperCase() + sameSite.slice(1).toLowerCase();
+    }
+
+    return cookie;
+}
+
+/**
+ *
+ * Reads and parses the body of a native request. JSON and URL encoded bodies are parsed, text bodies are given as
+ * string, other bodies as Buffer.
+ *
+ * @param {http.IncomingMessage} nativeReq
+ * @param {Object} [options]
+ * @param {Number} [options.limit=1048576]  Maximum body size in bytes
+ * @param {function} cbReady                cbReady(body, err)
+ *
+ */
+function readBody(nativeReq, options, cbReady) {
+    var limit       = _.number(_.get(options, "limit")) ? options.limit : 1024 * 1024;
+    var chunks      = [];
+    var size        = 0;
+    var done        = false;
+
+    var finish = function(body, err) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        cbReady(body, err);
+    };
+
+    nativeReq.on("data", function(chunk) {
+        size += chunk.length;
+        if (size > limit) {
+            var err = new Error("Request body exceeds limit of {0} bytes".fmt(limit));
+            err.status  = 413;
+            err.code    = "ERR_BODY_TOO_LARGE";
+            finish(undefined, err);
+            return;
+        }
+
+        chunks.push(chunk);
+    });
+
+    nativeReq.on("error", function(err) {
+        finish(undefined, err);
+    });
+
+    nativeReq.on("end", function() {
+        if (size === 0) {
+            finish(undefined);
+            return;
+        }
+
+        var buffer      = Buffer.concat(chunks);
+        var contentType = String(_.get(nativeReq.headers, "content-type") || "").toLowerCase();
+
+        if (/json/.test(contentType)) {
+            try {
+                finish(JSON.parse(buffer.toString("utf8")));
+            } catch (e) {
+                var err     = new Error("Request body is not valid JSON");
+                err.status  = 400;
+                err.code    = "ERR_BODY_INVALID";
+                finish(undefined, err);
+            }
+            return;
+        }
+
+        if (/application\/x-www-form-urlencoded/.test(contentType)) {
+            finish(parseQuery(buffer.toString("utf8")));
+            return;
+        }
+
+        if (/^text\//.test(contentType)) {
+            finish(buffer.toString("utf8"));
+            return;
+        }
+
+        finish(buffer);
+    });
+}
+
+/**
+ *
+ * @class HTTPRequest
+ *
+ * Express compatible request facade
+ *
+ */
+var HTTPRequest = Class({
+
+    raw             : null,
+
+    method          : null,
+
+    url             : null,
+
+    originalUrl     : null,
+
+    path            : null,
+
+    params          : null,
+
+    query           : null,
+
+    headers         : null,
+
+    cookies         : null,
+
+    body            : undefined,
+
+    ip              : null,
+
+    /**
+     *
+     * @param {http.IncomingMessage} nativeReq
+     * @param {Object} [props]              Overrides of the parsed properties, e.g. params from the router,
+     *                                      or body and query as parsed by the native framework
+     *
+     */
+    constructor: function(nativeReq, props) {
+        var url             = String(nativeReq.url || "/");
+        var queryStart      = url.indexOf("?");
+
+        this.raw            = nativeReq;
+        this.method         = String(nativeReq.method || "GET").toUpperCase();
+        this.url            = url;
+        this.originalUrl    = url;
+        this.path           = queryStart >= 0 ? url.slice(0, queryStart) : url;
+        this.params         = {};
+        this.query          = parseQuery(queryStart >= 0 ? url.slice(queryStart + 1) : "");
+        this.headers        = nativeReq.headers || {};
+        this.cookies        = parseCookies(this.headers.cookie);
+        this.ip             = _.get(nativeReq.socket || nativeReq.connection, "remoteAddress") || null;
+
+        for (var key in props) {
+            if (_.def(props[key])) {
+                this[key] = props[key];
+            }
+        }
+    },
+
+    get : function(name) {
+        var header = String(name).toLowerCase();
+        if (header === "referer" || header === "referrer") {
+            return this.headers.referer || this.headers.referrer;
+        }
+
+        return this.headers[header];
+    },
+
+    header : function(name) {
+        return this.get(name);
+    }
+
+});
+
+/**
+ *
+ * @class HTTPResponse
+ *
+ * Express compatible response facade
+ *
+ */
+var HTTPResponse = Class({
+
+    raw             : null,
+
+    locals          : null,
+
+    /**
+     *
+     * @param {http.ServerResponse} nativeRes
+     *
+     */
+    constructor: function(nativeRes) {
+        this.raw    = nativeRes;
+        this.locals = {};
+    },
+
+    headersSent : {
+        get : function() {
+            return this.raw.headersSent;
+        }
+    },
+
+    statusCode : {
+        get : function() {
+            return this.raw.statusCode;
+        },
+        set : function(status) {
+            this.raw.statusCode = status;
+        }
+    },
+
+    status : function(status) {
+        this.raw.statusCode = status;
+        return this;
+    },
+
+    sendStatus : function(status) {
+        this.status(status);
+        return this.send(String(status));
+    },
+
+    set : function(field, value) {
+        if (_.obj(field)) {
+            for (var key in field) {
+                this.set(key, field[key]);
+            }
+            return this;
+        }
+
+        this.raw.setHeader(field, _.array(value) ? value.map(String) : String(value));
+        return this;
+    },
+
+    header : function(field, value) {
+        return this.set(field, value);
+    },
+
+    get : function(field) {
+        return this.raw.getHeader(field);
+    },
+
+    append : function(field, value) {
+        var current = this.raw.getHeader(field);
+        var values  = _.def(current) ? [].concat(current) : [];
+
+        this.raw.setHeader(field, values.concat(value));
+        return this;
+    },
+
+    type : function(contentType) {
+        return this.set("Content-Type", contentType);
+    },
+
+    cookie : function(name, value, options) {
+        return this.append("Set-Cookie", serializeCookie(name, value, options));
+    },
+
+    clearCookie : function(name, options) {
+        var clearOptions = {};
+        for (var key in options) {
+            clearOptions[key] = options[key];
+        }
+        clearOptions.expires    = new Date(0);
+        delete clearOptions.maxAge;
+
+        return this.cookie(name, "", clearOptions);
+    },
+
+    location : function(url) {
+        return this.set("Location", url);
+    },
+
+    redirect : function(status, url) {
+        if (!_.number(status)) {
+            url     = status;
+            status  = 302;
+        }
+
+        this.status(status).location(url);
+        this.end();
+    },
+
+    json : function(data) {
+        if (!_.def(this.get("Content-Type"))) {
+            this.set("Content-Type", "application/json; charset=utf-8");
+        }
+
+        return this.send(JSON.stringify(data));
+    },
+
+    send : function(body) {
+        if (_.obj(body) && !Buffer.isBuffer(body)) {
+            return this.json(body);
+        }
+
+        if (_.string(body) && !_.def(this.get("Content-Type"))) {
+            this.set("Content-Type", "text/html; charset=utf-8");
+        }
+
+        if (Buffer.isBuffer(body) && !_.def(this.get("Content-Type"))) {
+            this.set("Content-Type", "application/octet-stream");
+        }
+
+        var isHead = _.get(this.raw.req, "method") === "HEAD";
+        if (_.def(body) && !this.raw.headersSent) {
+            this.set("Content-Length", Buffer.byteLength(body));
+        }
+
+        this.raw.end(isHead || !_.def(body) ? undefined : body);
+        return this;
+    },
+
+    write : function(chunk, encoding) {
+        return this.raw.write(chunk, encoding);
+    },
+
+    end : function(chunk, encoding) {
+        this.raw.end(chunk, encoding);
+        return this;
+    }
+
+});
+
+module.exports = {
+    HTTPRequest     : HTTPRequest,
+    HTTPResponse    : HTTPResponse,
+    readBody        : readBody,
+    parseQuery      : parseQuery,
+    parseCookies    : parseCookies,
+    serializeCookie : serializeCookie
+};
@@ -0,0 +1,125 @@
+var _               = require('../libs/corelib-web/utils.js')._;
+var _l              = require('../request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var HTTPAdapter     = require("./http-adapter.js");
+var Router          = require("./router.js");
+var Facades         = require("./http-facades.js");
+
+/**
+ *
+ * @class KoaAdapter
+ *
+ * HTTP adapter for Koa applications. Routes are matched by the adapter's own router, that is added to the Koa
+ * middleware stack; requests that match no route are passed on to the next Koa middleware.
+ *
+ *      var app      = new Koa();
+ *      var adapter  = new KoaAdapter("api", app);
+ *      var renderer = new JSONRenderer("json", adapter);
+ *
+ * Matched requests are handled on the native node request and response (ctx.respond is set to false).
+ * When a body parser (e.g. koa-bodyparser) already set ctx.request.body, that body is used, else the adapter
+ * parses the body itself.
+ *
+ */
+var KoaAdapter = Class(HTTPAdapter, {
+
+    _router             : null,
+
+    _bodyLimit          : null,
+
+    /**
+     *
+     * Constructs Koa adapter
+     *
+     * @param {String} adapterName
+     * @param {Object} [app]                        Koa application, when given the adapter middleware is added to it.
+     *                                              Otherwise add getMiddleware() to the application yourself.
+     * @param {Object} [config]
+     * @param {Number} [config.bodyLimit=1048576]   Maximum request body size in bytes
+     *
+     */
+    constructor: function(adapterName, app, config) {
+        var me = "KoaAdapter::constructor";
+
+        KoaAdapter.$super.call(this, adapterName);
+
+        this._router    = new Router();
+        this._bodyLimit = _.get(config, "bodyLimit");
+
+        if (!_.def(app)) {
+            return;
+        }
+
+        if (!_.hasMethod(app, "use")) {
+            _l.error(me, "Koa application is invalid, adapter {0} will not function properly".fmt(adapterName));
+            this._valid = false;
+            return;
+        }
+
+        app.use(this.getMiddleware());
+    },
+
+    register : function(HTTPMethod, URLPath, handlers) {
+        if (!this.supportsMethod(HTTPMethod)) {
+            return false;
+        }
+
+        this._router.add(HTTPMethod, URLPath, handlers);
+        return true;
+    },
+
+    getRoutes : function() {
+        return this._router.getRoutes();
+    },
+
+    /**
+     *
+     * @returns {function}  Koa middleware, function(ctx, next), routing requests to the registered handlers
+     *
+     */
+    getMiddleware : function() {
+        var self = this;
+
+        return function(ctx, next) {
+            var req     = new Facades.HTTPRequest(ctx.req);
+            var match   = self._router.match(req.method, req.path);
+
+            if (!_.def(match)) {
+                return next();
+            }
+
+            // Koa defaults the native status to 404, handlers expect 200 unless they set a status themselves
+            ctx.respond         = false;
+            ctx.res.statusCode  = 200;
+
+            var res     = new Facades.HTTPResponse(ctx.res);
+            req.params  = match.params;
+
+            return new Promise(function(resolve) {
+                ctx.res.on("finish", resolve);
+                ctx.res.on("close", resolve);
+
+                var bodyParsed = _.def(_.get(ctx.request, "body"));
+                if (bodyParsed) {
+                    req.body = ctx.request.body;
+                    self._runHandlers(match.handler, req, res);
+                    return;
+                }
+
+                Facades.readBody(ctx.req, { limit : self._bodyLimit }, function(body, err) {
+                    if (_.def(err)) {
+                        self._handleError(err, req, res);
+                        return;
+                    }
+
+                    req.body = body;
+                    self._runHandlers(match.handler, req, res);
+                });
+            });
+        };
+    }
+
+});
+
+module.exports = KoaAdapter;
@@ -0,0 +1,113 @@
+var _               = require('../libs/corelib-web/utils.js')._;
+
+var http            = require("http");
+
+var Class           = require("jsface").Class;
+var HTTPAdapter     = require("./http-adapter.js");
+var Router          = require("./router.js");
+var Facades         = require("./http-facades.js");
+var Errors          = require("../errors.js");
+
+/**
+ *
+ * @class NodeHTTPAdapter
+ *
+ * HTTP adapter for plain node http servers, with its own router. Request bodies are parsed before the handlers run:
+ * JSON and URL encoded bodies are parsed to objects, text bodies are strings, anything else a Buffer.
+ *
+ *      var adapter  = new NodeHTTPAdapter("api");
+ *      var renderer = new JSONRenderer("json", adapter);
+ *
+ *      renderer.renderResponsesFor(service, "/api");
+ *      adapter.createServer().listen(8080);
+ *
+ * Requests that match no route get a 404 problem details response.
+ *
+ */
+var NodeHTTPAdapter = Class(HTTPAdapter, {
+
+    _router             : null,
+
+    _bodyLimit          : null,
+
+    /**
+     *
+     * Constructs node http adapter
+     *
+     * @param {String} adapterName
+     * @param {Object} [config]
+     * @param {Number} [config.bodyLimit=1048576]   Maximum request body size in bytes
+     *
+     */
+    constructor: function(adapterName, config) {
+        NodeHTTPAdapter.$super.call(this, adapterName);
+
+        this._router    = new Router();
+        this._bodyLimit = _.get(config, "bodyLimit");
+    },
+
+    register : function(HTTPMethod, URLPath, handlers) {
+        if (!this.supportsMethod(HTTPMethod)) {
+            return false;
+        }
+
+        this._router.add(HTTPMethod, URLPath, handlers);
+        return true;
+    },
+
+    getRoutes : function() {
+        return this._router.getRoutes();
+    },
+
+    /**
+     *
+     * @returns {function}  Request listener, function(nativeReq, nativeRes), for http.createServer() or
+     *                      https.createServer()
+     *
+     */
+    getRequestListener : function() {
+        return this._handleRequest.bind(this);
+    },
+
+    /**
+     *
+     * @returns {http.Server}   Node http server handling requests with this adapter
+     *
+     */
+    createServer : function() {
+        return http.createServer(this.getRequestListener());
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _handleRequest : function(nativeReq, nativeRes) {
+        var self    = this;
+        var req     = new Facades.HTTPRequest(nativeReq);
+        var res     = new Facades.HTTPResponse(nativeRes);
+        var match   = this._router.match(req.method, req.path);
+
+        if (!_.def(match)) {
+            this._handleError(new Errors.NotFoundError("Cannot {0} {1}".fmt(req.method, req.path)), req, res);
+            return;
+        }
+
+        req.params = match.params;
+
+        Facades.readBody(nativeReq, { limit : this._bodyLimit }, function(body, err) {
+            if (_.def(err)) {
+                self._handleError(err, req, res);
+                return;
+            }
+
+            req.body = body;
+            self._runHandlers(match.handler, req, res);
+        });
+    }
+
+});
+
+module.exports = NodeHTTPAdapter;
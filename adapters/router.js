@@ -0,0 +1,155 @@
+var _               = require('../libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+
+/**
+ *
+ * @class Router
+ *
+ * Minimal router for Express style paths, used by adapters for servers without routing of their own.
+ *
+ * Supported path syntax:
+ *  /resource/:id       named parameter, matching one path segment
+ *  /resource/:id?      optional named parameter
+ *  /files/*            wildcard, matching the rest of the path, available as params[0]
+ *
+ * Trailing slashes are ignored when matching.
+ *
+ */
+var Router = Class({
+
+    $statics : {
+
+        /**
+         *
+         * Compiles an Express style path to a regular expression
+         *
+         * @param {String} path
+         * @returns {Object}        {regex, keys}
+         *
+         */
+        compilePath : function(path) {
+            var keys        = [];
+            var wildcards   = 0;
+            var pattern     = String(path)
+                    .replace(/\/+$/, "")
+                    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+                    .replace(/\/:([A-Za-z0-9_]+)(\?)?/g, function(match, key, optional) {
+                        keys.push(key);
+                        return optional ? "(?:/([^/]+))?" : "/([^/]+)";
+                    })
+                    .replace(/\*/g, function() {
+                        keys.push(wildcards++);
+                        return "(.*)";
+                    });
+
+            return {
+                regex   : new RegExp("^" + pattern + "/?$", "i"),
+                keys    : keys
+            };
+        }
+    },
+
+    _routes             : null,
+
+    constructor: function() {
+        this._routes = [];
+    },
+
+    /**
+     *
+     * @param {String} HTTPMethod
+     * @param {String} path         Express style path
+     * @param handler               Anything to associate with the route, returned by match()
+     *
+     */
+    add : function(HTTPMethod, path, handler) {
+        var compiled = Router.compilePath(path);
+
+        this._routes.push({
+            method  : String(HTTPMethod).toUpperCase(),
+            path    : path,
+            regex   : compiled.regex,
+            keys    : compiled.keys,
+            handler : handler
+        });
+    },
+
+    getRoutes : function() {
+        return this._routes.map(function(route) {
+            return {
+                method  : route.method,
+                path    : route.path
+            };
+        });
+    },
+
+    /**
+     *
+     * @param {String} HTTPMethod
+     * @param {String} path
+     *
+     * @returns {Object|null}   {handler, params, path} of the first matching route, null if no route matches.
+     *                          HEAD requests match GET routes when no HEAD route is registered.
+     *
+     */
+    match : function(HTTPMethod, path) {
+        var method  = String(HTTPMethod).toUpperCase();
+        var match   = this._match(method, path);
+
+        if (!_.def(match) && method === "HEAD") {
+            match = this._match("GET", path);
+        }
+
+        return match;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _match : function(method, path) {
+        var route   = null;
+        var result  = null;
+
+        for (var idx in this._routes) {
+            route = this._routes[idx];
+            if (route.method !== method && route.method !== "ALL") {
+                continue;
+            }
+
+            result = route.regex.exec(path);
+            if (!_.def(result)) {
+                continue;
+            }
+
+            var params = {};
+            for (var kIdx = 0; kIdx < route.keys.length; kIdx++) {
+                if (_.def(result[kIdx + 1])) {
+                    params[route.keys[kIdx]] = this._decode(result[kIdx + 1]);
+                }
+            }
+
+            return {
+                handler : route.handler,
+                params  : params,
+                path    : route.path
+            };
+        }
+
+        return null;
+    },
+
+    _decode : function(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+});
+
+module.exports = Router;
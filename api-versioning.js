@@ -0,0 +1,200 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+/**
+ *
+ * Utilities to version APIs and to deprecate endpoints.
+ *
+ * Several versions of a service can be rendered at the same time, the version requested by a client is selected
+ * by one of the following strategies:
+ *
+ *  * url       : every version has its own path root, e.g. /api/v1/users and /api/v2/users
+ *  * header    : all versions share the same path, the version is requested with the Accept-Version header,
+ *                e.g. Accept-Version: 2
+ *  * mediaType : all versions share the same path, the version is requested with a media type parameter of the
+ *                Accept header, e.g. Accept: application/json; version=2
+ *
+ * Also see RendersResponses.renderResponsesFor() and VersionDispatcher.
+ *
+ */
+var ApiVersioning = {
+
+    STRATEGY_URL            : "url",
+
+    STRATEGY_HEADER         : "header",
+
+    STRATEGY_MEDIA_TYPE     : "mediaType",
+
+    VERSION_HEADER          : "Accept-Version",
+
+    /**
+     *
+     * @param {String} strategy
+     * @returns {boolean}       True if strategy is a known versioning strategy
+     *
+     */
+    isStrategy : function(strategy) {
+        return [
+            ApiVersioning.STRATEGY_URL,
+            ApiVersioning.STRATEGY_HEADER,
+            ApiVersioning.STRATEGY_MEDIA_TYPE
+        ].indexOf(strategy) >= 0;
+    },
+
+    /**
+     *
+     * @param version           E.g. 2, "2", "v2" or "2.1"
+     * @returns {String|null}   Version without "v" prefix, e.g. "2" or "2.1". Null if version is not defined.
+     *
+     */
+    normalizeVersion : function(version) {
+        if (!_.def(version) || String(version).trim() === "") {
+            return null;
+        }
+
+        return String(version).trim().replace(/^v/i, "");
+    },
+
+    /**
+     *
+     * @param {String} versionA
+     * @param {String} versionB
+     *
+     * @returns {Number}        Negative when versionA is lower than versionB, positive when higher, else 0.
+     *                          Versions are compared per dot separated part, numerically when possible.
+     *
+     */
+    compareVersions : function(versionA, versionB) {
+        var partsA = String(ApiVersioning.normalizeVersion(versionA)).split(".");
+        var partsB = String(ApiVersioning.normalizeVersion(versionB)).split(".");
+
+        for (var idx = 0; idx < Math.max(partsA.length, partsB.length); idx++) {
+            var a = partsA[idx] || "0";
+            var b = partsB[idx] || "0";
+
+            var bothNumeric = /^\d+$/.test(a) && /^\d+$/.test(b);
+            var diff        = bothNumeric ? Number(a) - Number(b) : a.localeCompare(b);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+
+        return 0;
+    },
+
+    /**
+     *
+     * @param {String} servicePathRoot
+     * @param version
+     *
+     * @returns {String}        Path root of the version, when using the url strategy, e.g. /api/v2
+     *
+     */
+    getVersionPath : function(servicePathRoot, version) {
+        return _.joinPaths([servicePathRoot || "/", "v" + ApiVersioning.normalizeVersion(version)]);
+    },
+
+    /**
+     *
+     * @param {Object} req
+     * @param {String} strategy     header or mediaType
+     *
+     * @returns {String|null}       The normalized version requested, null if the request does not specify a version
+     *
+     */
+    getRequestedVersion : function(req, strategy) {
+        var headers = _.get(req, "headers");
+
+        if (strategy === ApiVersioning.STRATEGY_HEADER) {
+            return ApiVersioning.normalizeVersion(_.get(headers, ApiVersioning.VERSION_HEADER.toLowerCase()));
+        }
+
+        if (strategy !== ApiVersioning.STRATEGY_MEDIA_TYPE) {
+            return null;
+        }
+
+        var accept      = String(_.get(headers, "accept") || "");
+        var mediaRanges = accept.split(",");
+        for (var idx in mediaRanges) {
+            var params = mediaRanges[idx].split(";").slice(1);
+            for (var pIdx in params) {
+                var param = params[pIdx].split("=");
+                var name  = param[0].trim().toLowerCase();
+
+                if ((name === "version" || name === "v") && _.def(param[1])) {
+                    return ApiVersioning.normalizeVersion(param[1].replace(/"/g, ""));
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     *
+     * Creates middleware that sets the Deprecation, Sunset and Link headers for deprecated endpoints
+     *
+     * @param {Object} deprecation
+     * @param {boolean|Date|String|Number} [deprecation.deprecated]     True, or the date of deprecation
+     * @param {Date|String|Number} [deprecation.sunset]                 Date after which the endpoint is removed
+     * @param {String} [deprecation.deprecationLink]                    URL of documentation about the deprecation
+     * @param {String} [deprecation.sunsetLink]                         URL of documentation about the sunset
+     *
+     * @returns {function|null}     Middleware, function(req, res, next). Null when a date is invalid.
+     *
+     */
+    createDeprecationMiddleware : function(deprecation) {
+        var me      = "ApiVersioning::createDeprecationMiddleware";
+        var headers = {};
+        var links   = [];
+
+        var deprecated = _.get(deprecation, "deprecated");
+        if (deprecated === true) {
+            headers["Deprecation"] = "true";
+        } else if (_.def(deprecated) && deprecated !== false) {
+            var deprecationDate = ApiVersioning._toDate(deprecated);
+            if (!_.def(deprecationDate)) {
+                _l.error(me, "Deprecation date [{0}] is invalid".fmt(deprecated));
+                return null;
+            }
+
+            headers["Deprecation"] = "@" + Math.floor(deprecationDate.getTime() / 1000);
+        }
+
+        var sunset = _.get(deprecation, "sunset");
+        if (_.def(sunset)) {
+            var sunsetDate = ApiVersioning._toDate(sunset);
+            if (!_.def(sunsetDate)) {
+                _l.error(me, "Sunset date [{0}] is invalid".fmt(sunset));
+                return null;
+            }
+
+            headers["Sunset"] = sunsetDate.toUTCString();
+        }
+
+        if (_.string(_.get(deprecation, "deprecationLink"))) {
+            links.push('<{0}>; rel="deprecation"'.fmt(deprecation.deprecationLink));
+        }
+
+        if (_.string(_.get(deprecation, "sunsetLink"))) {
+            links.push('<{0}>; rel="sunset"'.fmt(deprecation.sunsetLink));
+        }
+
+        return function(req, res, next) {
+            res.set(headers);
+            if (links.length > 0) {
+                res.append("Link", links);
+            }
+
+            next();
+        };
+    },
+
+    _toDate : function(value) {
+        var date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+};
+
+module.exports = ApiVersioning;
@@ -0,0 +1,239 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+/**
+ *
+ * Utilities to call endpoint processing, handler, render and lifecycle methods that either follow the callback
+ * convention or return a Promise (e.g. async functions).
+ *
+ */
+var AsyncUtils = {
+
+    /**
+     *
+     * @param value
+     * @returns {boolean}   True if value is a Promise or Promise-like object
+     *
+     */
+    isThenable : function(value) {
+        return _.def(value) && (typeof value === "object" || typeof value === "function") && _.func(value.then);
+    },
+
+    /**
+     *
+     * Determines if a function takes a callback after the given number of arguments, from the number of parameters
+     * it declares, func.length. Parameters with default values, and the parameters after them, and rest parameters
+     * are not counted; declare the callback parameter without default value.
+     *
+     * @param {function} func
+     * @param {Number} numArgs      Number of arguments before the callback
+     *
+     * @returns {boolean}
+     *
+     */
+    takesCallback : function(func, numArgs) {
+        return func.length > numArgs;
+    },
+
+    /**
+     *
+     * Calls an endpoint processing method, function(req, cbReady) with cbReady(data, err), that may also return a
+     * Promise. cbReady is called exactly once:
+     *
+     *  * When the method takes the cbReady argument, its callback is leading; a rejected Promise is still
+     *    passed on as error. Also see takesCallback().
+     *  * When the method does not take the cbReady argument, the resolved value of the returned Promise, or else
+     *    the returned value, also when undefined or null, is the data. E.g. the async iterator returned by an async
+     *    generator function.
+     *  * Exceptions thrown by the method are passed on as error.
+     *
+     * @param {function} processingMethod
+     * @param {Object} req
+     * @param {function} cbReady            cbReady(data, err)
+     *
+     */
+    callProcessingMethod : function(processingMethod, req, cbReady) {
+        var done        = false;
+        var finish      = function(data, err) {
+            if (done) {
+                return;
+            }
+
+            done = true;
+            cbReady(data, err);
+        };
+
+        var result      = null;
+        try {
+            result = processingMethod(req, finish);
+        } catch (err) {
+            finish(undefined, err);
+            return;
+        }
+
+        var usesCallback = AsyncUtils.takesCallback(processingMethod, 1);
+        if (!AsyncUtils.isThenable(result)) {
+            if (!usesCallback) {
+                finish(result);
+            }
+            return;
+        }
+
+        result.then(function(data) {
+            if (!usesCallback) {
+                finish(data);
+            }
+        }, function(err) {
+            finish(undefined, _.def(err) ? err : new Error("Processing method rejected without reason"));
+        });
+    },
+
+    /**
+     *
+     * Calls a function with the Express calling convention, function(req, res, next, ...), and forwards thrown
+     * exceptions and Promise rejections to next(err).
+     *
+     * @param {function} func
+     * @param {Array} args      Arguments to call func with, args[2] must be the next function
+     *
+     * @returns                 The result of calling func
+     *
+     */
+    callForwardingErrors : function(func, args) {
+        var next    = args[2];
+        var result  = null;
+
+        try {
+            result = func.apply(null, args);
+        } catch (err) {
+            next(err);
+            return;
+        }
+
+        if (AsyncUtils.isThenable(result)) {
+            result.then(null, function(err) {
+                next(_.def(err) ? err : new Error("Handler rejected without reason"));
+            });
+        }
+
+        return result;
+    },
+
+    /**
+     *
+     * Calls a method that either takes a callback, cbReady(result, err), as last argument or returns a Promise
+     * (e.g. async methods). cbReady is called exactly once:
+     *
+     *  * When the method takes the callback argument, its callback is leading; a rejected Promise is still
+     *    passed on as error. Also see takesCallback().
+     *  * When the method does not take the callback argument, the resolved value of the returned Promise, or else
+     *    the returned value, is the result.
+     *  * Exceptions thrown by the method are passed on as error.
+     *
+     * @param {Object} obj              Object to call the method on
+     * @param {function} method
+     * @param {Array} args              Arguments to call the method with, without the callback
+     * @param {function} cbReady        cbReady(result, err)
+     *
+     */
+    callMethod : function(obj, method, args, cbReady) {
+        var done        = false;
+        var finish      = function(result, err) {
+            if (done) {
+                return;
+            }
+
+            done = true;
+            cbReady(result, err);
+        };
+
+        var returned    = null;
+        try {
+            returned = method.apply(obj, args.concat([finish]));
+        } catch (err) {
+            finish(undefined, err);
+            return;
+        }
+
+        var usesCallback = AsyncUtils.takesCallback(method, args.length);
+        if (!AsyncUtils.isThenable(returned)) {
+            if (!usesCallback) {
+                finish(returned);
+            }
+            return;
+        }
+
+        returned.then(function(result) {
+            if (!usesCallback) {
+                finish(result);
+            }
+        }, function(err) {
+            finish(undefined, _.def(err) ? err : new Error("Method rejected without reason"));
+        });
+    },
+
+    /**
+     *
+     * Runs an operation, function(cbDone) with cbDone(result, err), either with the given callback or, when no
+     * callback is given, as Promise.
+     *
+     * @param {function} operation
+     * @param {function} [cbReady]      cbReady(result, err)
+     *
+     * @returns {Promise|undefined}     Promise resolving to the result, or rejecting with the error, when no cbReady
+     *                                  is given
+     *
+     */
+    callbackOrPromise : function(operation, cbReady) {
+        if (_.func(cbReady)) {
+            operation(cbReady);
+            return;
+        }
+
+        return new Promise(function(resolve, reject) {
+            operation(function(result, err) {
+                if (_.def(err)) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(result);
+            });
+        });
+    },
+
+    /**
+     *
+     * Calls cbEnd once, when the response is sent or the connection is closed before that
+     *
+     * @param {Object} res          Response, or response facade with the native response as res.raw
+     * @param {function} cbEnd
+     *
+     * @returns {boolean}           False if the end of the response can not be observed
+     *
+     */
+    onResponseEnd : function(res, cbEnd) {
+        //Response facades of adapters are no event emitters, the native response is
+        var emitter = _.hasMethod(res, "on") ? res : _.get(res, "raw");
+        if (!_.hasMethod(emitter, "on")) {
+            return false;
+        }
+
+        var ended   = false;
+        var end     = function() {
+            if (ended) {
+                return;
+            }
+
+            ended = true;
+            cbEnd();
+        };
+
+        emitter.on("finish", end);
+        emitter.on("close", end);
+
+        return true;
+    }
+
+};
+
+module.exports = AsyncUtils;
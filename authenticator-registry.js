@@ -0,0 +1,238 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var Errors          = require("./errors.js");
+
+/**
+ *
+ * @class AuthenticatorRegistry
+ *
+ * Registry of authentication strategies, used to authenticate and authorize requests to endpoints that declare
+ * an auth definition, e.g.:
+ *
+ *      "DELETE Resource" : {
+ *          HTTPMethod  : 'delete',
+ *          URLSubpath  : '/resource/:id/',
+ *          auth        : {
+ *              //Strategies to try, in order, the first that finds credentials in the request is used
+ *              strategies  : ['bearer', 'apiKey', 'session'],
+ *
+ *              //The principal must have at least one of these roles
+ *              roles       : ['admin'],
+ *
+ *              //The principal must have all of these scopes
+ *              scopes      : ['resources:delete']
+ *          }
+ *      }
+ *
+ * The authenticated principal is available as req.principal to the endpoint method.
+ * Requests without valid credentials fail with an UnauthorizedError (401), requests by principals without the
+ * required roles or scopes fail with a ForbiddenError (403).
+ *
+ * The registry and default auth definition of a service are given with the service configuration, also see Service.
+ *
+ */
+var AuthenticatorRegistry = Class(NamedBase, {
+
+    _authenticators     : null,
+
+    /**
+     *
+     * Constructs authenticator registry
+     *
+     * @param {String} registryName
+     * @param {Object} [config]
+     * @param {Object} [config.authenticators]      Object mapping strategy names to authenticators,
+     *                                              also see Authenticators
+     *
+     */
+    constructor: function(registryName, config) {
+        AuthenticatorRegistry.$super.call(this, registryName);
+
+        this._authenticators = {};
+
+        var authenticators = _.get(config, "authenticators");
+        for (var strategy in authenticators) {
+            if (!this.register(strategy, authenticators[strategy])) {
+                this._valid = false;
+            }
+        }
+    },
+
+    /**
+     *
+     * @param {String} strategy         Name of the strategy, as used in auth definitions
+     * @param {Object} authenticator    Object with method authenticate(req, cbReady)
+     *
+     * @returns {boolean}               True on success
+     *
+     */
+    register : function(strategy, authenticator) {
+        var me = this.getIName() + "::AuthenticatorRegistry::register";
+
+        if (!_.string(strategy) || !_.hasMethod(authenticator, "authenticate")) {
+            _l.error(me, "Authenticator for strategy {0} is invalid, unable to register".fmt(strategy));
+            return false;
+        }
+
+        this._authenticators[strategy] = authenticator;
+        return true;
+    },
+
+    getAuthenticator : function(strategy) {
+        return _.get(this._authenticators, strategy);
+    },
+
+    getStrategies : function() {
+        return Object.keys(this._authenticators);
+    },
+
+    /**
+     *
+     * Tries the given strategies in order, until one finds credentials in the request
+     *
+     * @param {Object} req
+     * @param {Array} strategies
+     * @param {function} cbReady        cbReady(principal, err)
+     *
+     */
+    authenticate : function(req, strategies, cbReady) {
+        var self    = this;
+        var idx     = 0;
+
+        var tryNext = function() {
+            if (idx >= strategies.length) {
+                cbReady(null, new Errors.UnauthorizedError(
+                        "No credentials provided", { strategies : strategies }, "ERR_CREDENTIALS_MISSING"));
+                return;
+            }
+
+            var authenticator = self.getAuthenticator(strategies[idx++]);
+            if (!_.def(authenticator)) {
+                tryNext();
+                return;
+            }
+
+            authenticator.authenticate(req, function(principal, err) {
+                if (_.def(err)) {
+                    cbReady(null, err);
+                    return;
+                }
+
+                if (_.obj(principal)) {
+                    cbReady(principal);
+                    return;
+                }
+
+                tryNext();
+            });
+        };
+
+        tryNext();
+    },
+
+    /**
+     *
+     * @param {Object} principal
+     * @param {Object} authDef          {roles, scopes}
+     *
+     * @returns {Errors.ForbiddenError|null} Error when the principal lacks the required roles or scopes, else null
+     *
+     */
+    authorize : function(principal, authDef) {
+        var roles           = _.array(_.get(principal, "roles")) ? principal.roles : [];
+        var scopes          = _.array(_.get(principal, "scopes")) ? principal.scopes : [];
+        var requiredRoles   = _.array(_.get(authDef, "roles")) ? authDef.roles : [];
+        var requiredScopes  = _.array(_.get(authDef, "scopes")) ? authDef.scopes : [];
+
+        if (!_.empty(requiredRoles) && !requiredRoles.some(function(role) { return roles.indexOf(role) >= 0; })) {
+            return new Errors.ForbiddenError(
+                    "Insufficient roles", { requiredRoles : requiredRoles }, "ERR_INSUFFICIENT_ROLES");
+        }
+
+        var missingScopes = requiredScopes.filter(function(scope) { return scopes.indexOf(scope) < 0; });
+        if (!_.empty(missingScopes)) {
+            return new Errors.ForbiddenError(
+                    "Insufficient scopes", { missingScopes : missingScopes }, "ERR_INSUFFICIENT_SCOPES");
+        }
+
+        return null;
+    },
+
+    /**
+     *
+     * Creates middleware that authenticates and authorizes requests according to the auth definition.
+     * On success the principal is set as req.principal.
+     *
+     * @param {String} endpointName
+     * @param {Object} authDef          {strategies, roles, scopes}
+     *
+     * @returns {function|null}         function(req, res, next), null when the auth definition is invalid
+     *
+     */
+    createMiddleware : function(endpointName, authDef) {
+        var me          = this.getIName() + "::AuthenticatorRegistry::createMiddleware";
+        var self        = this;
+        var strategies  = _.get(authDef, "strategies");
+
+        if (!_.array(strategies) || _.empty(strategies)) {
+            _l.error(me, "Endpoint {0} : auth definition has no strategies".fmt(endpointName));
+            return null;
+        }
+
+        for (var idx in strategies) {
+            if (!_.def(this.getAuthenticator(strategies[idx]))) {
+                _l.error(me, "Endpoint {0} : no authenticator registered for strategy {1}"
+                        .fmt(endpointName, strategies[idx]));
+                return null;
+            }
+        }
+
+        return function(req, res, next) {
+            self.authenticate(req, strategies, function(principal, err) {
+                if (_.def(err)) {
+                    var challenges = self._getChallenges(strategies);
+                    if (!_.empty(challenges) && _.hasMethod(res, "set")) {
+                        res.set("WWW-Authenticate", challenges.join(", "));
+                    }
+
+                    next(err);
+                    return;
+                }
+
+                err = self.authorize(principal, authDef);
+                if (_.def(err)) {
+                    next(err);
+                    return;
+                }
+
+                req.principal = principal;
+                next();
+            });
+        };
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _getChallenges : function(strategies) {
+        var challenges = [];
+
+        for (var idx in strategies) {
+            var challenge = _.exec(this.getAuthenticator(strategies[idx]), "getChallenge");
+            if (_.string(challenge)) {
+                challenges.push(challenge);
+            }
+        }
+
+        return challenges;
+    }
+
+});
+
+module.exports = AuthenticatorRegistry;
@@ -0,0 +1,265 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var Errors          = require("./errors.js");
+
+/**
+ *
+ * @class Authenticator
+ *
+ * Base class of authentication strategies, registered at an AuthenticatorRegistry.
+ *
+ * Methods to override:
+ *  * authenticate(req, cbReady)
+ *
+ */
+var Authenticator = Class(NamedBase, {
+
+    _store          : null,
+
+    /**
+     *
+     * Constructs authenticator
+     *
+     * @param {String} authenticatorName
+     * @param {Object} config
+     * @param {Object} config.store     Credential store, with method lookup(credential, cbReady),
+     *                                  also see InMemoryCredentialStore
+     *
+     */
+    constructor: function(authenticatorName, config) {
+        var me = "Authenticator::constructor";
+
+        Authenticator.$super.call(this, authenticatorName);
+
+        this._valid = true;
+        this._store = _.get(config, "store");
+        if (!_.hasMethod(this._store, "lookup")) {
+            _l.error(me, "Credential store of {0} is invalid, authenticator will not function properly"
+                    .fmt(authenticatorName));
+            this._valid = false;
+        }
+    },
+
+    /**
+     *
+     * Authenticates the request
+     *
+     * @param {Object} req
+     * @param {function} cbReady    cbReady(principal, err)
+     *                              principal is null when the request carries no credentials for this strategy,
+     *                              err is an UnauthorizedError when the credentials are invalid
+     *
+     */
+    authenticate : function(req, cbReady) {
+        var me = this.getIName() + "::Authenticator::authenticate";
+
+        _l.error(me, "Method not implemented, don't know how to authenticate requests");
+        cbReady(null, new Errors.InternalError("Authenticator {0} not implemented".fmt(this.getIName())));
+    },
+
+    /**
+     *
+     * @returns {String|null}   Value for the WWW-Authenticate header, when authentication fails
+     *
+     */
+    getChallenge : function() {
+        return null;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _lookup : function(credential, description, cbReady) {
+        var self = this;
+
+        if (!this.isValid()) {
+            cbReady(null, new Errors.InternalError("Authenticator {0} is invalid".fmt(this.getIName())));
+            return;
+        }
+
+        this._store.lookup(credential, function(principal, err) {
+            if (_.def(err)) {
+                cbReady(null, err);
+                return;
+            }
+
+            if (!_.obj(principal)) {
+                cbReady(null, new Errors.UnauthorizedError(
+                        "Invalid {0}".fmt(description), null, "ERR_INVALID_CREDENTIALS"));
+                return;
+            }
+
+            cbReady(principal);
+        });
+    }
+
+});
+
+/**
+ *
+ * @class BearerAuthenticator
+ *
+ * Authenticates requests with an "Authorization: Bearer <token>" header
+ *
+ */
+var BearerAuthenticator = Class(Authenticator, {
+
+    _realm          : null,
+
+    /**
+     *
+     * @param {String} authenticatorName
+     * @param {Object} config
+     * @param {Object} config.store         Credential store mapping tokens to principals
+     * @param {String} [config.realm]       Realm given in the WWW-Authenticate challenge
+     *
+     */
+    constructor: function(authenticatorName, config) {
+        BearerAuthenticator.$super.call(this, authenticatorName, config);
+
+        this._realm = _.get(config, "realm") || null;
+    },
+
+    authenticate : function(req, cbReady) {
+        var authorization   = _.get(_.get(req, "headers"), "authorization");
+        var match           = _.string(authorization) ? /^Bearer\s+(\S+)\s*$/i.exec(authorization) : null;
+
+        if (!_.def(match)) {
+            cbReady(null);
+            return;
+        }
+
+        this._lookup(match[1], "bearer token", cbReady);
+    },
+
+    getChallenge : function() {
+        return _.string(this._realm) ? 'Bearer realm="{0}"'.fmt(this._realm) : "Bearer";
+    }
+
+});
+
+/**
+ *
+ * @class ApiKeyAuthenticator
+ *
+ * Authenticates requests with an API key given in a header or, optionally, in a query parameter
+ *
+ */
+var ApiKeyAuthenticator = Class(Authenticator, {
+
+    _header         : null,
+
+    _queryParam     : null,
+
+    /**
+     *
+     * @param {String} authenticatorName
+     * @param {Object} config
+     * @param {Object} config.store                 Credential store mapping API keys to principals
+     * @param {String} [config.header='x-api-key']  Header carrying the API key
+     * @param {String} [config.queryParam]          Query parameter carrying the API key, not used by default
+     *
+     */
+    constructor: function(authenticatorName, config) {
+        ApiKeyAuthenticator.$super.call(this, authenticatorName, config);
+
+        this._header        = (_.get(config, "header") || "x-api-key").toLowerCase();
+        this._queryParam    = _.get(config, "queryParam") || null;
+    },
+
+    authenticate : function(req, cbReady) {
+        var apiKey = _.get(_.get(req, "headers"), this._header);
+
+        if (!_.string(apiKey) && _.string(this._queryParam)) {
+            apiKey = _.get(_.get(req, "query"), this._queryParam);
+        }
+
+        if (!_.string(apiKey) || _.empty(apiKey)) {
+            cbReady(null);
+            return;
+        }
+
+        this._lookup(apiKey, "API key", cbReady);
+    }
+
+});
+
+/**
+ *
+ * @class SessionAuthenticator
+ *
+ * Authenticates requests with a session. When session middleware already put a principal on the session
+ * (req.session.principal) that principal is used; otherwise the session ID is read from the session cookie and
+ * looked up in the credential store.
+ *
+ */
+var SessionAuthenticator = Class(Authenticator, {
+
+    _cookieName     : null,
+
+    /**
+     *
+     * @param {String} authenticatorName
+     * @param {Object} config
+     * @param {Object} config.store                 Credential store mapping session IDs to principals
+     * @param {String} [config.cookieName='sid']    Name of the session cookie
+     *
+     */
+    constructor: function(authenticatorName, config) {
+        SessionAuthenticator.$super.call(this, authenticatorName, config);
+
+        this._cookieName = _.get(config, "cookieName") || "sid";
+    },
+
+    authenticate : function(req, cbReady) {
+        var principal = _.get(_.get(req, "session"), "principal");
+        if (_.obj(principal)) {
+            cbReady(principal);
+            return;
+        }
+
+        var sessionId = _.get(_.get(req, "cookies"), this._cookieName) || this._getCookie(req, this._cookieName);
+        if (!_.string(sessionId) || _.empty(sessionId)) {
+            cbReady(null);
+            return;
+        }
+
+        this._lookup(sessionId, "session", cbReady);
+    },
+
+    _getCookie : function(req, name) {
+        var cookieHeader = _.get(_.get(req, "headers"), "cookie");
+        if (!_.string(cookieHeader)) {
+            return null;
+        }
+
+        var cookies = cookieHeader.split(";");
+        for (var idx in cookies) {
+            var separator = cookies[idx].indexOf("=");
+            if (separator > 0 && cookies[idx].slice(0, separator).trim() === name) {
+                try {
+                    return decodeURIComponent(cookies[idx].slice(separator + 1).trim());
+                } catch (e) {
+                    //A malformed session cookie is no credential
+                    return null;
+                }
+            }
+        }
+
+        return null;
+    }
+
+});
+
+module.exports = {
+    Authenticator           : Authenticator,
+    BearerAuthenticator     : BearerAuthenticator,
+    ApiKeyAuthenticator     : ApiKeyAuthenticator,
+    SessionAuthenticator    : SessionAuthenticator
+};
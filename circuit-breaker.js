@@ -0,0 +1,176 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+
+/**
+ *
+ * @class CircuitBreaker
+ *
+ * Stops calling a failing remote service for a while, such that requests fail fast instead of piling up, and the
+ * remote service gets time to recover. Also see RemoteService.
+ *
+ * The circuit is:
+ *
+ *  closed      : requests are allowed, consecutive failures are counted. When the count reaches the threshold
+ *                the circuit opens.
+ *  open        : requests are refused, until the reset timeout passed, then the circuit becomes half-open
+ *  half-open   : one trial request is allowed. When it succeeds the circuit closes, when it fails the circuit opens
+ *                again.
+ *
+ * Callers ask allowRequest() before every request and report the outcome with recordSuccess() or recordFailure().
+ *
+ */
+var CircuitBreaker = Class(NamedBase, {
+
+    $statics : {
+        STATE_CLOSED            : "closed",
+        STATE_OPEN              : "open",
+        STATE_HALF_OPEN         : "half-open",
+
+        DEFAULT_THRESHOLD       : 5,
+
+        //Milliseconds the circuit stays open before a trial request is allowed
+        DEFAULT_RESET_TIMEOUT   : 30000
+    },
+
+    _threshold          : null,
+
+    _resetTimeout       : null,
+
+    _state              : null,
+
+    _numFailures        : 0,
+
+    _openedAt           : null,
+
+    _trialInFlight      : false,
+
+    /**
+     *
+     * Constructs circuit breaker
+     *
+     * @param {String} breakerName
+     * @param {Object} [config]
+     * @param {Number} [config.threshold=5]         Number of consecutive failures that opens the circuit
+     * @param {Number} [config.resetTimeout=30000]  Milliseconds the circuit stays open before a trial request is
+     *                                              allowed
+     *
+     */
+    constructor: function(breakerName, config) {
+        CircuitBreaker.$super.call(this, breakerName);
+
+        var threshold       = _.get(config, "threshold");
+        var resetTimeout    = _.get(config, "resetTimeout");
+
+        this._threshold     = _.number(threshold) && threshold > 0 ? threshold : CircuitBreaker.DEFAULT_THRESHOLD;
+        this._resetTimeout  = _.number(resetTimeout) && resetTimeout >= 0 ?
+                resetTimeout :
+                CircuitBreaker.DEFAULT_RESET_TIMEOUT;
+
+        this.reset();
+    },
+
+    /**
+     *
+     * @returns {String}    closed, open or half-open
+     *
+     */
+    getState : function() {
+        if (this._state === CircuitBreaker.STATE_OPEN && Date.now() - this._openedAt >= this._resetTimeout) {
+            this._state = CircuitBreaker.STATE_HALF_OPEN;
+        }
+
+        return this._state;
+    },
+
+    /**
+     *
+     * @returns {Object}    {state, failures, openedAt}, openedAt is the Date the circuit last opened, or null
+     *
+     */
+    getStats : function() {
+        return {
+            state       : this.getState(),
+            failures    : this._numFailures,
+            openedAt    : _.def(this._openedAt) ? new Date(this._openedAt) : null
+        };
+    },
+
+    /**
+     *
+     * @returns {Number}    Milliseconds until a trial request is allowed, 0 when the circuit is not open
+     *
+     */
+    getRetryAfter : function() {
+        return this.getState() === CircuitBreaker.STATE_OPEN ?
+                Math.max(0, this._openedAt + this._resetTimeout - Date.now()) :
+                0;
+    },
+
+    /**
+     *
+     * @returns {boolean}   True if a request may be sent. When half-open, only the first caller gets true, until
+     *                      the outcome of its trial request is recorded.
+     *
+     */
+    allowRequest : function() {
+        var state = this.getState();
+
+        if (state === CircuitBreaker.STATE_CLOSED) {
+            return true;
+        }
+
+        if (state === CircuitBreaker.STATE_HALF_OPEN && !this._trialInFlight) {
+            this._trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    },
+
+    recordSuccess : function() {
+        var me = this.getIName() + "::CircuitBreaker::recordSuccess";
+
+        if (this._state !== CircuitBreaker.STATE_CLOSED) {
+            _l.info(me, "Trial request succeeded, closing circuit");
+        }
+
+        this.reset();
+    },
+
+    recordFailure : function() {
+        var me = this.getIName() + "::CircuitBreaker::recordFailure";
+
+        this._numFailures   += 1;
+        this._trialInFlight = false;
+
+        if (this._state === CircuitBreaker.STATE_CLOSED && this._numFailures < this._threshold) {
+            return;
+        }
+
+        if (this._state === CircuitBreaker.STATE_CLOSED) {
+            _l.warn(me, "{0} consecutive failures, opening circuit for {1} ms".fmt(
+                    this._numFailures, this._resetTimeout));
+        }
+
+        this._state     = CircuitBreaker.STATE_OPEN;
+        this._openedAt  = Date.now();
+    },
+
+    /**
+     *
+     * Closes the circuit and clears the failure count
+     *
+     */
+    reset : function() {
+        this._state         = CircuitBreaker.STATE_CLOSED;
+        this._numFailures   = 0;
+        this._openedAt      = null;
+        this._trialInFlight = false;
+    }
+
+});
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,840 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var fs              = require("fs");
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var RendersResponses= require("./renders-responses.js");
+var OpenAPIGenerator= require("./open-api-generator.js");
+var ListQueryParser = require("./list-query-parser.js");
+
+/****************************************************
+ *
+ * RUNTIME OF GENERATED CLIENTS
+ *
+ * The functions below are emitted, as source, into every generated client. They must not use anything outside
+ * of themselves, except each other and the globals fetch and Promise, and must stay ES5 to run in any browser.
+ *
+ ****************************************************/
+
+function ApiError(problem, response) {
+    this.name       = "ApiError";
+    this.message    = problem.detail || problem.title || "Request failed with status " + problem.status;
+    this.status     = problem.status;
+    this.code       = problem.code;
+    this.title      = problem.title;
+    this.detail     = problem.detail;
+    this.details    = problem.details;
+    this.type       = problem.type;
+    this.instance   = problem.instance;
+    this.problem    = problem;
+    this.response   = response;
+
+    if (typeof Error.captureStackTrace === "function") {
+        Error.captureStackTrace(this, ApiError);
+    } else {
+        this.stack = (new Error(this.message)).stack;
+    }
+}
+
+function serializeValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function buildPath(template, params) {
+    return template.replace(/(\/?):([A-Za-z0-9_]+)(\([^)]*\))?(\?)?/g, function(match, slash, name, pattern, optional) {
+        var value = params ? params[name] : undefined;
+        if (value === undefined || value === null) {
+            if (optional) {
+                return "";
+            }
+
+            throw new TypeError("Path parameter " + name + " is required");
+        }
+
+        return slash + encodeURIComponent(serializeValue(value));
+    });
+}
+
+function buildQuery(query) {
+    var parts = [];
+
+    Object.keys(query || {}).forEach(function(name) {
+        var values = Array.isArray(query[name]) ? query[name] : [query[name]];
+
+        values.forEach(function(value) {
+            if (value !== undefined && value !== null) {
+                parts.push(encodeURIComponent(name) + "=" + encodeURIComponent(serializeValue(value)));
+            }
+        });
+    });
+
+    return parts.length > 0 ? "?" + parts.join("&") : "";
+}
+
+function mergeHeaders(sources) {
+    var headers = {};
+
+    sources.forEach(function(source) {
+        for (var name in source) {
+            if (source[name] !== undefined && source[name] !== null) {
+                headers[name.toLowerCase()] = String(source[name]);
+            }
+        }
+    });
+
+    return headers;
+}
+
+function decodeError(response) {
+    var contentType = response.headers.get("Content-Type") || "";
+    var body        = /json/i.test(contentType) ? response.json() : response.text();
+
+    return body.then(null, function() {
+        return null;
+    }).then(function(body) {
+        var problem = body !== null && typeof body === "object" && typeof body.status === "number" ? body : {
+            type    : "about:blank",
+            title   : response.statusText || "Error",
+            status  : response.status,
+            detail  : typeof body === "string" && body.length > 0 ? body : undefined
+        };
+
+        return new ApiError(problem, response);
+    });
+}
+
+function decodeResponse(response) {
+    if (response.status >= 400) {
+        return decodeError(response).then(function(err) {
+            throw err;
+        });
+    }
+
+    if (response.status === 204 || response.status === 205) {
+        return null;
+    }
+
+    var contentType = response.headers.get("Content-Type") || "";
+    if (/^[^;]*[\/+]json\s*(;|$)/i.test(contentType)) {
+        return response.json();
+    }
+
+    if (/^text\//i.test(contentType) && !/^text\/event-stream/i.test(contentType)) {
+        return response.text();
+    }
+
+    //Streams and file downloads, read by the caller
+    return response;
+}
+
+function sendRequest(client, endpoint, request, options) {
+    request = request || {};
+    options = options || {};
+
+    var fetchFunc = client.fetch || (typeof fetch === "function" ? fetch : null);
+    if (fetchFunc === null) {
+        return Promise.reject(new Error("No fetch function available, give one with the fetch client option"));
+    }
+
+    var url = null;
+    try {
+        url = client.baseURL + buildPath(endpoint.path, request.params) + buildQuery(request.query);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    var clientHeaders = typeof client.headers === "function" ? client.headers() : client.headers;
+
+    return Promise.resolve(clientHeaders).then(function(clientHeaders) {
+        var init = {
+            method  : endpoint.method,
+            headers : mergeHeaders([{ "Accept" : "application/json" }, clientHeaders, request.headers,
+                                    options.headers])
+        };
+
+        if (request.body !== undefined) {
+            init.headers["content-type"] = "application/json";
+            init.body = JSON.stringify(request.body);
+        }
+
+        if (options.signal) {
+            init.signal = options.signal;
+        }
+
+        return fetchFunc(url, init);
+    }).then(decodeResponse);
+}
+
+var RUNTIME = [ApiError, serializeValue, buildPath, buildQuery, mergeHeaders, decodeError, decodeResponse,
+               sendRequest];
+
+/****************************************************
+ *
+ * TYPINGS
+ *
+ ****************************************************/
+
+var TYPINGS_PREAMBLE = [
+    "export interface Problem {",
+    "    type: string;",
+    "    title: string;",
+    "    status: number;",
+    "    detail?: string;",
+    "    code?: string;",
+    "    details?: any;",
+    "    instance?: string;",
+    "    [key: string]: any;",
+    "}",
+    "",
+    "export declare class ApiError extends Error {",
+    "    readonly status: number;",
+    "    readonly code: string | undefined;",
+    "    readonly title: string;",
+    "    readonly detail: string | undefined;",
+    "    readonly details: any;",
+    "    readonly type: string;",
+    "    readonly instance: string | undefined;",
+    "    readonly problem: Problem;",
+    "    readonly response: any;",
+    "    constructor(problem: Problem, response?: any);",
+    "}",
+    "",
+    "export type HeaderValues = Record<string, string | number | boolean | undefined>;",
+    "",
+    "export interface ClientOptions {",
+    "    /** URL the paths of the endpoints are appended to, e.g. https://api.example.com */",
+    "    baseURL?: string;",
+    "    /** Headers sent with every request, or a function returning them, e.g. to add a fresh token */",
+    "    headers?: HeaderValues | (() => HeaderValues | Promise<HeaderValues>);",
+    "    /** Fetch implementation, default is the global fetch */",
+    "    fetch?: (url: string, init: any) => Promise<any>;",
+    "}",
+    "",
+    "export interface RequestOptions {",
+    "    headers?: HeaderValues;",
+    "    signal?: any;",
+    "}"
+];
+
+function isIdentifier(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+}
+
+function toPropertyName(name) {
+    return isIdentifier(name) ? name : JSON.stringify(name);
+}
+
+function toWords(name) {
+    return String(name).split(/[^A-Za-z0-9]+/).filter(function(word) {
+        return word.length > 0;
+    });
+}
+
+function objectSchemaToType(schema, indent) {
+    var properties  = _.obj(schema.properties) ? schema.properties : {};
+    var required    = _.array(schema.required) ? schema.required : [];
+    var additional  = schema.additionalProperties;
+    var lines       = [];
+    var inner       = indent + "    ";
+
+    for (var name in properties) {
+        if (_.string(_.get(properties[name], "description"))) {
+            lines.push(inner + "/** {0} */".fmt(properties[name].description.replace(/\*\//g, "*\\/")));
+        }
+
+        lines.push(inner + "{0}{1}: {2};".fmt(
+                toPropertyName(name),
+                required.indexOf(name) >= 0 ? "" : "?",
+                ClientGenerator.schemaToType(properties[name], inner)));
+    }
+
+    if (additional !== false && (_.obj(additional) || lines.length === 0)) {
+        lines.push(inner + "[key: string]: {0};".fmt(ClientGenerator.schemaToType(additional, inner)));
+    }
+
+    return lines.length === 0 ? "{}" : "{\n" + lines.join("\n") + "\n" + indent + "}";
+}
+
+/**
+ *
+ * @class ClientGenerator
+ *
+ * Generates a JavaScript HTTP client, with TypeScript typings, from the endpoint tables of services and the root
+ * paths at which they are rendered. Clients generated at build time stay in line with the URLSubpath, params,
+ * query, headers and body definitions of the endpoints, instead of hand-written fetch wrappers.
+ *
+ * Services are added like for the OpenAPIGenerator, using addService(service, servicePathRoot) or
+ * addRenderer(renderer), e.g. in a build script:
+ *
+ *      var generator = new ClientGenerator("users");
+ *      generator.addRenderer(renderer);
+ *      generator.writeToFile("clients/users-client.js");     //Also writes clients/users-client.d.ts
+ *
+ * The generated client has one method per endpoint, named after the endpoint name, e.g. getUser for "GET user", or
+ * after the optional clientMethod property of the endpoint definition:
+ *
+ *      var client = new UsersClient({ baseURL : "https://api.example.com", headers : { authorization : token } });
+ *
+ *      client.getUser({ params : { id : 12 }, query : { fields : "name" } }).then(function(user) {
+ *          ...
+ *      }, function(err) {
+ *          //err is an ApiError with the status, code, title, detail and details of the problem, see FrameworkError
+ *      });
+ *
+ * Every method takes the request {params, query, headers, body}, interpolating params in the URL path, and
+ * optional options {headers, signal}. JSON responses are resolved parsed, text responses as text, and streams and
+ * file downloads as the fetch Response.
+ *
+ * The typings are derived from the params, query, headers and body schemas (also see RequestValidator) and from the
+ * schema of the 2xx response of the optional responses property (also see OpenAPIGenerator).
+ *
+ */
+var ClientGenerator = Class(NamedBase, {
+
+    $statics : {
+        MODULE_COMMONJS     : "commonjs",
+        MODULE_ESM          : "esm",
+
+        /**
+         *
+         * @param {String} name     Name, e.g. an endpoint name like 'GET user'
+         * @returns {String}        Camel cased identifier, e.g. getUser
+         *
+         */
+        toMethodName : function(name) {
+            var identifier = toWords(name).map(function(word, idx) {
+                //Upper cased words, like HTTP methods, are not kept upper cased, e.g. GET user becomes getUser
+                word = word === word.toUpperCase() ? word.toLowerCase() : word;
+
+                return idx === 0 ?
+                        word.charAt(0).toLowerCase() + word.slice(1) :
+                        word.charAt(0).toUpperCase() + word.slice(1);
+            }).join("");
+
+            return /^[0-9]/.test(identifier) ? "_" + identifier : identifier;
+        },
+
+        /**
+         *
+         * @param {String} name
+         * @returns {String}        Pascal cased identifier, e.g. GetUser
+         *
+         */
+        toTypeName : function(name) {
+            var identifier = ClientGenerator.toMethodName(name);
+            return identifier.charAt(0).toUpperCase() + identifier.slice(1);
+        },
+
+        /**
+         *
+         * Converts a JSON-Schema style schema to a TypeScript type
+         *
+         * @param {Object} schema
+         * @param {String} [indent='']      Indentation of the line the type starts on
+         *
+         * @returns {String}
+         *
+         */
+        schemaToType : function(schema, indent) {
+            indent = indent || "";
+
+            if (!_.obj(schema)) {
+                return "any";
+            }
+
+            if (_.array(schema["enum"])) {
+                return schema["enum"].map(function(value) {
+                    return JSON.stringify(value);
+                }).join(" | ") || "never";
+            }
+
+            if (_.def(schema["const"])) {
+                return JSON.stringify(schema["const"]);
+            }
+
+            if (_.array(schema.type)) {
+                return schema.type.map(function(type) {
+                    var typeSchema = {};
+                    for (var key in schema) {
+                        typeSchema[key] = schema[key];
+                    }
+                    typeSchema.type = type;
+
+                    return ClientGenerator.schemaToType(typeSchema, indent);
+                }).join(" | ") || "any";
+            }
+
+            switch (schema.type) {
+                case "string":
+                    return "string";
+                case "integer":
+                case "number":
+                    return "number";
+                case "boolean":
+                    return "boolean";
+                case "null":
+                    return "null";
+                case "array":
+                    return "Array<{0}>".fmt(ClientGenerator.schemaToType(schema.items, indent));
+            }
+
+            if (schema.type !== "object" && !_.obj(schema.properties)) {
+                return "any";
+            }
+
+            return objectSchemaToType(schema, indent);
+        }
+    },
+
+    _className          : null,
+
+    _moduleFormat       : null,
+
+    _baseURL            : null,
+
+    _sources            : null,
+
+    /**
+     *
+     * Constructs client generator
+     *
+     * @param {String} generatorName                Name of the generator
+     *
+     * @param {Object} [config]                     Configuration object
+     * @param {String} [config.className]           Name of the generated client class, default is derived from the
+     *                                              generator name, e.g. UsersClient for generator users
+     * @param {String} [config.moduleFormat]        commonjs (default) or esm
+     * @param {String} [config.baseURL='']          Default base URL of the generated client
+     *
+     */
+    constructor: function(generatorName, config) {
+        ClientGenerator.$super.call(this, generatorName);
+
+        this._className     = _.get(config, "className") || ClientGenerator.toTypeName(generatorName + " client");
+        this._moduleFormat  = _.get(config, "moduleFormat") === ClientGenerator.MODULE_ESM ?
+                ClientGenerator.MODULE_ESM :
+                ClientGenerator.MODULE_COMMONJS;
+        this._baseURL       = _.get(config, "baseURL") || "";
+        this._sources       = [];
+    },
+
+    getClassName : function() {
+        return this._className;
+    },
+
+    /**
+     *
+     * Adds the endpoints of a service to generate client methods for
+     *
+     * @param {Object} service                  Service that adheres to RendersResponses.REQUIRED_SERVICE_IF
+     * @param {String} [servicePathRoot='/']    Root path at which the service endpoints are rendered
+     * @param {Array} [endpoints]               Endpoints to generate methods for, default are all endpoints of the
+     *                                          service
+     *
+     * @returns {boolean}                       True on success
+     *
+     */
+    addService : function(service, servicePathRoot, endpoints) {
+        var me = this.getIName() + "::ClientGenerator::addService";
+
+        if (!_.interfaceAdheres(service, RendersResponses.REQUIRED_SERVICE_IF)) {
+            _l.error(me, "The provided service does not adhere to the required interface, unable to add service. " +
+                         "Required interface definition : ", _.stringify(RendersResponses.REQUIRED_SERVICE_IF));
+            return false;
+        }
+
+        var endpointNames = _.array(endpoints) ? endpoints : service.getEndpointNames();
+        if (!_.array(endpointNames)) {
+            _l.error(me, "No valid list of endpoint names given by service {0}, unable to add service"
+                    .fmt(service.getIName()));
+            return false;
+        }
+
+        this._sources.push({
+            service         : service,
+            servicePathRoot : servicePathRoot || "/",
+            endpointNames   : endpointNames.slice()
+        });
+
+        return true;
+    },
+
+    /**
+     *
+     * Adds all services for which the renderer renders responses, see RendersResponses.getRenderedServices()
+     *
+     * @param {Object} renderer     Instance with the RendersResponses mixin
+     *
+     * @returns {boolean}           True on success
+     *
+     */
+    addRenderer : function(renderer) {
+        var me      = this.getIName() + "::ClientGenerator::addRenderer";
+        var success = true;
+
+        if (!_.hasMethod(renderer, "getRenderedServices")) {
+            _l.error(me, "The provided renderer does not render responses for services, unable to add renderer");
+            return false;
+        }
+
+        var rendered = renderer.getRenderedServices();
+        for (var idx in rendered) {
+            success = this.addService(
+                    rendered[idx].service,
+                    rendered[idx].servicePathRoot,
+                    rendered[idx].endpointNames) && success;
+        }
+
+        return success;
+    },
+
+    /**
+     *
+     * @returns {Array}     The client methods to generate, {methodName, endpointName, endpointDef, method, path,
+     *                      service}, in order of the added services and endpoints
+     *
+     */
+    getMethods : function() {
+        var me          = this.getIName() + "::ClientGenerator::getMethods";
+        var methods     = [];
+        var byName      = {};
+
+        for (var idx in this._sources) {
+            var source = this._sources[idx];
+
+            for (var eIdx in source.endpointNames) {
+                var endpointName    = source.endpointNames[eIdx];
+                var endpointDef     = source.service.getEndpointDefFor(endpointName);
+                if (!_.obj(endpointDef)) {
+                    _l.warn(me, "Endpoint {0} : no endpoint definition available, skipping".fmt(endpointName));
+                    continue;
+                }
+
+                var methodName = endpointDef.clientMethod || ClientGenerator.toMethodName(endpointName);
+                if (_.def(byName[methodName]) && !_.string(endpointDef.clientMethod)) {
+                    methodName = ClientGenerator.toMethodName(source.service.getIName() + " " + endpointName);
+                }
+
+                if (_.def(byName[methodName])) {
+                    _l.error(me, "Endpoint {0} : client method name {1} is already used by endpoint {2}, skipping"
+                            .fmt(endpointName, methodName, byName[methodName].endpointName));
+                    continue;
+                }
+
+                if (!isIdentifier(methodName)) {
+                    _l.error(me, "Endpoint {0} : client method name {1} is invalid, skipping"
+                            .fmt(endpointName, methodName));
+                    continue;
+                }
+
+                byName[methodName] = {
+                    methodName      : methodName,
+                    endpointName    : endpointName,
+                    endpointDef     : endpointDef,
+                    method          : String(endpointDef.HTTPMethod || "get").toUpperCase(),
+                    path            : _.joinPaths([source.servicePathRoot, endpointDef.URLSubpath]),
+                    service         : source.service
+                };
+                methods.push(byName[methodName]);
+            }
+        }
+
+        return methods;
+    },
+
+    /**
+     *
+     * Generates the client for all added services
+     *
+     * @returns {Object}    {js, typings}, the source of the client module and of its TypeScript declaration file
+     *
+     */
+    generate : function() {
+        var methods = this.getMethods();
+
+        return {
+            js      : this._generateJS(methods),
+            typings : this._generateTypings(methods)
+        };
+    },
+
+    /**
+     *
+     * Writes the generated client to file, and its typings to a .d.ts file next to it
+     *
+     * @param {String} filePath         Path of the client module, e.g. clients/users-client.js
+     * @param {function} [cbReady]      cbReady(filePaths, err), filePaths is [filePath, typingsPath]
+     *
+     */
+    writeToFile : function(filePath, cbReady) {
+        var me          = this.getIName() + "::ClientGenerator::writeToFile";
+        var client      = this.generate();
+        var typingsPath = filePath.replace(/\.[cm]?js$/, "") + ".d.ts";
+
+        var done = function(err) {
+            if (_.def(err)) {
+                _l.error(me, "Unable to write client to {0} : ".fmt(filePath), err);
+            }
+
+            if (_.func(cbReady)) {
+                cbReady(_.def(err) ? null : [filePath, typingsPath], err);
+            }
+        };
+
+        fs.writeFile(filePath, client.js, function(err) {
+            if (_.def(err)) {
+                done(err);
+                return;
+            }
+
+            fs.writeFile(typingsPath, client.typings, function(err) {
+                done(err || undefined);
+            });
+        });
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _getHeader : function() {
+        return "/* Generated by ClientGenerator {0}, do not edit */".fmt(this.getIName());
+    },
+
+    _generateJS : function(methods) {
+        var className   = this._className;
+        var endpoints   = {};
+        var lines       = [this._getHeader(), "\"use strict\";", ""];
+
+        methods.forEach(function(method) {
+            endpoints[method.methodName] = { method : method.method, path : method.path };
+        });
+
+        lines.push("var DEFAULT_BASE_URL = {0};".fmt(JSON.stringify(this._baseURL)));
+        lines.push("");
+        lines.push("var ENDPOINTS = {0};".fmt(JSON.stringify(endpoints, null, 4)));
+        lines.push("");
+
+        RUNTIME.forEach(function(func) {
+            lines.push(func.toString());
+            lines.push("");
+        });
+
+        lines.push(
+            "ApiError.prototype = Object.create(Error.prototype);",
+            "ApiError.prototype.constructor = ApiError;",
+            "",
+            "function {0}(options) {".fmt(className),
+            "    options = options || {};",
+            "",
+            "    this.baseURL   = String(options.baseURL !== undefined ? options.baseURL : DEFAULT_BASE_URL)" +
+                    ".replace(/\\/+$/, \"\");",
+            "    this.headers   = options.headers || null;",
+            "    this.fetch     = options.fetch || null;",
+            "}",
+            "");
+
+        methods.forEach(function(method) {
+            lines.push(
+                "/**",
+                " * {0} : {1} {2}".fmt(method.endpointName, method.method, method.path),
+                " */",
+                "{0}.prototype.{1} = function(request, options) {".fmt(className, method.methodName),
+                "    return sendRequest(this, ENDPOINTS.{0}, request, options);".fmt(method.methodName),
+                "};",
+                "");
+        });
+
+        if (this._moduleFormat === ClientGenerator.MODULE_ESM) {
+            lines.push("export { {0}, ApiError };".fmt(className), "export default {0};".fmt(className));
+        } else {
+            lines.push(
+                "exports.{0} = {0};".fmt(className),
+                "exports.ApiError = ApiError;",
+                "exports[\"default\"] = {0};".fmt(className));
+        }
+
+        return lines.join("\n") + "\n";
+    },
+
+    _generateTypings : function(methods) {
+        var self        = this;
+        var lines       = [this._getHeader(), ""].concat(TYPINGS_PREAMBLE);
+        var signatures  = [];
+
+        methods.forEach(function(method) {
+            var typeName    = ClientGenerator.toTypeName(method.methodName);
+            var request     = self._createRequestSchema(method);
+            var optional    = _.empty(request.required) ? "?" : "";
+
+            lines.push("");
+            lines.push("export interface {0}Request {1}".fmt(typeName, ClientGenerator.schemaToType(request)));
+            lines.push("");
+            lines.push("export type {0}Response = {1};".fmt(typeName,
+                    ClientGenerator.schemaToType(self._getResponseSchema(method.endpointDef))));
+
+            signatures.push("");
+            signatures.push("    /**");
+            signatures.push("     * {0} : {1} {2}".fmt(method.endpointName, method.method, method.path));
+            if (_.string(method.endpointDef.summary)) {
+                signatures.push("     *");
+                signatures.push("     * " + method.endpointDef.summary.replace(/\*\//g, "*\\/"));
+            }
+            var deprecation = _.hasMethod(method.service, "getDeprecationFor") ?
+                    method.service.getDeprecationFor(method.endpointName) :
+                    method.endpointDef;
+            if (_.def(_.get(deprecation, "deprecated")) && deprecation.deprecated !== false) {
+                signatures.push("     *");
+                signatures.push("     * @deprecated");
+            }
+            signatures.push("     */");
+            signatures.push("    {0}(request{1}: {2}Request, options?: RequestOptions): Promise<{2}Response>;"
+                    .fmt(method.methodName, optional, typeName));
+        });
+
+        lines.push("");
+        lines.push("export declare class {0} {".fmt(this._className));
+        lines.push("    baseURL: string;");
+        lines.push("    constructor(options?: ClientOptions);");
+        lines = lines.concat(signatures);
+        lines.push("}");
+        lines.push("");
+        lines.push("export default {0};".fmt(this._className));
+
+        return lines.join("\n") + "\n";
+    },
+
+    /**
+     *
+     * @param {Object} method
+     * @returns {Object}        Object schema of the request {params, query, headers, body} of the client method
+     *
+     * @protected
+     */
+    _createRequestSchema : function(method) {
+        var endpointDef     = method.endpointDef;
+        var request         = { type : "object", properties : {}, required : [], additionalProperties : false };
+
+        var pathParamNames  = OpenAPIGenerator.getPathParamNames(method.path);
+        if (!_.empty(pathParamNames)) {
+            var params = { type : "object", properties : {}, required : [], additionalProperties : false };
+
+            pathParamNames.forEach(function(name) {
+                params.properties[name] = _.get(_.get(endpointDef.params, "properties"), name) ||
+                        { type : ["string", "number"] };
+
+                //Optional path parameters, e.g. /resource/:id?
+                if (!new RegExp(":" + name + "(\\([^)]*\\))?\\?").test(method.path)) {
+                    params.required.push(name);
+                }
+            });
+
+            request.properties.params = params;
+            if (!_.empty(params.required)) {
+                request.required.push("params");
+            }
+        }
+
+        var query = this._createPartSchema(endpointDef.query);
+        if (ListQueryParser.isCollection(endpointDef)) {
+            this._addCollectionProperties(query, endpointDef.collection);
+        }
+        this._addPart(request, "query", query);
+        this._addPart(request, "headers", this._createPartSchema(endpointDef.headers));
+
+        if (_.obj(endpointDef.body)) {
+            request.properties.body = endpointDef.body;
+            request.required.push("body");
+        }
+
+        return request;
+    },
+
+    _createPartSchema : function(schema) {
+        var part = {
+            type        : "object",
+            properties  : {},
+            required    : _.array(_.get(schema, "required")) ? schema.required.slice() : []
+        };
+
+        var properties = _.get(schema, "properties");
+        for (var name in properties) {
+            part.properties[name] = properties[name];
+        }
+
+        if (_.get(schema, "additionalProperties") === false) {
+            part.additionalProperties = false;
+        }
+
+        return part;
+    },
+
+    _addPart : function(request, part, schema) {
+        if (_.empty(schema.properties)) {
+            return;
+        }
+
+        request.properties[part] = schema;
+        if (!_.empty(schema.required)) {
+            request.required.push(part);
+        }
+    },
+
+    _addCollectionProperties : function(query, collection) {
+        var collectionDef   = new ListQueryParser(collection).getCollectionDef();
+        var properties      = {
+            page    : { type : "integer" },
+            limit   : { type : "integer" },
+            cursor  : { type : "string" }
+        };
+
+        if (!_.empty(collectionDef.sort)) {
+            properties.sort = {
+                type        : "string",
+                description : "Comma separated list of {0}, prefixed with - for descending order".fmt(
+                        collectionDef.sort.join(", "))
+            };
+        }
+
+        for (var idx in collectionDef.filters) {
+            properties[collectionDef.filters[idx]] = { type : "string" };
+        }
+
+        for (var name in properties) {
+            if (!_.def(query.properties[name])) {
+                query.properties[name] = properties[name];
+            }
+        }
+    },
+
+    /**
+     *
+     * @param {Object} endpointDef
+     * @returns {Object|null}       Schema of the first 2xx response of the endpoint definition, null if none
+     *
+     * @protected
+     */
+    _getResponseSchema : function(endpointDef) {
+        var statuses = Object.keys(_.obj(endpointDef.responses) ? endpointDef.responses : {}).sort();
+
+        for (var idx in statuses) {
+            var schema = _.get(endpointDef.responses[statuses[idx]], "schema");
+            if (/^2/.test(statuses[idx]) && _.obj(schema)) {
+                return schema;
+            }
+        }
+
+        return null;
+    }
+
+});
+
+module.exports = ClientGenerator;
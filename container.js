@@ -0,0 +1,579 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+
+/**
+ *
+ * @class Container
+ *
+ * Dependency injection container, creating and wiring the services, renderers, server app chunks and other
+ * components of an app. Components are registered by name, with a factory or a class, and are resolved in order of
+ * their dependencies. E.g.:
+ *
+ *      var container = new Container("app");
+ *
+ *      container.registerValue("server", express());
+ *
+ *      container.registerClass("users", UserService, {
+ *          args : [{ endpointTable : userEndpoints, authenticators : Container.ref("authenticators") }]
+ *      });
+ *
+ *      container.registerClass("json", JSONRenderer, { args : [Container.ref("server")] });
+ *
+ *      container.register("db", function(deps) {
+ *          return new Database(deps.config.databaseURL);
+ *      }, { dependsOn : ["config"] });
+ *
+ * Classes are constructed with the component name as first argument, followed by the given arguments. References,
+ * Container.ref(name) or { $ref : name }, in the arguments, also in nested objects and arrays, are replaced by the
+ * resolved components and are dependencies of the component.
+ *
+ * Components are singletons by default. Components with scope 'request' are created once per request, use
+ * resolve(name, req) or req.resolve(name), see createMiddleware(); singletons can not depend on them.
+ *
+ * In tests, replace components with override(name, value) before resolving.
+ *
+ * Use wire(manifest) to register components and render the responses of services from a declarative manifest:
+ *
+ *      container.wire({
+ *          components  : {
+ *              users   : { class : UserService, args : [{ endpointTable : userEndpoints }] },
+ *              json    : { class : JSONRenderer, args : [{ $ref : "server" }] }
+ *          },
+ *          bindings    : [
+ *              //Middleware given by name is resolved from the container
+ *              { renderer : "json", service : "users", path : "/api", options : { middleware : ["requireLogin"] } }
+ *          ]
+ *      });
+ *
+ */
+var Container = Class(NamedBase, {
+
+    $statics : {
+        SCOPE_SINGLETON     : "singleton",
+
+        SCOPE_REQUEST       : "request",
+
+        /**
+         *
+         * @param {String} name     Name of the component to refer to
+         * @returns {Object}        Reference to the component, to use in the arguments of registerClass()
+         *
+         */
+        ref : function(name) {
+            return { $ref : name };
+        },
+
+        isRef : function(value) {
+            return _.obj(value) && _.string(value.$ref) && Object.keys(value).length === 1;
+        }
+    },
+
+    //Object mapping component names to {factory, scope, dependsOn, isOverride}
+    _registrations      : null,
+
+    //Object mapping component names to resolved singletons
+    _singletons         : null,
+
+    //Maps requests to objects mapping component names to the request scoped components
+    _requestScopes      : null,
+
+    constructor: function(containerName) {
+        Container.$super.call(this, containerName);
+
+        this._registrations = {};
+        this._singletons    = {};
+        this._requestScopes = new WeakMap();
+    },
+
+    /**
+     *
+     * @param {String} name
+     * @param {function} factory                    function(deps, [req]), creating the component. deps maps the
+     *                                              names of the dependencies to the resolved components, req is
+     *                                              given to request scoped factories.
+     * @param {Object} [options]
+     * @param {Array} [options.dependsOn]           Names of the components the component depends on
+     * @param {String} [options.scope='singleton']  singleton or request
+     *
+     * @returns {boolean}                           False if the registration is invalid or the name is taken
+     *
+     */
+    register : function(name, factory, options) {
+        var me = this.getIName() + "::Container::register";
+
+        var registration = this._registrations[name];
+        if (_.def(registration) && registration.isOverride) {
+            //Overrides, e.g. stubs in tests, are kept when the app registers its components afterwards
+            _l.debug(me, "Component {0} is overridden, registration ignored".fmt(name));
+            return true;
+        }
+
+        if (_.def(registration)) {
+            _l.error(me, "Component {0} is already registered, use override() to replace it".fmt(name));
+            return false;
+        }
+
+        return this._register(name, factory, options);
+    },
+
+    /**
+     *
+     * @param {String} name
+     * @param {function} ComponentClass
+     * @param {Object} [options]
+     * @param {Array} [options.args]                Constructor arguments after the name, may contain references
+     * @param {String} [options.scope='singleton']  singleton or request
+     *
+     * @returns {boolean}                           False if the registration is invalid or the name is taken
+     *
+     */
+    registerClass : function(name, ComponentClass, options) {
+        var me      = this.getIName() + "::Container::registerClass";
+        var self    = this;
+
+        if (!_.func(ComponentClass)) {
+            _l.error(me, "Component {0} : class must be a constructor function, unable to register".fmt(name));
+            return false;
+        }
+
+        var args    = _.array(_.get(options, "args")) ? options.args : [];
+        var refs    = [];
+        this._collectRefs(args, refs);
+
+        return this.register(name, function(deps) {
+            var resolvedArgs = self._replaceRefs(args, deps);
+
+            //Constructs with the name as first argument and the resolved arguments after it
+            return new (Function.prototype.bind.apply(ComponentClass, [null, name].concat(resolvedArgs)))();
+        }, {
+            dependsOn   : refs,
+            scope       : _.get(options, "scope")
+        });
+    },
+
+    /**
+     *
+     * @param {String} name
+     * @param value         The component
+     *
+     * @returns {boolean}   False if the name is taken
+     *
+     */
+    registerValue : function(name, value) {
+        return this.register(name, function() {
+            return value;
+        });
+    },
+
+    /**
+     *
+     * Replaces a component by the given value, e.g. a stub in tests. Components that are already resolved and
+     * depend on the replaced component are discarded and created again when resolved. Later registrations of the
+     * component are ignored, thus components can be overridden before the app is wired.
+     *
+     * @param {String} name
+     * @param value
+     *
+     * @returns {boolean}
+     *
+     */
+    override : function(name, value) {
+        this._discard(name);
+        if (!this._register(name, function() { return value; })) {
+            return false;
+        }
+
+        this._registrations[name].isOverride = true;
+        return true;
+    },
+
+    has : function(name) {
+        return _.def(this._registrations[name]);
+    },
+
+    getNames : function() {
+        return Object.keys(this._registrations);
+    },
+
+    /**
+     *
+     * @param {String} name
+     * @returns {String|null}   singleton or request, null when no component with the name is registered
+     *
+     */
+    getScope : function(name) {
+        return this.has(name) ? this._registrations[name].scope : null;
+    },
+
+    /**
+     *
+     * @returns {Array|null}    Names of the registered components in order of their dependencies. Null when a
+     *                          dependency is unknown or the dependencies are circular.
+     *
+     */
+    getResolveOrder : function() {
+        var me      = this.getIName() + "::Container::getResolveOrder";
+        var self    = this;
+
+        var ordered = [];
+        var state   = {};       //Maps component names to "visiting" or "done"
+        var valid   = true;
+
+        var visit = function(name, path) {
+            if (state[name] === "done") {
+                return;
+            }
+
+            if (state[name] === "visiting") {
+                _l.error(me, "Circular dependencies : {0}".fmt(path.concat([name]).join(" -> ")));
+                valid = false;
+                return;
+            }
+
+            var registration = self._registrations[name];
+            if (!_.def(registration)) {
+                _l.error(me, "Component {0} depends on unknown component {1}".fmt(path[path.length - 1], name));
+                valid = false;
+                return;
+            }
+
+            state[name] = "visiting";
+            for (var idx in registration.dependsOn) {
+                visit(registration.dependsOn[idx], path.concat([name]));
+            }
+
+            state[name] = "done";
+            ordered.push(name);
+        };
+
+        for (var name in this._registrations) {
+            visit(name, []);
+        }
+
+        return valid ? ordered : null;
+    },
+
+    /**
+     *
+     * @param {String} name
+     * @param {Object} [req]    Request, required to resolve request scoped components
+     *
+     * @returns {*}             The component, null when it can not be resolved
+     *
+     */
+    resolve : function(name, req) {
+        return this._resolve(name, req, []);
+    },
+
+    /**
+     *
+     * Resolves all singleton components, in order of their dependencies
+     *
+     * @returns {boolean}       True if all singletons are resolved
+     *
+     */
+    resolveAll : function() {
+        var order = this.getResolveOrder();
+        if (!_.def(order)) {
+            return false;
+        }
+
+        for (var idx in order) {
+            var registration = this._registrations[order[idx]];
+            if (registration.scope !== Container.SCOPE_SINGLETON) {
+                continue;
+            }
+
+            if (!_.def(this.resolve(order[idx]))) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     *
+     * @returns {function}      Middleware, function(req, res, next), adding req.resolve(name), to resolve components,
+     *                          including request scoped components, for the request
+     *
+     */
+    createMiddleware : function() {
+        var self = this;
+
+        return function(req, res, next) {
+            req.resolve = function(name) {
+                return self.resolve(name, req);
+            };
+
+            next();
+        };
+    },
+
+    /**
+     *
+     * Registers the components of the manifest, resolves all singletons and renders the responses of the services
+     * for the bindings of the manifest
+     *
+     * @param {Object} manifest
+     * @param {Object} [manifest.components]    Object mapping component names to {class, args, scope} or
+     *                                          {factory, dependsOn, scope} or {value}
+     * @param {Array} [manifest.bindings]       List of {renderer, service, path, endpoints, options}, renderer and
+     *                                          service are component names, also see
+     *                                          RendersResponses.renderResponsesFor()
+     *
+     * @returns {boolean}                       True on success
+     *
+     */
+    wire : function(manifest) {
+        var me      = this.getIName() + "::Container::wire";
+        var success = true;
+
+        var components = _.get(manifest, "components") || {};
+        for (var name in components) {
+            success = this._registerManifestComponent(name, components[name]) && success;
+        }
+
+        if (!success || !this.resolveAll()) {
+            _l.error(me, "Unable to register and resolve components, unable to wire app");
+            return false;
+        }
+
+        var bindings = _.get(manifest, "bindings") || [];
+        if (!_.array(bindings)) {
+            _l.error(me, "Bindings must be given as an array, unable to wire app");
+            return false;
+        }
+
+        for (var idx in bindings) {
+            success = this._bind(bindings[idx]) && success;
+        }
+
+        return success;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _register : function(name, factory, options) {
+        var me      = this.getIName() + "::Container::_register";
+
+        var scope       = _.get(options, "scope") || Container.SCOPE_SINGLETON;
+        var dependsOn   = _.get(options, "dependsOn") || [];
+
+        if (!_.string(name) || _.empty(name) || !_.func(factory)) {
+            _l.error(me, "Component name and factory function required, unable to register");
+            return false;
+        }
+
+        if (scope !== Container.SCOPE_SINGLETON && scope !== Container.SCOPE_REQUEST) {
+            _l.error(me, "Component {0} : unknown scope [{1}], unable to register".fmt(name, scope));
+            return false;
+        }
+
+        if (!_.array(dependsOn)) {
+            _l.error(me, "Component {0} : dependencies must be given as an array of names".fmt(name));
+            return false;
+        }
+
+        this._registrations[name] = {
+            factory     : factory,
+            scope       : scope,
+            dependsOn   : dependsOn.slice(),
+            isOverride  : false
+        };
+
+        return true;
+    },
+
+    _resolve : function(name, req, path) {
+        var me              = this.getIName() + "::Container::resolve";
+        var registration    = this._registrations[name];
+
+        if (!_.def(registration)) {
+            _l.error(me, "Unknown component {0}{1}".fmt(
+                    name, _.empty(path) ? "" : ", required by " + path.join(" -> ")));
+            return null;
+        }
+
+        if (path.indexOf(name) >= 0) {
+            _l.error(me, "Circular dependencies : {0}".fmt(path.concat([name]).join(" -> ")));
+            return null;
+        }
+
+        var isRequestScoped = registration.scope === Container.SCOPE_REQUEST;
+        var cache           = this._singletons;
+        if (isRequestScoped) {
+            if (!_.obj(req)) {
+                _l.error(me, ("Component {0} is request scoped, it can only be resolved for a request" +
+                              "{1}").fmt(name, _.empty(path) ? "" : ", required by " + path.join(" -> ")));
+                return null;
+            }
+
+            cache = this._requestScopes.get(req);
+            if (!_.def(cache)) {
+                cache = {};
+                this._requestScopes.set(req, cache);
+            }
+        }
+
+        if (_.def(cache[name])) {
+            return cache[name];
+        }
+
+        var deps = {};
+        for (var idx in registration.dependsOn) {
+            var depName         = registration.dependsOn[idx];
+            var depRegistration = this._registrations[depName];
+
+            if (!isRequestScoped && _.def(depRegistration) && depRegistration.scope === Container.SCOPE_REQUEST) {
+                _l.error(me, "Singleton {0} can not depend on request scoped component {1}".fmt(name, depName));
+                return null;
+            }
+
+            deps[depName] = this._resolve(depName, req, path.concat([name]));
+            if (!_.def(deps[depName])) {
+                return null;
+            }
+        }
+
+        var component = null;
+        try {
+            component = registration.factory(deps, isRequestScoped ? req : undefined);
+        } catch (err) {
+            _l.error(me, "Creating component {0} failed : ".fmt(name), err);
+            return null;
+        }
+
+        if (!_.def(component)) {
+            _l.error(me, "Factory of component {0} gave no component".fmt(name));
+            return null;
+        }
+
+        if (_.hasMethod(component, "isValid") && !component.isValid()) {
+            _l.warn(me, "Component {0} is invalid".fmt(name));
+        }
+
+        cache[name] = component;
+        return component;
+    },
+
+    _discard : function(name) {
+        delete this._singletons[name];
+
+        for (var other in this._registrations) {
+            var isDependent = this._registrations[other].dependsOn.indexOf(name) >= 0;
+            if (isDependent && _.def(this._singletons[other])) {
+                this._discard(other);
+            }
+        }
+    },
+
+    _collectRefs : function(value, refs) {
+        if (Container.isRef(value)) {
+            if (refs.indexOf(value.$ref) < 0) {
+                refs.push(value.$ref);
+            }
+            return;
+        }
+
+        if (_.array(value) || this._isPlainObject(value)) {
+            for (var key in value) {
+                this._collectRefs(value[key], refs);
+            }
+        }
+    },
+
+    _replaceRefs : function(value, deps) {
+        if (Container.isRef(value)) {
+            return deps[value.$ref];
+        }
+
+        var replaced = null;
+        var key      = null;
+        if (_.array(value)) {
+            replaced = [];
+            for (key = 0; key < value.length; key++) {
+                replaced.push(this._replaceRefs(value[key], deps));
+            }
+            return replaced;
+        }
+
+        if (this._isPlainObject(value)) {
+            replaced = {};
+            for (key in value) {
+                replaced[key] = this._replaceRefs(value[key], deps);
+            }
+            return replaced;
+        }
+
+        return value;
+    },
+
+    _isPlainObject : function(value) {
+        if (!_.obj(value)) {
+            return false;
+        }
+
+        var proto = Object.getPrototypeOf(value);
+        return proto === Object.prototype || proto === null;
+    },
+
+    _registerManifestComponent : function(name, componentDef) {
+        var me = this.getIName() + "::Container::_registerManifestComponent";
+
+        if (!_.obj(componentDef)) {
+            _l.error(me, "Component {0} : definition must be an object, unable to register".fmt(name));
+            return false;
+        }
+
+        if (_.func(componentDef["class"])) {
+            return this.registerClass(name, componentDef["class"], componentDef);
+        }
+
+        if (_.func(componentDef.factory)) {
+            return this.register(name, componentDef.factory, componentDef);
+        }
+
+        if ("value" in componentDef) {
+            return this.registerValue(name, componentDef.value);
+        }
+
+        _l.error(me, "Component {0} : definition needs a class, factory or value, unable to register".fmt(name));
+        return false;
+    },
+
+    _bind : function(binding) {
+        var me = this.getIName() + "::Container::_bind";
+
+        var renderer    = this.resolve(_.get(binding, "renderer"));
+        var service     = this.resolve(_.get(binding, "service"));
+        if (!_.hasMethod(renderer, "renderResponsesFor") || !_.def(service)) {
+            _l.error(me, "Binding of service {0} to renderer {1} : invalid renderer or service, unable to bind".fmt(
+                    _.get(binding, "service"), _.get(binding, "renderer")));
+            return false;
+        }
+
+        var options = {};
+        for (var key in binding.options) {
+            options[key] = binding.options[key];
+        }
+
+        if (_.array(options.middleware)) {
+            options.middleware = options.middleware.map(function(middleware) {
+                return _.string(middleware) ? this.resolve(middleware) : middleware;
+            }, this);
+        }
+
+        return renderer.renderResponsesFor(service, binding.path, binding.endpoints, options);
+    }
+
+});
+
+module.exports = Container;
@@ -0,0 +1,470 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+
+/**
+ *
+ * @class FrameworkError
+ *
+ * Base class of the errors used by the framework, and that can be used by services, to signal request failures.
+ * Every error has a stable code, an HTTP status and an optional details payload, e.g.:
+ *
+ *      cbReady(null, new Errors.NotFoundError("Resource {0} not found".fmt(id), {id : id}));
+ *
+ * Renderers use the status and code to render consistent error responses, also see JSONRenderer.
+ *
+ */
+var FrameworkError = Class(Error, {
+
+    $statics : {
+
+        /**
+         *
+         * Converts any error value to a FrameworkError:
+         *  * FrameworkErrors are returned as is
+         *  * Objects with a (4xx, 5xx) status or statusCode are converted to the FrameworkError class matching the
+         *    status, keeping message, code and details. With a 5xx status they are wrapped errors too, e.g. of node
+         *    or libraries, of which the message is not meant for clients.
+         *  * Anything else is wrapped in an InternalError, keeping any code, the original error is available as cause
+         *
+         * @param err
+         * @returns {FrameworkError}
+         *
+         */
+        from : function(err) {
+            if (err instanceof FrameworkError) {
+                return err;
+            }
+
+            var status = _.obj(err) ? (err.status || err.statusCode) : null;
+            if (_.number(status) && status >= 400 && status < 600) {
+                var ErrorClass  = FrameworkError.classForStatus(status);
+                var converted   = new ErrorClass(err.message, err.details, err.code);
+
+                converted.status    = status;
+                converted.cause     = err;
+                converted.wrapped   = status >= 500;
+                if (_.string(err.stack)) {
+                    converted.stack = err.stack;
+                }
+
+                return converted;
+            }
+
+            var internal = new InternalError(_.obj(err) && _.string(err.message) ? err.message : String(err));
+            internal.cause      = err;
+            internal.wrapped    = true;
+            if (_.obj(err) && _.string(err.code)) {
+                internal.code = err.code;
+            }
+            if (_.obj(err) && _.string(err.stack)) {
+                internal.stack = err.stack;
+            }
+
+            return internal;
+        },
+
+        /**
+         *
+         * @param {Number} status   HTTP status
+         * @returns {function}      The FrameworkError class for the given status, InternalError if no specific
+         *                          class is available for status >= 500, FrameworkError otherwise.
+         *
+         */
+        classForStatus : function(status) {
+            var ErrorClass = _.get(STATUS_CLASS_MAP, status);
+            if (_.func(ErrorClass)) {
+                return ErrorClass;
+            }
+
+            return status >= 500 ? InternalError : FrameworkError;
+        }
+    },
+
+    name            : "FrameworkError",
+
+    status          : 500,
+
+    title           : "Error",
+
+    code            : "ERR_FRAMEWORK",
+
+    details         : null,
+
+    /**
+     *
+     * Constructs framework error
+     *
+     * @param {String} [message]        Human readable description of the error
+     * @param {*} [details]             Extra information about the error, e.g. the validation errors
+     * @param {String} [code]           Overrides the default code of the error class
+     *
+     */
+    constructor: function(message, details, code) {
+        this.message = _.string(message) ? message : this.title;
+
+        if (_.def(details)) {
+            this.details = details;
+        }
+
+        if (_.string(code)) {
+            this.code = code;
+        }
+
+        if (_.func(Error.captureStackTrace)) {
+            Error.captureStackTrace(this, this.constructor);
+        } else {
+            this.stack = (new Error(this.message)).stack;
+        }
+    },
+
+    /**
+     *
+     * Creates an RFC 7807 problem details object for this error
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.hideStackTrace=true]   When false, the stack trace and the message of wrapped
+     *                                                  (non-framework) errors are included, only use this for
+     *                                                  development
+     * @param {String} [options.typeBaseURI]            When given, the problem type is typeBaseURI + code,
+     *                                                  else 'about:blank'
+     * @param {String} [options.instance]               URI reference identifying the occurrence of the problem,
+     *                                                  e.g. the request URL
+     *
+     * @returns {Object}
+     *
+     */
+    toProblem : function(options) {
+        var hideStackTrace  = _.get(options, "hideStackTrace") !== false;
+        var typeBaseURI     = _.get(options, "typeBaseURI");
+        var instance        = _.get(options, "instance");
+
+        var problem = {
+            type    : _.string(typeBaseURI) ? typeBaseURI + this.code : "about:blank",
+            title   : this.title,
+            status  : this.status,
+            detail  : hideStackTrace && this.wrapped ? this.title : this.message,
+            code    : this.code
+        };
+
+        if (_.def(this.details)) {
+            problem.details = this.details;
+        }
+
+        if (_.string(instance)) {
+            problem.instance = instance;
+        }
+
+        if (!hideStackTrace && _.string(this.stack)) {
+            problem.stack = this.stack.split("\n");
+        }
+
+        return problem;
+    },
+
+    toJSON : function() {
+        return this.toProblem({ hideStackTrace : true });
+    }
+
+});
+
+/**
+ *
+ * @class ValidationError
+ *
+ * The request, or data in it, is invalid (400)
+ *
+ */
+var ValidationError = Class(FrameworkError, {
+
+    name            : "ValidationError",
+
+    status          : 400,
+
+    title           : "Bad Request",
+
+    code            : "ERR_VALIDATION",
+
+    constructor: function(message, details, code) {
+        ValidationError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class UnauthorizedError
+ *
+ * The request lacks valid authentication credentials (401)
+ *
+ */
+var UnauthorizedError = Class(FrameworkError, {
+
+    name            : "UnauthorizedError",
+
+    status          : 401,
+
+    title           : "Unauthorized",
+
+    code            : "ERR_UNAUTHORIZED",
+
+    constructor: function(message, details, code) {
+        UnauthorizedError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class ForbiddenError
+ *
+ * The authenticated principal is not allowed to perform the request (403)
+ *
+ */
+var ForbiddenError = Class(FrameworkError, {
+
+    name            : "ForbiddenError",
+
+    status          : 403,
+
+    title           : "Forbidden",
+
+    code            : "ERR_FORBIDDEN",
+
+    constructor: function(message, details, code) {
+        ForbiddenError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class NotFoundError
+ *
+ * The requested resource does not exist (404)
+ *
+ */
+var NotFoundError = Class(FrameworkError, {
+
+    name            : "NotFoundError",
+
+    status          : 404,
+
+    title           : "Not Found",
+
+    code            : "ERR_NOT_FOUND",
+
+    constructor: function(message, details, code) {
+        NotFoundError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class NotAcceptableError
+ *
+ * None of the representations acceptable to the client can be produced (406)
+ *
+ */
+var NotAcceptableError = Class(FrameworkError, {
+
+    name            : "NotAcceptableError",
+
+    status          : 406,
+
+    title           : "Not Acceptable",
+
+    code            : "ERR_NOT_ACCEPTABLE",
+
+    constructor: function(message, details, code) {
+        NotAcceptableError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class ConflictError
+ *
+ * The request conflicts with the current state of the resource (409)
+ *
+ */
+var ConflictError = Class(FrameworkError, {
+
+    name            : "ConflictError",
+
+    status          : 409,
+
+    title           : "Conflict",
+
+    code            : "ERR_CONFLICT",
+
+    constructor: function(message, details, code) {
+        ConflictError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class RangeNotSatisfiableError
+ *
+ * None of the requested byte ranges overlaps the content (416)
+ *
+ */
+var RangeNotSatisfiableError = Class(FrameworkError, {
+
+    name            : "RangeNotSatisfiableError",
+
+    status          : 416,
+
+    title           : "Range Not Satisfiable",
+
+    code            : "ERR_RANGE_NOT_SATISFIABLE",
+
+    constructor: function(message, details, code) {
+        RangeNotSatisfiableError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class TooManyRequestsError
+ *
+ * The client sent too many requests in a given amount of time (429)
+ *
+ */
+var TooManyRequestsError = Class(FrameworkError, {
+
+    name            : "TooManyRequestsError",
+
+    status          : 429,
+
+    title           : "Too Many Requests",
+
+    code            : "ERR_TOO_MANY_REQUESTS",
+
+    constructor: function(message, details, code) {
+        TooManyRequestsError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class InternalError
+ *
+ * Something went wrong on the server side (500)
+ *
+ */
+var InternalError = Class(FrameworkError, {
+
+    name            : "InternalError",
+
+    status          : 500,
+
+    title           : "Internal Server Error",
+
+    code            : "ERR_INTERNAL",
+
+    constructor: function(message, details, code) {
+        InternalError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class BadGatewayError
+ *
+ * An upstream server, e.g. of a remote service, gave an invalid response or could not be reached (502)
+ *
+ */
+var BadGatewayError = Class(FrameworkError, {
+
+    name            : "BadGatewayError",
+
+    status          : 502,
+
+    title           : "Bad Gateway",
+
+    code            : "ERR_BAD_GATEWAY",
+
+    constructor: function(message, details, code) {
+        BadGatewayError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class ServiceUnavailableError
+ *
+ * The server is unable to handle the request, e.g. because the service is invalid or shutting down (503). The
+ * framework uses the codes:
+ *
+ *  ERR_SERVICE_INVALID             : the service is invalid, also see ERR_SERVER_APP_CHUNK_INVALID and
+ *                                    ERR_RENDERER_INVALID
+ *  ERR_SERVICE_STOPPING            : the service is stopping, details.retryAfter gives the seconds to wait
+ *  ERR_SERVICE_NOT_RUNNING         : the service is stopped, or failed to start or stop
+ *
+ */
+var ServiceUnavailableError = Class(FrameworkError, {
+
+    name            : "ServiceUnavailableError",
+
+    status          : 503,
+
+    title           : "Service Unavailable",
+
+    code            : "ERR_SERVICE_UNAVAILABLE",
+
+    constructor: function(message, details, code) {
+        ServiceUnavailableError.$super.call(this, message, details, code);
+    }
+});
+
+/**
+ *
+ * @class GatewayTimeoutError
+ *
+ * An upstream server, e.g. of a remote service, did not respond in time (504)
+ *
+ */
+var GatewayTimeoutError = Class(FrameworkError, {
+
+    name            : "GatewayTimeoutError",
+
+    status          : 504,
+
+    title           : "Gateway Timeout",
+
+    code            : "ERR_GATEWAY_TIMEOUT",
+
+    constructor: function(message, details, code) {
+        GatewayTimeoutError.$super.call(this, message, details, code);
+    }
+});
+
+var STATUS_CLASS_MAP = {
+    400 : ValidationError,
+    401 : UnauthorizedError,
+    403 : ForbiddenError,
+    404 : NotFoundError,
+    406 : NotAcceptableError,
+    409 : ConflictError,
+    416 : RangeNotSatisfiableError,
+    429 : TooManyRequestsError,
+    500 : InternalError,
+    502 : BadGatewayError,
+    503 : ServiceUnavailableError,
+    504 : GatewayTimeoutError
+};
+
+module.exports = {
+    FrameworkError           : FrameworkError,
+    ValidationError          : ValidationError,
+    UnauthorizedError        : UnauthorizedError,
+    ForbiddenError           : ForbiddenError,
+    NotFoundError            : NotFoundError,
+    NotAcceptableError       : NotAcceptableError,
+    ConflictError            : ConflictError,
+    RangeNotSatisfiableError : RangeNotSatisfiableError,
+    TooManyRequestsError     : TooManyRequestsError,
+    InternalError            : InternalError,
+    BadGatewayError          : BadGatewayError,
+    ServiceUnavailableError  : ServiceUnavailableError,
+    GatewayTimeoutError      : GatewayTimeoutError
+};
@@ -0,0 +1,64 @@
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+
+/**
+ *
+ * @class InMemoryCredentialStore
+ *
+ * Credential store, keeping credentials (bearer tokens, API keys, session IDs) and the principals they
+ * belong to in memory. Useful for tests and small deployments.
+ *
+ * Credential stores used by authenticators must implement:
+ *      lookup(credential, cbReady) with cbReady(principal, err)
+ *
+ * A principal is an object describing the authenticated party, e.g.:
+ *      { id : 'user-1', roles : ['admin'], scopes : ['resources:read'] }
+ *
+ */
+var InMemoryCredentialStore = Class(NamedBase, {
+
+    _principals     : null,
+
+    /**
+     *
+     * Constructs in memory credential store
+     *
+     * @param {String} storeName
+     * @param {Object} [credentials]    Object mapping credentials to principals
+     *
+     */
+    constructor: function(storeName, credentials) {
+        InMemoryCredentialStore.$super.call(this, storeName);
+
+        this._principals = {};
+        for (var credential in credentials) {
+            this.add(credential, credentials[credential]);
+        }
+    },
+
+    add : function(credential, principal) {
+        this._principals[credential] = principal;
+    },
+
+    remove : function(credential) {
+        delete this._principals[credential];
+    },
+
+    /**
+     *
+     * @param {String} credential
+     * @param {function} cbReady    cbReady(principal, err), principal is null when the credential is unknown
+     *
+     */
+    lookup : function(credential, cbReady) {
+        var principal = this._principals.hasOwnProperty(credential) ? this._principals[credential] : null;
+
+        //Calls back on a later tick, so that switching to a remote store does not change the order of callbacks
+        process.nextTick(function() {
+            cbReady(principal);
+        });
+    }
+
+});
+
+module.exports = InMemoryCredentialStore;
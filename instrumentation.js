@@ -0,0 +1,366 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var MetricsRegistry = require("./metrics-registry.js");
+var Errors          = require("./errors.js");
+var AsyncUtils      = require("./async-utils.js");
+
+var defaultInstrumentation = null;
+
+//OpenTelemetry SpanKind.SERVER and SpanStatusCode.ERROR
+var SPAN_KIND_SERVER    = 1;
+var SPAN_STATUS_ERROR   = 2;
+
+function secondsSince(startTime) {
+    var elapsed = process.hrtime(startTime);
+    return elapsed[0] + elapsed[1] / 1e9;
+}
+
+/**
+ *
+ * @class EndpointMeasurement
+ *
+ * Measures the handling of one request, created by Instrumentation.start(). Module private.
+ *
+ */
+var EndpointMeasurement = Class({
+
+    _instrumentation    : null,
+
+    _labels             : null,
+
+    _method             : null,
+
+    _res                : null,
+
+    _span               : null,
+
+    _startTime          : null,
+
+    _processingTime     : null,
+
+    _processingEndTime  : null,
+
+    _error              : null,
+
+    _ended              : false,
+
+    constructor: function(instrumentation, labels, req, res, span) {
+        var self = this;
+
+        this._instrumentation   = instrumentation;
+        this._labels            = labels;
+        this._method            = String(_.get(req, "method") || "").toUpperCase();
+        this._res               = res;
+        this._span              = span;
+        this._startTime         = process.hrtime();
+        this._processingTime    = null;
+        this._processingEndTime = null;
+        this._error             = null;
+        this._ended             = false;
+
+        AsyncUtils.onResponseEnd(res, function() {
+            self.end();
+        });
+    },
+
+    /**
+     *
+     * Marks the end of processing, the time after this, until the response is sent, is rendering time
+     *
+     * @param [err]     Processing error, if any
+     *
+     */
+    processingEnded : function(err) {
+        if (_.def(this._processingTime)) {
+            return;
+        }
+
+        this._processingTime    = secondsSince(this._startTime);
+        this._processingEndTime = process.hrtime();
+        this.errorOccurred(err);
+
+        if (_.def(this._span) && _.func(this._span.addEvent)) {
+            this._span.addEvent("processing.end");
+        }
+    },
+
+    /**
+     *
+     * Records the error of the request, only the first error of a request is counted
+     *
+     * @param [err]
+     *
+     */
+    errorOccurred : function(err) {
+        if (!_.def(err) || _.def(this._error)) {
+            return;
+        }
+
+        this._error = Errors.FrameworkError.from(err);
+    },
+
+    /**
+     *
+     * @param {function} next
+     * @returns {function}      next function that records the errors it is called with
+     *
+     */
+    wrapNext : function(next) {
+        var self = this;
+
+        return function(err) {
+            if (err !== "route" && err !== "router") {
+                self.errorOccurred(err);
+            }
+
+            return next.apply(null, arguments);
+        };
+    },
+
+    /**
+     *
+     * Records the metrics and ends the span of the request, called when the response is sent or the connection closed
+     *
+     */
+    end : function() {
+        if (this._ended) {
+            return;
+        }
+        this._ended = true;
+
+        var status = String(_.get(this._res, "statusCode") || 0);
+
+        this._instrumentation._record(this._labels, this._method, status, {
+            total       : secondsSince(this._startTime),
+            processing  : this._processingTime,
+            rendering   : _.def(this._processingEndTime) ? secondsSince(this._processingEndTime) : null
+        }, this._error);
+
+        this._endSpan(status);
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _endSpan : function(status) {
+        var span = this._span;
+        if (!_.def(span)) {
+            return;
+        }
+
+        if (_.func(span.setAttribute)) {
+            span.setAttribute("http.response.status_code", Number(status));
+        }
+
+        if (_.def(this._error) && _.func(span.recordException)) {
+            span.recordException(this._error);
+        }
+
+        if (Number(status) >= 500 && _.func(span.setStatus)) {
+            span.setStatus({
+                code    : SPAN_STATUS_ERROR,
+                message : _.def(this._error) ? this._error.code : "HTTP " + status
+            });
+        }
+
+        span.end();
+    }
+
+});
+
+/**
+ *
+ * @class Instrumentation
+ *
+ * Instruments every registered endpoint of RendersResponses and ServerAppChunk. The measurement of a request starts
+ * in the first middleware, that creates the request context, such that requests refused by middleware, e.g. with a
+ * 401 or 429, are measured too. The following metrics are kept in a MetricsRegistry:
+ *
+ *      nodechunks_requests_total{service, endpoint, method, status}        Handled requests
+ *      nodechunks_request_duration_seconds{service, endpoint}              Time until the response is sent
+ *      nodechunks_processing_duration_seconds{service, endpoint}           Time spent in the endpoint method
+ *      nodechunks_rendering_duration_seconds{service, endpoint}            Time spent rendering the response
+ *      nodechunks_errors_total{service, endpoint, code}                    Failed requests, by error code
+ *      nodechunks_requests_in_flight{service, endpoint}                    Requests being handled
+ *
+ * Processing and rendering are only measured separately for endpoints of rendered services; the handlers of
+ * ServerAppChunk endpoints process and render in one go. To expose the metrics in the Prometheus text format, register
+ * a metrics endpoint at the registry, e.g.:
+ *
+ *      Instrumentation.getDefault().getRegistry().registerMetricsEndpoint(server, "/metrics");
+ *
+ * For tracing, give an OpenTelemetry compatible tracer, e.g. require("@opentelemetry/api").trace.getTracer("api").
+ * A server span is started for every request, with the service, endpoint, method and path as attributes, a
+ * processing.end event and the response status. Spans of requests with a 5xx status get the error status.
+ *
+ */
+var Instrumentation = Class(NamedBase, {
+
+    $statics : {
+        REQUESTS_TOTAL          : "nodechunks_requests_total",
+
+        REQUEST_DURATION        : "nodechunks_request_duration_seconds",
+
+        PROCESSING_DURATION     : "nodechunks_processing_duration_seconds",
+
+        RENDERING_DURATION      : "nodechunks_rendering_duration_seconds",
+
+        ERRORS_TOTAL            : "nodechunks_errors_total",
+
+        REQUESTS_IN_FLIGHT      : "nodechunks_requests_in_flight",
+
+        /**
+         *
+         * @returns {Instrumentation}   Shared instrumentation, with the shared MetricsRegistry.getDefault(), used
+         *                              by services without instrumentation
+         *
+         */
+        getDefault : function() {
+            if (!_.def(defaultInstrumentation)) {
+                defaultInstrumentation = new Instrumentation("DefaultInstrumentation", {
+                    registry : MetricsRegistry.getDefault()
+                });
+            }
+
+            return defaultInstrumentation;
+        }
+    },
+
+    _registry           : null,
+
+    _tracer             : null,
+
+    /**
+     *
+     * Constructs instrumentation
+     *
+     * @param {String} instrumentationName
+     * @param {Object} [config]
+     * @param {MetricsRegistry} [config.registry]   Registry to keep the metrics in, default is a new registry
+     * @param {Object} [config.tracer]              OpenTelemetry compatible tracer, with a startSpan(name, options)
+     *                                              method, to trace requests with
+     *
+     */
+    constructor: function(instrumentationName, config) {
+        var me = "Instrumentation::constructor";
+
+        Instrumentation.$super.call(this, instrumentationName);
+
+        this._registry  = _.get(config, "registry") || new MetricsRegistry(instrumentationName + "::registry");
+        this._tracer    = _.get(config, "tracer") || null;
+
+        if (_.def(this._tracer) && !_.hasMethod(this._tracer, "startSpan")) {
+            _l.error(me, "Tracer of {0} has no startSpan method, requests will not be traced".fmt(
+                    instrumentationName));
+            this._tracer = null;
+        }
+
+        var registry    = this._registry;
+        var defined     = registry.counter(Instrumentation.REQUESTS_TOTAL, "Number of handled requests") &&
+                registry.histogram(Instrumentation.REQUEST_DURATION, "Request duration in seconds") &&
+                registry.histogram(Instrumentation.PROCESSING_DURATION, "Endpoint method duration in seconds") &&
+                registry.histogram(Instrumentation.RENDERING_DURATION, "Response rendering duration in seconds") &&
+                registry.counter(Instrumentation.ERRORS_TOTAL, "Number of failed requests, by error code") &&
+                registry.gauge(Instrumentation.REQUESTS_IN_FLIGHT, "Number of requests being handled");
+        if (!defined) {
+            _l.error(me, "Unable to define metrics, instrumentation {0} will not function properly".fmt(
+                    instrumentationName));
+            this._valid = false;
+        }
+    },
+
+    getRegistry : function() {
+        return this._registry;
+    },
+
+    getTracer : function() {
+        return this._tracer;
+    },
+
+    /**
+     *
+     * Starts measuring the handling of a request. The measurement ends when the response is sent.
+     *
+     * @param {String} serviceName
+     * @param {String} endpointName
+     * @param {Object} req
+     * @param {Object} res
+     *
+     * @returns {Object}    Measurement with processingEnded(err), errorOccurred(err) and wrapNext(next) methods
+     *
+     */
+    start : function(serviceName, endpointName, req, res) {
+        var labels = { service : serviceName, endpoint : endpointName };
+
+        this._registry.inc(Instrumentation.REQUESTS_IN_FLIGHT, labels);
+
+        return new EndpointMeasurement(this, labels, req, res, this._startSpan(serviceName, endpointName, req));
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _startSpan : function(serviceName, endpointName, req) {
+        var me = this.getIName() + "::Instrumentation::_startSpan";
+
+        if (!_.def(this._tracer)) {
+            return null;
+        }
+
+        try {
+            return this._tracer.startSpan("{0} {1}".fmt(serviceName, endpointName), {
+                kind        : SPAN_KIND_SERVER,
+                attributes  : {
+                    "nodechunks.service"    : serviceName,
+                    "nodechunks.endpoint"   : endpointName,
+                    "http.request.method"   : String(_.get(req, "method")),
+                    "url.path"              : String(_.get(req, "path") || _.get(req, "url"))
+                }
+            }) || null;
+        } catch (err) {
+            _l.error(me, "Endpoint {0} : starting span failed : ".fmt(endpointName), err);
+            return null;
+        }
+    },
+
+    _record : function(labels, method, status, durations, err) {
+        var registry = this._registry;
+
+        registry.dec(Instrumentation.REQUESTS_IN_FLIGHT, labels);
+
+        registry.inc(Instrumentation.REQUESTS_TOTAL, {
+            service     : labels.service,
+            endpoint    : labels.endpoint,
+            method      : method,
+            status      : status
+        });
+
+        registry.observe(Instrumentation.REQUEST_DURATION, labels, durations.total);
+        if (_.number(durations.processing)) {
+            registry.observe(Instrumentation.PROCESSING_DURATION, labels, durations.processing);
+        }
+        if (_.number(durations.rendering)) {
+            registry.observe(Instrumentation.RENDERING_DURATION, labels, durations.rendering);
+        }
+
+        if (_.def(err)) {
+            registry.inc(Instrumentation.ERRORS_TOTAL, {
+                service     : labels.service,
+                endpoint    : labels.endpoint,
+                code        : err.code
+            });
+        }
+    }
+
+});
+
+module.exports = Instrumentation;
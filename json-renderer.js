@@ -1,9 +1,12 @@
 var _               = require('./libs/corelib-web/utils.js')._;
-var _l              = require('./libs/corelib-web/logger.js').logger;
+var _l              = require('./request-logger.js').logger;
+
+var crypto          = require("crypto");
 
 var Class           = require("jsface").Class;
 var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
 var RendersResponses= require("./renders-responses.js");
+var Errors          = require("./errors.js");
 
 /**
  *
@@ -12,11 +15,37 @@ var RendersResponses= require("./renders-responses.js");
  * Renders responses, and sends them back to the client, for requests handled by service instances, registered using the
  * renderResponsesFor() method.
  *
+ * The status and headers given with a ResponseEnvelope are honored; for 204 and 304 responses no body is sent.
+ *
+ * Successful responses to GET and HEAD requests get an ETag. Conditional requests are answered with 304 Not Modified
+ * when the If-None-Match header matches the ETag, or when the If-Modified-Since header is not before the
+ * Last-Modified header of the response (set for cached results, also see ResponseCache).
+ *
+ * Errors are rendered as RFC 7807 problem details (application/problem+json), with the status of the error.
+ * Errors that are not a FrameworkError are converted first, also see Errors.FrameworkError.from().
+ * To render errors passed to next() elsewhere (e.g. by request validation or middleware) the same way, register
+ * the error handler of the renderer at the server:
+ *
+ *      server.use(jsonRenderer.getErrorHandler());
+ *
+ * or, when the server is an HTTPAdapter:
+ *
+ *      adapter.useErrorHandler(jsonRenderer.getErrorHandler());
+ *
  */
 var JSONRenderer = Class([NamedBase, RendersResponses], {
 
     _server             : null,
     _responseHeaders    : null,
+
+    _renderErrors       : true,
+
+    _hideStackTraces    : true,
+
+    _problemTypeBaseURI : null,
+
+    _etags              : true,
+
     /**
      *
      * Constructs JSON renderer
@@ -25,11 +54,24 @@ var JSONRenderer = Class([NamedBase, RendersResponses], {
      * @param {Object} server                       HTTP server object on which to register request handlers (through
      *                                              renderResponsesFor()). The server instance receives the requests to
      *                                              handle and sends the responses rendered as JSON.
+     *                                              Either an HTTPAdapter or an Express-like server.
      *
      * @param {Object} [config]                     Configuration object.
      * @param {Object} [config.responseHeaders]     Object with response headers that need to be send with the
      *                                              responses by default
      *
+     * @param {boolean} [config.renderErrors=true]  When false, errors are passed to next() instead of being rendered
+     *
+     * @param {boolean} [config.hideStackTraces]    When false, stack traces and messages of unexpected errors are
+     *                                              send to the client, only use this for development. Default is
+     *                                              true.
+     *
+     * @param {String} [config.problemTypeBaseURI]  Base URI of the problem types, the problem type of an error is
+     *                                              problemTypeBaseURI + error code. Default type is about:blank.
+     *
+     * @param {boolean} [config.etags=true]         When false, no ETags are generated and conditional requests are
+     *                                              not answered with 304
+     *
      */
     constructor: function(rendererName, server, config) {
         var me = "JSONRenderer::constructor";
@@ -44,6 +86,14 @@ var JSONRenderer = Class([NamedBase, RendersResponses], {
         }
 
         this._responseHeaders = _.get(config, 'responseHeaders');
+
+        this._renderErrors = _.get(config, 'renderErrors') !== false;
+
+        this._hideStackTraces = _.get(config, 'hideStackTraces') !== false;
+
+        this._problemTypeBaseURI = _.get(config, 'problemTypeBaseURI') || null;
+
+        this._etags = _.get(config, 'etags') !== false;
     },
 
     getHTTPServer : function() {
@@ -51,7 +101,26 @@ var JSONRenderer = Class([NamedBase, RendersResponses], {
     },
 
     getRenderMethodForEndpoint : function(endpointName) {
-        return this._renderJSON;
+        return this._renderJSON.bind(this);
+    },
+
+    /**
+     *
+     * @returns {function}  Express error handling middleware, function(err, req, res, next), that renders errors as
+     *                      problem details
+     *
+     */
+    getErrorHandler : function() {
+        var self = this;
+
+        return function(err, req, res, next) {
+            if (res.headersSent) {
+                next(err);
+                return;
+            }
+
+            self._renderError(req, res, err);
+        };
     },
 
     /****************************************************
@@ -62,7 +131,12 @@ var JSONRenderer = Class([NamedBase, RendersResponses], {
 
     _renderJSON : function(req, res, next, data, err, status) {
         if (_.def(err)) {
-            next(err);
+            if (!this._renderErrors) {
+                next(err);
+                return;
+            }
+
+            this._renderError(req, res, err);
             return;
         }
 
@@ -74,13 +148,127 @@ var JSONRenderer = Class([NamedBase, RendersResponses], {
             res = res.set(this._responseHeaders);
         }
 
+        if (this._isBodylessStatus(status)) {
+            res.end();
+            return;
+        }
+
         if (!_.obj(data)) {
             data = {
                 data : data
             };
         }
 
-        res.json(data);
+        this._sendBody(req, res, JSON.stringify(data), 'application/json; charset=utf-8');
+    },
+
+    /**
+     *
+     * Sends the serialized body, or 304 Not Modified when the request is conditional and the body did not change
+     *
+     * @param {Object} req
+     * @param {Object} res
+     * @param {String|Buffer} body
+     * @param {String} contentType
+     *
+     * @protected
+     */
+    _sendBody : function(req, res, body, contentType) {
+        res.set('Content-Type', contentType);
+
+        var method      = String(_.get(req, 'method')).toUpperCase();
+        var cacheable   = (method === 'GET' || method === 'HEAD') && res.statusCode === 200;
+
+        if (this._etags && cacheable) {
+            if (!_.def(res.get('ETag'))) {
+                res.set('ETag', this._createETag(body));
+            }
+
+            if (this._isNotModified(req, res)) {
+                res.status(304).end();
+                return;
+            }
+        }
+
+        res.send(body);
+    },
+
+    _createETag : function(body) {
+        var hash = crypto.createHash('sha1').update(body).digest('base64').slice(0, 27);
+        return '"{0}-{1}"'.fmt(Buffer.byteLength(body).toString(16), hash);
+    },
+
+    /**
+     *
+     * @returns {boolean}   True if the conditional request headers show the client has the current response
+     *
+     * @protected
+     */
+    _isNotModified : function(req, res) {
+        var headers         = _.get(req, 'headers') || {};
+        var ifNoneMatch     = headers['if-none-match'];
+
+        //If-Modified-Since is ignored when If-None-Match is given
+        if (_.string(ifNoneMatch)) {
+            var etag = String(res.get('ETag')).replace(/^W\//, '');
+
+            return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(function(tag) {
+                return tag.trim().replace(/^W\//, '') === etag;
+            });
+        }
+
+        var ifModifiedSince = Date.parse(headers['if-modified-since']);
+        var lastModified    = Date.parse(res.get('Last-Modified'));
+
+        return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+    },
+
+    /**
+     *
+     * @param {Number} [status]
+     * @returns {boolean}   True if a response with the given status must not have a body (204 No Content and
+     *                      304 Not Modified)
+     *
+     * @protected
+     */
+    _isBodylessStatus : function(status) {
+        return status === 204 || status === 304;
+    },
+
+    _renderError : function(req, res, err) {
+        var problem = this._createProblem(req, err);
+
+        res = res.status(problem.status);
+
+        if (_.obj(this._responseHeaders)) {
+            res = res.set(this._responseHeaders);
+        }
+
+        res.set('Content-Type', 'application/problem+json');
+        res.send(JSON.stringify(problem));
+    },
+
+    /**
+     *
+     * Converts err to a FrameworkError and creates its problem details object, also see
+     * Errors.FrameworkError.toProblem(). Server errors are logged.
+     *
+     * @protected
+     */
+    _createProblem : function(req, err) {
+        var me          = this.getIName() + "::JSONRenderer::_createProblem";
+        var error       = Errors.FrameworkError.from(err);
+        var instance    = _.get(req, 'originalUrl') || _.get(req, 'path');
+
+        if (error.status >= 500) {
+            _l.error(me, "Request {0} failed : ".fmt(instance), error.stack);
+        }
+
+        return error.toProblem({
+            hideStackTrace  : this._hideStackTraces,
+            typeBaseURI     : this._problemTypeBaseURI,
+            instance        : instance
+        });
     }
 });
 
@@ -0,0 +1,416 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var ExpressAdapter  = require("./adapters/express-adapter.js");
+var AsyncUtils      = require("./async-utils.js");
+
+/**
+ *
+ * @class LifecycleManager
+ *
+ * Starts and stops lifecycle components, e.g. services and server app chunks, in order of their dependencies and
+ * reports their health and readiness. E.g.:
+ *
+ *      var lifecycle = new LifecycleManager("app", { server : server });
+ *
+ *      lifecycle.add(databaseService);
+ *      lifecycle.add(userService);             //Created with config.dependsOn : ["database"]
+ *
+ *      lifecycle.start().then(...);
+ *      lifecycle.shutdownOnSignals();
+ *
+ * Components are started one by one, a component is started after all components it depends on, see
+ * Service.getDependencies(). When a component fails to start, the components already started are stopped again.
+ * Components are stopped in reverse order; services drain their requests in flight before they stop.
+ *
+ * When a server is given, the health and readiness endpoints are registered at construction:
+ *
+ *      GET /health     200 when all components are healthy, 503 otherwise, with the health of every component
+ *      GET /ready      200 when all components are running, 503 otherwise, e.g. while starting or stopping
+ *
+ */
+var LifecycleManager = Class(NamedBase, {
+
+    $statics : {
+        REQUIRED_COMPONENT_IF : {
+            methods : ["getIName", "start", "stop"]
+        }
+    },
+
+    //Ordered list of components, in order of adding
+    _components         : null,
+
+    /**
+     *
+     * Constructs lifecycle manager
+     *
+     * @param {String} managerName
+     * @param {Object} [config]
+     * @param {Object} [config.server]              HTTPAdapter or Express-like server, to register the health and
+     *                                              readiness endpoints at
+     * @param {String} [config.healthPath='/health']
+     * @param {String} [config.readyPath='/ready']
+     *
+     */
+    constructor: function(managerName, config) {
+        var me = "LifecycleManager::constructor";
+
+        LifecycleManager.$super.call(this, managerName);
+
+        this._components = [];
+
+        var server = _.get(config, "server");
+        if (!_.def(server)) {
+            return;
+        }
+
+        if (!this.registerHealthEndpoints(server, _.get(config, "healthPath"), _.get(config, "readyPath"))) {
+            _l.error(me, "Unable to register health endpoints, lifecycle manager {0} will not function properly"
+                    .fmt(managerName));
+            this._valid = false;
+        }
+    },
+
+    /**
+     *
+     * @param {Object} component    Service or other object with getIName(), start(cbReady) and stop(cbReady)
+     *                              methods, optionally with getDependencies(), checkHealth(cbReady) and isReady()
+     *                              methods. Also see Service.
+     *
+     * @returns {boolean}           True if added
+     *
+     */
+    add : function(component) {
+        var me = this.getIName() + "::LifecycleManager::add";
+
+        if (!_.interfaceAdheres(component, LifecycleManager.REQUIRED_COMPONENT_IF)) {
+            _l.error(me, "The provided component does not adhere to the required interface, unable to add. " +
+                         "Required interface definition : ", _.stringify(LifecycleManager.REQUIRED_COMPONENT_IF));
+            return false;
+        }
+
+        if (_.def(this._findComponent(component.getIName()))) {
+            _l.error(me, "A component named {0} is already added".fmt(component.getIName()));
+            return false;
+        }
+
+        this._components.push(component);
+        return true;
+    },
+
+    getComponents : function() {
+        return this._components.slice();
+    },
+
+    /**
+     *
+     * @returns {Array|null}    The components in the order to start them. Null when a dependency is unknown or
+     *                          the dependencies are circular.
+     *
+     */
+    getStartOrder : function() {
+        var me      = this.getIName() + "::LifecycleManager::getStartOrder";
+        var self    = this;
+
+        var ordered = [];
+        var state   = {};       //Maps component names to "visiting" or "done"
+        var valid   = true;
+
+        var visit = function(component, path) {
+            var name = component.getIName();
+
+            if (state[name] === "done") {
+                return;
+            }
+
+            if (state[name] === "visiting") {
+                _l.error(me, "Circular dependencies : {0}".fmt(path.concat([name]).join(" -> ")));
+                valid = false;
+                return;
+            }
+
+            state[name] = "visiting";
+
+            var dependencies = _.exec(component, "getDependencies") || [];
+            for (var idx in dependencies) {
+                var dependency = self._findComponent(dependencies[idx]);
+                if (!_.def(dependency)) {
+                    _l.error(me, "Component {0} depends on unknown component {1}".fmt(name, dependencies[idx]));
+                    valid = false;
+                    continue;
+                }
+
+                visit(dependency, path.concat([name]));
+            }
+
+            state[name] = "done";
+            ordered.push(component);
+        };
+
+        for (var idx in this._components) {
+            visit(this._components[idx], []);
+        }
+
+        return valid ? ordered : null;
+    },
+
+    /**
+     *
+     * Starts all components in order of their dependencies
+     *
+     * @param {function} [cbReady]      cbReady(success, err). When not given a promise is returned.
+     *
+     * @returns {Promise|undefined}     Promise resolving when all components are started, when no cbReady is given
+     *
+     */
+    start : function(cbReady) {
+        var me      = this.getIName() + "::LifecycleManager::start";
+        var self    = this;
+
+        return AsyncUtils.callbackOrPromise(function(cbDone) {
+            var order = self.getStartOrder();
+            if (!_.def(order)) {
+                cbDone(false, new Error("Invalid component dependencies, unable to start {0}".fmt(self.getIName())));
+                return;
+            }
+
+            var started = [];
+            var startNext = function(idx) {
+                if (idx >= order.length) {
+                    _l.info(me, "All components started");
+                    cbDone(true);
+                    return;
+                }
+
+                var component = order[idx];
+                AsyncUtils.callMethod(component, component.start, [], function(result, err) {
+                    if (!_.def(err) && result !== false) {
+                        started.push(component);
+                        startNext(idx + 1);
+                        return;
+                    }
+
+                    err = err || new Error("Component {0} failed to start".fmt(component.getIName()));
+                    _l.error(me, "Starting component {0} failed, stopping started components : ".fmt(
+                            component.getIName()), err);
+
+                    self._stopAll(started.reverse(), function() {
+                        cbDone(false, err);
+                    });
+                });
+            };
+
+            startNext(0);
+        }, cbReady);
+    },
+
+    /**
+     *
+     * Stops all components, in reverse order of their dependencies
+     *
+     * @param {function} [cbReady]      cbReady(success, err), err is the first error. When not given a promise is
+     *                                  returned.
+     *
+     * @returns {Promise|undefined}     Promise resolving when all components are stopped, when no cbReady is given
+     *
+     */
+    stop : function(cbReady) {
+        var self = this;
+
+        return AsyncUtils.callbackOrPromise(function(cbDone) {
+            var order = self.getStartOrder() || self._components.slice();
+            self._stopAll(order.reverse(), cbDone);
+        }, cbReady);
+    },
+
+    /**
+     *
+     * @param {function} cbReady    cbReady(report), report is {status, components}, with status up when all
+     *                              components are healthy, down otherwise. components maps component names to the
+     *                              health of the component, also see Service.checkHealth().
+     *
+     */
+    checkHealth : function(cbReady) {
+        var report      = { status : "up", components : {} };
+        var components  = this._components;
+        var numPending  = components.length;
+
+        if (numPending === 0) {
+            cbReady(report);
+            return;
+        }
+
+        components.forEach(function(component) {
+            var name = component.getIName();
+
+            var done = function(health) {
+                report.components[name] = health;
+                if (health.status !== "up") {
+                    report.status = "down";
+                }
+
+                numPending -= 1;
+                if (numPending === 0) {
+                    cbReady(report);
+                }
+            };
+
+            if (!_.hasMethod(component, "checkHealth")) {
+                done({ status : _.exec(component, "isValid") === false ? "down" : "up" });
+                return;
+            }
+
+            component.checkHealth(done);
+        });
+    },
+
+    /**
+     *
+     * @returns {Object}    {status, components}, with status ready when all components are ready, not ready
+     *                      otherwise. components maps component names to their readiness, true or false.
+     *
+     */
+    checkReadiness : function() {
+        var report = { status : "ready", components : {} };
+
+        for (var idx in this._components) {
+            var component   = this._components[idx];
+            var ready       = _.hasMethod(component, "isReady") ? component.isReady() : true;
+
+            report.components[component.getIName()] = ready;
+            if (!ready) {
+                report.status = "not ready";
+            }
+        }
+
+        return report;
+    },
+
+    /**
+     *
+     * Registers the GET health and readiness endpoints
+     *
+     * @param {Object} server           HTTPAdapter or Express-like server
+     * @param {String} [healthPath='/health']
+     * @param {String} [readyPath='/ready']
+     *
+     * @returns {boolean}               True on success
+     *
+     */
+    registerHealthEndpoints : function(server, healthPath, readyPath) {
+        var me      = this.getIName() + "::LifecycleManager::registerHealthEndpoints";
+        var self    = this;
+
+        healthPath  = healthPath || "/health";
+        readyPath   = readyPath || "/ready";
+
+        var adapter = ExpressAdapter.adapt(server);
+        if (!_.def(adapter) || !adapter.supportsMethod("get")) {
+            _l.error(me, "Server does not support GET routes, unable to register health endpoints");
+            return false;
+        }
+
+        var registered = adapter.register("get", healthPath, [function(req, res, next) {
+            self.checkHealth(function(report) {
+                res.set("Cache-Control", "no-store");
+                res.status(report.status === "up" ? 200 : 503).json(report);
+            });
+        }]);
+        registered = registered && adapter.register("get", readyPath, [function(req, res, next) {
+            var report = self.checkReadiness();
+
+            res.set("Cache-Control", "no-store");
+            res.status(report.status === "ready" ? 200 : 503).json(report);
+        }]);
+        if (!registered) {
+            _l.error(me, "Unable to register health endpoints");
+            return false;
+        }
+
+        adapter.getRouteRegistry().add({
+            owner       : this.getIName(),
+            endpoint    : "Health",
+            method      : "get",
+            path        : healthPath
+        });
+        adapter.getRouteRegistry().add({
+            owner       : this.getIName(),
+            endpoint    : "Readiness",
+            method      : "get",
+            path        : readyPath
+        });
+
+        _l.info(me, "Health served at [{0}], readiness served at [{1}]".fmt(healthPath, readyPath));
+        return true;
+    },
+
+    /**
+     *
+     * Stops all components, gracefully, when the process receives one of the given signals and exits the process
+     * afterwards
+     *
+     * @param {Array} [signals=['SIGTERM', 'SIGINT']]
+     *
+     */
+    shutdownOnSignals : function(signals) {
+        var me      = this.getIName() + "::LifecycleManager::shutdownOnSignals";
+        var self    = this;
+
+        signals     = _.array(signals) ? signals : ["SIGTERM", "SIGINT"];
+
+        signals.forEach(function(signal) {
+            process.once(signal, function() {
+                _l.info(me, "Received {0}, shutting down ...".fmt(signal));
+
+                self.stop(function(success, err) {
+                    process.exit(success ? 0 : 1);
+                });
+            });
+        });
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _findComponent : function(name) {
+        for (var idx in this._components) {
+            if (this._components[idx].getIName() === name) {
+                return this._components[idx];
+            }
+        }
+
+        return null;
+    },
+
+    _stopAll : function(components, cbReady) {
+        var me          = this.getIName() + "::LifecycleManager::_stopAll";
+        var firstErr    = null;
+
+        var stopNext = function(idx) {
+            if (idx >= components.length) {
+                cbReady(!_.def(firstErr), firstErr);
+                return;
+            }
+
+            var component = components[idx];
+            AsyncUtils.callMethod(component, component.stop, [], function(result, err) {
+                if (_.def(err)) {
+                    _l.error(me, "Stopping component {0} failed : ".fmt(component.getIName()), err);
+                    firstErr = firstErr || err;
+                }
+
+                stopNext(idx + 1);
+            });
+        };
+
+        stopNext(0);
+    }
+
+});
+
+module.exports = LifecycleManager;
@@ -0,0 +1,220 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+
+/**
+ *
+ * @class ListQueryParser
+ *
+ * Parses the pagination, sorting and filtering query parameters of requests to collection endpoints. An endpoint
+ * is marked as collection in its endpoint definition, e.g.:
+ *
+ *  "GET Resources" : {
+ *      HTTPMethod  : 'get',
+ *      URLSubpath  : '/resources',
+ *
+ *      collection  : {
+ *          filters         : ['status', 'owner'],      //Query parameters that filter the collection
+ *          sort            : ['name', 'createdAt'],    //Fields the collection can be sorted on
+ *          defaultSort     : '-createdAt',
+ *          defaultLimit    : 20,
+ *          maxLimit        : 100
+ *      }
+ *  }
+ *
+ * Or simply collection : true, to use the defaults without filters and sort fields.
+ *
+ * Supported query parameters:
+ *  page        : page number, starting at 1
+ *  limit       : page size, at most maxLimit
+ *  cursor      : opaque cursor given by the previous response, can not be combined with page
+ *  sort        : comma separated list of sort fields, prefixed with - for descending order, e.g. sort=-createdAt,name
+ *  filters     : e.g. status=active; repeated parameters, status=active&status=new, give a list of values
+ *
+ * The parsed query is given to the endpoint method as req.listQuery:
+ *
+ *      {
+ *          page    : 2,
+ *          limit   : 20,
+ *          offset  : 20,
+ *          cursor  : null,
+ *          sort    : [{ field : 'createdAt', direction : 'desc' }],
+ *          filters : { status : 'active' }
+ *      }
+ *
+ * Also see ListResult, to give the items of a page with the total count and cursors.
+ *
+ */
+var ListQueryParser = Class({
+
+    $statics : {
+        DEFAULTS        : {
+            filters         : [],
+            sort            : [],
+            defaultSort     : null,
+            defaultLimit    : 20,
+            maxLimit        : 100
+        },
+
+        /**
+         *
+         * @param {Object} endpointDef
+         * @returns {boolean}   True if the endpoint definition marks the endpoint as collection
+         *
+         */
+        isCollection : function(endpointDef) {
+            var collection = _.get(endpointDef, "collection");
+            return collection === true || _.obj(collection);
+        }
+    },
+
+    _collectionDef      : null,
+
+    /**
+     *
+     * @param {Object|boolean} collectionDef    The collection property of an endpoint definition
+     *
+     */
+    constructor: function(collectionDef) {
+        this._collectionDef = {};
+
+        for (var key in ListQueryParser.DEFAULTS) {
+            this._collectionDef[key] = _.def(_.get(collectionDef, key)) ?
+                    collectionDef[key] :
+                    ListQueryParser.DEFAULTS[key];
+        }
+    },
+
+    getCollectionDef : function() {
+        return this._collectionDef;
+    },
+
+    /**
+     *
+     * @param {Object} req
+     *
+     * @returns {Object}    {listQuery, errors}, errors is a list of {location, path, message} objects,
+     *                      empty when the query is valid
+     *
+     */
+    parse : function(req) {
+        var def         = this._collectionDef;
+        var query       = _.get(req, "query") || {};
+        var errors      = [];
+
+        var limit       = this._parseInteger(query, "limit", def.defaultLimit, 1, def.maxLimit, errors);
+        var page        = this._parseInteger(query, "page", 1, 1, null, errors);
+
+        var cursor      = null;
+        if (_.def(query.cursor)) {
+            if (!_.string(query.cursor) || query.cursor.length === 0) {
+                errors.push(this._createError("cursor", "cursor should be a single, non empty, value"));
+            } else if (_.def(query.page)) {
+                errors.push(this._createError("cursor", "cursor can not be combined with page"));
+            } else {
+                cursor = query.cursor;
+            }
+        }
+
+        var sort        = this._parseSort(_.def(query.sort) ? query.sort : def.defaultSort, errors);
+
+        var filters     = {};
+        for (var idx in def.filters) {
+            var field = def.filters[idx];
+            if (_.def(query[field])) {
+                filters[field] = query[field];
+            }
+        }
+
+        return {
+            listQuery   : {
+                page        : cursor === null ? page : null,
+                limit       : limit,
+                offset      : cursor === null ? (page - 1) * limit : null,
+                cursor      : cursor,
+                sort        : sort,
+                filters     : filters
+            },
+            errors      : errors
+        };
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _parseInteger : function(query, name, defaultValue, minimum, maximum, errors) {
+        if (!_.def(query[name])) {
+            return defaultValue;
+        }
+
+        var raw     = query[name];
+        var value   = NaN;
+        if (_.number(raw) && raw % 1 === 0) {
+            value = raw;
+        } else if (_.string(raw) && /^\d+$/.test(raw)) {
+            value = parseInt(raw, 10);
+        }
+
+        if (isNaN(value) || value < minimum) {
+            errors.push(this._createError(name, "{0} should be an integer of at least {1}".fmt(name, minimum)));
+            return defaultValue;
+        }
+
+        if (_.number(maximum) && value > maximum) {
+            errors.push(this._createError(name, "{0} should be at most {1}".fmt(name, maximum)));
+            return defaultValue;
+        }
+
+        return value;
+    },
+
+    _parseSort : function(sortValue, errors) {
+        var sort = [];
+        if (!_.def(sortValue) || sortValue === "") {
+            return sort;
+        }
+
+        if (!_.string(sortValue)) {
+            errors.push(this._createError("sort", "sort should be a single, comma separated, value"));
+            return sort;
+        }
+
+        var fields = sortValue.split(",");
+        for (var idx in fields) {
+            var field       = fields[idx].trim();
+            var direction   = "asc";
+
+            if (field.charAt(0) === "-" || field.charAt(0) === "+") {
+                direction   = field.charAt(0) === "-" ? "desc" : "asc";
+                field       = field.slice(1);
+            }
+
+            if (this._collectionDef.sort.indexOf(field) < 0) {
+                errors.push(this._createError("sort", "Unable to sort on {0}, allowed sort fields : {1}".fmt(
+                        field, this._collectionDef.sort.join(", ") || "none")));
+                continue;
+            }
+
+            sort.push({
+                field       : field,
+                direction   : direction
+            });
+        }
+
+        return sort;
+    },
+
+    _createError : function(name, message) {
+        return {
+            location    : "query",
+            path        : name,
+            message     : message
+        };
+    }
+
+});
+
+module.exports = ListQueryParser;
@@ -0,0 +1,189 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+
+/**
+ *
+ * @class ListResult
+ *
+ * Processing methods of collection endpoints (also see ListQueryParser) can give a list result, or a plain array of
+ * items, instead of other data. E.g.:
+ *
+ *      cbReady(new ListResult({
+ *          items       : resources,
+ *          total       : 243
+ *      }));
+ *
+ *      cbReady(new ListResult({
+ *          items       : resources,
+ *          nextCursor  : lastResource.id
+ *      }));
+ *
+ * RendersResponses turns the list result in to a standard envelope, that is given to the render method as data, and
+ * sets the Link header with the first, prev, next and last page URLs:
+ *
+ *      {
+ *          data    : [ ... ],
+ *          meta    : { page : 2, limit : 20, total : 243, sort : '-createdAt', filters : {}, nextCursor : null },
+ *          links   : { self : '...', first : '...', prev : '...', next : '...', last : '...' }
+ *      }
+ *
+ * Without total count, there is a next page when the page is full, unless hasMore is given.
+ *
+ * A plain array holds the items of the requested page, it is cut to the limit of the list query. To tell if there is
+ * a next page, it can have one item more than the limit, e.g. when fetched with limit + 1:
+ *
+ *      cbReady(resources.slice(req.listQuery.offset, req.listQuery.offset + req.listQuery.limit + 1));
+ *
+ */
+var ListResult = Class({
+
+    $statics : {
+
+        isListResult : function(value) {
+            return value instanceof ListResult;
+        }
+    },
+
+    items           : null,
+
+    total           : null,
+
+    nextCursor      : null,
+
+    prevCursor      : null,
+
+    hasMore         : null,
+
+    /**
+     *
+     * Constructs list result
+     *
+     * @param {Object} result
+     * @param {Array} result.items              The items of the requested page
+     * @param {Number} [result.total]           Total number of items in the (filtered) collection
+     * @param {String} [result.nextCursor]      Cursor to the next page, when using cursor based pagination
+     * @param {String} [result.prevCursor]      Cursor to the previous page, when using cursor based pagination
+     * @param {boolean} [result.hasMore]        True if there are more items after this page
+     *
+     */
+    constructor: function(result) {
+        this.items      = _.array(_.get(result, "items")) ? result.items : [];
+        this.total      = _.number(_.get(result, "total")) ? result.total : null;
+        this.nextCursor = _.def(_.get(result, "nextCursor")) ? String(result.nextCursor) : null;
+        this.prevCursor = _.def(_.get(result, "prevCursor")) ? String(result.prevCursor) : null;
+        this.hasMore    = _.def(_.get(result, "hasMore")) ? !!result.hasMore : null;
+    },
+
+    /**
+     *
+     * @param {Object} req      Request with listQuery, as parsed by ListQueryParser
+     * @returns {Object}        Links to pages, mapping relation types (self, first, prev, next, last) to URLs
+     *
+     */
+    getLinks : function(req) {
+        var listQuery   = req.listQuery;
+        var links       = { self : req.originalUrl || req.url };
+        var usesCursors = _.def(listQuery.cursor) || _.def(this.nextCursor) || _.def(this.prevCursor);
+
+        if (usesCursors) {
+            links.first = this._createPageURL(req, { cursor : null, page : null });
+
+            if (_.def(this.prevCursor)) {
+                links.prev = this._createPageURL(req, { cursor : this.prevCursor, page : null });
+            }
+            if (_.def(this.nextCursor)) {
+                links.next = this._createPageURL(req, { cursor : this.nextCursor, page : null });
+            }
+
+            return links;
+        }
+
+        var page        = listQuery.page;
+        var lastPage    = _.def(this.total) ? Math.max(1, Math.ceil(this.total / listQuery.limit)) : null;
+        var hasNext     = _.def(this.hasMore) ? this.hasMore :
+                _.def(lastPage) ? page < lastPage : this.items.length >= listQuery.limit;
+
+        links.first = this._createPageURL(req, { page : 1 });
+        if (page > 1) {
+            links.prev = this._createPageURL(req, { page : _.def(lastPage) ? Math.min(page - 1, lastPage) : page - 1 });
+        }
+        if (hasNext) {
+            links.next = this._createPageURL(req, { page : page + 1 });
+        }
+        if (_.def(lastPage)) {
+            links.last = this._createPageURL(req, { page : lastPage });
+        }
+
+        return links;
+    },
+
+    /**
+     *
+     * @param {Object} req      Request with listQuery, as parsed by ListQueryParser
+     * @returns {Object}        The standard list envelope, {data, meta, links}
+     *
+     */
+    toEnvelope : function(req) {
+        var listQuery = req.listQuery;
+
+        return {
+            data    : this.items,
+            meta    : {
+                page        : listQuery.page,
+                limit       : listQuery.limit,
+                total       : this.total,
+                sort        : listQuery.sort.map(function(sort) {
+                    return (sort.direction === "desc" ? "-" : "") + sort.field;
+                }).join(","),
+                filters     : listQuery.filters,
+                nextCursor  : this.nextCursor,
+                prevCursor  : this.prevCursor
+            },
+            links   : this.getLinks(req)
+        };
+    },
+
+    /**
+     *
+     * @param {Object} req
+     * @returns {String}        Value of the Link header, e.g. </resources?page=3>; rel="next"
+     *
+     */
+    toLinkHeader : function(req) {
+        var links = this.getLinks(req);
+
+        return Object.keys(links).filter(function(rel) {
+            return rel !== "self";
+        }).map(function(rel) {
+            return '<{0}>; rel="{1}"'.fmt(links[rel], rel);
+        }).join(", ");
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _createPageURL : function(req, pageParams) {
+        var url         = String(req.originalUrl || req.url || "/");
+        var queryStart  = url.indexOf("?");
+        var path        = queryStart >= 0 ? url.slice(0, queryStart) : url;
+        var params      = new URLSearchParams(queryStart >= 0 ? url.slice(queryStart + 1) : "");
+
+        for (var name in pageParams) {
+            if (_.def(pageParams[name])) {
+                params.set(name, String(pageParams[name]));
+            } else {
+                params.delete(name);
+            }
+        }
+
+        var search = params.toString();
+        return search.length > 0 ? path + "?" + search : path;
+    }
+
+});
+
+module.exports = ListResult;
@@ -0,0 +1,553 @@
+var _                   = require('./libs/corelib-web/utils.js')._;
+var _l                  = require('./request-logger.js').logger;
+
+var fs                  = require("fs");
+var path                = require("path");
+
+var Class               = require("jsface").Class;
+var NamedBase           = require("./libs/corelib-web/base.js").NamedBase;
+var Container           = require("./container.js");
+var LifecycleManager    = require("./lifecycle-manager.js");
+var AsyncUtils          = require("./async-utils.js");
+
+/**
+ *
+ * @class ManifestLoader
+ *
+ * Builds a whole app from a manifest file, in JSON or YAML (requires the optional js-yaml package), describing the
+ * components of the app, which renderer renders which service at which root path, and the differences per
+ * environment. E.g.:
+ *
+ *      name: shop                                      # OPTIONAL : name of the container, default is app
+ *
+ *      components:
+ *        server:
+ *          module: ./server.js                         # The export of the module is the component
+ *        users:
+ *          class: ./services/user-service.js           # Constructed with the name and args
+ *          args:
+ *            - endpointTable: { $module: ./services/user-endpoints.json }
+ *              middleware: [{ $ref: requireLogin }]
+ *              databaseURL: { $env: DATABASE_URL, default: "mongodb://localhost/app" }
+ *        requireLogin:
+ *          module: ./middleware/auth.js#requireLogin   # Named export
+ *        db:
+ *          factory: ./db.js#createDatabase             # Called as factory(deps), also see Container
+ *          dependsOn: [config]
+ *        json:
+ *          class: node-chunks/json-renderer.js
+ *          args: [{ $ref: server }]
+ *
+ *      bindings:
+ *        - { renderer: json, service: users, path: /api, options: { middleware: [requireLogin] } }
+ *
+ *      lifecycle:                                      # OPTIONAL : starts the services, also see LifecycleManager
+ *        server: server                                # OPTIONAL : registers /health and /ready at this server
+ *
+ *      environments:
+ *        development:                                  # Merged over the manifest when running in development
+ *          components:
+ *            json: { args: [{ $ref: server }, { hideStackTraces: false }] }
+ *
+ * Module paths starting with . are relative to the manifest file, other paths are resolved as packages from the
+ * directory of the manifest file. Values in args are resolved as follows:
+ *      { $ref : name }                 The component with the name, also see Container
+ *      { $module : path[#export] }     The (named) export of the module, e.g. an endpoint table
+ *      { $env : name, default : value} The environment variable, or the default when not set
+ *
+ * The environment is given by config.environment or NODE_ENV, default development. Objects of the environment
+ * are merged in to the manifest, other values, like arrays, replace the values of the manifest.
+ *
+ */
+var ManifestLoader = Class(NamedBase, {
+
+    $statics : {
+        DEFAULT_ENVIRONMENT     : "development",
+
+        COMPONENT_KINDS         : ["class", "factory", "module", "value"]
+    },
+
+    _environment        : null,
+
+    /**
+     *
+     * Constructs manifest loader
+     *
+     * @param {String} loaderName
+     * @param {Object} [config]
+     * @param {String} [config.environment]     Environment to load manifests for, default is NODE_ENV or development
+     *
+     */
+    constructor: function(loaderName, config) {
+        ManifestLoader.$super.call(this, loaderName);
+
+        this._environment = _.get(config, "environment") || process.env.NODE_ENV ||
+                ManifestLoader.DEFAULT_ENVIRONMENT;
+    },
+
+    getEnvironment : function() {
+        return this._environment;
+    },
+
+    /**
+     *
+     * Loads, validates and builds the app described by the manifest file: registers and resolves the components in
+     * a new container, renders the responses for the bindings and, when the manifest has a lifecycle, starts the
+     * services.
+     *
+     * @param {String} filePath
+     * @param {function} [cbReady]      cbReady(container, err). When not given a promise is returned.
+     *
+     * @returns {Promise|undefined}     Promise resolving to the container of the app, when no cbReady is given
+     *
+     */
+    loadApp : function(filePath, cbReady) {
+        var self = this;
+
+        return AsyncUtils.callbackOrPromise(function(cbDone) {
+            self.loadFile(filePath, function(manifest, err) {
+                if (_.def(err)) {
+                    cbDone(null, err);
+                    return;
+                }
+
+                var container = self.build(manifest, path.dirname(path.resolve(filePath)));
+                if (!_.def(container)) {
+                    cbDone(null, new Error("Unable to build app from manifest {0}".fmt(filePath)));
+                    return;
+                }
+
+                if (!container.has("lifecycle")) {
+                    cbDone(container);
+                    return;
+                }
+
+                container.resolve("lifecycle").start(function(success, startErr) {
+                    cbDone(success ? container : null, startErr);
+                });
+            });
+        }, cbReady);
+    },
+
+    /**
+     *
+     * Reads, parses and validates the manifest file, for the environment of the loader
+     *
+     * @param {String} filePath         Path of a .json, .yaml or .yml file
+     * @param {function} cbReady        cbReady(manifest, err)
+     *
+     */
+    loadFile : function(filePath, cbReady) {
+        var me      = this.getIName() + "::ManifestLoader::loadFile";
+        var self    = this;
+
+        fs.readFile(filePath, "utf8", function(readErr, text) {
+            if (_.def(readErr)) {
+                _l.error(me, "Unable to read manifest {0} : ".fmt(filePath), readErr);
+                cbReady(null, readErr);
+                return;
+            }
+
+            var isYAML      = /\.ya?ml$/i.test(filePath);
+            var manifest    = self.parse(text, isYAML ? "yaml" : "json");
+            if (!_.def(manifest)) {
+                cbReady(null, new Error("Unable to parse manifest {0}".fmt(filePath)));
+                return;
+            }
+
+            manifest = self.applyEnvironment(manifest);
+
+            var errors = self.validate(manifest);
+            if (!_.empty(errors)) {
+                errors.forEach(function(error) {
+                    _l.error(me, "{0} : {1}".fmt(filePath, error));
+                });
+                cbReady(null, new Error("Invalid manifest {0} : {1}".fmt(filePath, errors.join("; "))));
+                return;
+            }
+
+            cbReady(manifest);
+        });
+    },
+
+    /**
+     *
+     * @param {String} text
+     * @param {String} [format='json']  json or yaml
+     *
+     * @returns {Object|null}           The parsed manifest, null when it can not be parsed
+     *
+     */
+    parse : function(text, format) {
+        var me      = this.getIName() + "::ManifestLoader::parse";
+        var parsed  = null;
+
+        try {
+            parsed = format === "yaml" ? this._getYAMLParser().load(text) : JSON.parse(text);
+        } catch (err) {
+            _l.error(me, "Unable to parse {0} manifest : ".fmt(format || "json"), err);
+            return null;
+        }
+
+        if (!_.obj(parsed)) {
+            _l.error(me, "Manifest must be an object");
+            return null;
+        }
+
+        return parsed;
+    },
+
+    /**
+     *
+     * @param {Object} manifest
+     * @returns {Object}        The manifest with the settings of the environment of the loader merged in to it
+     *
+     */
+    applyEnvironment : function(manifest) {
+        var overlay = _.get(manifest.environments, this._environment);
+        var applied = {};
+
+        for (var key in manifest) {
+            if (key !== "environments") {
+                applied[key] = manifest[key];
+            }
+        }
+
+        return _.obj(overlay) ? this._merge(applied, overlay) : applied;
+    },
+
+    /**
+     *
+     * @param {Object} manifest     Manifest, with environment applied
+     * @returns {Array}             List of error messages, empty when the manifest is valid
+     *
+     */
+    validate : function(manifest) {
+        var self        = this;
+        var errors      = [];
+        var components  = _.get(manifest, "components");
+
+        if (!_.obj(components)) {
+            errors.push("components must be an object mapping component names to component definitions");
+            return errors;
+        }
+
+        for (var name in components) {
+            this._validateComponent(name, components[name], components, errors);
+        }
+
+        var bindings = _.def(manifest.bindings) ? manifest.bindings : [];
+        if (!_.array(bindings)) {
+            errors.push("bindings must be an array");
+            bindings = [];
+        }
+
+        bindings.forEach(function(binding, idx) {
+            if (!_.obj(binding)) {
+                errors.push("binding {0} must be an object".fmt(idx));
+                return;
+            }
+
+            ["renderer", "service"].forEach(function(key) {
+                if (!_.string(binding[key]) || !_.def(components[binding[key]])) {
+                    errors.push("binding {0} : {1} must be the name of a component".fmt(idx, key));
+                }
+            });
+
+            if (_.def(binding.path) && !_.string(binding.path)) {
+                errors.push("binding {0} : path must be a string".fmt(idx));
+            }
+
+            var middleware = _.get(binding.options, "middleware");
+            if (_.def(middleware) && !_.array(middleware)) {
+                errors.push("binding {0} : options.middleware must be an array of component names".fmt(idx));
+            }
+            self._validateRefs(middleware, components, "binding {0} middleware".fmt(idx), errors, true);
+        });
+
+        var lifecycleServer = _.get(manifest.lifecycle, "server");
+        if (_.def(manifest.lifecycle) && !_.obj(manifest.lifecycle)) {
+            errors.push("lifecycle must be an object");
+        } else if (_.def(lifecycleServer) && !_.def(components[lifecycleServer])) {
+            errors.push("lifecycle : server must be the name of a component");
+        }
+
+        if (_.def(components.lifecycle) && _.def(manifest.lifecycle)) {
+            errors.push("lifecycle : the component name lifecycle is reserved for the lifecycle manager");
+        }
+
+        return errors;
+    },
+
+    /**
+     *
+     * Builds the app described by a valid manifest: loads the modules, registers the components in the container,
+     * resolves them and renders the responses for the bindings. When the manifest has a lifecycle, a
+     * LifecycleManager, managing all services, is registered as component lifecycle; it is not started.
+     *
+     * @param {Object} manifest             Manifest, with environment applied, also see loadFile()
+     * @param {String} [baseDir]            Directory to resolve relative module paths from, default is the current
+     *                                      working directory
+     * @param {Container} [container]       Container to register the components in, e.g. with overrides for tests.
+     *                                      Default is a new container.
+     *
+     * @returns {Container|null}            The container, null on failure
+     *
+     */
+    build : function(manifest, baseDir, container) {
+        var me = this.getIName() + "::ManifestLoader::build";
+
+        baseDir     = baseDir || process.cwd();
+        container   = container || new Container(_.get(manifest, "name") || "app");
+
+        var components = {};
+        for (var name in manifest.components) {
+            components[name] = this._loadComponent(name, manifest.components[name], baseDir);
+            if (!_.def(components[name])) {
+                _l.error(me, "Component {0} : unable to load, unable to build app".fmt(name));
+                return null;
+            }
+        }
+
+        var wired = container.wire({
+            components  : components,
+            bindings    : manifest.bindings
+        });
+        if (!wired) {
+            _l.error(me, "Unable to wire app");
+            return null;
+        }
+
+        if (_.obj(manifest.lifecycle) && !this._registerLifecycle(container, manifest.lifecycle)) {
+            _l.error(me, "Unable to set up lifecycle");
+            return null;
+        }
+
+        return container;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _getYAMLParser : function() {
+        try {
+            return require("js-yaml");
+        } catch (err) {
+            if (err.code !== "MODULE_NOT_FOUND") {
+                throw err;
+            }
+
+            throw new Error("The js-yaml package is required to load YAML manifests, install it with npm");
+        }
+    },
+
+    _merge : function(target, overlay) {
+        var merged  = {};
+        var key     = null;
+
+        for (key in target) {
+            merged[key] = target[key];
+        }
+
+        for (key in overlay) {
+            var bothObjects = _.obj(merged[key]) && !_.array(merged[key]) &&
+                              _.obj(overlay[key]) && !_.array(overlay[key]);
+
+            merged[key] = bothObjects ? this._merge(merged[key], overlay[key]) : overlay[key];
+        }
+
+        return merged;
+    },
+
+    _validateComponent : function(name, componentDef, components, errors) {
+        if (!_.obj(componentDef)) {
+            errors.push("component {0} : definition must be an object".fmt(name));
+            return;
+        }
+
+        var kinds = ManifestLoader.COMPONENT_KINDS.filter(function(kind) {
+            return kind in componentDef;
+        });
+        if (kinds.length !== 1) {
+            errors.push("component {0} : definition needs exactly one of {1}".fmt(
+                    name, ManifestLoader.COMPONENT_KINDS.join(", ")));
+            return;
+        }
+
+        var kind = kinds[0];
+        if (kind !== "value" && !_.string(componentDef[kind])) {
+            errors.push("component {0} : {1} must be a module path".fmt(name, kind));
+        }
+
+        if (_.def(componentDef.args) && !_.array(componentDef.args)) {
+            errors.push("component {0} : args must be an array".fmt(name));
+        }
+
+        if (_.def(componentDef.dependsOn) && !_.array(componentDef.dependsOn)) {
+            errors.push("component {0} : dependsOn must be an array of component names".fmt(name));
+        }
+
+        var scope = componentDef.scope;
+        if (_.def(scope) && scope !== Container.SCOPE_SINGLETON && scope !== Container.SCOPE_REQUEST) {
+            errors.push("component {0} : unknown scope [{1}]".fmt(name, scope));
+        }
+
+        this._validateRefs(componentDef.args, components, "component " + name, errors, false);
+        this._validateRefs(componentDef.dependsOn, components, "component " + name, errors, true);
+    },
+
+    _validateRefs : function(value, components, location, errors, namesOnly) {
+        if (namesOnly && _.array(value)) {
+            value.forEach(function(item) {
+                if (_.string(item) && !_.def(components[item])) {
+                    errors.push("{0} : unknown component {1}".fmt(location, item));
+                }
+            });
+            return;
+        }
+
+        if (Container.isRef(value)) {
+            if (!_.def(components[value.$ref])) {
+                errors.push("{0} : reference to unknown component {1}".fmt(location, value.$ref));
+            }
+            return;
+        }
+
+        if (_.obj(value) && _.def(value.$module) && !_.string(value.$module)) {
+            errors.push("{0} : $module must be a module path".fmt(location));
+            return;
+        }
+
+        if (_.obj(value)) {
+            for (var key in value) {
+                this._validateRefs(value[key], components, location, errors, false);
+            }
+        }
+    },
+
+    _loadComponent : function(name, componentDef, baseDir) {
+        var me = this.getIName() + "::ManifestLoader::_loadComponent";
+
+        try {
+            if ("class" in componentDef) {
+                return {
+                    "class"     : this._requireExport(componentDef["class"], baseDir),
+                    args        : this._resolveValues(componentDef.args || [], baseDir),
+                    scope       : componentDef.scope
+                };
+            }
+
+            if ("factory" in componentDef) {
+                return {
+                    factory     : this._requireExport(componentDef.factory, baseDir),
+                    dependsOn   : componentDef.dependsOn,
+                    scope       : componentDef.scope
+                };
+            }
+
+            if ("module" in componentDef) {
+                return { value : this._requireExport(componentDef.module, baseDir) };
+            }
+
+            return { value : this._resolveValues(componentDef.value, baseDir) };
+        } catch (err) {
+            _l.error(me, "Component {0} : ".fmt(name), err);
+            return null;
+        }
+    },
+
+    /**
+     *
+     * @param {String} modulePath   Module path with optional export name, e.g. ./services/users.js#UserService
+     * @param {String} baseDir
+     *
+     * @returns {*}                 The (named) export of the module, throws when the module or export is not found
+     *
+     */
+    _requireExport : function(modulePath, baseDir) {
+        var parts       = modulePath.split("#");
+        var isRelative  = /^\.\.?[\/\\]/.test(parts[0]);
+        var resolved    = isRelative ?
+                path.resolve(baseDir, parts[0]) :
+                require.resolve(parts[0], { paths : [baseDir] });
+
+        var exported    = require(resolved);
+        if (!_.def(parts[1])) {
+            return exported;
+        }
+
+        if (!_.def(_.get(exported, parts[1]))) {
+            throw new Error("Module {0} has no export {1}".fmt(parts[0], parts[1]));
+        }
+
+        return exported[parts[1]];
+    },
+
+    _resolveValues : function(value, baseDir) {
+        if (_.obj(value) && _.string(value.$module)) {
+            return this._requireExport(value.$module, baseDir);
+        }
+
+        if (_.obj(value) && _.string(value.$env)) {
+            return _.def(process.env[value.$env]) ? process.env[value.$env] : value["default"];
+        }
+
+        var resolved    = null;
+        var key         = null;
+        if (_.array(value)) {
+            resolved = [];
+            for (key = 0; key < value.length; key++) {
+                resolved.push(this._resolveValues(value[key], baseDir));
+            }
+            return resolved;
+        }
+
+        if (_.obj(value)) {
+            resolved = {};
+            for (key in value) {
+                resolved[key] = this._resolveValues(value[key], baseDir);
+            }
+            return resolved;
+        }
+
+        return value;
+    },
+
+    _registerLifecycle : function(container, lifecycleDef) {
+        var me          = this.getIName() + "::ManifestLoader::_registerLifecycle";
+        var serverName  = lifecycleDef.server;
+        var server      = _.def(serverName) ? container.resolve(serverName) : null;
+
+        var lifecycle   = new LifecycleManager(container.getIName() + "::lifecycle", {
+            server      : server,
+            healthPath  : lifecycleDef.healthPath,
+            readyPath   : lifecycleDef.readyPath
+        });
+
+        var names = container.getResolveOrder() || [];
+        for (var idx in names) {
+            //Request scoped components only exist for a request, they have no lifecycle
+            if (container.getScope(names[idx]) === Container.SCOPE_REQUEST) {
+                continue;
+            }
+
+            var component = container.resolve(names[idx]);
+
+            //Services, and server app chunks, have dependencies and a lifecycle
+            var isService = _.interfaceAdheres(component, LifecycleManager.REQUIRED_COMPONENT_IF) &&
+                            _.hasMethod(component, "getDependencies");
+            if (isService && !lifecycle.add(component)) {
+                _l.error(me, "Unable to add component {0} to lifecycle".fmt(names[idx]));
+                return false;
+            }
+        }
+
+        return lifecycle.isValid() && container.registerValue("lifecycle", lifecycle);
+    }
+
+});
+
+module.exports = ManifestLoader;
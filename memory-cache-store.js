@@ -0,0 +1,176 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+
+/**
+ *
+ * @class MemoryCacheStore
+ *
+ * Cache store keeping entries in memory, evicting the least recently used entries when the maximum number of
+ * entries is reached. This is the default store of ResponseCache.
+ *
+ * Cache stores used by ResponseCache must implement (e.g. on top of Redis):
+ *      get(key, cbReady)                       with cbReady(entry, err), entry is null when not cached or expired
+ *      set(key, entry, ttl, tags, cbReady)     with cbReady(success, err), ttl in seconds
+ *      invalidateTags(tags, cbReady)           with cbReady(numInvalidated, err), removes the entries with any of
+ *                                              the given tags
+ *
+ * Entries are plain, JSON serializable, objects. This store keeps them serialized, such that changes to the data
+ * given to, or got from, the store do not change the cached entries.
+ *
+ */
+var MemoryCacheStore = Class(NamedBase, {
+
+    _maxEntries     : null,
+
+    //Map from key to {entry, expiresAt, tags}, in order of use, entry is the serialized entry
+    _entries        : null,
+
+    //Object mapping tags to the keys of the entries with the tag
+    _keysByTag      : null,
+
+    /**
+     *
+     * Constructs memory cache store
+     *
+     * @param {String} storeName
+     * @param {Object} [config]
+     * @param {Number} [config.maxEntries=1000]     Maximum number of cached entries
+     *
+     */
+    constructor: function(storeName, config) {
+        MemoryCacheStore.$super.call(this, storeName);
+
+        this._maxEntries    = _.number(_.get(config, "maxEntries")) ? config.maxEntries : 1000;
+        this._entries       = new Map();
+        this._keysByTag     = {};
+    },
+
+    get : function(key, cbReady) {
+        var cached  = this._entries.get(key);
+        var entry   = null;
+
+        if (_.def(cached) && cached.expiresAt <= Date.now()) {
+            this._remove(key);
+        } else if (_.def(cached)) {
+            //Move to the end, the most recently used position
+            this._entries.delete(key);
+            this._entries.set(key, cached);
+            entry = JSON.parse(cached.entry);
+        }
+
+        //Never call back before get() returns, callers can not tell this store from a remote one
+        process.nextTick(function() {
+            cbReady(entry);
+        });
+    },
+
+    set : function(key, entry, ttl, tags, cbReady) {
+        var serialized = null;
+        try {
+            serialized = JSON.stringify(entry);
+        } catch (err) {
+            process.nextTick(function() {
+                if (_.func(cbReady)) {
+                    cbReady(false, err);
+                }
+            });
+            return;
+        }
+
+        this._remove(key);
+
+        tags = _.array(tags) ? tags : [];
+
+        this._entries.set(key, {
+            entry       : serialized,
+            expiresAt   : Date.now() + ttl * 1000,
+            tags        : tags
+        });
+
+        for (var idx in tags) {
+            this._keysByTag[tags[idx]] = this._keysByTag[tags[idx]] || {};
+            this._keysByTag[tags[idx]][key] = true;
+        }
+
+        while (this._entries.size > this._maxEntries) {
+            this._remove(this._entries.keys().next().value);
+        }
+
+        process.nextTick(function() {
+            if (_.func(cbReady)) {
+                cbReady(true);
+            }
+        });
+    },
+
+    delete : function(key, cbReady) {
+        var removed = this._remove(key);
+
+        process.nextTick(function() {
+            if (_.func(cbReady)) {
+                cbReady(removed);
+            }
+        });
+    },
+
+    invalidateTags : function(tags, cbReady) {
+        var numInvalidated = 0;
+
+        for (var idx in tags) {
+            for (var key in this._keysByTag[tags[idx]]) {
+                if (this._remove(key)) {
+                    numInvalidated += 1;
+                }
+            }
+        }
+
+        process.nextTick(function() {
+            if (_.func(cbReady)) {
+                cbReady(numInvalidated);
+            }
+        });
+    },
+
+    clear : function() {
+        this._entries   = new Map();
+        this._keysByTag = {};
+    },
+
+    getSize : function() {
+        return this._entries.size;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _remove : function(key) {
+        var cached = this._entries.get(key);
+        if (!_.def(cached)) {
+            return false;
+        }
+
+        this._entries.delete(key);
+
+        for (var idx in cached.tags) {
+            var keys = this._keysByTag[cached.tags[idx]];
+            if (!_.def(keys)) {
+                continue;
+            }
+
+            delete keys[key];
+            if (_.empty(keys)) {
+                delete this._keysByTag[cached.tags[idx]];
+            }
+        }
+
+        return true;
+    }
+
+});
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,150 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+
+/**
+ *
+ * @class MemoryRateLimitStore
+ *
+ * Rate limit store keeping the request counts in memory, the default store of RateLimiter. Counts are not shared
+ * between processes; use a store backed by e.g. Redis when running multiple processes.
+ *
+ * Rate limit stores must implement:
+ *      consume(key, limit, cbReady)    with cbReady(result, err)
+ *
+ *      limit   : { algorithm : 'slidingWindow'|'tokenBucket', window : <ms>, max : <requests per window> }
+ *      result  : { allowed : <boolean>, remaining : <requests>, reset : <ms>, retryAfter : <ms> }
+ *
+ * Supported algorithms:
+ *  slidingWindow   : the number of requests in the last window is estimated from the counts of the current and the
+ *                    previous fixed window. reset is the time until the current fixed window ends.
+ *  tokenBucket     : a bucket of max tokens, refilled at max tokens per window, every request takes a token.
+ *                    Allows bursts of max requests. reset is the time until the bucket is full again.
+ *
+ */
+var MemoryRateLimitStore = Class(NamedBase, {
+
+    $statics : {
+        //Number of consume() calls after which expired counters are removed
+        SWEEP_INTERVAL      : 1000
+    },
+
+    _counters           : null,
+
+    _numConsumed        : 0,
+
+    constructor: function(storeName) {
+        MemoryRateLimitStore.$super.call(this, storeName);
+
+        this._counters      = {};
+        this._numConsumed   = 0;
+    },
+
+    consume : function(key, limit, cbReady) {
+        var now     = Date.now();
+        var result  = limit.algorithm === "tokenBucket" ?
+                this._consumeToken(key, limit, now) :
+                this._consumeSlidingWindow(key, limit, now);
+
+        this._numConsumed += 1;
+        if (this._numConsumed % MemoryRateLimitStore.SWEEP_INTERVAL === 0) {
+            this._sweep(now);
+        }
+
+        //The count is taken right away, only the callback is deferred, such that RateLimiter runs the rest of the
+        //middleware chain outside of this call, as it does with a Redis backed store
+        process.nextTick(function() {
+            cbReady(result);
+        });
+    },
+
+    reset : function(key) {
+        delete this._counters[key];
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _consumeSlidingWindow : function(key, limit, now) {
+        var windowIdx   = Math.floor(now / limit.window);
+        var counter     = this._counters[key];
+
+        if (!_.def(counter) || counter.windowIdx < windowIdx - 1) {
+            counter = { windowIdx : windowIdx, current : 0, previous : 0 };
+        } else if (counter.windowIdx === windowIdx - 1) {
+            counter = { windowIdx : windowIdx, current : 0, previous : counter.current };
+        }
+
+        counter.expiresAt   = (windowIdx + 2) * limit.window;
+        this._counters[key] = counter;
+
+        var elapsed     = now - windowIdx * limit.window;
+        var weight      = 1 - elapsed / limit.window;
+        var count       = counter.previous * weight + counter.current;
+        var reset       = limit.window - elapsed;
+
+        if (count + 1 <= limit.max) {
+            counter.current += 1;
+
+            return {
+                allowed     : true,
+                remaining   : Math.max(0, Math.floor(limit.max - count - 1)),
+                reset       : reset,
+                retryAfter  : 0
+            };
+        }
+
+        //Time until the estimated count allows one more request
+        var retryAfter = counter.current + 1 <= limit.max ?
+                limit.window * (1 - (limit.max - 1 - counter.current) / counter.previous) - elapsed :
+                reset + limit.window * (1 - (limit.max - 1) / counter.current);
+
+        return {
+            allowed     : false,
+            remaining   : 0,
+            reset       : reset,
+            retryAfter  : Math.max(0, Math.ceil(retryAfter))
+        };
+    },
+
+    _consumeToken : function(key, limit, now) {
+        var rate    = limit.max / limit.window;
+        var bucket  = this._counters[key];
+
+        if (!_.def(bucket)) {
+            bucket = { tokens : limit.max, updatedAt : now };
+        }
+
+        bucket.tokens       = Math.min(limit.max, bucket.tokens + (now - bucket.updatedAt) * rate);
+        bucket.updatedAt    = now;
+        bucket.expiresAt    = now + limit.window;
+        this._counters[key] = bucket;
+
+        var allowed = bucket.tokens >= 1;
+        if (allowed) {
+            bucket.tokens -= 1;
+        }
+
+        return {
+            allowed     : allowed,
+            remaining   : Math.floor(bucket.tokens),
+            reset       : Math.ceil((limit.max - bucket.tokens) / rate),
+            retryAfter  : allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate)
+        };
+    },
+
+    _sweep : function(now) {
+        for (var key in this._counters) {
+            if (this._counters[key].expiresAt <= now) {
+                delete this._counters[key];
+            }
+        }
+    }
+
+});
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,402 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var ExpressAdapter  = require("./adapters/express-adapter.js");
+
+var defaultRegistry = null;
+
+/**
+ *
+ * @class MetricsRegistry
+ *
+ * Keeps counters, gauges and histograms, with labels, and exposes them in the Prometheus text format. E.g.:
+ *
+ *      registry.counter("jobs_total", "Number of processed jobs");
+ *      registry.inc("jobs_total", { queue : "mail" });
+ *
+ *      registry.histogram("job_duration_seconds", "Job duration");
+ *      registry.observe("job_duration_seconds", { queue : "mail" }, 0.42);
+ *
+ *      registry.registerMetricsEndpoint(server, "/metrics");
+ *
+ * The framework instruments all endpoints with the metrics of the shared registry, MetricsRegistry.getDefault(),
+ * also see Instrumentation.
+ *
+ */
+var MetricsRegistry = Class(NamedBase, {
+
+    $statics : {
+        TYPE_COUNTER        : "counter",
+
+        TYPE_GAUGE          : "gauge",
+
+        TYPE_HISTOGRAM      : "histogram",
+
+        //Upper bounds of the histogram buckets, in seconds when measuring durations
+        DEFAULT_BUCKETS     : [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+
+        CONTENT_TYPE        : "text/plain; version=0.0.4; charset=utf-8",
+
+        /**
+         *
+         * @returns {MetricsRegistry}   Shared registry, used by the framework instrumentation by default
+         *
+         */
+        getDefault : function() {
+            if (!_.def(defaultRegistry)) {
+                defaultRegistry = new MetricsRegistry("DefaultMetricsRegistry");
+            }
+
+            return defaultRegistry;
+        }
+    },
+
+    //Object mapping metric names to {type, help, buckets, series}, series maps label keys to values
+    _metrics            : null,
+
+    constructor: function(registryName) {
+        MetricsRegistry.$super.call(this, registryName);
+
+        this._metrics = {};
+    },
+
+    /**
+     *
+     * Defines a counter, a value that only increases
+     *
+     * @param {String} name
+     * @param {String} [help]
+     *
+     * @returns {boolean}   False if a metric with the name, of another type, is already defined
+     *
+     */
+    counter : function(name, help) {
+        return this._define(name, MetricsRegistry.TYPE_COUNTER, help);
+    },
+
+    /**
+     *
+     * Defines a gauge, a value that can increase and decrease
+     *
+     * @param {String} name
+     * @param {String} [help]
+     *
+     * @returns {boolean}   False if a metric with the name, of another type, is already defined
+     *
+     */
+    gauge : function(name, help) {
+        return this._define(name, MetricsRegistry.TYPE_GAUGE, help);
+    },
+
+    /**
+     *
+     * Defines a histogram, counting observed values in buckets
+     *
+     * @param {String} name
+     * @param {String} [help]
+     * @param {Array} [buckets]     Ascending upper bounds of the buckets, default MetricsRegistry.DEFAULT_BUCKETS
+     *
+     * @returns {boolean}   False if a metric with the name, of another type, is already defined
+     *
+     */
+    histogram : function(name, help, buckets) {
+        return this._define(name, MetricsRegistry.TYPE_HISTOGRAM, help,
+                _.array(buckets) ? buckets.slice().sort(function(a, b) { return a - b; }) :
+                        MetricsRegistry.DEFAULT_BUCKETS);
+    },
+
+    /**
+     *
+     * Increases a counter or gauge
+     *
+     * @param {String} name
+     * @param {Object} [labels]
+     * @param {Number} [value=1]
+     *
+     */
+    inc : function(name, labels, value) {
+        var series = this._getSeries(name, labels, [MetricsRegistry.TYPE_COUNTER, MetricsRegistry.TYPE_GAUGE]);
+        if (_.def(series)) {
+            series.value += _.number(value) ? value : 1;
+        }
+    },
+
+    /**
+     *
+     * Decreases a gauge
+     *
+     * @param {String} name
+     * @param {Object} [labels]
+     * @param {Number} [value=1]
+     *
+     */
+    dec : function(name, labels, value) {
+        var series = this._getSeries(name, labels, [MetricsRegistry.TYPE_GAUGE]);
+        if (_.def(series)) {
+            series.value -= _.number(value) ? value : 1;
+        }
+    },
+
+    /**
+     *
+     * Sets a gauge
+     *
+     * @param {String} name
+     * @param {Object} [labels]
+     * @param {Number} value
+     *
+     */
+    set : function(name, labels, value) {
+        var series = this._getSeries(name, labels, [MetricsRegistry.TYPE_GAUGE]);
+        if (_.def(series) && _.number(value)) {
+            series.value = value;
+        }
+    },
+
+    /**
+     *
+     * Adds an observed value to a histogram
+     *
+     * @param {String} name
+     * @param {Object} [labels]
+     * @param {Number} value
+     *
+     */
+    observe : function(name, labels, value) {
+        var series = this._getSeries(name, labels, [MetricsRegistry.TYPE_HISTOGRAM]);
+        if (!_.def(series) || !_.number(value)) {
+            return;
+        }
+
+        var buckets = this._metrics[name].buckets;
+        for (var idx = 0; idx < buckets.length; idx++) {
+            if (value <= buckets[idx]) {
+                series.bucketCounts[idx] += 1;
+            }
+        }
+
+        series.sum      += value;
+        series.count    += 1;
+    },
+
+    /**
+     *
+     * @param {String} name
+     * @param {Object} [labels]
+     *
+     * @returns {Number|Object|null}    The value of a counter or gauge, {count, sum} of a histogram. Null if the
+     *                                  metric has no value for the labels.
+     *
+     */
+    getValue : function(name, labels) {
+        var metric = this._metrics[name];
+        var series = _.def(metric) ? metric.series[this._createLabelKey(labels)] : null;
+        if (!_.def(series)) {
+            return null;
+        }
+
+        return metric.type === MetricsRegistry.TYPE_HISTOGRAM ?
+                { count : series.count, sum : series.sum } :
+                series.value;
+    },
+
+    getMetricNames : function() {
+        return Object.keys(this._metrics);
+    },
+
+    /**
+     *
+     * Removes all values, the metric definitions are kept
+     *
+     */
+    reset : function() {
+        for (var name in this._metrics) {
+            this._metrics[name].series = {};
+        }
+    },
+
+    /**
+     *
+     * @returns {String}    All metrics in the Prometheus text exposition format
+     *
+     */
+    toPrometheus : function() {
+        var lines = [];
+
+        for (var name in this._metrics) {
+            var metric = this._metrics[name];
+
+            if (_.string(metric.help)) {
+                lines.push("# HELP {0} {1}".fmt(name, metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")));
+            }
+            lines.push("# TYPE {0} {1}".fmt(name, metric.type));
+
+            for (var key in metric.series) {
+                this._addSeriesLines(lines, name, metric, metric.series[key]);
+            }
+        }
+
+        return lines.join("\n") + "\n";
+    },
+
+    /**
+     *
+     * Registers a GET endpoint serving the metrics in the Prometheus text format
+     *
+     * @param {Object} server           HTTPAdapter or Express-like server
+     * @param {String} [URLPath='/metrics']
+     *
+     * @returns {boolean}               True on success
+     *
+     */
+    registerMetricsEndpoint : function(server, URLPath) {
+        var me      = this.getIName() + "::MetricsRegistry::registerMetricsEndpoint";
+        var self    = this;
+
+        URLPath     = URLPath || "/metrics";
+
+        var adapter = ExpressAdapter.adapt(server);
+        if (!_.def(adapter) || !adapter.supportsMethod("get")) {
+            _l.error(me, "Server does not support GET routes, unable to register metrics endpoint");
+            return false;
+        }
+
+        var registered = adapter.register("get", URLPath, [function(req, res, next) {
+            res.set("Content-Type", MetricsRegistry.CONTENT_TYPE);
+            res.send(self.toPrometheus());
+        }]);
+        if (!registered) {
+            _l.error(me, "Unable to register metrics endpoint");
+            return false;
+        }
+
+        adapter.getRouteRegistry().add({
+            owner       : this.getIName(),
+            endpoint    : "Metrics",
+            method      : "get",
+            path        : URLPath
+        });
+
+        _l.info(me, "Metrics served at [{0}]".fmt(URLPath));
+        return true;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _define : function(name, type, help, buckets) {
+        var me      = this.getIName() + "::MetricsRegistry::_define";
+        var metric  = this._metrics[name];
+
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name || "")) {
+            _l.error(me, "Invalid metric name [{0}], unable to define metric".fmt(name));
+            return false;
+        }
+
+        if (_.def(metric)) {
+            if (metric.type !== type) {
+                _l.error(me, "Metric {0} is already defined as {1}, unable to define it as {2}".fmt(
+                        name, metric.type, type));
+                return false;
+            }
+
+            return true;
+        }
+
+        this._metrics[name] = {
+            type        : type,
+            help        : help,
+            buckets     : buckets || null,
+            series      : {}
+        };
+
+        return true;
+    },
+
+    _getSeries : function(name, labels, types) {
+        var me      = this.getIName() + "::MetricsRegistry::_getSeries";
+        var metric  = this._metrics[name];
+
+        if (!_.def(metric) || types.indexOf(metric.type) < 0) {
+            _l.error(me, "No {0} metric {1} defined".fmt(types.join(" or "), name));
+            return null;
+        }
+
+        var key     = this._createLabelKey(labels);
+        var series  = metric.series[key];
+        if (_.def(series)) {
+            return series;
+        }
+
+        series = { labels : this._copyLabels(labels), value : 0 };
+        if (metric.type === MetricsRegistry.TYPE_HISTOGRAM) {
+            series.bucketCounts = metric.buckets.map(function() { return 0; });
+            series.sum          = 0;
+            series.count        = 0;
+        }
+
+        metric.series[key] = series;
+        return series;
+    },
+
+    _copyLabels : function(labels) {
+        var copy = {};
+        for (var name in labels) {
+            if (_.def(labels[name])) {
+                copy[name] = String(labels[name]);
+            }
+        }
+
+        return copy;
+    },
+
+    _createLabelKey : function(labels) {
+        var copy = this._copyLabels(labels);
+
+        return JSON.stringify(Object.keys(copy).sort().map(function(name) {
+            return [name, copy[name]];
+        }));
+    },
+
+    _formatLabels : function(labels, extraName, extraValue) {
+        var pairs = Object.keys(labels).map(function(name) {
+            return [name, labels[name]];
+        });
+        if (_.def(extraName)) {
+            pairs.push([extraName, extraValue]);
+        }
+
+        if (_.empty(pairs)) {
+            return "";
+        }
+
+        return "{" + pairs.map(function(pair) {
+            var value = pair[1].replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+            return '{0}="{1}"'.fmt(pair[0], value);
+        }).join(",") + "}";
+    },
+
+    _addSeriesLines : function(lines, name, metric, series) {
+        if (metric.type !== MetricsRegistry.TYPE_HISTOGRAM) {
+            lines.push("{0}{1} {2}".fmt(name, this._formatLabels(series.labels), series.value));
+            return;
+        }
+
+        for (var idx = 0; idx < metric.buckets.length; idx++) {
+            lines.push("{0}_bucket{1} {2}".fmt(
+                    name, this._formatLabels(series.labels, "le", String(metric.buckets[idx])),
+                    series.bucketCounts[idx]));
+        }
+        lines.push("{0}_bucket{1} {2}".fmt(name, this._formatLabels(series.labels, "le", "+Inf"), series.count));
+        lines.push("{0}_sum{1} {2}".fmt(name, this._formatLabels(series.labels), series.sum));
+        lines.push("{0}_count{1} {2}".fmt(name, this._formatLabels(series.labels), series.count));
+    }
+
+});
+
+module.exports = MetricsRegistry;
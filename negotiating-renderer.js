@@ -0,0 +1,345 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var JSONRenderer    = require("./json-renderer.js");
+var Serializers     = require("./serializers.js");
+var Errors          = require("./errors.js");
+
+/**
+ *
+ * @class NegotiatingRenderer
+ *
+ * Renders responses for requests handled by service instances, registered using the renderResponsesFor() method,
+ * in the format the client asks for. The serializer is selected by the ?format= query parameter (e.g. ?format=csv)
+ * or, when not given, by content negotiation on the Accept header.
+ *
+ * Built-in serializers are json (default), xml, csv, yaml and msgpack, also see Serializers.
+ * Other serializers can be plugged in with addSerializer(name, serializer).
+ *
+ * When none of the acceptable formats can be produced a 406 Not Acceptable error is rendered. An unknown ?format=
+ * value is rendered as 400 validation error, with code ERR_FORMAT_UNKNOWN, naming the available formats.
+ * Errors are rendered as problem details, in the negotiated format; problem details in JSON use
+ * application/problem+json.
+ *
+ */
+var NegotiatingRenderer = Class(JSONRenderer, {
+
+    _serializers        : null,
+
+    _serializerOrder    : null,
+
+    _defaultFormat      : null,
+
+    _formatParam        : null,
+
+    /**
+     *
+     * Constructs negotiating renderer
+     *
+     * @param {String} rendererName                 Name of renderer
+     * @param {Object} server                       HTTP server object on which to register request handlers (through
+     *                                              renderResponsesFor())
+     *
+     * @param {Object} [config]                     Configuration object, also see JSONRenderer
+     * @param {Object} [config.serializers]         Object mapping format names to serializers, these are added to,
+     *                                              or replace, the built-in serializers
+     * @param {String} [config.defaultFormat='json'] Format used when the client accepts any format
+     * @param {String|boolean} [config.formatParam='format']
+     *                                              Name of query parameter to override the Accept header with,
+     *                                              false to disable
+     *
+     */
+    constructor: function(rendererName, server, config) {
+        var me = "NegotiatingRenderer::constructor";
+
+        NegotiatingRenderer.$super.call(this, rendererName, server, config);
+
+        this._serializers       = {};
+        this._serializerOrder   = [];
+
+        var formats = ["json", "xml", "csv", "yaml", "msgpack"];
+        for (var idx in formats) {
+            this.addSerializer(formats[idx], Serializers[formats[idx]]);
+        }
+
+        var serializers = _.get(config, "serializers");
+        for (var name in serializers) {
+            if (!this.addSerializer(name, serializers[name])) {
+                this._valid = false;
+            }
+        }
+
+        this._defaultFormat = _.get(config, "defaultFormat") || "json";
+        if (!_.obj(this._serializers[this._defaultFormat])) {
+            _l.error(me, "No serializer available for default format {0}, renderer will not function properly"
+                    .fmt(this._defaultFormat));
+            this._valid = false;
+        }
+
+        var formatParam     = _.get(config, "formatParam");
+        this._formatParam   = formatParam === false ? null : (formatParam || "format");
+    },
+
+    /**
+     *
+     * Adds, or replaces, the serializer for a format
+     *
+     * @param {String} name                 Format name, as used in the ?format= query parameter
+     * @param {Object} serializer           {mediaTypes : [...], serialize : function(data)}, also see Serializers
+     *
+     * @returns {boolean}                   True on success
+     *
+     */
+    addSerializer : function(name, serializer) {
+        var me = this.getIName() + "::NegotiatingRenderer::addSerializer";
+
+        if (!_.string(name) || !_.obj(serializer) || !_.func(serializer.serialize) ||
+            !_.array(serializer.mediaTypes) || _.empty(serializer.mediaTypes)) {
+            _l.error(me, ("Serializer {0} is invalid, it must have a serialize function and " +
+                          "a non-empty list of media types").fmt(name));
+            return false;
+        }
+
+        if (this._serializerOrder.indexOf(name) < 0) {
+            this._serializerOrder.push(name);
+        }
+
+        this._serializers[name] = serializer;
+        return true;
+    },
+
+    getFormats : function() {
+        return this._serializerOrder.slice();
+    },
+
+    getRenderMethodForEndpoint : function(endpointName) {
+        return this._renderNegotiated.bind(this);
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _renderNegotiated : function(req, res, next, data, err, status) {
+        if (_.def(err) && !this._renderErrors) {
+            next(err);
+            return;
+        }
+
+        //Keep the Vary values set before, e.g. by API versioning
+        if (!/(^|,)\s*accept\s*(,|$)/i.test(String(res.get('Vary') || ''))) {
+            res.append('Vary', 'Accept');
+        }
+
+        var format = this._negotiateFormat(req);
+
+        var requestedFormat = this._getRequestedFormat(req);
+        if (_.def(requestedFormat) && !this._serializers.hasOwnProperty(requestedFormat)) {
+            this._renderError(req, res, new Errors.ValidationError(
+                    "Unknown format {0}, available formats are {1}".fmt(
+                            requestedFormat, this._serializerOrder.join(", ")),
+                    [{
+                        location    : "query",
+                        path        : this._formatParam,
+                        message     : "{0} should be one of {1}".fmt(
+                                this._formatParam, this._serializerOrder.join(", "))
+                    }],
+                    "ERR_FORMAT_UNKNOWN"), format || "json");
+            return;
+        }
+
+        if (!_.string(format)) {
+            //Nothing the client accepts can be produced, the error is rendered as JSON
+            this._renderError(req, res, new Errors.NotAcceptableError(
+                    "None of the acceptable media types can be produced",
+                    { available : this._getAvailableMediaTypes() }), "json");
+            return;
+        }
+
+        if (_.def(err)) {
+            this._renderError(req, res, err, format);
+            return;
+        }
+
+        if (_.number(status)) {
+            res = res.status(status);
+        }
+
+        if (_.obj(this._responseHeaders)) {
+            res = res.set(this._responseHeaders);
+        }
+
+        if (this._isBodylessStatus(status)) {
+            res.end();
+            return;
+        }
+
+        if (!_.obj(data)) {
+            data = {
+                data : data
+            };
+        }
+
+        this._send(req, res, format, data);
+    },
+
+    _renderError : function(req, res, err, format) {
+        if (!_.string(format)) {
+            format = this._negotiateFormat(req) || "json";
+        }
+
+        if (format === "json") {
+            NegotiatingRenderer.$superp._renderError.call(this, req, res, err);
+            return;
+        }
+
+        var problem = this._createProblem(req, err);
+
+        res = res.status(problem.status);
+
+        if (_.obj(this._responseHeaders)) {
+            res = res.set(this._responseHeaders);
+        }
+
+        this._send(req, res, format, problem);
+    },
+
+    _send : function(req, res, format, data) {
+        var serializer = this._serializers[format];
+
+        this._sendBody(req, res, serializer.serialize(data), serializer.mediaTypes[0]);
+    },
+
+    _getAvailableMediaTypes : function() {
+        var self = this;
+
+        return this._serializerOrder.map(function(name) {
+            return self._serializers[name].mediaTypes[0];
+        });
+    },
+
+    /**
+     *
+     * @param {Object} req
+     * @returns {String|null}   Value of the format query parameter, null when not given
+     *
+     * @protected
+     */
+    _getRequestedFormat : function(req) {
+        var format = _.string(this._formatParam) ? _.get(_.get(req, 'query'), this._formatParam) : null;
+
+        return _.string(format) && !_.empty(format) ? format : null;
+    },
+
+    /**
+     *
+     * @param {Object} req
+     * @returns {String|null}   Name of the format to render, null if none of the acceptable formats is available.
+     *                          An unknown requested format is ignored, the format is then negotiated on Accept.
+     *
+     * @protected
+     */
+    _negotiateFormat : function(req) {
+        var format = this._getRequestedFormat(req);
+        if (_.def(format) && this._serializers.hasOwnProperty(format)) {
+            return format;
+        }
+
+        var accept = _.get(_.get(req, 'headers'), 'accept');
+        if (!_.string(accept) || _.empty(accept.trim())) {
+            return this._defaultFormat;
+        }
+
+        var ranges      = this._parseAccept(accept);
+        var bestFormat  = null;
+        var bestQuality = 0;
+        var bestRank    = -1;
+
+        //Candidate formats are evaluated in order of preference: the default format first
+        var candidates  = [this._defaultFormat].concat(this._serializerOrder.filter(function(name) {
+            return name !== this._defaultFormat;
+        }, this));
+
+        for (var idx in candidates) {
+            var name        = candidates[idx];
+            var mediaTypes  = this._serializers[name].mediaTypes;
+
+            for (var mIdx in mediaTypes) {
+                var match = this._matchMediaType(ranges, mediaTypes[mIdx]);
+                if (!_.def(match) || match.quality <= 0) {
+                    continue;
+                }
+
+                if (match.quality > bestQuality ||
+                   (match.quality === bestQuality && match.specificity > bestRank)) {
+                    bestFormat  = name;
+                    bestQuality = match.quality;
+                    bestRank    = match.specificity;
+                }
+            }
+        }
+
+        return bestFormat;
+    },
+
+    _parseAccept : function(accept) {
+        return accept.split(",").map(function(range) {
+            var parts   = range.trim().split(";");
+            var type    = parts.shift().trim().toLowerCase();
+            var quality = 1;
+
+            parts.forEach(function(param) {
+                var keyValue = param.trim().split("=");
+                if (keyValue[0].trim() === "q") {
+                    quality = parseFloat(keyValue[1]);
+                }
+            });
+
+            return {
+                type    : type,
+                quality : isNaN(quality) ? 0 : quality
+            };
+        }).filter(function(range) {
+            return !_.empty(range.type);
+        });
+    },
+
+    /**
+     *
+     * @returns {Object|null}   {quality, specificity} of the most specific matching media range, null if none matches
+     *
+     */
+    _matchMediaType : function(ranges, mediaType) {
+        var typeParts   = mediaType.split("/");
+        var best        = null;
+
+        for (var idx in ranges) {
+            var range       = ranges[idx];
+            var rangeParts  = range.type.split("/");
+            var specificity = -1;
+
+            if (range.type === mediaType) {
+                specificity = 2;
+            } else if (rangeParts[0] === typeParts[0] && rangeParts[1] === "*") {
+                specificity = 1;
+            } else if (range.type === "*/*" || range.type === "*") {
+                specificity = 0;
+            }
+
+            if (specificity >= 0 && (!_.def(best) || specificity > best.specificity)) {
+                best = {
+                    quality     : range.quality,
+                    specificity : specificity
+                };
+            }
+        }
+
+        return best;
+    }
+
+});
+
+module.exports = NegotiatingRenderer;
@@ -0,0 +1,587 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var fs              = require("fs");
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var RendersResponses= require("./renders-responses.js");
+var ExpressAdapter  = require("./adapters/express-adapter.js");
+var ApiVersioning   = require("./api-versioning.js");
+var ListQueryParser = require("./list-query-parser.js");
+
+/**
+ *
+ * @class OpenAPIGenerator
+ *
+ * Generates an OpenAPI 3 document from the endpoint tables of services and the root paths at which
+ * they are rendered.
+ *
+ * Services can be added directly, using addService(service, servicePathRoot), or through the renderer rendering
+ * their responses, using addRenderer(renderer). For a ServerAppChunk, addRenderer() also adds the endpoints
+ * of the app chunk itself.
+ *
+ * Besides HTTPMethod, URLSubpath and the params, query, headers and body schemas (also see RequestValidator),
+ * the following optional endpoint definition properties are used:
+ *
+ *      summary         : 'Get a resource',
+ *      description     : 'Longer description of the endpoint',
+ *      tags            : ['resources'],                    //Default is the service name
+ *      operationId     : 'getResource',                    //Default is derived from service, version and endpoint name
+ *      deprecated      : true,                             //Or the date of deprecation, also see Service
+ *      responses       : {
+ *          200 : {
+ *              description : 'The resource',
+ *              schema      : { type : 'object', properties : { ... } }
+ *          },
+ *          404 : 'Resource not found'
+ *      }
+ *
+ * The schemas are JSON Schemas, they are converted to OpenAPI 3.0 schema objects, see toOpenAPISchema().
+ *
+ */
+var OpenAPIGenerator = Class(NamedBase, {
+
+    $statics : {
+        OPENAPI_VERSION     : "3.0.3",
+
+        /**
+         *
+         * Converts an Express style path to an OpenAPI path, e.g. /resource/:id/ to /resource/{id}/
+         *
+         * @param {String} URLPath
+         * @returns {String}
+         *
+         */
+        toOpenAPIPath : function(URLPath) {
+            return String(URLPath).replace(/:([A-Za-z0-9_]+)(\([^)]*\))?\??/g, "{$1}");
+        },
+
+        /**
+         *
+         * @param {String} URLPath  Express style path
+         * @returns {Array}         Names of the path parameters in URLPath
+         *
+         */
+        getPathParamNames : function(URLPath) {
+            var names   = [];
+            var regex   = /:([A-Za-z0-9_]+)/g;
+            var match   = null;
+
+            while ((match = regex.exec(String(URLPath))) !== null) {
+                names.push(match[1]);
+            }
+
+            return names;
+        },
+
+        /**
+         *
+         * Converts a JSON Schema, as used by RequestValidator, to an OpenAPI 3.0 schema object:
+         *
+         *  const                           : { enum : [value] }
+         *  type : ['string', 'null']       : { type : 'string', nullable : true }
+         *  type : ['string', 'number']     : { anyOf : [{ type : 'string' }, { type : 'number' }] }
+         *  exclusiveMinimum : 0            : { minimum : 0, exclusiveMinimum : true }, same for exclusiveMaximum
+         *
+         * Nested schemas are converted as well. The given schema is not changed.
+         *
+         * @param {Object} schema   JSON Schema
+         * @returns {Object}        OpenAPI 3.0 schema object
+         *
+         */
+        toOpenAPISchema : function(schema) {
+            if (!_.obj(schema) || _.array(schema)) {
+                return schema;
+            }
+
+            var converted   = {};
+            var key         = null;
+
+            for (key in schema) {
+                if (Object.prototype.hasOwnProperty.call(schema, key)) {
+                    converted[key] = schema[key];
+                }
+            }
+
+            if (_.array(schema.type)) {
+                var types = schema.type.filter(function(type) { return type !== "null"; });
+
+                delete converted.type;
+                if (types.length < schema.type.length) {
+                    converted.nullable = true;
+                }
+
+                if (types.length === 1) {
+                    converted.type = types[0];
+                } else if (types.length > 1) {
+                    converted.anyOf = types.map(function(type) { return { type : type }; });
+                }
+            } else if (schema.type === "null") {
+                delete converted.type;
+                converted.nullable  = true;
+                converted.enum      = [null];
+            }
+
+            if (Object.prototype.hasOwnProperty.call(schema, "const")) {
+                delete converted.const;
+                converted.enum = [schema.const];
+                if (schema.const === null) {
+                    converted.nullable = true;
+                }
+            }
+
+            ["Minimum", "Maximum"].forEach(function(bound) {
+                var exclusive   = schema["exclusive" + bound];
+                var inclusive   = schema[bound.toLowerCase()];
+
+                if (!_.number(exclusive)) {
+                    return;
+                }
+
+                //Keep whichever bound is the stricter one
+                var isStricter = !_.number(inclusive) ||
+                        (bound === "Minimum" ? exclusive >= inclusive : exclusive <= inclusive);
+
+                converted["exclusive" + bound] = isStricter;
+                if (isStricter) {
+                    converted[bound.toLowerCase()] = exclusive;
+                }
+            });
+
+            if (_.obj(schema.properties)) {
+                converted.properties = {};
+                for (key in schema.properties) {
+                    if (Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+                        converted.properties[key] = OpenAPIGenerator.toOpenAPISchema(schema.properties[key]);
+                    }
+                }
+            }
+
+            ["items", "additionalProperties", "not"].forEach(function(keyword) {
+                if (_.obj(schema[keyword])) {
+                    converted[keyword] = OpenAPIGenerator.toOpenAPISchema(schema[keyword]);
+                }
+            });
+
+            ["allOf", "anyOf", "oneOf"].forEach(function(keyword) {
+                if (_.array(schema[keyword])) {
+                    converted[keyword] = schema[keyword].map(OpenAPIGenerator.toOpenAPISchema);
+                }
+            });
+
+            return converted;
+        }
+    },
+
+    _info               : null,
+
+    _servers            : null,
+
+    _sources            : null,
+
+    /**
+     *
+     * Constructs OpenAPI generator
+     *
+     * @param {String} generatorName                Name of the generator
+     *
+     * @param {Object} [config]                     Configuration object
+     * @param {Object} [config.info]                OpenAPI info object, e.g. {title : 'My API', version : '1.0.0'}
+     * @param {Array} [config.servers]              OpenAPI server objects, e.g. [{url : 'https://api.example.com'}]
+     *
+     */
+    constructor: function(generatorName, config) {
+        OpenAPIGenerator.$super.call(this, generatorName);
+
+        this._info      = _.get(config, "info") || {};
+        this._servers   = _.get(config, "servers") || null;
+        this._sources   = [];
+
+        if (!_.string(this._info.title)) {
+            this._info.title = generatorName;
+        }
+
+        if (!_.string(this._info.version)) {
+            this._info.version = "1.0.0";
+        }
+    },
+
+    /**
+     *
+     * Adds the endpoints of a service to document
+     *
+     * @param {Object} service                  Service that adheres to RendersResponses.REQUIRED_SERVICE_IF
+     * @param {String} [servicePathRoot='/']    Root path at which the service endpoints are rendered
+     * @param {Array} [endpoints]               Endpoints to document, default are all endpoints of the service
+     *
+     * @returns {boolean}                       True on success
+     *
+     */
+    addService : function(service, servicePathRoot, endpoints) {
+        var me = this.getIName() + "::OpenAPIGenerator::addService";
+
+        if (!_.interfaceAdheres(service, RendersResponses.REQUIRED_SERVICE_IF)) {
+            _l.error(me, "The provided service does not adhere to the required interface, unable to add service. " +
+                         "Required interface definition : ", _.stringify(RendersResponses.REQUIRED_SERVICE_IF));
+            return false;
+        }
+
+        var endpointNames = _.array(endpoints) ? endpoints : service.getEndpointNames();
+        if (!_.array(endpointNames)) {
+            _l.error(me, "No valid list of endpoint names given by service {0}, unable to add service"
+                    .fmt(service.getIName()));
+            return false;
+        }
+
+        this._sources.push({
+            service         : service,
+            servicePathRoot : servicePathRoot || "/",
+            endpointNames   : endpointNames.slice()
+        });
+
+        return true;
+    },
+
+    /**
+     *
+     * Adds all services for which the renderer renders responses, see RendersResponses.getRenderedServices().
+     * When the renderer is a ServerAppChunk, the endpoints of the app chunk itself are added too.
+     *
+     * @param {Object} renderer     Instance with the RendersResponses mixin
+     *
+     * @returns {boolean}           True on success
+     *
+     */
+    addRenderer : function(renderer) {
+        var me      = this.getIName() + "::OpenAPIGenerator::addRenderer";
+        var success = true;
+
+        if (!_.hasMethod(renderer, "getRenderedServices")) {
+            _l.error(me, "The provided renderer does not render responses for services, unable to add renderer");
+            return false;
+        }
+
+        if (_.hasMethod(renderer, "getURLPathRoot") &&
+            _.interfaceAdheres(renderer, RendersResponses.REQUIRED_SERVICE_IF)) {
+            success = this.addService(renderer, renderer.getURLPathRoot()) && success;
+        }
+
+        var rendered = renderer.getRenderedServices();
+        for (var idx in rendered) {
+            success = this.addService(
+                    rendered[idx].service,
+                    rendered[idx].servicePathRoot,
+                    rendered[idx].endpointNames) && success;
+        }
+
+        return success;
+    },
+
+    /**
+     *
+     * Generates the OpenAPI document for all added services
+     *
+     * @returns {Object} OpenAPI 3 document
+     *
+     */
+    generate : function() {
+        var me          = this.getIName() + "::OpenAPIGenerator::generate";
+        var doc         = {
+            openapi : OpenAPIGenerator.OPENAPI_VERSION,
+            info    : this._info,
+            paths   : {}
+        };
+
+        if (_.array(this._servers)) {
+            doc.servers = this._servers;
+        }
+
+        var source      = null;
+        var operation   = null;
+        var path        = null;
+        var method      = null;
+        for (var idx in this._sources) {
+            source = this._sources[idx];
+
+            for (var eIdx in source.endpointNames) {
+                var endpointName    = source.endpointNames[eIdx];
+                var endpointDef     = source.service.getEndpointDefFor(endpointName);
+                if (!_.obj(endpointDef)) {
+                    _l.warn(me, "Endpoint {0} : no endpoint definition available, skipping".fmt(endpointName));
+                    continue;
+                }
+
+                method  = _.string(endpointDef.HTTPMethod) ? endpointDef.HTTPMethod.toLowerCase() : "get";
+                path    = _.joinPaths([source.servicePathRoot, endpointDef.URLSubpath]);
+
+                operation = this._createOperation(source.service, endpointName, endpointDef, path);
+
+                var openAPIPath = OpenAPIGenerator.toOpenAPIPath(path);
+                if (!_.obj(doc.paths[openAPIPath])) {
+                    doc.paths[openAPIPath] = {};
+                }
+
+                if (_.obj(doc.paths[openAPIPath][method])) {
+                    _l.warn(me, "Endpoint {0} : operation {1} {2} is already documented, overriding"
+                            .fmt(endpointName, method.toUpperCase(), openAPIPath));
+                }
+
+                doc.paths[openAPIPath][method] = operation;
+            }
+        }
+
+        return doc;
+    },
+
+    /**
+     *
+     * Registers a GET endpoint at the server that serves the generated OpenAPI document as JSON.
+     * The document is generated on every request, such that it is always in line with the added services.
+     *
+     * @param {Object} server           HTTP adapter or Express-like server on which to register the endpoint
+     * @param {String} [URLPath='/openapi.json']
+     *
+     * @returns {boolean}               True on success
+     *
+     */
+    registerDocumentEndpoint : function(server, URLPath) {
+        var me      = this.getIName() + "::OpenAPIGenerator::registerDocumentEndpoint";
+        var self    = this;
+
+        URLPath     = URLPath || "/openapi.json";
+
+        var adapter = ExpressAdapter.adapt(server);
+        if (!_.def(adapter) || !adapter.supportsMethod("get")) {
+            _l.error(me, "Server does not support GET routes, unable to register OpenAPI document endpoint");
+            return false;
+        }
+
+        var registered = adapter.register("get", URLPath, [function(req, res, next) {
+            res.json(self.generate());
+        }]);
+        if (!registered) {
+            _l.error(me, "Unable to register OpenAPI document endpoint");
+            return false;
+        }
+
+        adapter.getRouteRegistry().add({
+            owner       : this.getIName(),
+            endpoint    : "OpenAPI document",
+            method      : "get",
+            path        : URLPath
+        });
+
+        _l.info(me, "OpenAPI document served at [{0}]".fmt(URLPath));
+        return true;
+    },
+
+    /**
+     *
+     * Writes the generated OpenAPI document, as JSON, to file
+     *
+     * @param {String} filePath
+     * @param {function} [cbReady]      cbReady(filePath, err)
+     *
+     */
+    writeToFile : function(filePath, cbReady) {
+        var me = this.getIName() + "::OpenAPIGenerator::writeToFile";
+
+        fs.writeFile(filePath, JSON.stringify(this.generate(), null, 2), function(err) {
+            if (_.def(err)) {
+                _l.error(me, "Unable to write OpenAPI document to {0} : ".fmt(filePath), err);
+            }
+
+            if (_.func(cbReady)) {
+                cbReady(_.def(err) ? null : filePath, err);
+            }
+        });
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _createOperation : function(service, endpointName, endpointDef, path) {
+        var serviceName = service.getIName();
+        var version     = ApiVersioning.normalizeVersion(_.exec(service, "getVersion"));
+        var operation   = {
+            operationId : endpointDef.operationId || this._createOperationId(
+                    _.def(version) ? serviceName + " v" + version : serviceName, endpointName),
+            tags        : _.array(endpointDef.tags) ? endpointDef.tags : [serviceName],
+            summary     : endpointDef.summary || endpointName
+        };
+
+        if (_.string(endpointDef.description)) {
+            operation.description = endpointDef.description;
+        }
+
+        var deprecation = _.hasMethod(service, "getDeprecationFor") ?
+                service.getDeprecationFor(endpointName) :
+                endpointDef;
+        if (_.def(_.get(deprecation, "deprecated")) && deprecation.deprecated !== false) {
+            operation.deprecated = true;
+        }
+
+        var parameters = this._createParameters(endpointDef, path);
+        if (!_.empty(parameters)) {
+            operation.parameters = parameters;
+        }
+
+        if (_.obj(endpointDef.body)) {
+            operation.requestBody = {
+                required    : true,
+                content     : {
+                    "application/json" : {
+                        schema : OpenAPIGenerator.toOpenAPISchema(endpointDef.body)
+                    }
+                }
+            };
+        }
+
+        operation.responses = this._createResponses(endpointDef);
+
+        return operation;
+    },
+
+    _createOperationId : function(serviceName, endpointName) {
+        var words = (serviceName + " " + endpointName).split(/[^A-Za-z0-9]+/).filter(function(word) {
+            return word.length > 0;
+        });
+
+        return words.map(function(word, idx) {
+            return idx === 0 ?
+                    word.charAt(0).toLowerCase() + word.slice(1) :
+                    word.charAt(0).toUpperCase() + word.slice(1);
+        }).join("");
+    },
+
+    _createParameters : function(endpointDef, path) {
+        var parameters      = [];
+        var pathParamNames  = OpenAPIGenerator.getPathParamNames(path);
+        var paramsSchema    = _.obj(endpointDef.params) ? endpointDef.params : {};
+
+        //Path parameters are always required in OpenAPI
+        for (var idx in pathParamNames) {
+            parameters.push({
+                name        : pathParamNames[idx],
+                in          : "path",
+                required    : true,
+                schema      : OpenAPIGenerator.toOpenAPISchema(_.get(paramsSchema.properties, pathParamNames[idx])) ||
+                        { type : "string" }
+            });
+        }
+
+        this._addSchemaParameters(parameters, "query", endpointDef.query);
+        this._addSchemaParameters(parameters, "header", endpointDef.headers);
+
+        if (ListQueryParser.isCollection(endpointDef)) {
+            this._addCollectionParameters(parameters, endpointDef.collection);
+        }
+
+        return parameters;
+    },
+
+    _addCollectionParameters : function(parameters, collection) {
+        var collectionDef       = new ListQueryParser(collection).getCollectionDef();
+        var collectionParams    = [
+            { name : "page", schema : { type : "integer", minimum : 1 } },
+            { name : "limit", schema : { type : "integer", minimum : 1, maximum : collectionDef.maxLimit } },
+            { name : "cursor", schema : { type : "string" } }
+        ];
+
+        if (!_.empty(collectionDef.sort)) {
+            collectionParams.push({
+                name        : "sort",
+                schema      : { type : "string" },
+                description : "Comma separated list of {0}, prefixed with - for descending order".fmt(
+                        collectionDef.sort.join(", "))
+            });
+        }
+
+        for (var idx in collectionDef.filters) {
+            collectionParams.push({ name : collectionDef.filters[idx], schema : { type : "string" } });
+        }
+
+        var names = parameters.map(function(parameter) {
+            return parameter.in + " " + parameter.name;
+        });
+
+        collectionParams.forEach(function(parameter) {
+            if (names.indexOf("query " + parameter.name) >= 0) {
+                return;
+            }
+
+            parameter.in        = "query";
+            parameter.required  = false;
+            parameters.push(parameter);
+        });
+    },
+
+    _addSchemaParameters : function(parameters, location, schema) {
+        if (!_.obj(schema) || !_.obj(schema.properties)) {
+            return;
+        }
+
+        var required = _.array(schema.required) ? schema.required : [];
+        for (var name in schema.properties) {
+            var parameter = {
+                name        : name,
+                in          : location,
+                required    : required.indexOf(name) >= 0,
+                schema      : OpenAPIGenerator.toOpenAPISchema(schema.properties[name])
+            };
+
+            if (_.string(schema.properties[name].description)) {
+                parameter.description = schema.properties[name].description;
+            }
+
+            parameters.push(parameter);
+        }
+    },
+
+    _createResponses : function(endpointDef) {
+        var responses = {};
+
+        if (!_.obj(endpointDef.responses) || _.empty(endpointDef.responses)) {
+            responses["default"] = { description : "Response of {0}".fmt(endpointDef.URLSubpath || "endpoint") };
+            return responses;
+        }
+
+        var response = null;
+        for (var status in endpointDef.responses) {
+            response = endpointDef.responses[status];
+
+            if (_.string(response)) {
+                responses[status] = { description : response };
+                continue;
+            }
+
+            if (!_.obj(response)) {
+                continue;
+            }
+
+            responses[status] = {
+                description : response.description || ""
+            };
+
+            //The content of an OpenAPI response object is used as is
+            if (_.obj(response.content)) {
+                responses[status].content = response.content;
+            } else if (_.obj(response.schema)) {
+                responses[status].content = {
+                    "application/json" : {
+                        schema : OpenAPIGenerator.toOpenAPISchema(response.schema)
+                    }
+                };
+            }
+        }
+
+        return responses;
+    }
+
+});
+
+module.exports = OpenAPIGenerator;
@@ -0,0 +1,190 @@
+var _                       = require('./libs/corelib-web/utils.js')._;
+var _l                      = require('./request-logger.js').logger;
+
+var Class                   = require("jsface").Class;
+var NamedBase               = require("./libs/corelib-web/base.js").NamedBase;
+var MemoryRateLimitStore    = require("./memory-rate-limit-store.js");
+var Errors                  = require("./errors.js");
+
+var defaultLimiter          = null;
+
+/**
+ *
+ * @class RateLimiter
+ *
+ * Limits the number of requests to endpoints that declare a rate limit, in their endpoint definition or through the
+ * service defaults (also see Service), e.g.:
+ *
+ *  "POST Login" : {
+ *      HTTPMethod  : 'post',
+ *      URLSubpath  : '/login',
+ *
+ *      rateLimit   : {
+ *          window      : '15m',            //Seconds, or a duration like '30s', '15m', '1h', '1d'
+ *          max         : 10,               //Maximum number of requests per window
+ *          key         : 'ip',             //'ip', 'principal' or function(req) giving the client key, default 'ip'
+ *          algorithm   : 'slidingWindow',  //'slidingWindow' or 'tokenBucket', also see MemoryRateLimitStore
+ *          group       : 'auth'            //OPTIONAL : endpoints of a service with the same group share their quota
+ *      }
+ *  }
+ *
+ * With key 'principal' requests are limited per authenticated principal (req.principal.id) and per IP address for
+ * anonymous requests.
+ *
+ * Responses get the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers. Requests exceeding the limit
+ * are passed to next() with a TooManyRequestsError (429) and get a Retry-After header.
+ *
+ * The request counts are kept in a rate limit store, by default a MemoryRateLimitStore, also see
+ * MemoryRateLimitStore for the interface to implement for other stores.
+ *
+ */
+var RateLimiter = Class(NamedBase, {
+
+    $statics : {
+        DURATION_UNITS  : { s : 1000, m : 60 * 1000, h : 60 * 60 * 1000, d : 24 * 60 * 60 * 1000 },
+
+        /**
+         *
+         * @returns {RateLimiter}   Shared limiter, with a MemoryRateLimitStore, used by services without rate limiter
+         *
+         */
+        getDefault : function() {
+            if (!_.def(defaultLimiter)) {
+                defaultLimiter = new RateLimiter("DefaultRateLimiter");
+            }
+
+            return defaultLimiter;
+        },
+
+        /**
+         *
+         * @param {Number|String} window    Seconds, or a duration like '30s', '15m', '1h', '1d'
+         * @returns {Number|null}           Window in milliseconds, null when the window is invalid
+         *
+         */
+        parseWindow : function(window) {
+            if (_.number(window)) {
+                return window > 0 ? window * 1000 : null;
+            }
+
+            var match = /^\s*(\d+(?:\.\d+)?)\s*([smhd])?\s*$/.exec(String(window));
+            if (!_.def(match) || Number(match[1]) <= 0) {
+                return null;
+            }
+
+            return Number(match[1]) * RateLimiter.DURATION_UNITS[match[2] || "s"];
+        }
+    },
+
+    _store              : null,
+
+    /**
+     *
+     * Constructs rate limiter
+     *
+     * @param {String} limiterName
+     * @param {Object} [config]
+     * @param {Object} [config.store]       Rate limit store, default is a MemoryRateLimitStore
+     *
+     */
+    constructor: function(limiterName, config) {
+        var me = "RateLimiter::constructor";
+
+        RateLimiter.$super.call(this, limiterName);
+
+        this._store = _.get(config, "store") || new MemoryRateLimitStore(limiterName + "::store");
+        if (!_.hasMethod(this._store, "consume")) {
+            _l.error(me, "Rate limit store is invalid, rate limiter {0} will not function properly".fmt(limiterName));
+            this._valid = false;
+        }
+    },
+
+    getStore : function() {
+        return this._store;
+    },
+
+    /**
+     *
+     * @param {String} keyPrefix        Identifies the quota, e.g. service name and endpoint name or group
+     * @param {Object} rateLimitDef     Also see class description
+     *
+     * @returns {function|null}         Middleware, function(req, res, next), null when the definition is invalid
+     *
+     */
+    createMiddleware : function(keyPrefix, rateLimitDef) {
+        var me      = this.getIName() + "::RateLimiter::createMiddleware";
+        var self    = this;
+
+        var limit   = {
+            algorithm   : rateLimitDef.algorithm || "slidingWindow",
+            window      : RateLimiter.parseWindow(rateLimitDef.window),
+            max         : rateLimitDef.max
+        };
+
+        if (!_.def(limit.window) || !_.number(limit.max) || limit.max < 1) {
+            _l.error(me, "{0} : rate limit requires a valid window and max, unable to create middleware".fmt(
+                    keyPrefix));
+            return null;
+        }
+
+        if (limit.algorithm !== "slidingWindow" && limit.algorithm !== "tokenBucket") {
+            _l.error(me, "{0} : unknown rate limit algorithm [{1}], unable to create middleware".fmt(
+                    keyPrefix, limit.algorithm));
+            return null;
+        }
+
+        return function(req, res, next) {
+            var key = keyPrefix + "|" + self._getClientKey(req, rateLimitDef.key);
+
+            self._store.consume(key, limit, function(result, err) {
+                if (_.def(err) || !_.obj(result)) {
+                    //Failing open, an unavailable store should not take down the API
+                    _l.error(me, "{0} : rate limit store failed, request is not limited : ".fmt(keyPrefix), err);
+                    next();
+                    return;
+                }
+
+                res.set({
+                    "RateLimit-Limit"       : String(limit.max),
+                    "RateLimit-Remaining"   : String(result.remaining),
+                    "RateLimit-Reset"       : String(Math.ceil(result.reset / 1000))
+                });
+
+                if (result.allowed) {
+                    next();
+                    return;
+                }
+
+                var retryAfter = Math.max(1, Math.ceil(result.retryAfter / 1000));
+                res.set("Retry-After", String(retryAfter));
+
+                next(new Errors.TooManyRequestsError(
+                        "Rate limit of {0} requests per {1} seconds exceeded".fmt(limit.max, limit.window / 1000),
+                        { retryAfter : retryAfter },
+                        "ERR_RATE_LIMITED"));
+            });
+        };
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _getClientKey : function(req, key) {
+        if (_.func(key)) {
+            return "fn:" + key(req);
+        }
+
+        var principalId = _.get(req.principal, "id");
+        if (key === "principal" && _.def(principalId)) {
+            return "principal:" + principalId;
+        }
+
+        return "ip:" + (req.ip || _.get(req.connection || req.socket, "remoteAddress") || "unknown");
+    }
+
+});
+
+module.exports = RateLimiter;
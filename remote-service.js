@@ -0,0 +1,846 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var http            = require("http");
+var https           = require("https");
+var stream          = require("stream");
+var StringDecoder   = require("string_decoder").StringDecoder;
+
+var Class           = require("jsface").Class;
+var Service         = require("./service.js");
+var RendersResponses= require("./renders-responses.js");
+var CircuitBreaker  = require("./circuit-breaker.js");
+var ResponseEnvelope= require("./response-envelope.js");
+var ResponseStream  = require("./response-stream.js");
+var ListQueryParser = require("./list-query-parser.js");
+var ListResult      = require("./list-result.js");
+var RequestContext  = require("./request-context.js");
+var ApiVersioning   = require("./api-versioning.js");
+var AsyncUtils      = require("./async-utils.js");
+var Errors          = require("./errors.js");
+
+/**
+ *
+ * @param {String} contentType
+ * @returns {boolean}   True if contentType is a JSON media type, not JSON lines
+ *
+ */
+function isJSON(contentType) {
+    return /^[^;]*[\/+]json\s*(;|$)/i.test(contentType || "");
+}
+
+function isNDJSON(contentType) {
+    return /^application\/x-ndjson\s*(;|$)/i.test(contentType || "");
+}
+
+/**
+ *
+ * @param {Object} item     Parsed JSON line
+ * @returns {boolean}       True if item is the error line written by StreamWriters.ndjson when the stream failed
+ *
+ */
+function isErrorLine(item) {
+    return _.obj(item) && Object.keys(item).length === 1 && _.obj(item.error) && _.number(item.error.status);
+}
+
+/**
+ *
+ * @param {Object} problem  Problem details, as rendered by the remote app
+ * @returns {FrameworkError}
+ *
+ */
+function fromProblem(problem) {
+    var error = Errors.FrameworkError.from({
+        status  : problem.status,
+        message : problem.detail || problem.title,
+        code    : problem.code,
+        details : problem.details
+    });
+
+    //The remote app already left out what clients should not see
+    error.wrapped = false;
+
+    return error;
+}
+
+/**
+ *
+ * @returns {Object}    Transform stream parsing JSON lines in to objects. A failure of the stream, an invalid line
+ *                      or the error line, is pushed as last item, an Error, such that the items before it are not
+ *                      lost; also see toItemIterator().
+ *
+ */
+function createNDJSONParser() {
+    var decoder     = new StringDecoder("utf8");
+    var buffered    = "";
+    var failed      = false;
+
+    var pushLines   = function(parser, lines) {
+        for (var idx = 0; idx < lines.length && !failed; idx++) {
+            if (lines[idx].trim() === "") {
+                continue;
+            }
+
+            var item = null;
+            try {
+                item = JSON.parse(lines[idx]);
+            } catch (err) {
+                item = new Errors.BadGatewayError("Remote service streamed an invalid JSON line");
+            }
+
+            if (isErrorLine(item)) {
+                item = fromProblem(item.error);
+            }
+
+            failed = item instanceof Error;
+            parser.push(item);
+        }
+    };
+
+    return new stream.Transform({
+        readableObjectMode  : true,
+
+        transform           : function(chunk, encoding, cbDone) {
+            var lines   = (buffered + decoder.write(chunk)).split("\n");
+            buffered    = lines.pop();
+
+            pushLines(this, lines);
+            cbDone();
+        },
+
+        flush               : function(cbDone) {
+            pushLines(this, [buffered + decoder.end()]);
+            cbDone();
+        }
+    });
+}
+
+/**
+ *
+ * @param {Object} parser   See createNDJSONParser()
+ * @returns {Object}        Async iterator of the items of the parser, rejecting with the Error item
+ *
+ */
+function toItemIterator(parser) {
+    var iterator    = parser[Symbol.asyncIterator]();
+    var items       = {
+        next        : function() {
+            return iterator.next().then(function(result) {
+                if (result.value instanceof Error) {
+                    throw result.value;
+                }
+
+                return result;
+            });
+        },
+
+        "return"    : function() {
+            return iterator["return"]();
+        }
+    };
+
+    items[Symbol.asyncIterator] = function() {
+        return items;
+    };
+
+    return items;
+}
+
+/**
+ *
+ * @class RemoteService
+ *
+ * A service that forwards the requests to its endpoints, over HTTP, to a service rendered by another app, e.g.
+ * running in another process. Renderers and server app chunks render responses for a remote service as for a local
+ * service, e.g. to render views for an API running elsewhere.
+ *
+ * The endpoint definitions are taken from the introspection endpoint of the other app, also see
+ * RendersResponses.renderIntrospectionEndpoint(). As they are loaded asynchronously, load the remote service before
+ * rendering responses for it:
+ *
+ *      //In the other app
+ *      apiRenderer.renderResponsesFor(usersService, "/api");
+ *      apiRenderer.renderIntrospectionEndpoint();
+ *
+ *      //In this app
+ *      var users = new RemoteService("users", { baseURL : "http://users.internal:8080", timeout : 2000 });
+ *      users.load(function(loaded, err) {
+ *          viewsChunk.renderResponsesFor(users, "/users");
+ *      });
+ *
+ * Alternatively, give the endpoint table, and the path root at which the other app renders the service, in the
+ * configuration.
+ *
+ * Path parameters, query, body and the forwarded headers, e.g. Authorization, of requests are sent to the other
+ * app, that authenticates and validates the requests as usual, and the request ID is passed on in the X-Request-Id
+ * header. The endpoint methods give:
+ *
+ *  * the parsed JSON responses, in a ResponseEnvelope when the status is not 200 or headers are forwarded, and as
+ *    ListResult for collection endpoints, such that the links point to this app
+ *  * a ResponseStream for streamed responses, JSON lines as objects and other content, e.g. file downloads, as bytes
+ *  * a FrameworkError matching the problem details of error responses. When the other app can not be reached
+ *    or gives an invalid response, a BadGatewayError (502), and when it does not respond in time a
+ *    GatewayTimeoutError (504).
+ *
+ * Idempotent requests that fail because the other app can not be reached, does not respond in time or responds
+ * with 502, 503 or 504, are retried after an increasing delay. Failures are also counted by a circuit breaker: after
+ * too many consecutive failures, requests fail fast with a ServiceUnavailableError (503), with code
+ * ERR_CIRCUIT_OPEN, until the other app had time to recover. Also see CircuitBreaker.
+ *
+ */
+var RemoteService = Class(Service, {
+
+    $statics : {
+        //Milliseconds without activity on the connection after which a request to the other app times out
+        DEFAULT_TIMEOUT             : 10000,
+
+        DEFAULT_RETRIES             : 2,
+
+        //Milliseconds before the first retry, doubled for every next retry
+        DEFAULT_RETRY_DELAY         : 100,
+
+        IDEMPOTENT_METHODS          : ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"],
+
+        RETRIED_STATUSES            : [502, 503, 504],
+
+        FORWARDED_HEADERS           : ["authorization", "cookie", "accept-language", "last-event-id"],
+
+        FORWARDED_RESPONSE_HEADERS  : ["location", "retry-after", "set-cookie", "content-language"]
+    },
+
+    _baseURL            : null,
+
+    _remoteName         : null,
+
+    _remoteVersion      : null,
+
+    _remoteVersioning   : null,
+
+    _introspectionPath  : null,
+
+    _servicePathRoot    : null,
+
+    _timeout            : null,
+
+    _retries            : null,
+
+    _retryDelay         : null,
+
+    _circuitBreaker     : null,
+
+    _forwardedHeaders   : null,
+
+    _agent              : null,
+
+    _loaded             : false,
+
+    /**
+     *
+     * Constructs remote service
+     *
+     * @param {String} serviceName                  Name of the service
+     *
+     * @param {Object} config                       Configuration object, also see Service. Besides the Service
+     *                                              configuration properties:
+     * @param {String} config.baseURL               URL of the other app, e.g. http://users.internal:8080
+     * @param {String} [config.remoteName]          Name of the service in the other app, default is serviceName
+     * @param {String} [config.remoteVersion]       Version of the service in the other app, when it renders several
+     *                                              versions. Default is the first rendered version.
+     * @param {String} [config.introspectionPath='/introspection']
+     *                                              Path of the introspection endpoint of the other app
+     * @param {Object} [config.endpointTable]       Endpoint definitions, when not loaded from the other app
+     * @param {String} [config.servicePathRoot]     Path root at which the other app renders the service, default
+     *                                              is given by the introspection endpoint, else '/'
+     * @param {Number} [config.timeout=10000]       Milliseconds without activity on the connection after which a
+     *                                              request times out. Streamed responses do not time out.
+     * @param {Number} [config.retries=2]           Maximum number of retries of failed idempotent requests
+     * @param {Number} [config.retryDelay=100]      Milliseconds before the first retry, doubled for every next retry
+     * @param {CircuitBreaker|Object|boolean} [config.circuitBreaker]
+     *                                              Circuit breaker, or its configuration {threshold, resetTimeout},
+     *                                              false to disable circuit breaking. Also see CircuitBreaker.
+     * @param {Array} [config.forwardHeaders]       Names of the request headers to forward, besides
+     *                                              RemoteService.FORWARDED_HEADERS
+     * @param {Object} [config.agent]               HTTP(S) agent, e.g. to keep connections alive
+     *
+     */
+    constructor: function(serviceName, config) {
+        var me              = "RemoteService::constructor";
+        var serviceConfig   = {};
+
+        for (var key in config) {
+            serviceConfig[key] = config[key];
+        }
+
+        var endpointTable   = _.get(config, "endpointTable");
+        serviceConfig.endpointTable = _.obj(endpointTable) ? endpointTable : {};
+
+        RemoteService.$super.call(this, serviceName, serviceConfig);
+
+        this._baseURL           = String(_.get(config, "baseURL") || "").replace(/\/+$/, "");
+        this._remoteName        = _.get(config, "remoteName") || serviceName;
+        this._remoteVersion     = ApiVersioning.normalizeVersion(_.get(config, "remoteVersion"));
+        this._remoteVersioning  = ApiVersioning.STRATEGY_URL;
+        this._introspectionPath = _.get(config, "introspectionPath") || RendersResponses.DEFAULT_INTROSPECTION_PATH;
+        this._servicePathRoot   = _.get(config, "servicePathRoot") || null;
+        this._timeout           = _.number(_.get(config, "timeout")) ? config.timeout : RemoteService.DEFAULT_TIMEOUT;
+        this._retries           = _.number(_.get(config, "retries")) ? config.retries : RemoteService.DEFAULT_RETRIES;
+        this._retryDelay        = _.number(_.get(config, "retryDelay")) ?
+                config.retryDelay :
+                RemoteService.DEFAULT_RETRY_DELAY;
+        this._forwardedHeaders  = RemoteService.FORWARDED_HEADERS.concat(
+                (_.get(config, "forwardHeaders") || []).map(function(name) {
+                    return String(name).toLowerCase();
+                }));
+        this._agent             = _.get(config, "agent") || undefined;
+        this._loaded            = _.obj(endpointTable);
+
+        var circuitBreaker      = _.get(config, "circuitBreaker");
+        if (circuitBreaker instanceof CircuitBreaker || circuitBreaker === false) {
+            this._circuitBreaker = circuitBreaker || null;
+        } else {
+            this._circuitBreaker = new CircuitBreaker(serviceName + "::circuitBreaker", circuitBreaker);
+        }
+
+        if (!/^https?:\/\/[^\/]+/i.test(this._baseURL)) {
+            _l.error(me, ("A valid HTTP(S) baseURL of the other app is required, " +
+                          "{0} service will not function properly.").fmt(serviceName));
+            this._valid = false;
+        }
+    },
+
+    getBaseURL : function() {
+        return this._baseURL;
+    },
+
+    /**
+     *
+     * @returns {String}    Path root at which the other app renders the service
+     *
+     */
+    getServicePathRoot : function() {
+        return this._servicePathRoot || "/";
+    },
+
+    getCircuitBreaker : function() {
+        return this._circuitBreaker;
+    },
+
+    /**
+     *
+     * @returns {boolean}   True if the endpoint definitions are available, given or loaded
+     *
+     */
+    isLoaded : function() {
+        return this._loaded;
+    },
+
+    /**
+     *
+     * Loads the endpoint definitions from the introspection endpoint of the other app
+     *
+     * @param {function} [cbReady]      cbReady(success, err). When not given a promise is returned.
+     *
+     * @returns {Promise|undefined}     Promise resolving when loaded, when no cbReady is given
+     *
+     */
+    load : function(cbReady) {
+        var me      = this.getIName() + "::RemoteService::load";
+        var self    = this;
+
+        return AsyncUtils.callbackOrPromise(function(cbDone) {
+            var headers = { accept : "application/json" };
+
+            self._request("GET", self._introspectionPath, headers, undefined, function(response, err) {
+                if (!_.def(err) && response.status !== 200) {
+                    err = self._toError(response);
+                }
+
+                var document = _.def(err) ? null : self._parseJSON(response);
+                if (!_.def(err) && !_.array(_.get(document, "services"))) {
+                    err = new Errors.BadGatewayError("Invalid introspection document at {0}{1}".fmt(
+                            self._baseURL, self._introspectionPath));
+                }
+
+                var description = _.def(err) ? null : self._findServiceDescription(document.services);
+                if (!_.def(err) && !_.def(description)) {
+                    err = new Errors.NotFoundError("Service {0}{1} is not rendered by {2}, available are : {3}".fmt(
+                            self._remoteName,
+                            _.def(self._remoteVersion) ? " v" + self._remoteVersion : "",
+                            self._baseURL,
+                            document.services.map(function(service) {
+                                return service.name + (_.def(service.version) ? " v" + service.version : "");
+                            }).join(", ")));
+                }
+
+                if (_.def(err)) {
+                    _l.error(me, "Unable to load endpoint definitions : ", err);
+                    cbDone(false, err);
+                    return;
+                }
+
+                self._setEndpointTable(_.obj(description.endpoints) ? description.endpoints : {});
+                self._servicePathRoot   = self._servicePathRoot || description.servicePathRoot || "/";
+                self._remoteVersion     = ApiVersioning.normalizeVersion(description.version);
+                self._remoteVersioning  = description.versioning || ApiVersioning.STRATEGY_URL;
+
+                _l.info(me, "Loaded {0} endpoint definitions of {1}, rendered at [{2}]".fmt(
+                        self.getEndpointNames().length, self._baseURL, self._servicePathRoot));
+                cbDone(self.isValid());
+            });
+        }, cbReady);
+    },
+
+    /**
+     *
+     * Forwards the request to the endpoint of the service in the other app
+     *
+     * @param {String} endpointName
+     * @param {Object} req                  Request with params, query, headers and body
+     * @param {function} [cbReady]          cbReady(data, err), also see class description. When not given a promise
+     *                                      is returned.
+     *
+     * @returns {Promise|undefined}         Promise resolving with the data, when no cbReady is given
+     *
+     */
+    forward : function(endpointName, req, cbReady) {
+        var self = this;
+
+        return AsyncUtils.callbackOrPromise(function(cbDone) {
+            var endpointDef = self.getEndpointDefFor(endpointName);
+            if (!_.obj(endpointDef)) {
+                cbDone(null, new Errors.NotFoundError("Service {0} has no endpoint {1}".fmt(
+                        self.getIName(), endpointName)));
+                return;
+            }
+
+            var method  = String(endpointDef.HTTPMethod || "get").toUpperCase();
+            var URLPath = null;
+            try {
+                URLPath = self._createPath(endpointDef, _.get(req, "params")) +
+                          self._createQueryString(_.get(req, "query"));
+            } catch (err) {
+                cbDone(null, err);
+                return;
+            }
+
+            var body    = _.get(req, "body");
+            var hasBody = _.def(body) && method !== "GET" && method !== "HEAD";
+
+            var headers = self._createHeaders(req);
+            if (hasBody) {
+                headers["content-type"] = "application/json";
+            }
+
+            self._request(method, URLPath, headers, hasBody ? JSON.stringify(body) : undefined,
+                          function(response, err) {
+                if (_.def(err)) {
+                    cbDone(null, err);
+                    return;
+                }
+
+                self._toResult(endpointDef, response, cbDone);
+            });
+        }, cbReady);
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _start : function(cbReady) {
+        if (this._loaded) {
+            cbReady(true);
+            return;
+        }
+
+        this.load(cbReady);
+    },
+
+    _checkHealth : function(cbReady) {
+        var circuit = _.def(this._circuitBreaker) ? this._circuitBreaker.getStats() : null;
+
+        if (_.get(circuit, "state") === CircuitBreaker.STATE_OPEN) {
+            cbReady(null, new Error("Circuit of remote service at {0} is open".fmt(this._baseURL)));
+            return;
+        }
+
+        cbReady({
+            baseURL : this._baseURL,
+            circuit : circuit
+        });
+    },
+
+    _mapEndpointsToMethods : function() {
+        var self    = this;
+        var methods = {};
+
+        var endpointNames = this.getEndpointNames() || [];
+        endpointNames.forEach(function(endpointName) {
+            methods[endpointName] = function(req, cbReady) {
+                self.forward(endpointName, req, cbReady);
+            };
+        });
+
+        return methods;
+    },
+
+    _setEndpointTable : function(endpointTable) {
+        this._endpointTable     = endpointTable;
+        this._endpointMethodMap = this._mapEndpointsToMethods();
+        this._loaded            = true;
+    },
+
+    _findServiceDescription : function(descriptions) {
+        var self = this;
+
+        var matching = descriptions.filter(function(description) {
+            return _.get(description, "name") === self._remoteName && (!_.def(self._remoteVersion) ||
+                   ApiVersioning.normalizeVersion(description.version) === self._remoteVersion);
+        });
+
+        return matching.length > 0 ? matching[0] : null;
+    },
+
+    /**
+     *
+     * @param {Object} endpointDef
+     * @param {Object} [params]
+     *
+     * @returns {String}        URL path of the endpoint in the other app, with the params filled in
+     *
+     * @protected
+     */
+    _createPath : function(endpointDef, params) {
+        var URLPath = _.joinPaths([this.getServicePathRoot(), endpointDef.URLSubpath]);
+        var param   = /(\/?):([A-Za-z0-9_]+)(\([^)]*\))?(\?)?/g;
+
+        return URLPath.replace(param, function(match, slash, name, regex, optional) {
+            var value = _.get(params, name);
+            if (!_.def(value)) {
+                if (optional) {
+                    return "";
+                }
+
+                throw new Errors.ValidationError("Path parameter {0} is required".fmt(name));
+            }
+
+            return slash + encodeURIComponent(String(value));
+        });
+    },
+
+    _createQueryString : function(query) {
+        var search = new URLSearchParams();
+
+        for (var name in query) {
+            var values = _.array(query[name]) ? query[name] : [query[name]];
+
+            for (var idx in values) {
+                if (_.def(values[idx])) {
+                    search.append(name, _.obj(values[idx]) ? JSON.stringify(values[idx]) : String(values[idx]));
+                }
+            }
+        }
+
+        var queryString = search.toString();
+        return queryString.length > 0 ? "?" + queryString : "";
+    },
+
+    _createHeaders : function(req) {
+        var reqHeaders  = _.get(req, "headers") || {};
+        var headers     = {};
+        var accept      = ["application/json", "application/x-ndjson;q=0.9", "*/*;q=0.5"];
+
+        for (var idx in this._forwardedHeaders) {
+            var name = this._forwardedHeaders[idx];
+            if (_.def(reqHeaders[name])) {
+                headers[name] = reqHeaders[name];
+            }
+        }
+
+        if (_.def(this._remoteVersion) && this._remoteVersioning === ApiVersioning.STRATEGY_HEADER) {
+            headers[ApiVersioning.VERSION_HEADER.toLowerCase()] = this._remoteVersion;
+        }
+
+        if (_.def(this._remoteVersion) && this._remoteVersioning === ApiVersioning.STRATEGY_MEDIA_TYPE) {
+            accept[0] = "application/json; version=" + this._remoteVersion;
+        }
+        headers.accept = accept.join(", ");
+
+        var context = _.get(req, "context") || RequestContext.current();
+        if (_.def(_.get(context, "requestId"))) {
+            headers[RequestContext.REQUEST_ID_HEADER.toLowerCase()] = context.requestId;
+        }
+
+        return headers;
+    },
+
+    /**
+     *
+     * Sends the request to the other app, retrying failed idempotent requests, when the circuit is not open
+     *
+     * @param {String} method
+     * @param {String} URLPath          Path and query string
+     * @param {Object} headers
+     * @param {String} [body]
+     * @param {function} cbReady        cbReady(response, err), response is {status, headers, body, stream}, see
+     *                                  _send()
+     *
+     * @protected
+     */
+    _request : function(method, URLPath, headers, body, cbReady) {
+        var me          = this.getIName() + "::RemoteService::_request";
+        var self        = this;
+        var breaker     = this._circuitBreaker;
+        var idempotent  = RemoteService.IDEMPOTENT_METHODS.indexOf(method) >= 0;
+        var numRetries  = 0;
+
+        var attempt = function() {
+            if (_.def(breaker) && !breaker.allowRequest()) {
+                cbReady(null, new Errors.ServiceUnavailableError(
+                        "Circuit of remote service at {0} is open".fmt(self._baseURL),
+                        { retryAfter : Math.ceil(breaker.getRetryAfter() / 1000) },
+                        "ERR_CIRCUIT_OPEN"));
+                return;
+            }
+
+            self._send(method, URLPath, headers, body, function(response, err) {
+                var status = _.get(response, "status");
+
+                if (_.def(breaker) && (_.def(err) || status >= 500)) {
+                    breaker.recordFailure();
+                } else if (_.def(breaker)) {
+                    breaker.recordSuccess();
+                }
+
+                var failed = _.def(err) || RemoteService.RETRIED_STATUSES.indexOf(status) >= 0;
+                if (!failed || !idempotent || numRetries >= self._retries) {
+                    cbReady(response, err);
+                    return;
+                }
+
+                var delay = self._retryDelay * Math.pow(2, numRetries);
+                numRetries += 1;
+
+                _l.warn(me, "{0} {1} failed, retry {2} of {3} in {4} ms : ".fmt(
+                        method, URLPath, numRetries, self._retries, delay), err || status);
+                setTimeout(attempt, delay);
+            });
+        };
+
+        attempt();
+    },
+
+    /**
+     *
+     * @param {String} method
+     * @param {String} URLPath
+     * @param {Object} headers
+     * @param {String} [body]
+     * @param {function} cbReady        cbReady(response, err), response is {status, headers, body, stream}. Error
+     *                                  responses, JSON and empty responses are read in to body (a Buffer), other
+     *                                  content is given as stream.
+     *
+     * @protected
+     */
+    _send : function(method, URLPath, headers, body, cbReady) {
+        var self        = this;
+        var timedOut    = false;
+        var done        = false;
+
+        var finish      = function(response, err) {
+            if (!done) {
+                done = true;
+                cbReady(response, err);
+            }
+        };
+
+        var toError     = function(err) {
+            return timedOut ?
+                    new Errors.GatewayTimeoutError("Remote service at {0} did not respond within {1} ms".fmt(
+                            self._baseURL, self._timeout)) :
+                    new Errors.BadGatewayError("Remote service at {0} is unreachable : {1}".fmt(
+                            self._baseURL, _.get(err, "message") || err));
+        };
+
+        var url = null;
+        try {
+            url = new URL(this._baseURL + URLPath);
+        } catch (err) {
+            finish(null, new Errors.InternalError("Invalid URL {0}{1}".fmt(this._baseURL, URLPath)));
+            return;
+        }
+
+        var transport   = url.protocol === "https:" ? https : http;
+        var request     = transport.request(url, {
+            method  : method,
+            headers : headers,
+            agent   : this._agent
+        }, function(response) {
+            var contentType = response.headers["content-type"] || "";
+            var result      = {
+                status  : response.statusCode,
+                headers : response.headers,
+                body    : null,
+                stream  : null
+            };
+
+            var isStream    = response.statusCode < 400 && response.statusCode !== 204 &&
+                              contentType !== "" && !isJSON(contentType);
+            if (isStream) {
+                //Streams are read by the client of this app, at its own pace
+                request.setTimeout(0);
+
+                result.stream = response;
+                finish(result);
+                return;
+            }
+
+            var chunks = [];
+            response.on("data", function(chunk) {
+                chunks.push(chunk);
+            });
+            response.on("end", function() {
+                result.body = Buffer.concat(chunks);
+                finish(result);
+            });
+            response.on("aborted", function() {
+                finish(null, toError(new Error("Response aborted")));
+            });
+            response.on("error", function(err) {
+                finish(null, toError(err));
+            });
+        });
+
+        request.setTimeout(this._timeout, function() {
+            timedOut = true;
+            request.destroy(new Error("Timeout"));
+        });
+
+        request.on("error", function(err) {
+            finish(null, toError(err));
+        });
+
+        request.end(body);
+    },
+
+    _parseJSON : function(response) {
+        try {
+            return JSON.parse(response.body.toString("utf8"));
+        } catch (err) {
+            return null;
+        }
+    },
+
+    /**
+     *
+     * @param {Object} response     Error response, see _send()
+     * @returns {FrameworkError}    Error matching the problem details of the response
+     *
+     * @protected
+     */
+    _toError : function(response) {
+        var problem = isJSON(response.headers["content-type"]) ? this._parseJSON(response) : null;
+
+        if (_.obj(problem) && _.number(problem.status)) {
+            return fromProblem(problem);
+        }
+
+        return Errors.FrameworkError.from({
+            status  : response.status,
+            message : "Remote service at {0} responded with status {1}".fmt(this._baseURL, response.status)
+        });
+    },
+
+    /**
+     *
+     * @param {Object} endpointDef
+     * @param {Object} response         See _send()
+     * @param {function} cbReady        cbReady(data, err)
+     *
+     * @protected
+     */
+    _toResult : function(endpointDef, response, cbReady) {
+        if (response.status >= 400) {
+            cbReady(null, this._toError(response));
+            return;
+        }
+
+        var data = null;
+        if (_.def(response.stream)) {
+            data = this._toResponseStream(response);
+        } else if (response.body.length > 0) {
+            data = this._parseJSON(response);
+
+            if (!_.def(data)) {
+                cbReady(null, new Errors.BadGatewayError("Remote service at {0} responded with invalid JSON".fmt(
+                        this._baseURL)));
+                return;
+            }
+        }
+
+        if (ListQueryParser.isCollection(endpointDef) && _.array(_.get(data, "data")) && _.obj(data.meta)) {
+            data = new ListResult({
+                items       : data.data,
+                total       : data.meta.total,
+                nextCursor  : data.meta.nextCursor,
+                prevCursor  : data.meta.prevCursor,
+                hasMore     : _.def(_.get(data.links, "next"))
+            });
+        }
+
+        var headers = {};
+        for (var idx in RemoteService.FORWARDED_RESPONSE_HEADERS) {
+            var name = RemoteService.FORWARDED_RESPONSE_HEADERS[idx];
+            if (_.def(response.headers[name])) {
+                headers[name] = response.headers[name];
+            }
+        }
+
+        if (response.status === 200 && _.empty(headers)) {
+            cbReady(data);
+            return;
+        }
+
+        cbReady(new ResponseEnvelope({
+            status  : response.status,
+            headers : headers,
+            body    : data
+        }));
+    },
+
+    _toResponseStream : function(response) {
+        var source      = response.stream;
+        var contentType = response.headers["content-type"] || "";
+
+        if (isNDJSON(contentType)) {
+            var parser = createNDJSONParser();
+
+            //Closing the stream, e.g. when the client is gone, aborts the response of the other app
+            parser.on("close", function() {
+                source.destroy();
+            });
+            source.on("error", function(err) {
+                parser.push(new Errors.BadGatewayError("Stream of remote service failed : " + err.message));
+                parser.push(null);
+            });
+
+            return new ResponseStream(toItemIterator(source.pipe(parser)));
+        }
+
+        var disposition = /filename="([^"]*)"/.exec(response.headers["content-disposition"] || "");
+        var size        = parseInt(response.headers["content-length"], 10);
+
+        return new ResponseStream(source, {
+            format          : ResponseStream.FORMAT_FILE,
+            contentType     : contentType || null,
+            filename        : _.def(disposition) ? disposition[1] : null,
+            size            : isNaN(size) ? null : size,
+            lastModified    : response.headers["last-modified"] || null
+        });
+    }
+
+});
+
+module.exports = RemoteService;
@@ -1,8 +1,24 @@
 var _               = require('./libs/corelib-web/utils.js')._;
-var _l              = require('./libs/corelib-web/logger.js').logger;
+var _l              = require('./request-logger.js').logger;
 
 var Class           = require("jsface").Class;
 var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var RequestValidator= require("./request-validator.js");
+var AsyncUtils      = require("./async-utils.js");
+var Errors          = require("./errors.js");
+var ResponseEnvelope= require("./response-envelope.js");
+var ExpressAdapter  = require("./adapters/express-adapter.js");
+var ApiVersioning   = require("./api-versioning.js");
+var VersionDispatcher= require("./version-dispatcher.js");
+var ListQueryParser = require("./list-query-parser.js");
+var ListResult      = require("./list-result.js");
+var ResponseCache   = require("./response-cache.js");
+var RateLimiter     = require("./rate-limiter.js");
+var RequestContext  = require("./request-context.js");
+var Service         = require("./service.js");
+var Instrumentation = require("./instrumentation.js");
+var ResponseStream  = require("./response-stream.js");
+var StreamWriters   = require("./stream-writers.js");
 
 /**
  *
@@ -14,8 +30,22 @@ var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
  * The endpoint methods in service must have the following calling convention:
  *      function(req, cbReady) with cbReady(data, err)
  *
+ * Alternatively, endpoint methods can return a Promise (e.g. async functions), resolving with the data.
+ * A rejected Promise, or an exception thrown by the endpoint method, is passed to the render method as err.
+ *
+ * Instead of plain data, endpoint methods can give a ResponseEnvelope with status, headers, cookies and body.
+ * The headers and cookies are set on the response, the render method is called with the body as data and with the
+ * status of the envelope.
+ *
+ * Endpoint methods can also give a stream source, a readable stream, async iterator or event emitter, or a
+ * ResponseStream. The items are streamed to the client as JSON lines, Server-Sent Events or file download, instead of
+ * calling the render method; errors occurring before the response is started are rendered by the render method.
+ * Also see ResponseStream and StreamWriters.
+ *
  * You need to override :
- * - getHTTPServer(), to get an instance of the server on which to register requests (routes)
+ * - getHTTPServer(), to get an instance of the server on which to register requests (routes). This is either an
+ *   HTTPAdapter (e.g. NodeHTTPAdapter, KoaAdapter, FastifyAdapter) or an Express-like server, that is wrapped in an
+ *   ExpressAdapter. Also see getHTTPAdapter().
  * - getRenderMethodForEndpoint(endpointName), to get the response rendering method for the given an endpoint
  *
  *   The render methods must have the following calling convention:
@@ -24,13 +54,74 @@ var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
  *   data and err are the results of calling the endpoints for
  *   which to render responses, also see renderResponsesFor description.
  *
+ *   Render methods can also return a Promise. Exceptions thrown by render methods and rejected Promises are
+ *   forwarded to next(err).
+ *
+ * Middleware functions, function(req, res, next), can be attached at three levels and are registered with the
+ * endpoint handler in the following order:
+ *  1. options.middleware given to renderResponsesFor
+ *  2. middleware of the service, see Service.getMiddleware()
+ *  3. middleware property of the endpoint definition
+ *
+ * Before any of this middleware runs, the framework creates the request context, with request ID, service, endpoint
+ * and timing, and makes it available as req.context and through RequestContext.current() to the middleware, the
+ * endpoint method and the render method. Also see RequestContext and RequestLogger.
+ *
+ * Every endpoint is instrumented, counting requests and errors and measuring processing and rendering time, also see
+ * Instrumentation. The measurement starts when the request context is created, such that requests refused by
+ * middleware, e.g. by authentication or rate limiting, are counted too.
+ *
+ * After this user provided middleware, the framework adds middleware for features declared in the endpoint
+ * definition or service defaults, e.g. authentication (see AuthenticatorRegistry) and rate limiting (see
+ * RateLimiter).
+ *
+ * For collection endpoints, the pagination, sorting and filtering query parameters are parsed in to req.listQuery,
+ * also see ListQueryParser. When the endpoint method of a collection endpoint gives a ListResult or an array of items,
+ * the render method is called with the standard list envelope, {data, meta, links}, as data and the Link header is
+ * set. Also see ListResult.
+ *
+ * Processing results of endpoints that declare a cache definition are cached, and endpoints that declare the cache
+ * tags they invalidate, invalidate the cache entries with these tags after successful processing. Also see
+ * ResponseCache.
+ *
+ * Several versions of a service can be rendered at the same time, e.g. :
+ *
+ *      renderer.renderResponsesFor(new UsersService("users", { version : '1', endpointTable : v1Table }), "/api");
+ *      renderer.renderResponsesFor(new UsersService("users", { version : '2', endpointTable : v2Table }), "/api");
+ *
+ * By default every version gets its own path root, e.g. /api/v1 and /api/v2. With the header or mediaType versioning
+ * strategy, the versions share their paths and requests are dispatched to the version the client asks for.
+ * The version handling a request is available as req.apiVersion. Also see ApiVersioning and VersionDispatcher.
+ *
+ * Every registered route is recorded in the route registry of the HTTP adapter, see getRouteRegistry().
+ * Routes conflicting with earlier registered routes, of any service or server app chunk on the same server, are
+ * refused: the endpoint is not rendered and renderResponsesFor() fails. Set allowRouteConflict in the endpoint
+ * definition to register the route anyway.
+ *
+ * The rendered services can be described by an introspection endpoint, see renderIntrospectionEndpoint(), such that
+ * other apps can render responses for them through a RemoteService.
+ *
+ * When the endpoint definition of an endpoint declares params, query, headers and/or body schemas,
+ * requests are validated before the endpoint method is called. Invalid requests are passed to next() with
+ * a ValidationError with code ERR_REQUEST_INVALID. Also see RequestValidator and Errors.
+ *
  */
 var RendersResponses = Class({
 
     $statics : {
         REQUIRED_SERVICE_IF : {
             methods : ["getIName", "getEndpointNames", "getEndpointDefFor"]
-        }
+        },
+
+        DEFAULT_INTROSPECTION_PATH  : "/introspection",
+
+        /**
+         * The properties of endpoint definitions that describe the HTTP interface of endpoints, included in the
+         * introspection document, also see getIntrospectionDocument()
+         */
+        INTROSPECTED_PROPERTIES     : ["HTTPMethod", "URLSubpath", "params", "query", "headers", "body", "collection",
+                                       "summary", "description", "tags", "operationId", "clientMethod", "deprecated",
+                                       "sunset", "deprecationLink", "sunsetLink", "responses"]
     },
 
     getHTTPServer : function() {
@@ -42,6 +133,143 @@ var RendersResponses = Class({
         return null;
     },
 
+    /**
+     *
+     * @returns {HTTPAdapter|null}  Adapter for the HTTP server, on which endpoint handlers are registered
+     *
+     */
+    getHTTPAdapter : function() {
+        var server = this.getHTTPServer();
+
+        //This is a mixin without constructor, thus the adapter is created on first use
+        if (!_.def(this._httpAdapter) || this._httpAdapter.server !== server) {
+            this._httpAdapter = {
+                server  : server,
+                adapter : ExpressAdapter.adapt(server)
+            };
+        }
+
+        return this._httpAdapter.adapter;
+    },
+
+    /**
+     *
+     * @returns {RouteRegistry|null}    Registry of the routes registered at the HTTP server, also see RouteRegistry
+     *
+     */
+    getRouteRegistry : function() {
+        var adapter = this.getHTTPAdapter();
+        return _.def(adapter) ? adapter.getRouteRegistry() : null;
+    },
+
+    /**
+     *
+     * @returns {Array} List of {service, servicePathRoot, endpointNames, version, versioning} objects, one for every
+     *                  successful renderResponsesFor() call. Used to, for instance, generate API documentation.
+     *
+     */
+    getRenderedServices : function() {
+        return _.array(this._renderedServices) ? this._renderedServices.slice() : [];
+    },
+
+    /**
+     *
+     * @returns {Object}    Introspection document describing the rendered services, used by RemoteService to render
+     *                      responses for these services in another process, e.g. :
+     *
+     *                      {
+     *                          services : [{
+     *                              name            : 'users',
+     *                              version         : '2',              //null when the service is not versioned
+     *                              versioning      : 'url',            //Versioning strategy, see ApiVersioning
+     *                              servicePathRoot : '/api/v2',
+     *                              endpoints       : {
+     *                                  'GET user'  : { HTTPMethod : 'get', URLSubpath : '/users/:id', ... }
+     *                              }
+     *                          }]
+     *                      }
+     *
+     *                      Only the properties of endpoint definitions that describe the HTTP interface are included,
+     *                      see RendersResponses.INTROSPECTED_PROPERTIES, not e.g. auth definitions and middleware.
+     *
+     */
+    getIntrospectionDocument : function() {
+        var rendered    = this.getRenderedServices();
+        var services    = [];
+
+        for (var idx in rendered) {
+            var endpoints = {};
+
+            for (var eIdx in rendered[idx].endpointNames) {
+                var endpointName    = rendered[idx].endpointNames[eIdx];
+                var endpointDef     = rendered[idx].service.getEndpointDefFor(endpointName);
+                if (_.obj(endpointDef)) {
+                    endpoints[endpointName] = this._llToIntrospectedEndpointDef(endpointDef);
+                }
+            }
+
+            services.push({
+                name            : rendered[idx].service.getIName(),
+                version         : rendered[idx].version || null,
+                versioning      : rendered[idx].versioning || ApiVersioning.STRATEGY_URL,
+                servicePathRoot : rendered[idx].servicePathRoot,
+                endpoints       : endpoints
+            });
+        }
+
+        return {
+            services : services
+        };
+    },
+
+    /**
+     *
+     * Registers a GET endpoint serving the introspection document as JSON, also see getIntrospectionDocument().
+     * The document is created on every request, such that it is always in line with the rendered services.
+     *
+     * @param {String} [URLPath='/introspection']
+     *
+     * @returns {boolean}       True on success
+     *
+     */
+    renderIntrospectionEndpoint : function(URLPath) {
+        var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
+        var me              = instanceName + "::RendersResponses::renderIntrospectionEndpoint";
+        var self            = this;
+
+        URLPath             = URLPath || RendersResponses.DEFAULT_INTROSPECTION_PATH;
+
+        var adapter         = this.getHTTPAdapter();
+        if (!_.def(adapter) || !adapter.supportsMethod("get")) {
+            _l.error(me, "Server does not support GET routes, unable to render introspection endpoint");
+            return false;
+        }
+
+        var route = adapter.getRouteRegistry().add({
+            owner       : instanceName,
+            endpoint    : "Introspection",
+            method      : "get",
+            path        : URLPath
+        });
+        if (!_.def(route)) {
+            _l.error(me, "Route of introspection endpoint refused, unable to register introspection endpoint");
+            return false;
+        }
+
+        var registered = adapter.register("get", URLPath, [function(req, res, next) {
+            res.set("Cache-Control", "no-store");
+            res.json(self.getIntrospectionDocument());
+        }]);
+        if (!registered) {
+            adapter.getRouteRegistry().remove(route);
+            _l.error(me, "Unable to register introspection endpoint");
+            return false;
+        }
+
+        _l.info(me, "Introspection document served at [{0}]".fmt(URLPath));
+        return true;
+    },
+
     getRenderMethodForEndpoint : function(endpointName) {
         var instanceName = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
         var me = instanceName+"::RendersResponses::getRenderMethodForEndpoint";
@@ -56,12 +284,27 @@ var RendersResponses = Class({
      *
      * @param service
      * @param servicePathRoot
-     * @param {array} [endpoints]   Endpoints to render responses for.
-     *                              If not provided responses will be rendered for all endpoints handled
-     *                              by service
-     * @returns {boolean}
+     * @param {array} [endpoints]               Endpoints to render responses for.
+     *                                          If not provided responses will be rendered for all endpoints
+     *                                          handled by service
+     * @param {Object} [options]
+     * @param {Array} [options.middleware]      Ordered list of middleware functions, function(req, res, next),
+     *                                          to run before the handlers of all rendered endpoints
+     * @param {String} [options.version]        API version to render the service as, by default the version of the
+     *                                          service, see Service.getVersion()
+     * @param {String} [options.versioning='url']
+     *                                          Versioning strategy: url, header or mediaType, also see ApiVersioning.
+     *                                          All versions of an endpoint must use the same strategy and, with the
+     *                                          header or mediaType strategy, must be rendered by the same renderer.
+     * @param {boolean} [options.defaultVersion]
+     *                                          With the header or mediaType strategy, when true, requests that do not
+     *                                          specify a version are handled by this version. By default the
+     *                                          highest version handles these requests.
+     * @returns {boolean}                       False when responses can not be rendered for any endpoint, or when
+     *                                          routes of endpoints are refused because they conflict with earlier
+     *                                          registered routes
      */
-    renderResponsesFor : function(service, servicePathRoot, endpoints) {
+    renderResponsesFor : function(service, servicePathRoot, endpoints, options) {
         var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
         var me              = instanceName + "::RendersResponses::renderResponsesFor";
         var success         = false;
@@ -78,6 +321,18 @@ var RendersResponses = Class({
         var serviceName     = service.getIName();
         var endpointNames   = _.array(endpoints) ? endpoints : service.getEndpointNames();
 
+        var versioning      = this._llGetVersioning(service, options);
+        if (!_.def(versioning)) {
+            _l.error(me, "Invalid versioning options, unable to setup response rendering for endpoints of {0}"
+                    .fmt(serviceName));
+
+            return success;
+        }
+
+        if (_.def(versioning.version) && versioning.strategy === ApiVersioning.STRATEGY_URL) {
+            servicePathRoot = ApiVersioning.getVersionPath(servicePathRoot, versioning.version);
+        }
+
         if (!_.array(endpointNames)) {
             _l.error(me, ("No valid list of endpoint names given by service, " +
                           "unable to setup response rendering for endpoints of {0}".fmt(serviceName)));
@@ -102,10 +357,11 @@ var RendersResponses = Class({
         var endpointName        = null;
         var endpointDef         = null;
         var URLPath             = null;
+        var numRefused          = this._llGetNumRefusedRoutes();
         for (var idx in endpointNames) {
             var endpointName = endpointNames[idx];
 
-            URLPath = this._llSetupRenderingFor(service, endpointName, servicePathRoot);
+            URLPath = this._llSetupRenderingFor(service, endpointName, servicePathRoot, options, versioning);
 
             if (_.def(URLPath)) {
                 _l.info();
@@ -123,6 +379,16 @@ var RendersResponses = Class({
             success = false;
         }
 
+        if (this._llGetNumRefusedRoutes() > numRefused) {
+            _l.error(me, "Routes of endpoints of service {0} conflict with earlier registered routes".fmt(
+                    serviceName));
+            success = false;
+        }
+
+        if (numSetupSuccess > 0) {
+            this._llAddRenderedService(service, servicePathRoot, endpointNames, versioning);
+        }
+
         return success;
     },
 
@@ -133,7 +399,57 @@ var RendersResponses = Class({
      *
      ****************************************************/
 
-    _llSetupRenderingFor: function(service, endpointName, servicePathRoot) {
+    /**
+     *
+     * @returns {Number}    Number of routes refused by the route registry, see RouteRegistry.getRefused()
+     *
+     * @protected
+     */
+    _llGetNumRefusedRoutes : function() {
+        var registry = this.getRouteRegistry();
+        return _.def(registry) ? registry.getRefused().length : 0;
+    },
+
+    _llAddRenderedService : function(service, servicePathRoot, endpointNames, versioning) {
+        //This is a mixin without constructor, thus the list is created on first use
+        if (!_.array(this._renderedServices)) {
+            this._renderedServices = [];
+        }
+
+        this._renderedServices.push({
+            service         : service,
+            servicePathRoot : servicePathRoot,
+            endpointNames   : endpointNames.slice(),
+            version         : _.get(versioning, "version") || null,
+            versioning      : _.get(versioning, "strategy") || ApiVersioning.STRATEGY_URL
+        });
+    },
+
+    /**
+     *
+     * @param {Object} endpointDef
+     * @returns {Object}    Copy of the introspected properties of the endpoint definition, that can be serialized to
+     *                      JSON
+     *
+     * @protected
+     */
+    _llToIntrospectedEndpointDef : function(endpointDef) {
+        var introspected    = {};
+        var property        = null;
+
+        for (var idx in RendersResponses.INTROSPECTED_PROPERTIES) {
+            property = RendersResponses.INTROSPECTED_PROPERTIES[idx];
+
+            if (_.def(endpointDef[property])) {
+                //Drops functions, e.g. of custom formats, that can not be described
+                introspected[property] = JSON.parse(JSON.stringify(endpointDef[property]));
+            }
+        }
+
+        return introspected;
+    },
+
+    _llSetupRenderingFor: function(service, endpointName, servicePathRoot, options, versioning) {
         var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
         var me              = instanceName + "::RendersResponses::_llSetupRenderingFor";
         var URLPath         = null;
@@ -153,14 +469,82 @@ var RendersResponses = Class({
             return URLPath;
         }
 
+        var frameworkMiddleware = this._llCreateFrameworkMiddleware(
+                service, endpointName, endpointDef, _.get(versioning, "version"));
+        if (!_.array(frameworkMiddleware)) {
+            _l.error(me, ("Endpoint {0} : creation of framework middleware failed, " +
+                          "unable to set up response rendering").fmt(endpointName));
+            return URLPath;
+        }
+
+        var middleware      = this._llCollectMiddleware(endpointName, [
+                _.get(options, "middleware"),
+                _.exec(service, "getMiddleware"),
+                endpointDef.middleware,
+                frameworkMiddleware]);
+        if (!_.array(middleware)) {
+            _l.error(me, ("Endpoint {0} : invalid middleware provided, " +
+                          "unable to set up response rendering").fmt(endpointName));
+            return URLPath;
+        }
+
+        middleware          = [this._llCreateContextMiddleware(service, endpointName)].concat(
+                this._llMeasureMiddleware(middleware));
+
+        var dispatched = _.def(_.get(versioning, "version")) && versioning.strategy !== ApiVersioning.STRATEGY_URL;
+        if (dispatched) {
+            URLPath = this._llRegisterVersionedEndpointHandler(
+                    endpointName,
+                    endpointDef,
+                    servicePathRoot,
+                    middleware.concat([endpointHandlerFunc]),
+                    service,
+                    versioning);
+            return URLPath;
+        }
+
         URLPath = this._llRegisterEndpointHandler(
                 endpointName,
                 endpointDef,
                 servicePathRoot,
-                endpointHandlerFunc);
+                endpointHandlerFunc,
+                middleware,
+                service);
         return URLPath;
     },
 
+    /**
+     *
+     * @param {Object} service
+     * @param {Object} [options]    Options given to renderResponsesFor
+     *
+     * @returns {Object|null}       {version, strategy, isDefault}, version is null when the service is not versioned.
+     *                              Null when the versioning options are invalid.
+     *
+     * @protected
+     */
+    _llGetVersioning : function(service, options) {
+        var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
+        var me              = instanceName + "::RendersResponses::_llGetVersioning";
+
+        var version         = _.get(options, "version");
+        if (!_.def(version) && _.hasMethod(service, "getVersion")) {
+            version = service.getVersion();
+        }
+
+        var strategy        = _.get(options, "versioning") || ApiVersioning.STRATEGY_URL;
+        if (!ApiVersioning.isStrategy(strategy)) {
+            _l.error(me, "Unknown versioning strategy [{0}]".fmt(strategy));
+            return null;
+        }
+
+        return {
+            version     : ApiVersioning.normalizeVersion(version),
+            strategy    : strategy,
+            isDefault   : _.get(options, "defaultVersion") === true
+        };
+    },
+
     _llCreateEndpointHandlerFunc : function(service, endpointName) {
         var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
         var me              = instanceName + "::RendersResponses::_llCreateEndpointHandlerFunc";
@@ -175,6 +559,13 @@ var RendersResponses = Class({
             return handlerFunc;
         }
 
+        var validateRequest = this._llCreateRequestValidatorFunc(endpointName, service.getEndpointDefFor(endpointName));
+
+        var processRequest  = this._llCreateProcessingFunc(service, endpointName, endpointMethod);
+
+        var instrumentation = _.exec(service, "getInstrumentation") || Instrumentation.getDefault();
+        var serviceName     = service.getIName();
+
         //The method that uses the endpoint method data to render the response
         var endpointRenderMethod    = this.getRenderMethodForEndpoint(endpointName);
         if (!_.func(endpointRenderMethod)) {
@@ -184,7 +575,12 @@ var RendersResponses = Class({
         }
 
         handlerFunc = function(req, res, next) {
-            var me = instanceName + "::RendersResponses::handlerFunc";
+            var me          = instanceName + "::RendersResponses::handlerFunc";
+            var measurement = _.get(req.context, "measurement") ||
+                    instrumentation.start(serviceName, endpointName, req, res);
+
+            next = measurement.wrapNext(next);
+
             _l.debug();
             _l.debug();
             _l.debug(me, "Handling request : {0}".fmt(endpointName));
@@ -193,36 +589,754 @@ var RendersResponses = Class({
 
             var serviceValid = _.func(service.isValid) ? service.isValid() : true;
             if (!serviceValid) {
-                next({
-                    message : "Service {0} invalid, unable to handle request to endpoint {1}"
-                            .fmt(service.getIName(), endpointName),
-                    code    : "ERR_SERVICE_INVALID"
-                });
+                next(new Errors.ServiceUnavailableError(
+                        "Service {0} invalid, unable to handle request to endpoint {1}"
+                                .fmt(service.getIName(), endpointName),
+                        null,
+                        "ERR_SERVICE_INVALID"));
+
+                return false;
+            }
+
+            var serviceAccepting = _.func(service.isAcceptingRequests) ? service.isAcceptingRequests() : true;
+            if (!serviceAccepting) {
+                next(self._llCreateNotAcceptingError(service, res,
+                        "Service {0} is {1}, unable to handle request to endpoint {2}"
+                                .fmt(service.getIName(), service.getStatus(), endpointName)));
+
+                return false;
+            }
+
+            self._llTrackRequest(service, res);
+
+            var validationErr = _.func(validateRequest) ? validateRequest(req) : null;
+            if (_.def(validationErr)) {
+                next(validationErr);
 
                 return false;
             }
 
             //First process then render
-            return endpointMethod(req, function(data, err) {
+            processRequest(req, res, function(data, err) {
+                measurement.processingEnded(err);
+
                 var rendererValid = _.func(self.isValid) ? self.isValid() : true;
                 if (!rendererValid) {
-                    next({
-                        message : "Renderer {0} invalid, unable to handle request to endpoint {1}"
-                                .fmt(self.getIName(), endpointName),
-                        code    : "ERR_RENDERER_INVALID"
-                    });
+                    next(new Errors.ServiceUnavailableError(
+                            "Renderer {0} invalid, unable to handle request to endpoint {1}"
+                                    .fmt(self.getIName(), endpointName),
+                            null,
+                            "ERR_RENDERER_INVALID"));
+
+                    return;
+                }
 
+                var status = null;
+                if (ResponseEnvelope.isEnvelope(data)) {
+                    self._llApplyResponseEnvelope(res, data);
+
+                    status  = data.status;
+                    data    = data.body;
+                }
+
+                if (!_.def(err) && (ResponseStream.isResponseStream(data) || ResponseStream.isStreamSource(data))) {
+                    self._llRenderStream(service, req, res, next, ResponseStream.from(data), status,
+                                         endpointRenderMethod);
                     return;
                 }
 
-                endpointRenderMethod(req, res, next, data, err);
+                var isList = ListResult.isListResult(data) || _.array(data);
+                if (!_.def(err) && _.obj(req.listQuery) && isList) {
+                    data = self._llApplyListResult(req, res, data);
+                }
+
+                var renderArgs = [req, res, next, data, err];
+                if (_.number(status)) {
+                    renderArgs.push(status);
+                }
+
+                AsyncUtils.callForwardingErrors(endpointRenderMethod, renderArgs);
             });
+
+            return true;
         };
 
         return handlerFunc;
     },
 
-    _llRegisterEndpointHandler : function(endpointName, endpointDef, servicePathRoot, endpointHandlerFunc) {
+    /**
+     *
+     * Streams the response stream to the client, in the format of the response stream or, when not given, as
+     * Server-Sent Events when the client accepts text/event-stream, as file download for streams of bytes and as JSON
+     * lines otherwise. Streams end when the service stops accepting requests. Errors occurring before the response is
+     * started are rendered with the render method.
+     *
+     * @param {Object} service
+     * @param {Object} req
+     * @param {Object} res
+     * @param {function} next
+     * @param {ResponseStream} stream
+     * @param {Number} [status]
+     * @param {function} renderMethod
+     *
+     * @protected
+     */
+    _llRenderStream : function(service, req, res, next, stream, status, renderMethod) {
+        var format = stream.format;
+        if (!_.def(format)) {
+            var accept  = String(_.get(_.get(req, "headers"), "accept") || "");
+
+            format      = /text\/event-stream/i.test(accept) ? ResponseStream.FORMAT_SSE :
+                          (stream.isByteStream() ? ResponseStream.FORMAT_FILE : ResponseStream.FORMAT_NDJSON);
+        }
+
+        var renderError = function(err) {
+            if (_.def(err)) {
+                AsyncUtils.callForwardingErrors(renderMethod, [req, res, next, undefined, err]);
+            }
+        };
+
+        if (!_.func(StreamWriters[format])) {
+            renderError(new Error("Unknown response stream format {0}, formats are ndjson, sse and file".fmt(format)));
+            return;
+        }
+
+        StreamWriters[format](req, res, stream, {
+            status  : status,
+            isOpen  : function() {
+                return _.func(service.isAcceptingRequests) ? service.isAcceptingRequests() : true;
+            }
+        }, renderError);
+    },
+
+    /**
+     *
+     * Creates the error for a request refused by a service that does not accept requests, see
+     * Service.isAcceptingRequests(). While the service is stopping the code is ERR_SERVICE_STOPPING and a
+     * Retry-After header is set, see Service.getRetryAfter(). Else the code is ERR_SERVICE_NOT_RUNNING.
+     *
+     * @param {Object} service
+     * @param {Object} res
+     * @param {String} message
+     *
+     * @returns {Errors.ServiceUnavailableError}
+     *
+     * @protected
+     */
+    _llCreateNotAcceptingError : function(service, res, message) {
+        if (!_.func(service.getStatus) || service.getStatus() !== Service.STATUS_STOPPING) {
+            return new Errors.ServiceUnavailableError(message, null, "ERR_SERVICE_NOT_RUNNING");
+        }
+
+        var retryAfter = Math.max(1, Math.ceil((_.func(service.getRetryAfter) ? service.getRetryAfter() : 0) / 1000));
+        res.set("Retry-After", String(retryAfter));
+
+        return new Errors.ServiceUnavailableError(message, { retryAfter : retryAfter }, "ERR_SERVICE_STOPPING");
+    },
+
+    /**
+     *
+     * Tracks a request in flight for the service, see Service.requestStarted(), until the response is sent. Stopping
+     * services wait for their requests in flight to complete.
+     *
+     * @param {Object} service
+     * @param {Object} res
+     *
+     * @protected
+     */
+    _llTrackRequest : function(service, res) {
+        if (!_.hasMethod(service, "requestStarted")) {
+            return;
+        }
+
+        var observable = AsyncUtils.onResponseEnd(res, function() {
+            service.requestEnded();
+        });
+        if (observable) {
+            service.requestStarted();
+        }
+    },
+
+    /**
+     *
+     * Creates the function that processes requests with the endpoint method, using the response cache when the
+     * endpoint definition declares a cache definition or cache tags to invalidate, also see ResponseCache.
+     *
+     * @param {Object} service
+     * @param {String} endpointName
+     * @param {function} endpointMethod
+     *
+     * @returns {function}      function(req, res, cbReady) with cbReady(data, err)
+     *
+     * @protected
+     */
+    _llCreateProcessingFunc : function(service, endpointName, endpointMethod) {
+        var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
+        var me              = instanceName + "::RendersResponses::_llCreateProcessingFunc";
+        var self            = this;
+        var endpointDef     = service.getEndpointDefFor(endpointName);
+
+        var process = function(req, res, cbReady) {
+            AsyncUtils.callProcessingMethod(endpointMethod, req, cbReady);
+        };
+
+        if (!ResponseCache.usesCache(endpointDef)) {
+            return process;
+        }
+
+        var cache           = _.exec(service, "getResponseCache") || ResponseCache.getDefault();
+        var cacheDef        = _.obj(endpointDef.cache) ? endpointDef.cache : null;
+        var invalidates     = endpointDef.invalidates;
+        var keyPrefix       = service.getIName() + "|" + endpointName;
+        var requiresAuth    = _.obj(_.hasMethod(service, "getAuthDefFor") ?
+                service.getAuthDefFor(endpointName) :
+                _.get(endpointDef, "auth"));
+
+        var processAndInvalidate = function(req, res, cbReady) {
+            process(req, res, function(data, err) {
+                if (_.def(err) || !_.def(invalidates)) {
+                    cbReady(data, err);
+                    return;
+                }
+
+                var tags = _.func(invalidates) ? invalidates(req, data) : invalidates;
+                cache.invalidate(tags, function(numInvalidated, invalidateErr) {
+                    if (_.def(invalidateErr)) {
+                        _l.error(me, "Endpoint {0} : invalidating cache entries failed : ".fmt(endpointName),
+                                 invalidateErr);
+                    }
+
+                    cbReady(data, err);
+                });
+            });
+        };
+
+        return function(req, res, cbReady) {
+            var method = String(req.method).toUpperCase();
+            if (!_.obj(cacheDef) || (method !== "GET" && method !== "HEAD")) {
+                processAndInvalidate(req, res, cbReady);
+                return;
+            }
+
+            var key = cache.createKey(keyPrefix + "|" + (req.apiVersion || ""), cacheDef, req);
+
+            //Responses for a principal must not be served to others by shared caches
+            var isPrivate = requiresAuth || _.def(req.principal);
+
+            cache.lookup(key, function(entry, lookupErr) {
+                if (_.def(lookupErr)) {
+                    _l.error(me, "Endpoint {0} : cache lookup failed : ".fmt(endpointName), lookupErr);
+                }
+
+                if (_.obj(entry)) {
+                    self._llSetCacheHeaders(res, cacheDef, entry, "HIT", isPrivate);
+                    cbReady(self._llFromCacheEntry(entry));
+                    return;
+                }
+
+                processAndInvalidate(req, res, function(data, err) {
+                    entry = _.def(err) ? null : self._llToCacheEntry(data);
+                    if (!_.obj(entry)) {
+                        cbReady(data, err);
+                        return;
+                    }
+
+                    cache.store(key, entry, cacheDef, req, function(success, storeErr) {
+                        if (_.def(storeErr)) {
+                            _l.error(me, "Endpoint {0} : caching result failed : ".fmt(endpointName), storeErr);
+                        }
+                    });
+
+                    self._llSetCacheHeaders(res, cacheDef, entry, "MISS", isPrivate);
+                    cbReady(data, err);
+                });
+            });
+        };
+    },
+
+    /**
+     *
+     * @param data      Processing result
+     * @returns {Object|null}   Cache entry, {status, headers, body, isListResult, createdAt}, for the processing
+     *                          result. Null when the result can not be cached: unsuccessful statuses, results
+     *                          setting cookies and streams are not cached.
+     *
+     * @protected
+     */
+    _llToCacheEntry : function(data) {
+        var status  = null;
+        var headers = {};
+
+        if (ResponseEnvelope.isEnvelope(data)) {
+            if (!_.empty(data.cookies)) {
+                return null;
+            }
+
+            status  = data.status;
+            headers = data.headers;
+            data    = data.body;
+        }
+
+        if (_.number(status) && (status < 200 || status >= 300)) {
+            return null;
+        }
+
+        if (ResponseStream.isResponseStream(data) || ResponseStream.isStreamSource(data)) {
+            return null;
+        }
+
+        var isListResult = ListResult.isListResult(data);
+
+        return {
+            status          : status,
+            headers         : headers,
+            body            : isListResult ? {
+                items       : data.items,
+                total       : data.total,
+                nextCursor  : data.nextCursor,
+                prevCursor  : data.prevCursor,
+                hasMore     : data.hasMore
+            } : data,
+            isListResult    : isListResult,
+            createdAt       : Date.now()
+        };
+    },
+
+    _llFromCacheEntry : function(entry) {
+        return new ResponseEnvelope({
+            status  : entry.status,
+            headers : entry.headers,
+            body    : entry.isListResult ? new ListResult(entry.body) : entry.body
+        });
+    },
+
+    /**
+     *
+     * @param {Object} res
+     * @param {Object} cacheDef
+     * @param {Object} entry
+     * @param {String} cacheStatus      HIT or MISS
+     * @param {boolean} isPrivate       True if the response is for an authenticated principal, by default only
+     *                                  private caches, e.g. of browsers, may then store it
+     *
+     * @protected
+     */
+    _llSetCacheHeaders : function(res, cacheDef, entry, cacheStatus, isPrivate) {
+        var ttl             = _.number(cacheDef.ttl) ? cacheDef.ttl : ResponseCache.DEFAULT_TTL;
+        var cacheControl    = (isPrivate ? "private, " : "") + "max-age=" + ttl;
+
+        res.set({
+            "Cache-Control" : _.string(cacheDef.cacheControl) ? cacheDef.cacheControl : cacheControl,
+            "Last-Modified" : new Date(entry.createdAt).toUTCString(),
+            "X-Cache"       : cacheStatus
+        });
+
+        var varyHeaders = _.get(cacheDef.varyBy, "headers");
+        if (_.array(varyHeaders) && !_.empty(varyHeaders)) {
+            res.append("Vary", varyHeaders);
+        }
+    },
+
+    /**
+     *
+     * Sets the headers and cookies of a response envelope on the response
+     *
+     * @param {Object} res
+     * @param {ResponseEnvelope} envelope
+     *
+     * @protected
+     */
+    _llApplyResponseEnvelope : function(res, envelope) {
+        var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
+        var me              = instanceName + "::RendersResponses::_llApplyResponseEnvelope";
+
+        if (!_.empty(envelope.headers)) {
+            res.set(envelope.headers);
+        }
+
+        var cookie = null;
+        for (var name in envelope.cookies) {
+            cookie = envelope.cookies[name];
+            if (!_.obj(cookie)) {
+                cookie = { value : cookie };
+            }
+
+            if (!_.hasMethod(res, "cookie")) {
+                _l.error(me, "Response does not support cookies, unable to set cookie {0}".fmt(name));
+                continue;
+            }
+
+            if (cookie.value === null) {
+                res.clearCookie(name, cookie.options);
+            } else {
+                res.cookie(name, cookie.value, cookie.options);
+            }
+        }
+    },
+
+    /**
+     *
+     * Sets the Link header for the list result of a collection endpoint
+     *
+     * A plain array of items is cut to the limit of the list query. An item more than the limit, e.g. when the
+     * items are fetched with limit + 1, tells there is a next page.
+     *
+     * @param {Object} req
+     * @param {Object} res
+     * @param {ListResult|Array} result     List result, or array of items starting at the offset of the page
+     *
+     * @returns {Object}                    The standard list envelope to render, also see ListResult
+     *
+     * @protected
+     */
+    _llApplyListResult : function(req, res, result) {
+        var limit       = req.listQuery.limit;
+        var listResult  = ListResult.isListResult(result) ? result : new ListResult({
+            items   : result.slice(0, limit),
+            hasMore : result.length > limit
+        });
+        var linkHeader  = listResult.toLinkHeader(req);
+
+        if (linkHeader.length > 0) {
+            res.append("Link", linkHeader);
+        }
+
+        return listResult.toEnvelope(req);
+    },
+
+    /**
+     *
+     * Creates a function that validates requests against the schemas declared in the endpoint definition
+     *
+     * @param {String} endpointName
+     * @param {Object} endpointDef
+     *
+     * @returns {function|null}     function(req) returning a ValidationError when the request is invalid, else null.
+     *                              Returns null when the endpoint definition declares no schemas.
+     *
+     * @protected
+     */
+    _llCreateRequestValidatorFunc : function(endpointName, endpointDef) {
+        if (!RequestValidator.hasSchemas(endpointDef)) {
+            return null;
+        }
+
+        var validator = new RequestValidator(endpointDef);
+
+        return function(req) {
+            var errors = validator.validate(req);
+            if (_.empty(errors)) {
+                return null;
+            }
+
+            return new Errors.ValidationError(
+                    "Endpoint {0} : request is invalid".fmt(endpointName),
+                    errors,
+                    "ERR_REQUEST_INVALID");
+        };
+    },
+
+    /**
+     *
+     * Creates the middleware for the features declared in the endpoint definition, or in the service defaults.
+     * This middleware runs after all user provided middleware, e.g. after body and cookie parsing.
+     *
+     * @param {Object} service
+     * @param {String} endpointName
+     * @param {Object} endpointDef
+     * @param {String} [version]    API version the endpoint is rendered as
+     *
+     * @returns {Array|null}    List of middleware functions, null on failure
+     *
+     * @protected
+     */
+    _llCreateFrameworkMiddleware : function(service, endpointName, endpointDef, version) {
+        var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
+        var me              = instanceName + "::RendersResponses::_llCreateFrameworkMiddleware";
+        var middleware      = [];
+
+        if (_.def(version)) {
+            middleware.push(function(req, res, next) {
+                req.apiVersion = version;
+                next();
+            });
+        }
+
+        var deprecation     = _.hasMethod(service, "getDeprecationFor") ?
+                service.getDeprecationFor(endpointName) :
+                null;
+        if (_.obj(deprecation)) {
+            var deprecationMiddleware = ApiVersioning.createDeprecationMiddleware(deprecation);
+            if (!_.func(deprecationMiddleware)) {
+                _l.error(me, "Endpoint {0} : invalid deprecation definition".fmt(endpointName));
+                return null;
+            }
+
+            middleware.push(deprecationMiddleware);
+        }
+
+        var authDef         = _.hasMethod(service, "getAuthDefFor") ?
+                service.getAuthDefFor(endpointName) :
+                _.get(endpointDef, "auth");
+        if (_.obj(authDef)) {
+            var registry = _.exec(service, "getAuthenticatorRegistry");
+            if (!_.hasMethod(registry, "createMiddleware")) {
+                _l.error(me, ("Endpoint {0} : endpoint requires authentication, " +
+                              "but service has no authenticator registry").fmt(endpointName));
+                return null;
+            }
+
+            var authMiddleware = registry.createMiddleware(endpointName, authDef);
+            if (!_.func(authMiddleware)) {
+                return null;
+            }
+
+            middleware.push(authMiddleware);
+        }
+
+        var rateLimitDef    = _.hasMethod(service, "getRateLimitFor") ?
+                service.getRateLimitFor(endpointName) :
+                _.get(endpointDef, "rateLimit");
+        if (_.obj(rateLimitDef)) {
+            var rateLimiter         = _.exec(service, "getRateLimiter") || RateLimiter.getDefault();
+            var rateLimitMiddleware = rateLimiter.createMiddleware(
+                    service.getIName() + "|" + (rateLimitDef.group || endpointName), rateLimitDef);
+            if (!_.func(rateLimitMiddleware)) {
+                return null;
+            }
+
+            middleware.push(rateLimitMiddleware);
+        }
+
+        if (ListQueryParser.isCollection(endpointDef)) {
+            middleware.push(this._llCreateListQueryMiddleware(endpointName, endpointDef));
+        }
+
+        return middleware;
+    },
+
+    /**
+     *
+     * Creates middleware that creates the request context, see RequestContext, and runs the remaining middleware and
+     * the endpoint handler with this context as the current context. The request ID is echoed in the response headers.
+     * The measurement of the request, see Instrumentation.start(), starts here and ends when the response is sent.
+     *
+     * @param {Object} service
+     * @param {String} endpointName
+     *
+     * @returns {function}      Middleware, function(req, res, next)
+     *
+     * @protected
+     */
+    _llCreateContextMiddleware : function(service, endpointName) {
+        var me              = this.getIName() + "::RendersResponses::contextMiddleware";
+        var serviceName     = service.getIName();
+        var instrumentation = _.exec(service, "getInstrumentation") || Instrumentation.getDefault();
+
+        return function(req, res, next) {
+            var context = new RequestContext(req, serviceName, endpointName);
+
+            context.measurement = instrumentation.start(serviceName, endpointName, req, res);
+
+            req.context = context;
+            res.set(RequestContext.REQUEST_ID_HEADER, context.requestId);
+
+            AsyncUtils.onResponseEnd(res, function() {
+                RequestContext.run(context, function() {
+                    _l.debug(me, "Request completed with status {0} in {1} ms".fmt(
+                            res.statusCode, context.getElapsedTime()));
+                });
+            });
+
+            RequestContext.run(context, next);
+        };
+    },
+
+    /**
+     *
+     * Creates middleware that parses the pagination, sorting and filtering query parameters of requests to a
+     * collection endpoint in to req.listQuery. Invalid queries are passed to next() with a ValidationError with
+     * code ERR_LIST_QUERY_INVALID.
+     *
+     * @param {String} endpointName
+     * @param {Object} endpointDef
+     *
+     * @returns {function}      Middleware, function(req, res, next)
+     *
+     * @protected
+     */
+    _llCreateListQueryMiddleware : function(endpointName, endpointDef) {
+        var parser = new ListQueryParser(endpointDef.collection);
+
+        return function(req, res, next) {
+            var parsed = parser.parse(req);
+            if (!_.empty(parsed.errors)) {
+                next(new Errors.ValidationError(
+                        "Endpoint {0} : list query is invalid".fmt(endpointName),
+                        parsed.errors,
+                        "ERR_LIST_QUERY_INVALID"));
+                return;
+            }
+
+            req.listQuery = parsed.listQuery;
+            next();
+        };
+    },
+
+    /**
+     *
+     * Concatenates lists of middleware functions in to one list
+     *
+     * @param {String} endpointName
+     * @param {Array} middlewareLists       List of middleware lists, lists that are not defined are skipped
+     *
+     * @returns {Array|null}                Concatenated list of middleware functions, null if any of the lists is not
+     *                                      an array or contains anything other than functions
+     *
+     * @protected
+     */
+    _llCollectMiddleware : function(endpointName, middlewareLists) {
+        var instanceName    = _.exec(this, "getIName") || "[Unknown class that RendersResponses]";
+        var me              = instanceName + "::RendersResponses::_llCollectMiddleware";
+        var middleware      = [];
+        var list            = null;
+
+        for (var idx in middlewareLists) {
+            list = middlewareLists[idx];
+            if (!_.def(list)) {
+                continue;
+            }
+
+            if (!_.array(list)) {
+                _l.error(me, "Endpoint {0} : middleware must be given as an array of functions".fmt(endpointName));
+                return null;
+            }
+
+            for (var fIdx in list) {
+                if (!_.func(list[fIdx])) {
+                    _l.error(me, "Endpoint {0} : middleware item {1} is not a function".fmt(endpointName, fIdx));
+                    return null;
+                }
+
+                middleware.push(list[fIdx]);
+            }
+        }
+
+        return middleware;
+    },
+
+    /**
+     *
+     * Wraps middleware such that the errors it passes to next() are recorded by the measurement of the request, see
+     * _llCreateContextMiddleware(). Error handling middleware, function(err, req, res, next), is kept as is.
+     *
+     * @param {Array} middleware
+     * @returns {Array}
+     *
+     * @protected
+     */
+    _llMeasureMiddleware : function(middleware) {
+        return middleware.map(function(func) {
+            if (func.length >= 4) {
+                return func;
+            }
+
+            var measured = function(req, res, next) {
+                var measurement = _.get(req.context, "measurement");
+
+                return func(req, res, _.def(measurement) ? measurement.wrapNext(next) : next);
+            };
+
+            //Keeps the name for route reports, see RouteRegistry
+            Object.defineProperty(measured, "name", { value : func.name });
+
+            return measured;
+        });
+    },
+
+    /**
+     *
+     * Registers the handlers of a version of an endpoint, for the header or mediaType versioning strategy. All versions
+     * of the endpoint share one route, with a VersionDispatcher as handler.
+     *
+     * @param {String} endpointName
+     * @param {Object} endpointDef
+     * @param {String} servicePathRoot
+     * @param {Array} handlers                  Ordered list of middleware and endpoint handler functions
+     * @param {Object} service
+     * @param {Object} versioning               {version, strategy, isDefault}
+     *
+     * @returns {String|null}                   The URL path at which the handlers were registered, null on failure
+     *
+     * @protected
+     */
+    _llRegisterVersionedEndpointHandler : function(endpointName, endpointDef, servicePathRoot, handlers, service,
+                                                   versioning) {
+        var me          = this.getIName() + "::RendersResponses::_llRegisterVersionedEndpointHandler";
+
+        var HTTPMethod  = String(endpointDef.HTTPMethod || "get").toLowerCase();
+        var URLPath     = _.joinPaths([servicePathRoot, endpointDef.URLSubpath]);
+        var routeKey    = HTTPMethod + " " + URLPath;
+
+        //This is a mixin without constructor, thus the dispatchers are created on first use
+        if (!_.obj(this._versionDispatchers)) {
+            this._versionDispatchers = {};
+        }
+
+        var dispatcher  = this._versionDispatchers[routeKey];
+        var isNew       = !_.def(dispatcher);
+        if (isNew) {
+            dispatcher = new VersionDispatcher(routeKey, versioning.strategy);
+        }
+
+        if (dispatcher.getStrategy() !== versioning.strategy) {
+            _l.error(me, ("Endpoint {0} : versioning strategy {1} differs from strategy {2} of the other versions, " +
+                          "unable to register endpoint handler").fmt(
+                    endpointName, versioning.strategy, dispatcher.getStrategy()));
+            return null;
+        }
+
+        if (!dispatcher.addVersion(versioning.version, handlers, versioning.isDefault)) {
+            _l.error(me, "Endpoint {0} : unable to add version {1}".fmt(endpointName, versioning.version));
+            return null;
+        }
+
+        if (!isNew) {
+            return URLPath;
+        }
+
+        URLPath = this._llRegisterEndpointHandler(
+                endpointName,
+                endpointDef,
+                servicePathRoot,
+                dispatcher.getHandler(),
+                [],
+                service);
+
+        if (_.def(URLPath)) {
+            this._versionDispatchers[routeKey] = dispatcher;
+        }
+
+        return URLPath;
+    },
+
+    /**
+     *
+     * Registers the endpoint handler, preceded by the given middleware, at the HTTP server
+     *
+     * @param {String} endpointName
+     * @param {Object} endpointDef
+     * @param {String} servicePathRoot
+     * @param {function} endpointHandlerFunc
+     * @param {Array} [middleware]              Ordered list of middleware functions to run before the handler
+     * @param {Object} [service]                Service the endpoint belongs to, recorded in the route registry
+     *
+     * @returns {String|null}                   The URL path at which the handler was registered, null on failure
+     *
+     * @protected
+     */
+    _llRegisterEndpointHandler : function(endpointName, endpointDef, servicePathRoot, endpointHandlerFunc, middleware,
+                                          service) {
         var me      = this.getIName() + "::RendersResponses::_llRegisterEndpointHandler";
         var URLPath = null;
 
@@ -231,14 +1345,35 @@ var RendersResponses = Class({
 
         HTTPMethod = _.string(HTTPMethod) ? HTTPMethod.toLowerCase() : HTTPMethod;
 
-        var server = this.getHTTPServer();
-        if (!_.hasMethod(server, HTTPMethod)) {
-            _l.error(me, ("Endpoint {0} : HTTP method [{0}] not known by server, " +
+        var adapter = this.getHTTPAdapter();
+        if (!_.def(adapter) || !adapter.supportsMethod(HTTPMethod)) {
+            _l.error(me, ("Endpoint {0} : HTTP method [{1}] not known by server, " +
                           "unable to register endpoint handler").fmt(endpointName, HTTPMethod));
             return URLPath;
         }
 
-        server[HTTPMethod](__URLPath, endpointHandlerFunc);
+        var handlers = _.array(middleware) ? middleware.concat([endpointHandlerFunc]) : [endpointHandlerFunc];
+
+        var route = adapter.getRouteRegistry().add({
+            owner       : this.getIName(),
+            service     : _.exec(service, "getIName") || null,
+            endpoint    : endpointName,
+            method      : HTTPMethod,
+            path        : __URLPath,
+            middleware  : middleware
+        }, endpointDef.allowRouteConflict === true);
+        if (!_.def(route)) {
+            _l.error(me, ("Endpoint {0} : route conflicts with an earlier registered route, unable to register " +
+                          "endpoint handler").fmt(endpointName));
+            return URLPath;
+        }
+
+        if (!adapter.register(HTTPMethod, __URLPath, handlers)) {
+            adapter.getRouteRegistry().remove(route);
+            _l.error(me, "Endpoint {0} : registration at server failed".fmt(endpointName));
+            return URLPath;
+        }
+
         URLPath = __URLPath;
         return URLPath;
     }
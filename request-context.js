@@ -0,0 +1,139 @@
+var _                   = require('./libs/corelib-web/utils.js')._;
+
+var Class               = require("jsface").Class;
+var AsyncLocalStorage   = require("async_hooks").AsyncLocalStorage;
+var crypto              = require("crypto");
+
+//Propagates the context of the request being handled through asynchronous calls
+var storage             = new AsyncLocalStorage();
+
+/**
+ *
+ * @class RequestContext
+ *
+ * The context of a request to an endpoint of a rendered service: request ID, service and endpoint name, the
+ * authenticated principal and timing.
+ *
+ * RendersResponses creates the context before any middleware runs and makes it available as req.context. Using
+ * AsyncLocalStorage, the context is also propagated to the middleware, processing methods and render methods that
+ * handle the request, including their asynchronous continuations. Use RequestContext.current() to get the context
+ * where the request is not at hand, e.g. in data access code. The request logger adds the context to all log output
+ * of the request, also see RequestLogger.
+ *
+ * The request ID is taken from the X-Request-Id request header, when it holds a valid ID, or is generated otherwise.
+ * It is echoed in the X-Request-Id response header.
+ *
+ */
+var RequestContext = Class({
+
+    $statics : {
+        REQUEST_ID_HEADER   : "X-Request-Id",
+
+        //Request IDs given by clients are only used when they can be safely logged and echoed
+        REQUEST_ID_PATTERN  : /^[A-Za-z0-9\-_.:@\/+=]{1,128}$/,
+
+        /**
+         *
+         * @returns {RequestContext|null}   Context of the request being handled, null outside of request handling
+         *
+         */
+        current : function() {
+            return storage.getStore() || null;
+        },
+
+        /**
+         *
+         * Runs func with context as the current context, also for all asynchronous calls made by func
+         *
+         * @param {RequestContext} context
+         * @param {function} func
+         *
+         * @returns {*}     Return value of func
+         *
+         */
+        run : function(context, func) {
+            return storage.run(context, func);
+        },
+
+        generateRequestId : function() {
+            return crypto.randomUUID();
+        }
+    },
+
+    requestId       : null,
+
+    serviceName     : null,
+
+    endpointName    : null,
+
+    method          : null,
+
+    path            : null,
+
+    startTime       : null,
+
+    //Measurement of the request handling, see Instrumentation.start()
+    measurement     : null,
+
+    _req            : null,
+
+    /**
+     *
+     * Constructs request context
+     *
+     * @param {Object} req
+     * @param {String} [serviceName]
+     * @param {String} [endpointName]
+     *
+     */
+    constructor: function(req, serviceName, endpointName) {
+        var requestId       = _.hasMethod(req, "get") ? req.get(RequestContext.REQUEST_ID_HEADER) : null;
+
+        this.requestId      = RequestContext.REQUEST_ID_PATTERN.test(requestId || "") ?
+                requestId :
+                RequestContext.generateRequestId();
+        this.serviceName    = serviceName || null;
+        this.endpointName   = endpointName || null;
+        this.method         = _.get(req, "method") || null;
+        this.path           = _.get(req, "path") || _.get(req, "url") || null;
+        this.startTime      = Date.now();
+        this.measurement    = null;
+        this._req           = req;
+    },
+
+    /**
+     *
+     * @returns {Object|null}   The principal authenticated for the request, null for anonymous requests. Also see
+     *                          AuthenticatorRegistry.
+     *
+     */
+    getPrincipal : function() {
+        return _.get(this._req, "principal") || null;
+    },
+
+    /**
+     *
+     * @returns {Number}        Milliseconds since the start of the request handling
+     *
+     */
+    getElapsedTime : function() {
+        return Date.now() - this.startTime;
+    },
+
+    toJSON : function() {
+        var principalId = _.get(this.getPrincipal(), "id");
+
+        return {
+            requestId   : this.requestId,
+            service     : this.serviceName,
+            endpoint    : this.endpointName,
+            method      : this.method,
+            path        : this.path,
+            principal   : _.def(principalId) ? String(principalId) : null,
+            elapsed     : this.getElapsedTime()
+        };
+    }
+
+});
+
+module.exports = RequestContext;
@@ -0,0 +1,199 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./libs/corelib-web/logger.js').logger;
+
+var Class           = require("jsface").Class;
+var RequestContext  = require("./request-context.js");
+
+/**
+ *
+ * @class RequestLogger
+ *
+ * Logger with the same interface as the corelib logger, debug/info/warn/error(source, ...), that adds the context
+ * of the request being handled to the log output, also see RequestContext. The framework modules that run while
+ * handling requests log through the shared request logger:
+ *
+ *      var _l = require('./request-logger.js').logger;
+ *
+ * Two formats are supported:
+ *  text    : (default) log lines are written by the corelib logger, the source is suffixed with the request ID,
+ *            e.g. "json::RendersResponses::handlerFunc [5f0c...]"
+ *  json    : every log line is written as one JSON object, e.g.
+ *            {"time":"...","level":"error","source":"...","message":"...","requestId":"...","service":"...",
+ *             "endpoint":"...","method":"GET","path":"/users/1","principal":"12","elapsed":5}
+ *            When one of the logged values is an Error, its name, message, code and stack are added as error.
+ *
+ * To switch to structured logging:
+ *
+ *      require('./request-logger.js').logger.configure({ format : 'json', level : 'info' });
+ *
+ */
+var RequestLogger = Class({
+
+    $statics : {
+        FORMAT_TEXT     : "text",
+
+        FORMAT_JSON     : "json",
+
+        LEVELS          : { debug : 0, info : 1, warn : 2, error : 3 }
+    },
+
+    _format         : null,
+
+    _level          : null,
+
+    _write          : null,
+
+    /**
+     *
+     * Constructs request logger
+     *
+     * @param {Object} [config]     Also see configure()
+     *
+     */
+    constructor: function(config) {
+        this._format    = RequestLogger.FORMAT_TEXT;
+        this._level     = "debug";
+        this._write     = null;
+
+        this.configure(config);
+    },
+
+    /**
+     *
+     * @param {Object} [config]
+     * @param {String} [config.format='text']   text or json
+     * @param {String} [config.level='debug']   Minimum level to log : debug, info, warn or error
+     * @param {function} [config.write]         function(line), writes a JSON log line, default writes to stdout
+     *
+     * @returns {boolean}                       False if the config is invalid, the logger is then unchanged
+     *
+     */
+    configure : function(config) {
+        var me      = "RequestLogger::configure";
+
+        var format  = _.get(config, "format") || this._format;
+        var level   = _.get(config, "level") || this._level;
+        var write   = _.get(config, "write") || this._write;
+
+        if (format !== RequestLogger.FORMAT_TEXT && format !== RequestLogger.FORMAT_JSON) {
+            _l.error(me, "Unknown log format [{0}], logger is unchanged".fmt(format));
+            return false;
+        }
+
+        if (!_.def(RequestLogger.LEVELS[level])) {
+            _l.error(me, "Unknown log level [{0}], logger is unchanged".fmt(level));
+            return false;
+        }
+
+        if (_.def(write) && !_.func(write)) {
+            _l.error(me, "Write must be a function, logger is unchanged");
+            return false;
+        }
+
+        this._format    = format;
+        this._level     = level;
+        this._write     = write;
+
+        return true;
+    },
+
+    getFormat : function() {
+        return this._format;
+    },
+
+    debug : function() {
+        this._log("debug", Array.prototype.slice.call(arguments));
+    },
+
+    info : function() {
+        this._log("info", Array.prototype.slice.call(arguments));
+    },
+
+    warn : function() {
+        this._log("warn", Array.prototype.slice.call(arguments));
+    },
+
+    error : function() {
+        this._log("error", Array.prototype.slice.call(arguments));
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _log : function(level, args) {
+        if (RequestLogger.LEVELS[level] < RequestLogger.LEVELS[this._level]) {
+            return;
+        }
+
+        var context = RequestContext.current();
+
+        if (this._format === RequestLogger.FORMAT_JSON) {
+            //Empty calls are used to print blank lines, these have no place in structured output
+            if (!_.empty(args)) {
+                this._writeLine(JSON.stringify(this._createRecord(level, args, context)));
+            }
+            return;
+        }
+
+        if (_.def(context) && _.string(args[0])) {
+            args[0] = "{0} [{1}]".fmt(args[0], context.requestId);
+        }
+
+        _l[level].apply(_l, args);
+    },
+
+    _createRecord : function(level, args, context) {
+        var record  = {
+            time    : new Date().toISOString(),
+            level   : level,
+            source  : _.string(args[0]) ? args[0] : null
+        };
+
+        var parts   = [];
+        for (var idx = 1; idx < args.length; idx++) {
+            var arg = args[idx];
+
+            if (arg instanceof Error) {
+                record.error = {
+                    name    : arg.name,
+                    message : arg.message,
+                    code    : arg.code || null,
+                    stack   : arg.stack
+                };
+                parts.push(arg.message);
+            } else {
+                parts.push(_.string(arg) ? arg : _.stringify(arg));
+            }
+        }
+        record.message = parts.join(" ");
+
+        if (!_.def(context)) {
+            return record;
+        }
+
+        var contextValues = context.toJSON();
+        for (var key in contextValues) {
+            record[key] = contextValues[key];
+        }
+
+        return record;
+    },
+
+    _writeLine : function(line) {
+        if (_.func(this._write)) {
+            this._write(line);
+            return;
+        }
+
+        process.stdout.write(line + "\n");
+    }
+
+});
+
+module.exports = {
+    RequestLogger   : RequestLogger,
+    logger          : new RequestLogger()
+};
@@ -0,0 +1,400 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+
+/**
+ *
+ * @class RequestValidator
+ *
+ * Validates the parts of incoming requests against JSON-Schema style schemas, declared in an
+ * endpoint definition next to HTTPMethod and URLSubpath. E.g.:
+ *
+ *  "GET Resource" : {
+ *      HTTPMethod  : 'get',
+ *      URLSubpath  : '/resource/:id/',
+ *
+ *      params      : {
+ *          type        : 'object',
+ *          properties  : { id : { type : 'integer', minimum : 1 } },
+ *          required    : ['id']
+ *      },
+ *
+ *      query       : {
+ *          type        : 'object',
+ *          properties  : { verbose : { type : 'boolean' } }
+ *      }
+ *  }
+ *
+ * Supported schema keywords:
+ *  type, enum, const, properties, required, additionalProperties, items, minItems, maxItems,
+ *  minLength, maxLength, pattern, format (email, uri, date, date-time, uuid), minimum, maximum,
+ *  exclusiveMinimum, exclusiveMaximum, multipleOf
+ *
+ * Because route params, query values and headers always arrive as strings, values of these request parts are
+ * coerced to the schema type (integer, number, boolean) before validation. The coerced values are written back
+ * to the request.
+ *
+ */
+var RequestValidator = Class({
+
+    $statics : {
+        /**
+         * The request parts that can be validated, in order of validation
+         */
+        REQUEST_PARTS   : ["params", "query", "headers", "body"],
+
+        /**
+         * The request parts for which values are coerced to the type given by the schema
+         */
+        COERCED_PARTS   : ["params", "query", "headers"],
+
+        FORMATS         : {
+            "email"     : /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            "uri"       : /^[a-zA-Z][a-zA-Z0-9+.\-]*:[^\s]*$/,
+            "date"      : /^\d{4}-\d{2}-\d{2}$/,
+            "date-time" : /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+\-]\d{2}:\d{2})$/i,
+            "uuid"      : /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+        },
+
+        /**
+         *
+         * Returns true if the endpoint definition declares a schema for any of the request parts
+         *
+         * @param {Object} endpointDef
+         * @returns {boolean}
+         *
+         */
+        hasSchemas : function(endpointDef) {
+            if (!_.obj(endpointDef)) {
+                return false;
+            }
+
+            return RequestValidator.REQUEST_PARTS.some(function(part) {
+                return _.obj(endpointDef[part]);
+            });
+        }
+    },
+
+    _schemas            : null,
+
+    /**
+     *
+     * Constructs request validator
+     *
+     * @param {Object} endpointDef      Endpoint definition, containing optional params, query, headers and body
+     *                                  schemas
+     *
+     */
+    constructor: function(endpointDef) {
+        var self = this;
+
+        this._schemas = {};
+        RequestValidator.REQUEST_PARTS.forEach(function(part) {
+            var schema = _.get(endpointDef, part);
+            if (_.obj(schema)) {
+                self._schemas[part] = part === "headers" ? self._lowerCaseHeaderSchema(schema) : schema;
+            }
+        });
+    },
+
+    getSchemaFor : function(part) {
+        return _.get(this._schemas, part);
+    },
+
+    /**
+     *
+     * Validates the request parts for which a schema is available.
+     * Coerced values of params, query and headers are written back to the request.
+     *
+     * @param {Object} req
+     *
+     * @returns {Array} List of validation error objects {location, path, message}, empty when request is valid
+     *
+     */
+    validate : function(req) {
+        var errors      = [];
+        var part        = null;
+        var schema      = null;
+        var value       = null;
+
+        for (var idx in RequestValidator.REQUEST_PARTS) {
+            part    = RequestValidator.REQUEST_PARTS[idx];
+            schema  = this._schemas[part];
+            if (!_.obj(schema)) {
+                continue;
+            }
+
+            value = _.get(req, part);
+            if (RequestValidator.COERCED_PARTS.indexOf(part) >= 0) {
+                value = this._coerceRequestPart(schema, value);
+                this._writeBack(req, part, value);
+            }
+
+            this._validateValue(schema, value, part, "", errors);
+        }
+
+        return errors;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _lowerCaseHeaderSchema : function(schema) {
+        var lowerCased = {};
+        for (var key in schema) {
+            lowerCased[key] = schema[key];
+        }
+
+        if (_.obj(schema.properties)) {
+            lowerCased.properties = {};
+            for (var name in schema.properties) {
+                lowerCased.properties[name.toLowerCase()] = schema.properties[name];
+            }
+        }
+
+        if (_.array(schema.required)) {
+            lowerCased.required = schema.required.map(function(name) {
+                return String(name).toLowerCase();
+            });
+        }
+
+        return lowerCased;
+    },
+
+    _coerceRequestPart : function(schema, value) {
+        if (!_.obj(value) || !_.obj(schema.properties)) {
+            return value;
+        }
+
+        var coerced = {};
+        for (var key in value) {
+            coerced[key] = _.obj(schema.properties[key]) ?
+                    this._coerceValue(schema.properties[key], value[key]) :
+                    value[key];
+        }
+
+        return coerced;
+    },
+
+    _coerceValue : function(schema, value) {
+        var types = _.array(schema.type) ? schema.type : [schema.type];
+
+        if (types.indexOf("array") >= 0 && _.obj(schema.items)) {
+            var values = _.array(value) ? value : [value];
+            return values.map(this._coerceValue.bind(this, schema.items));
+        }
+
+        if (!_.string(value)) {
+            return value;
+        }
+
+        if ((types.indexOf("integer") >= 0 || types.indexOf("number") >= 0) &&
+            value.trim() !== "" && !isNaN(Number(value))) {
+            return Number(value);
+        }
+
+        if (types.indexOf("boolean") >= 0 && (value === "true" || value === "false")) {
+            return value === "true";
+        }
+
+        if (types.indexOf("null") >= 0 && value === "null") {
+            return null;
+        }
+
+        return value;
+    },
+
+    _writeBack : function(req, part, value) {
+        var target = _.get(req, part);
+        if (!_.obj(target) || !_.obj(value)) {
+            return;
+        }
+
+        //Properties are overwritten instead of replacing the object, some frameworks define these parts as getters
+        for (var key in value) {
+            target[key] = value[key];
+        }
+    },
+
+    _typeOf : function(value) {
+        if (value === null) {
+            return "null";
+        }
+
+        if (_.array(value)) {
+            return "array";
+        }
+
+        if (typeof value === "number" && value % 1 === 0) {
+            return "integer";
+        }
+
+        return typeof value;
+    },
+
+    _typeMatches : function(type, value) {
+        var valueType = this._typeOf(value);
+        return type === valueType || (type === "number" && valueType === "integer");
+    },
+
+    _addError : function(errors, location, path, message) {
+        errors.push({
+            location    : location,
+            path        : path || "",
+            message     : message
+        });
+    },
+
+    _validateValue : function(schema, value, location, path, errors) {
+        var self        = this;
+        var name        = path || location;
+
+        if (value === undefined) {
+            if (location === "body" && path === "" && _.def(schema.type)) {
+                this._addError(errors, location, path, "{0} is required".fmt(name));
+            }
+            return;
+        }
+
+        if (_.def(schema.type)) {
+            var types = _.array(schema.type) ? schema.type : [schema.type];
+            var typeValid = types.some(function(type) {
+                return self._typeMatches(type, value);
+            });
+
+            if (!typeValid) {
+                this._addError(errors, location, path, "{0} should be of type {1}".fmt(name, types.join(" or ")));
+                return;
+            }
+        }
+
+        if (_.array(schema.enum) && !schema.enum.some(function(allowed) {
+            return _.stringify(allowed) === _.stringify(value);
+        })) {
+            this._addError(errors, location, path,
+                           "{0} should be one of {1}".fmt(name, _.stringify(schema.enum)));
+        }
+
+        if (schema.hasOwnProperty("const") && _.stringify(schema.const) !== _.stringify(value)) {
+            this._addError(errors, location, path,
+                           "{0} should be equal to {1}".fmt(name, _.stringify(schema.const)));
+        }
+
+        var valueType = this._typeOf(value);
+        if (valueType === "string") {
+            this._validateString(schema, value, location, path, errors);
+        } else if (valueType === "number" || valueType === "integer") {
+            this._validateNumber(schema, value, location, path, errors);
+        } else if (valueType === "array") {
+            this._validateArray(schema, value, location, path, errors);
+        } else if (valueType === "object") {
+            this._validateObject(schema, value, location, path, errors);
+        }
+    },
+
+    _validateString : function(schema, value, location, path, errors) {
+        var name = path || location;
+
+        if (_.number(schema.minLength) && value.length < schema.minLength) {
+            this._addError(errors, location, path,
+                           "{0} should have at least {1} characters".fmt(name, schema.minLength));
+        }
+
+        if (_.number(schema.maxLength) && value.length > schema.maxLength) {
+            this._addError(errors, location, path,
+                           "{0} should have at most {1} characters".fmt(name, schema.maxLength));
+        }
+
+        if (_.string(schema.pattern) && !(new RegExp(schema.pattern)).test(value)) {
+            this._addError(errors, location, path,
+                           "{0} should match pattern {1}".fmt(name, schema.pattern));
+        }
+
+        var format = _.get(RequestValidator.FORMATS, schema.format);
+        if (_.string(schema.format) && _.def(format) && !format.test(value)) {
+            this._addError(errors, location, path,
+                           "{0} should be a valid {1}".fmt(name, schema.format));
+        }
+    },
+
+    _validateNumber : function(schema, value, location, path, errors) {
+        var name = path || location;
+
+        if (_.number(schema.minimum) && value < schema.minimum) {
+            this._addError(errors, location, path, "{0} should be >= {1}".fmt(name, schema.minimum));
+        }
+
+        if (_.number(schema.maximum) && value > schema.maximum) {
+            this._addError(errors, location, path, "{0} should be <= {1}".fmt(name, schema.maximum));
+        }
+
+        if (_.number(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+            this._addError(errors, location, path, "{0} should be > {1}".fmt(name, schema.exclusiveMinimum));
+        }
+
+        if (_.number(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+            this._addError(errors, location, path, "{0} should be < {1}".fmt(name, schema.exclusiveMaximum));
+        }
+
+        if (_.number(schema.multipleOf) && (value / schema.multipleOf) % 1 !== 0) {
+            this._addError(errors, location, path,
+                           "{0} should be a multiple of {1}".fmt(name, schema.multipleOf));
+        }
+    },
+
+    _validateArray : function(schema, value, location, path, errors) {
+        var name = path || location;
+
+        if (_.number(schema.minItems) && value.length < schema.minItems) {
+            this._addError(errors, location, path,
+                           "{0} should have at least {1} items".fmt(name, schema.minItems));
+        }
+
+        if (_.number(schema.maxItems) && value.length > schema.maxItems) {
+            this._addError(errors, location, path,
+                           "{0} should have at most {1} items".fmt(name, schema.maxItems));
+        }
+
+        if (!_.obj(schema.items)) {
+            return;
+        }
+
+        for (var idx = 0; idx < value.length; idx++) {
+            this._validateValue(schema.items, value[idx], location, "{0}[{1}]".fmt(path, idx), errors);
+        }
+    },
+
+    _validateObject : function(schema, value, location, path, errors) {
+        var properties  = _.obj(schema.properties) ? schema.properties : {};
+        var prefix      = path ? path + "." : "";
+        var key         = null;
+
+        if (_.array(schema.required)) {
+            for (var idx in schema.required) {
+                key = schema.required[idx];
+                if (!_.def(value[key])) {
+                    this._addError(errors, location, prefix + key, "{0} is required".fmt(prefix + key));
+                }
+            }
+        }
+
+        for (key in value) {
+            if (_.obj(properties[key])) {
+                this._validateValue(properties[key], value[key], location, prefix + key, errors);
+                continue;
+            }
+
+            if (schema.additionalProperties === false) {
+                this._addError(errors, location, prefix + key, "{0} is not allowed".fmt(prefix + key));
+            } else if (_.obj(schema.additionalProperties)) {
+                this._validateValue(schema.additionalProperties, value[key], location, prefix + key, errors);
+            }
+        }
+    }
+
+});
+
+module.exports = RequestValidator;
@@ -0,0 +1,224 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var MemoryCacheStore= require("./memory-cache-store.js");
+
+var defaultCache    = null;
+
+/**
+ *
+ * @class ResponseCache
+ *
+ * Caches the processing results of endpoints that opt in to caching with a cache definition in their endpoint
+ * definition, e.g.:
+ *
+ *  "GET User" : {
+ *      HTTPMethod  : 'get',
+ *      URLSubpath  : '/users/:id',
+ *
+ *      cache       : {
+ *          ttl         : 60,                           //Time to live in seconds
+ *          varyBy      : {                             //Request values that make up the cache key
+ *              params      : ['id'],                   //Default : all params
+ *              query       : [],                       //Default : all query parameters
+ *              headers     : ['accept-language']       //Default : no headers
+ *          },
+ *          key         : function(req) { ... },        //OPTIONAL : creates the cache key, instead of varyBy
+ *          tags        : function(req, data) {         //OPTIONAL : tags, or function giving tags, of the entry
+ *              return ['users', 'user:' + req.params.id];
+ *          },
+ *          cacheControl: 'private, max-age=60'         //OPTIONAL : Cache-Control header, default max-age=<ttl>,
+ *                                                      //private for authenticated requests
+ *      }
+ *  },
+ *
+ *  "PUT User" : {
+ *      HTTPMethod  : 'put',
+ *      URLSubpath  : '/users/:id',
+ *
+ *      //Tags, or function(req) giving tags, of the cache entries to invalidate after successful processing
+ *      invalidates : function(req) { return ['users', 'user:' + req.params.id]; }
+ *  }
+ *
+ * Only GET and HEAD requests are cached, only successful results are cached. The cache key always includes the
+ * service, endpoint, API version and the id of the authenticated principal, if any.
+ *
+ * The cache entries are kept in a cache store, by default a MemoryCacheStore, also see MemoryCacheStore for the
+ * interface to implement for other stores.
+ *
+ */
+var ResponseCache = Class(NamedBase, {
+
+    $statics : {
+        DEFAULT_TTL     : 60,
+
+        /**
+         *
+         * @returns {ResponseCache}     Shared cache, with a MemoryCacheStore, used by services without response cache
+         *
+         */
+        getDefault : function() {
+            if (!_.def(defaultCache)) {
+                defaultCache = new ResponseCache("DefaultResponseCache");
+            }
+
+            return defaultCache;
+        },
+
+        /**
+         *
+         * @param {Object} endpointDef
+         * @returns {boolean}   True if the endpoint definition uses caching, either caching results or
+         *                      invalidating cache entries
+         *
+         */
+        usesCache : function(endpointDef) {
+            return _.obj(_.get(endpointDef, "cache")) || _.def(_.get(endpointDef, "invalidates"));
+        }
+    },
+
+    _store              : null,
+
+    /**
+     *
+     * Constructs response cache
+     *
+     * @param {String} cacheName
+     * @param {Object} [config]
+     * @param {Object} [config.store]       Cache store, default is a MemoryCacheStore
+     *
+     */
+    constructor: function(cacheName, config) {
+        var me = "ResponseCache::constructor";
+
+        ResponseCache.$super.call(this, cacheName);
+
+        this._store = _.get(config, "store") || new MemoryCacheStore(cacheName + "::store");
+
+        var storeValid = _.hasMethod(this._store, "get") &&
+                         _.hasMethod(this._store, "set") &&
+                         _.hasMethod(this._store, "invalidateTags");
+        if (!storeValid) {
+            _l.error(me, "Cache store is invalid, response cache {0} will not function properly".fmt(cacheName));
+            this._valid = false;
+        }
+    },
+
+    getStore : function() {
+        return this._store;
+    },
+
+    /**
+     *
+     * @param {String} keyPrefix    Identifies the endpoint, e.g. service name, endpoint name and version
+     * @param {Object} cacheDef     The cache definition of the endpoint
+     * @param {Object} req
+     *
+     * @returns {String}            Cache key for the request
+     *
+     */
+    createKey : function(keyPrefix, cacheDef, req) {
+        var principalId = _.get(req.principal, "id");
+        var parts       = [keyPrefix, _.def(principalId) ? String(principalId) : ""];
+
+        if (_.func(cacheDef.key)) {
+            parts.push(String(cacheDef.key(req)));
+            return parts.join("|");
+        }
+
+        var varyBy  = cacheDef.varyBy || {};
+        var headers = {};
+        for (var idx in varyBy.headers) {
+            headers[varyBy.headers[idx]] = req.get(varyBy.headers[idx]);
+        }
+
+        parts.push(this._stringifySorted(this._pick(req.params, varyBy.params)));
+        parts.push(this._stringifySorted(this._pick(req.query, varyBy.query)));
+        parts.push(this._stringifySorted(headers));
+
+        return parts.join("|");
+    },
+
+    /**
+     *
+     * @param {String} key
+     * @param {function} cbReady    cbReady(entry, err), entry is null when nothing is cached for the key.
+     *                              An entry is {status, headers, body, createdAt}.
+     *
+     */
+    lookup : function(key, cbReady) {
+        this._store.get(key, function(entry, err) {
+            cbReady(_.obj(entry) ? entry : null, err);
+        });
+    },
+
+    /**
+     *
+     * @param {String} key
+     * @param {Object} entry        {status, headers, body, createdAt}
+     * @param {Object} cacheDef     The cache definition of the endpoint
+     * @param {Object} req
+     * @param {function} [cbReady]  cbReady(success, err)
+     *
+     */
+    store : function(key, entry, cacheDef, req, cbReady) {
+        var ttl     = _.number(cacheDef.ttl) ? cacheDef.ttl : ResponseCache.DEFAULT_TTL;
+        var tags    = _.func(cacheDef.tags) ? cacheDef.tags(req, entry.body) : cacheDef.tags;
+
+        this._store.set(key, entry, ttl, _.array(tags) ? tags : [], cbReady);
+    },
+
+    /**
+     *
+     * @param {Array} tags
+     * @param {function} [cbReady]  cbReady(numInvalidated, err)
+     *
+     */
+    invalidate : function(tags, cbReady) {
+        var me = this.getIName() + "::ResponseCache::invalidate";
+
+        if (!_.array(tags) || _.empty(tags)) {
+            if (_.func(cbReady)) {
+                cbReady(0);
+            }
+            return;
+        }
+
+        _l.debug(me, "Invalidating cache entries with tags : {0}".fmt(tags.join(", ")));
+        this._store.invalidateTags(tags, function(numInvalidated, err) {
+            if (_.func(cbReady)) {
+                cbReady(numInvalidated, err);
+            }
+        });
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _pick : function(values, names) {
+        if (!_.array(names)) {
+            return values || {};
+        }
+
+        var picked = {};
+        for (var idx in names) {
+            picked[names[idx]] = _.get(values, names[idx]);
+        }
+
+        return picked;
+    },
+
+    _stringifySorted : function(values) {
+        return JSON.stringify(Object.keys(values).sort().map(function(name) {
+            return [name, values[name]];
+        }));
+    }
+
+});
+
+module.exports = ResponseCache;
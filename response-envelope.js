@@ -0,0 +1,89 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+var Class           = require("jsface").Class;
+
+/**
+ *
+ * @class ResponseEnvelope
+ *
+ * Endpoint processing methods can give a response envelope, instead of plain data, to cbReady() or resolve their
+ * Promise with it. This allows services to control the response status, headers and cookies, e.g.:
+ *
+ *      cbReady(new ResponseEnvelope({
+ *          status  : 201,
+ *          headers : { Location : '/resource/' + resource.id },
+ *          body    : resource
+ *      }));
+ *
+ *      cbReady(ResponseEnvelope.noContent());
+ *
+ * RendersResponses applies the headers and cookies to the response and calls the render method with the body
+ * as data and the status as status argument, such that every renderer honors the envelope.
+ *
+ */
+var ResponseEnvelope = Class({
+
+    $statics : {
+
+        isEnvelope : function(value) {
+            return value instanceof ResponseEnvelope;
+        },
+
+        /**
+         *
+         * @param {String} location     URL of the created resource
+         * @param [body]
+         * @returns {ResponseEnvelope}  201 Created response with Location header
+         *
+         */
+        created : function(location, body) {
+            return new ResponseEnvelope({
+                status  : 201,
+                headers : { Location : location },
+                body    : body
+            });
+        },
+
+        /**
+         *
+         * @returns {ResponseEnvelope}  204 No Content response
+         *
+         */
+        noContent : function() {
+            return new ResponseEnvelope({
+                status  : 204
+            });
+        }
+    },
+
+    status          : null,
+
+    headers         : null,
+
+    cookies         : null,
+
+    body            : undefined,
+
+    /**
+     *
+     * Constructs response envelope
+     *
+     * @param {Object} [envelope]
+     * @param {Number} [envelope.status]        HTTP status of the response, default status is determined by renderer
+     * @param {Object} [envelope.headers]       Response headers, e.g. { Location : '/resource/1' }
+     * @param {Object} [envelope.cookies]       Cookies to set, mapping cookie names to a value or to
+     *                                          {value, options}; options are as for Express res.cookie().
+     *                                          A null value clears the cookie.
+     * @param [envelope.body]                   The response data to render
+     *
+     */
+    constructor: function(envelope) {
+        this.status     = _.number(_.get(envelope, "status")) ? envelope.status : null;
+        this.headers    = _.get(envelope, "headers") || {};
+        this.cookies    = _.get(envelope, "cookies") || {};
+        this.body       = _.get(envelope, "body");
+    }
+
+});
+
+module.exports = ResponseEnvelope;
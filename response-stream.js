@@ -0,0 +1,359 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+var fs              = require("fs");
+var path            = require("path");
+var EventEmitter    = require("events").EventEmitter;
+
+var Class           = require("jsface").Class;
+var AsyncUtils      = require("./async-utils.js");
+
+/**
+ *
+ * @class ResponseStream
+ *
+ * Endpoint processing methods can give a stream source, instead of data, to cbReady() or return or resolve their
+ * Promise with it, to send a response of many items or a large body. Stream sources are Node readable streams,
+ * async iterators (e.g. async generator functions) and event emitters (emitting data, end and error events).
+ * E.g. :
+ *
+ *      "GET export" : async function*(req) {
+ *          for await (var order of db.orders.find().cursor()) {
+ *              yield order;
+ *          }
+ *      }
+ *
+ * RendersResponses streams the items to the client, also see StreamWriters, as:
+ *
+ *  ndjson  : one JSON document per line (application/x-ndjson), the default for streams of objects
+ *  sse     : Server-Sent Events (text/event-stream), when the client accepts text/event-stream
+ *  file    : file download, the default for streams of bytes and response streams with a filename
+ *
+ * To control the format and the events, or to serve files, give a response stream, e.g. :
+ *
+ *      cbReady(new ResponseStream(progressEmitter, {
+ *          format      : ResponseStream.FORMAT_SSE,
+ *          events      : { data : "progress", end : "done" },
+ *          eventName   : "progress",
+ *          eventId     : function(progress) { return progress.step; }
+ *      }));
+ *
+ *      return ResponseStream.file("/exports/report.csv", { contentType : "text/csv" });
+ *
+ * Clients of Server-Sent Events reconnecting after a dropped connection send the id of the last event they received,
+ * see getLastEventId(req), such that the processing method can resume the stream after that event.
+ *
+ */
+var ResponseStream = Class({
+
+    $statics : {
+        FORMAT_NDJSON       : "ndjson",
+        FORMAT_SSE          : "sse",
+        FORMAT_FILE         : "file",
+
+        //Interval in ms of the comments sent to keep Server-Sent Events connections open
+        DEFAULT_HEARTBEAT   : 15000,
+
+        isResponseStream : function(value) {
+            return value instanceof ResponseStream;
+        },
+
+        /**
+         *
+         * @param value
+         * @returns {boolean}   True if value is a readable stream, an async iterator or an event emitter
+         *
+         */
+        isStreamSource : function(value) {
+            if (!_.def(value) || (typeof value !== "object" && typeof value !== "function")) {
+                return false;
+            }
+
+            return _.func(value[Symbol.asyncIterator]) || value instanceof EventEmitter;
+        },
+
+        /**
+         *
+         * @param value             Response stream or stream source
+         * @returns {ResponseStream}
+         *
+         */
+        from : function(value) {
+            return ResponseStream.isResponseStream(value) ? value : new ResponseStream(value);
+        },
+
+        /**
+         *
+         * @param {Object} req
+         * @returns {String|null}   The id of the last Server-Sent Event received by the reconnecting client, null
+         *                          when not reconnecting
+         *
+         */
+        getLastEventId : function(req) {
+            var lastEventId = _.get(_.get(req, "headers"), "last-event-id");
+            return _.string(lastEventId) && !_.empty(lastEventId) ? lastEventId : null;
+        },
+
+        /**
+         *
+         * Creates a file download response stream, supporting Range requests
+         *
+         * @param {String} filePath
+         * @param {Object} [options]            Options of the response stream, see constructor. Default filename is
+         *                                      the name of the file.
+         * @param {function} [cbReady]          cbReady(responseStream, err). When not given a promise is returned.
+         *
+         * @returns {Promise|undefined}         Promise resolving to the response stream, when no cbReady is given
+         *
+         */
+        file : function(filePath, options, cbReady) {
+            if (_.func(options)) {
+                cbReady = options;
+                options = null;
+            }
+
+            return AsyncUtils.callbackOrPromise(function(cbDone) {
+                fs.stat(filePath, function(err, stats) {
+                    if (_.def(err)) {
+                        cbDone(null, err);
+                        return;
+                    }
+
+                    var streamOptions = {
+                        format          : ResponseStream.FORMAT_FILE,
+                        filename        : path.basename(filePath),
+                        size            : stats.size,
+                        lastModified    : stats.mtime
+                    };
+                    for (var key in options) {
+                        streamOptions[key] = options[key];
+                    }
+
+                    cbDone(new ResponseStream(function(range) {
+                        return fs.createReadStream(filePath, range || undefined);
+                    }, streamOptions));
+                });
+            }, cbReady);
+        }
+    },
+
+    source          : null,
+
+    format          : null,
+
+    contentType     : null,
+
+    filename        : null,
+
+    size            : null,
+
+    lastModified    : null,
+
+    events          : null,
+
+    eventName       : null,
+
+    eventId         : null,
+
+    retry           : null,
+
+    heartbeat       : null,
+
+    /**
+     *
+     * Constructs response stream
+     *
+     * @param {Object|function} source          Stream source, or function([range]) returning the stream source for
+     *                                          the byte range {start, end} (inclusive), or for all bytes when no range
+     *                                          is given. With such a function, and the size, Range requests are
+     *                                          supported.
+     * @param {Object} [options]
+     * @param {String} [options.format]         ndjson, sse or file. Default is determined by the source and the
+     *                                          Accept header of the request.
+     * @param {String} [options.contentType]    Content type of file downloads, default is application/octet-stream
+     * @param {String} [options.filename]       File name of file downloads
+     * @param {Number} [options.size]           Size in bytes of file downloads
+     * @param {Date} [options.lastModified]     Last modification time of file downloads
+     * @param {Object} [options.events]         Names of the events of event emitters, {data, end, error}, default
+     *                                          is {data : 'data', end : 'end', error : 'error'}
+     * @param {String|function} [options.eventName]
+     *                                          Server-Sent Event name, or function(item) returning the name, default
+     *                                          is none (message)
+     * @param {function} [options.eventId]      function(item, index) returning the Server-Sent Event id of the item
+     * @param {Number} [options.retry]          Reconnection time in ms for Server-Sent Events clients
+     * @param {Number|boolean} [options.heartbeat=15000]
+     *                                          Interval in ms of heartbeats of Server-Sent Events, false for none
+     *
+     */
+    constructor: function(source, options) {
+        this.source         = source;
+        this.format         = _.get(options, "format") || null;
+        this.contentType    = _.get(options, "contentType") || null;
+        this.filename       = _.get(options, "filename") || null;
+        this.size           = _.number(_.get(options, "size")) ? options.size : null;
+        this.lastModified   = _.get(options, "lastModified") || null;
+
+        var events          = _.get(options, "events");
+        this.events         = {
+            data    : _.get(events, "data") || "data",
+            end     : _.get(events, "end") || "end",
+            error   : _.get(events, "error") || "error"
+        };
+
+        this.eventName      = _.get(options, "eventName") || null;
+        this.eventId        = _.func(_.get(options, "eventId")) ? options.eventId : null;
+        this.retry          = _.number(_.get(options, "retry")) ? options.retry : null;
+
+        var heartbeat       = _.get(options, "heartbeat");
+        this.heartbeat      = heartbeat === false ? null :
+                              (_.number(heartbeat) ? heartbeat : ResponseStream.DEFAULT_HEARTBEAT);
+    },
+
+    /**
+     *
+     * @returns {boolean}   True if byte ranges of the source can be streamed
+     *
+     */
+    supportsRanges : function() {
+        return _.func(this.source) && _.number(this.size);
+    },
+
+    /**
+     *
+     * @returns {boolean}   True if the source streams bytes, instead of objects
+     *
+     */
+    isByteStream : function() {
+        var source = _.func(this.source) ? null : this.source;
+        return this.format === ResponseStream.FORMAT_FILE || _.def(this.filename) || _.func(this.source) ||
+               (_.hasMethod(source, "pipe") && source.readableObjectMode === false);
+    },
+
+    /**
+     *
+     * Creates a reader, reading the items of the source one by one
+     *
+     * @param {Object} [range]      Byte range {start, end}, also see supportsRanges()
+     *
+     * @returns {Object}            {read : function(cbItem), close : function()}, with cbItem(item, done, err)
+     *
+     */
+    createReader : function(range) {
+        var source = this.source;
+        if (_.func(source)) {
+            try {
+                source = source(range);
+            } catch (err) {
+                return this._createFailedReader(err);
+            }
+        }
+
+        if (_.def(source) && _.func(source[Symbol.asyncIterator])) {
+            return this._createIteratorReader(source[Symbol.asyncIterator]());
+        }
+
+        if (source instanceof EventEmitter) {
+            return this._createEmitterReader(source);
+        }
+
+        return this._createFailedReader(new Error("Response stream has no readable stream, async iterator or " +
+                                                  "event emitter as source"));
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _createFailedReader : function(err) {
+        return {
+            read    : function(cbItem) {
+                cbItem(undefined, true, err);
+            },
+            close   : function() {}
+        };
+    },
+
+    _createIteratorReader : function(iterator) {
+        return {
+            read    : function(cbItem) {
+                var next = null;
+                try {
+                    next = iterator.next();
+                } catch (err) {
+                    cbItem(undefined, true, err);
+                    return;
+                }
+
+                Promise.resolve(next).then(function(result) {
+                    cbItem(_.get(result, "value"), _.get(result, "done") === true);
+                }, function(err) {
+                    cbItem(undefined, true, _.def(err) ? err : new Error("Stream source rejected without reason"));
+                });
+            },
+
+            //Stops generators and destroys streams
+            close   : function() {
+                if (_.func(iterator["return"])) {
+                    Promise.resolve(iterator["return"]()).then(null, function() {});
+                }
+            }
+        };
+    },
+
+    _createEmitterReader : function(emitter) {
+        var events      = this.events;
+        var queue       = [];
+        var ended       = false;
+        var error       = null;
+        var waiting     = null;
+
+        var deliver = function() {
+            if (!_.func(waiting) || (queue.length === 0 && !ended)) {
+                return;
+            }
+
+            var cbItem  = waiting;
+            waiting     = null;
+
+            if (queue.length > 0) {
+                cbItem(queue.shift(), false);
+            } else {
+                cbItem(undefined, true, error || undefined);
+            }
+        };
+
+        var onData  = function(item) {
+            queue.push(item);
+            deliver();
+        };
+        var onEnd   = function() {
+            ended = true;
+            deliver();
+        };
+        var onError = function(err) {
+            error = _.def(err) ? err : new Error("Stream source emitted an error without reason");
+            onEnd();
+        };
+
+        emitter.on(events.data, onData);
+        emitter.on(events.end, onEnd);
+        emitter.on(events.error, onError);
+
+        return {
+            read    : function(cbItem) {
+                waiting = cbItem;
+                deliver();
+            },
+
+            close   : function() {
+                emitter.removeListener(events.data, onData);
+                emitter.removeListener(events.end, onEnd);
+                emitter.removeListener(events.error, onError);
+            }
+        };
+    }
+
+});
+
+module.exports = ResponseStream;
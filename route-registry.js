@@ -0,0 +1,328 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var Router          = require("./adapters/router.js");
+
+/**
+ *
+ * @class RouteRegistry
+ *
+ * Records every route registered at an HTTP server (adapter) by renderers and server app chunks. Every HTTP adapter
+ * has a route registry, see HTTPAdapter.getRouteRegistry() and RendersResponses.getRouteRegistry().
+ *
+ * A route is described by an object:
+ *
+ *      {
+ *          owner       : 'json',               //Name of the renderer or server app chunk that registered the route
+ *          service     : 'users',              //Name of the service the endpoint belongs to
+ *          endpoint    : 'GET user',           //Name of the endpoint
+ *          method      : 'GET',
+ *          path        : '/api/users/:id',     //Full URL path
+ *          middleware  : ['cookieParser']      //Names of the middleware functions that run before the handler
+ *      }
+ *
+ * Routes with the same method and path, ignoring parameter names, conflict: only the first registered route would
+ * ever handle requests. Conflicting routes are refused, they are logged as errors and available through getRefused().
+ * To register a conflicting route anyway, e.g. with the allowRouteConflict property of an endpoint definition, it is
+ * explicitly allowed when added; it is then available through getConflicts().
+ *
+ */
+var RouteRegistry = Class(NamedBase, {
+
+    $statics : {
+        TABLE_COLUMNS   : ["method", "path", "owner", "service", "endpoint", "middleware"],
+
+        /**
+         *
+         * @param {String} path     Express style path
+         * @returns {String}        Path used to compare routes; parameter names and trailing slashes are removed
+         *
+         */
+        normalizePath : function(path) {
+            var normalized = String(path)
+                    .replace(/\/:[A-Za-z0-9_]+\?/g, "/:?")
+                    .replace(/\/:[A-Za-z0-9_]+/g, "/:")
+                    .replace(/\/+$/, "")
+                    .toLowerCase();
+
+            return normalized || "/";
+        }
+    },
+
+    _routes             : null,
+
+    _conflicts          : null,
+
+    _refused            : null,
+
+    constructor: function(registryName) {
+        RouteRegistry.$super.call(this, registryName);
+
+        this._routes    = [];
+        this._conflicts = [];
+        this._refused   = [];
+    },
+
+    /**
+     *
+     * @param {Object} route                Also see class description
+     * @param {String} route.method
+     * @param {String} route.path
+     * @param {String} [route.owner]
+     * @param {String} [route.service]
+     * @param {String} [route.endpoint]
+     * @param {Array} [route.middleware]    Middleware functions or names
+     * @param {boolean} [allowConflict]     When true, a route conflicting with an earlier route is recorded, as
+     *                                      conflict, instead of refused
+     *
+     * @returns {Object|null}               The recorded route, null if the route is invalid or refused
+     *
+     */
+    add : function(route, allowConflict) {
+        var me = this.getIName() + "::RouteRegistry::add";
+
+        if (!_.string(_.get(route, "method")) || !_.string(_.get(route, "path"))) {
+            _l.error(me, "Route requires a method and path, unable to add route");
+            return null;
+        }
+
+        var record = {
+            owner       : route.owner || null,
+            service     : route.service || null,
+            endpoint    : route.endpoint || null,
+            method      : route.method.toUpperCase(),
+            path        : route.path,
+            middleware  : this._getMiddlewareNames(route.middleware)
+        };
+
+        var existing = this._findConflicting(record);
+        if (_.def(existing) && allowConflict !== true) {
+            _l.error(me, ("Route {0} {1} of endpoint {2} ({3}) conflicts with route {4} {5} of endpoint {6} ({7}), " +
+                          "route refused").fmt(
+                    record.method, record.path, record.endpoint, record.owner,
+                    existing.method, existing.path, existing.endpoint, existing.owner));
+
+            this._refused.push({
+                route           : record,
+                conflictsWith   : existing
+            });
+            return null;
+        }
+
+        if (_.def(existing)) {
+            _l.warn(me, ("Route {0} {1} of endpoint {2} ({3}) conflicts with route {4} {5} of endpoint {6} ({7}), " +
+                         "it will never handle requests").fmt(
+                    record.method, record.path, record.endpoint, record.owner,
+                    existing.method, existing.path, existing.endpoint, existing.owner));
+
+            this._conflicts.push({
+                route       : record,
+                shadowedBy  : existing
+            });
+        }
+
+        this._routes.push(record);
+        return record;
+    },
+
+    /**
+     *
+     * Removes a recorded route, e.g. when registering it at the server failed
+     *
+     * @param {Object} record       Route returned by add()
+     * @returns {boolean}           True if the route was recorded
+     *
+     */
+    remove : function(record) {
+        var idx = this._routes.indexOf(record);
+        if (idx < 0) {
+            return false;
+        }
+
+        this._routes.splice(idx, 1);
+        this._conflicts = this._conflicts.filter(function(conflict) {
+            return conflict.route !== record;
+        });
+
+        return true;
+    },
+
+    /**
+     *
+     * @param {Object} [filter]     Only routes whose properties equal the given values are returned,
+     *                              e.g. { service : 'users' }
+     *
+     * @returns {Array}             List of routes, in order of registration
+     *
+     */
+    getRoutes : function(filter) {
+        return this._routes.filter(function(route) {
+            for (var key in filter) {
+                if (route[key] !== filter[key]) {
+                    return false;
+                }
+            }
+
+            return true;
+        });
+    },
+
+    /**
+     *
+     * @returns {Array}     List of {route, shadowedBy} objects, route is shadowed by the earlier registered route
+     *
+     */
+    getConflicts : function() {
+        return this._conflicts.slice();
+    },
+
+    hasConflicts : function() {
+        return this._conflicts.length > 0;
+    },
+
+    /**
+     *
+     * @returns {Array}     List of {route, conflictsWith} objects, route was refused because it conflicts with the
+     *                      earlier registered route
+     *
+     */
+    getRefused : function() {
+        return this._refused.slice();
+    },
+
+    /**
+     *
+     * @param {String} HTTPMethod
+     * @param {String} URLPath      Path of a request, e.g. /api/users/12
+     *
+     * @returns {Object|null}       The route that handles requests with given method and path, null if none
+     *
+     */
+    find : function(HTTPMethod, URLPath) {
+        var method  = String(HTTPMethod).toUpperCase();
+        var route   = null;
+
+        for (var idx in this._routes) {
+            route = this._routes[idx];
+            if (route.method !== method && route.method !== "ALL") {
+                continue;
+            }
+
+            if (Router.compilePath(route.path).regex.test(URLPath)) {
+                return route;
+            }
+        }
+
+        return null;
+    },
+
+    toJSON : function() {
+        return {
+            routes      : this.getRoutes(),
+            conflicts   : this.getConflicts(),
+            refused     : this.getRefused()
+        };
+    },
+
+    /**
+     *
+     * @param {Object} [filter]     Also see getRoutes()
+     * @returns {String}            Text table of the routes
+     *
+     */
+    toTable : function(filter) {
+        var columns = RouteRegistry.TABLE_COLUMNS;
+        var rows    = this.getRoutes(filter).map(function(route) {
+            return columns.map(function(column) {
+                var value = route[column];
+                return _.array(value) ? value.join(", ") : String(_.def(value) ? value : "");
+            });
+        });
+
+        var headers = columns.map(function(column) {
+            return column.toUpperCase();
+        });
+
+        var widths  = headers.map(function(header, cIdx) {
+            return rows.reduce(function(width, row) {
+                return Math.max(width, row[cIdx].length);
+            }, header.length);
+        });
+
+        var formatRow = function(row) {
+            return row.map(function(cell, cIdx) {
+                return cell + new Array(widths[cIdx] - cell.length + 1).join(" ");
+            }).join("  ").replace(/\s+$/, "");
+        };
+
+        var separator = widths.map(function(width) {
+            return new Array(width + 1).join("-");
+        });
+
+        return [formatRow(headers), formatRow(separator)].concat(rows.map(formatRow)).join("\n");
+    },
+
+    /**
+     *
+     * Logs the route table, and the conflicts and refused routes as errors
+     *
+     * @returns {boolean}   True if there are no conflicts and no routes were refused
+     *
+     */
+    report : function() {
+        var me = this.getIName() + "::RouteRegistry::report";
+
+        _l.info(me, "Registered routes :\n" + this.toTable());
+
+        this._conflicts.forEach(function(conflict) {
+            _l.error(me, "Route {0} {1} ({2}) is shadowed by route {3} {4} ({5})".fmt(
+                    conflict.route.method, conflict.route.path, conflict.route.endpoint,
+                    conflict.shadowedBy.method, conflict.shadowedBy.path, conflict.shadowedBy.endpoint));
+        });
+
+        this._refused.forEach(function(refused) {
+            _l.error(me, "Route {0} {1} ({2}) was refused, it conflicts with route {3} {4} ({5})".fmt(
+                    refused.route.method, refused.route.path, refused.route.endpoint,
+                    refused.conflictsWith.method, refused.conflictsWith.path, refused.conflictsWith.endpoint));
+        });
+
+        return !this.hasConflicts() && _.empty(this._refused);
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _findConflicting : function(record) {
+        var path    = RouteRegistry.normalizePath(record.path);
+        var route   = null;
+
+        for (var idx in this._routes) {
+            route = this._routes[idx];
+
+            var sameMethod = route.method === record.method || route.method === "ALL";
+            if (sameMethod && RouteRegistry.normalizePath(route.path) === path) {
+                return route;
+            }
+        }
+
+        return null;
+    },
+
+    _getMiddlewareNames : function(middleware) {
+        if (!_.array(middleware)) {
+            return [];
+        }
+
+        return middleware.map(function(func) {
+            return _.string(func) ? func : (_.get(func, "name") || "anonymous");
+        });
+    }
+
+});
+
+module.exports = RouteRegistry;
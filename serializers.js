@@ -0,0 +1,443 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+/**
+ *
+ * Built-in response serializers, used by the NegotiatingRenderer.
+ *
+ * A serializer is an object with the following properties:
+ *
+ *      {
+ *          //Media types the serializer produces, the first is used as Content-Type
+ *          mediaTypes  : ['text/csv'],
+ *
+ *          //Serializes the response data, returns a String or Buffer
+ *          serialize   : function(data) { ... }
+ *      }
+ *
+ */
+
+/**
+ *
+ * Converts data to plain values, as JSON.stringify would see them (e.g. Dates become ISO strings).
+ * Buffers are kept as is, such that binary serializers can encode them as binary data.
+ *
+ */
+function toPlain(value) {
+    if (Buffer.isBuffer(value)) {
+        return value;
+    }
+
+    if (_.obj(value) && _.func(value.toJSON)) {
+        value = value.toJSON();
+    }
+
+    if (_.array(value)) {
+        return value.map(function(item) {
+            var plain = toPlain(item);
+            return plain === undefined || _.func(plain) ? null : plain;
+        });
+    }
+
+    if (_.obj(value) && !_.func(value)) {
+        var plainObj = {};
+        for (var key in value) {
+            if (!value.hasOwnProperty(key)) {
+                continue;
+            }
+
+            var plain = toPlain(value[key]);
+            if (plain !== undefined && !_.func(plain)) {
+                plainObj[key] = plain;
+            }
+        }
+        return plainObj;
+    }
+
+    if (typeof value === "number" && !isFinite(value)) {
+        return null;
+    }
+
+    return value;
+}
+
+/****************************************************
+ *
+ * XML
+ *
+ ****************************************************/
+
+function escapeXML(value) {
+    return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&apos;");
+}
+
+function toXMLName(name) {
+    var xmlName = String(name).replace(/[^A-Za-z0-9_.\-]/g, "_");
+    return /^[A-Za-z_]/.test(xmlName) ? xmlName : "_" + xmlName;
+}
+
+function toXMLElement(name, value, indent) {
+    var tag = toXMLName(name);
+
+    if (value === null || value === undefined) {
+        return indent + "<" + tag + "/>\n";
+    }
+
+    if (Buffer.isBuffer(value)) {
+        return indent + "<" + tag + " encoding=\"base64\">" + value.toString("base64") + "</" + tag + ">\n";
+    }
+
+    if (_.array(value)) {
+        return indent + "<" + tag + ">\n" +
+               value.map(function(item) {
+                   return toXMLElement("item", item, indent + "  ");
+               }).join("") +
+               indent + "</" + tag + ">\n";
+    }
+
+    if (_.obj(value)) {
+        var children = "";
+        for (var key in value) {
+            children += toXMLElement(key, value[key], indent + "  ");
+        }
+        return indent + "<" + tag + ">\n" + children + indent + "</" + tag + ">\n";
+    }
+
+    return indent + "<" + tag + ">" + escapeXML(value) + "</" + tag + ">\n";
+}
+
+/****************************************************
+ *
+ * CSV
+ *
+ ****************************************************/
+
+function toCSVField(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+
+    var field = _.obj(value) ? JSON.stringify(value) : String(value);
+    if (/[",\r\n]/.test(field) || /^\s|\s$/.test(field)) {
+        field = '"' + field.replace(/"/g, '""') + '"';
+    }
+
+    return field;
+}
+
+/**
+ *
+ * The rows to write to CSV: an array is used as is, for an object containing exactly one array (e.g. {items : [...]})
+ * that array is used, any other object is one row
+ *
+ */
+function toCSVRows(data) {
+    if (_.array(data)) {
+        return data;
+    }
+
+    if (_.obj(data)) {
+        var arrayKeys = Object.keys(data).filter(function(key) {
+            return _.array(data[key]);
+        });
+
+        return arrayKeys.length === 1 ? data[arrayKeys[0]] : [data];
+    }
+
+    return [{ value : data }];
+}
+
+/****************************************************
+ *
+ * YAML
+ *
+ ****************************************************/
+
+function toYAMLScalar(value) {
+    if (value === null || value === undefined) {
+        return "null";
+    }
+
+    if (Buffer.isBuffer(value)) {
+        return "!!binary " + value.toString("base64");
+    }
+
+    if (typeof value === "string") {
+        //Plain strings only when they can not be mistaken for another type or YAML syntax
+        var plain = /^[A-Za-z_][A-Za-z0-9_ .\/\-]*$/.test(value) &&
+                    !/^(true|false|yes|no|on|off|null|~)$/i.test(value) &&
+                    !/\s$/.test(value);
+
+        return plain ? value : JSON.stringify(value);
+    }
+
+    return String(value);
+}
+
+function toYAML(value, indent) {
+    var lines = [];
+
+    if (_.array(value) && value.length > 0) {
+        value.forEach(function(item) {
+            if (_.obj(item) && !Buffer.isBuffer(item) && !_.empty(item)) {
+                var nested = toYAML(item, indent + "  ");
+                lines.push(indent + "- " + nested.slice(indent.length + 2));
+            } else {
+                lines.push(indent + "- " + toYAMLInline(item));
+            }
+        });
+        return lines.join("\n");
+    }
+
+    if (_.obj(value) && !_.array(value) && !Buffer.isBuffer(value) && !_.empty(value)) {
+        for (var key in value) {
+            var item    = value[key];
+            var yamlKey = toYAMLScalar(key);
+
+            if (_.obj(item) && !Buffer.isBuffer(item) && !_.empty(item)) {
+                lines.push(indent + yamlKey + ":");
+                lines.push(toYAML(item, indent + "  "));
+            } else {
+                lines.push(indent + yamlKey + ": " + toYAMLInline(item));
+            }
+        }
+        return lines.join("\n");
+    }
+
+    return indent + toYAMLInline(value);
+}
+
+function toYAMLInline(value) {
+    if (_.array(value)) {
+        return "[]";
+    }
+
+    if (_.obj(value) && !Buffer.isBuffer(value)) {
+        return "{}";
+    }
+
+    return toYAMLScalar(value);
+}
+
+/****************************************************
+ *
+ * MessagePack
+ *
+ ****************************************************/
+
+function msgpackHeader(prefix, size, length) {
+    var header = Buffer.alloc(1 + size);
+    header[0] = prefix;
+
+    if (size === 1) {
+        header.writeUInt8(length, 1);
+    } else if (size === 2) {
+        header.writeUInt16BE(length, 1);
+    } else if (size === 4) {
+        header.writeUInt32BE(length, 1);
+    }
+
+    return header;
+}
+
+function encodeMsgpackInteger(value) {
+    var buffer = null;
+
+    if (value >= 0) {
+        if (value < 0x80) {
+            return Buffer.from([value]);
+        }
+        if (value < 0x100) {
+            return Buffer.from([0xcc, value]);
+        }
+        if (value < 0x10000) {
+            buffer = Buffer.alloc(3);
+            buffer[0] = 0xcd;
+            buffer.writeUInt16BE(value, 1);
+            return buffer;
+        }
+        if (value < 0x100000000) {
+            buffer = Buffer.alloc(5);
+            buffer[0] = 0xce;
+            buffer.writeUInt32BE(value, 1);
+            return buffer;
+        }
+    } else {
+        if (value >= -0x20) {
+            return Buffer.from([value & 0xff]);
+        }
+        if (value >= -0x80) {
+            buffer = Buffer.alloc(2);
+            buffer[0] = 0xd0;
+            buffer.writeInt8(value, 1);
+            return buffer;
+        }
+        if (value >= -0x8000) {
+            buffer = Buffer.alloc(3);
+            buffer[0] = 0xd1;
+            buffer.writeInt16BE(value, 1);
+            return buffer;
+        }
+        if (value >= -0x80000000) {
+            buffer = Buffer.alloc(5);
+            buffer[0] = 0xd2;
+            buffer.writeInt32BE(value, 1);
+            return buffer;
+        }
+    }
+
+    //Out of 32 bit range, encode as float 64
+    return encodeMsgpackFloat(value);
+}
+
+function encodeMsgpackFloat(value) {
+    var buffer = Buffer.alloc(9);
+    buffer[0] = 0xcb;
+    buffer.writeDoubleBE(value, 1);
+    return buffer;
+}
+
+function encodeMsgpack(value) {
+    var length = 0;
+
+    if (value === null || value === undefined) {
+        return Buffer.from([0xc0]);
+    }
+
+    if (value === true || value === false) {
+        return Buffer.from([value ? 0xc3 : 0xc2]);
+    }
+
+    if (typeof value === "number") {
+        return value % 1 === 0 ? encodeMsgpackInteger(value) : encodeMsgpackFloat(value);
+    }
+
+    if (typeof value === "string") {
+        var str = Buffer.from(value, "utf8");
+        length = str.length;
+
+        if (length < 32) {
+            return Buffer.concat([Buffer.from([0xa0 | length]), str]);
+        }
+
+        return Buffer.concat([
+            length < 0x100 ? msgpackHeader(0xd9, 1, length) :
+                (length < 0x10000 ? msgpackHeader(0xda, 2, length) : msgpackHeader(0xdb, 4, length)),
+            str]);
+    }
+
+    if (Buffer.isBuffer(value)) {
+        length = value.length;
+        return Buffer.concat([
+            length < 0x100 ? msgpackHeader(0xc4, 1, length) :
+                (length < 0x10000 ? msgpackHeader(0xc5, 2, length) : msgpackHeader(0xc6, 4, length)),
+            value]);
+    }
+
+    if (_.array(value)) {
+        length = value.length;
+        return Buffer.concat([
+            length < 16 ? Buffer.from([0x90 | length]) :
+                (length < 0x10000 ? msgpackHeader(0xdc, 2, length) : msgpackHeader(0xdd, 4, length))
+        ].concat(value.map(encodeMsgpack)));
+    }
+
+    var keys = Object.keys(value);
+    length = keys.length;
+
+    var parts = [
+        length < 16 ? Buffer.from([0x80 | length]) :
+            (length < 0x10000 ? msgpackHeader(0xde, 2, length) : msgpackHeader(0xdf, 4, length))
+    ];
+    keys.forEach(function(key) {
+        parts.push(encodeMsgpack(key));
+        parts.push(encodeMsgpack(value[key]));
+    });
+
+    return Buffer.concat(parts);
+}
+
+/****************************************************
+ *
+ * SERIALIZERS
+ *
+ ****************************************************/
+
+var Serializers = {
+
+    json : {
+        mediaTypes  : ["application/json", "text/json"],
+
+        serialize   : function(data) {
+            return JSON.stringify(data);
+        }
+    },
+
+    xml : {
+        mediaTypes  : ["application/xml", "text/xml"],
+
+        serialize   : function(data) {
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' + toXMLElement("response", toPlain(data), "");
+        }
+    },
+
+    csv : {
+        mediaTypes  : ["text/csv"],
+
+        serialize   : function(data) {
+            var rows    = toCSVRows(toPlain(data));
+            var columns = [];
+
+            rows.forEach(function(row) {
+                if (!_.obj(row) || _.array(row)) {
+                    if (columns.indexOf("value") < 0) {
+                        columns.push("value");
+                    }
+                    return;
+                }
+
+                for (var key in row) {
+                    if (columns.indexOf(key) < 0) {
+                        columns.push(key);
+                    }
+                }
+            });
+
+            var lines = [columns.map(toCSVField).join(",")];
+            rows.forEach(function(row) {
+                if (!_.obj(row) || _.array(row)) {
+                    row = { value : row };
+                }
+
+                lines.push(columns.map(function(column) {
+                    return toCSVField(row[column]);
+                }).join(","));
+            });
+
+            return lines.join("\r\n") + "\r\n";
+        }
+    },
+
+    yaml : {
+        mediaTypes  : ["application/yaml", "application/x-yaml", "text/yaml"],
+
+        serialize   : function(data) {
+            return toYAML(toPlain(data), "") + "\n";
+        }
+    },
+
+    msgpack : {
+        mediaTypes  : ["application/msgpack", "application/x-msgpack", "application/vnd.msgpack"],
+
+        serialize   : function(data) {
+            return encodeMsgpack(toPlain(data));
+        }
+    }
+
+};
+
+module.exports = Serializers;
@@ -1,9 +1,12 @@
 var _                   = require('./libs/corelib-web/utils.js')._;
-var _l                  = require('./libs/corelib-web/logger.js').logger;
+var _l                  = require('./request-logger.js').logger;
 
 var Class               = require("jsface").Class;
 var Service             = require("./service.js");
 var RendersResponses    = require("./renders-responses.js");
+var AsyncUtils          = require("./async-utils.js");
+var Errors              = require("./errors.js");
+var Instrumentation     = require("./instrumentation.js");
 /**
  *
  * @class ServerAppChunk
@@ -18,6 +21,8 @@ var RendersResponses    = require("./renders-responses.js");
  *
  *      function(req, res, next)
  *
+ *      Handler functions can be async or return a Promise; exceptions and rejections are forwarded to next(err).
+ *
  *  B)  Response rendering methods, used to render processing results of endpoints of other services
  *      (E.g. render requests to API endpoints as application views):
  *
@@ -29,6 +34,16 @@ var RendersResponses    = require("./renders-responses.js");
  *          data and err are the results from processing the request and are then passed to
  *          the response rendering method
  *
+ *  Requests to endpoints of the app chunk itself are validated against the params, query, headers and body
+ *  schemas declared in their endpoint definition, before the endpoint handler is called. Also see
+ *  RequestValidator.
+ *
+ *  Like requests to endpoints of rendered services, requests to endpoints of the app chunk itself are handled with a
+ *  request context, see RequestContext.
+ *
+ * Responses for endpoints of other services can also be rendered as views, with templates, by a ViewRenderer given
+ * as config.viewRenderer; render methods mapped by _mapEndpointsToRenderMethods() take precedence.
+ *
  * Methods to override:
  *  * getRenderMethodForEndpoint(endpointName), also see RendersResponses
  *  * _mapEndpointsToMethods(), also see Service
@@ -40,6 +55,8 @@ var ServerAppChunk = Class([Service, RendersResponses], {
 
     _server             : null,
 
+    _viewRenderer       : null,
+
     /**
      *
      * Constructs server app chunk, handling requests for a specific part of a server-side app
@@ -54,7 +71,8 @@ var ServerAppChunk = Class([Service, RendersResponses], {
      *
      * @param {Object} config.server                HTTP server object on which to register request handlers.
      *                                              The server instance receives the requests to handle and
-     *                                              sends the responses.
+     *                                              sends the responses. Either an HTTPAdapter or an Express-like
+     *                                              server.
      *
      * @param {Object} config.endpointTable         Hash object with endpoint definition objects for requests this
      *                                              app chunk processes itself (other then only generating
@@ -81,9 +99,20 @@ var ServerAppChunk = Class([Service, RendersResponses], {
      *
      *                                              //The URL subpath of the endpoint
      *                                              URLSubpath  : '/app-view-n',
+     *
+     *                                              //OPTIONAL : ordered list of middleware functions,
+     *                                              //function(req, res, next), to run before the handler
+     *                                              middleware  : [requireLogin]
      *                                          }
      *                                      }
      *
+     * @param {Array} [config.middleware]           Ordered list of middleware functions, function(req, res, next), to
+     *                                              run before the handlers of all endpoints of the app chunk.
+     *                                              Middleware for responses rendered for other services is given to
+     *                                              renderResponsesFor().
+     *
+     * @param {Object} [config.viewRenderer]        ViewRenderer rendering the responses for endpoints of other services
+     *                                              that have no render method mapped by _mapEndpointsToRenderMethods()
      *
      */
     constructor: function(chunkName, config) {
@@ -102,6 +131,13 @@ var ServerAppChunk = Class([Service, RendersResponses], {
             this._valid = false;
         }
 
+        this._viewRenderer  = _.get(config, "viewRenderer") || null;
+        if (_.def(this._viewRenderer) && !_.hasMethod(this._viewRenderer, "getRenderMethodForEndpoint")) {
+            _l.error(me, ("View renderer is invalid, server app chunk [{0}] " +
+                          "will not function properly").fmt(chunkName));
+            this._valid = false;
+        }
+
         if (!this._valid) {
             _l.error(me, ("Errors occurred while constructing [{0}], " +
                           "will not set up server app chunk ...".fmt(chunkName)));
@@ -117,12 +153,25 @@ var ServerAppChunk = Class([Service, RendersResponses], {
         this._endpointRenderMethodMap = this._mapEndpointsToRenderMethods();
     },
 
+    getURLPathRoot : function() {
+        return this._URLPathRoot;
+    },
+
     getHTTPServer : function() {
         return this._server;
     },
 
+    getViewRenderer : function() {
+        return this._viewRenderer;
+    },
+
     getRenderMethodForEndpoint : function(endpointName) {
-        return _.get(this._endpointRenderMethodMap, endpointName);
+        var renderMethod = _.get(this._endpointRenderMethodMap, endpointName);
+        if (_.func(renderMethod) || !_.def(this._viewRenderer)) {
+            return renderMethod;
+        }
+
+        return this._viewRenderer.getRenderMethodForEndpoint(endpointName);
     },
 
     /****************************************************
@@ -185,7 +234,10 @@ var ServerAppChunk = Class([Service, RendersResponses], {
         var endpointName        = null;
         var endpointDef         = null;
         var endpointHandler     = null;
+        var middleware          = null;
+        var frameworkMiddleware = null;
         var URLPath             = null;
+        var numRefused          = this._llGetNumRefusedRoutes();
         for (var idx in endpointNames) {
             endpointName    = endpointNames[idx];
 
@@ -210,11 +262,33 @@ var ServerAppChunk = Class([Service, RendersResponses], {
                 continue;
             }
 
+            frameworkMiddleware = this._llCreateFrameworkMiddleware(this, endpointName, endpointDef);
+            if (!_.array(frameworkMiddleware)) {
+                _l.error(me, ("Endpoint {0} : creation of framework middleware failed, " +
+                              "unable to register endpoint handler").fmt(endpointName));
+                continue;
+            }
+
+            middleware      = this._llCollectMiddleware(endpointName, [
+                    this.getMiddleware(),
+                    endpointDef.middleware,
+                    frameworkMiddleware]);
+            if (!_.array(middleware)) {
+                _l.error(me, ("Endpoint {0} : invalid middleware provided, " +
+                              "unable to register endpoint handler").fmt(endpointName));
+                continue;
+            }
+
+            middleware      = [this._llCreateContextMiddleware(this, endpointName)].concat(
+                    this._llMeasureMiddleware(middleware));
+
             URLPath = this._llRegisterEndpointHandler(
                     endpointName,
                     endpointDef,
                     this._URLPathRoot,
-                    endpointHandler);
+                    endpointHandler,
+                    middleware,
+                    this);
 
             if (_.def(URLPath)) {
                 _l.info(me, "Endpoint {0} : Registration of handler success at [{1}]".fmt(endpointName, URLPath));
@@ -229,22 +303,53 @@ var ServerAppChunk = Class([Service, RendersResponses], {
             success = false;
         }
 
+        if (this._llGetNumRefusedRoutes() > numRefused) {
+            _l.error(me, "Routes of endpoints conflict with earlier registered routes");
+            success = false;
+        }
+
         return success;
     },
 
     _llCreateValidatedHandlerFunc : function(endpointName, handlerFunc) {
-        var self = this;
+        var self            = this;
+        var validateRequest = this._llCreateRequestValidatorFunc(endpointName, this.getEndpointDefFor(endpointName));
+        var instrumentation = this.getInstrumentation() || Instrumentation.getDefault();
 
         return function(req, res, next) {
+            var measurement = _.get(req.context, "measurement") ||
+                    instrumentation.start(self.getIName(), endpointName, req, res);
+
+            next = measurement.wrapNext(next);
+
             if (!self.isValid()) {
-                next({
-                    message : "Endpoint {0} : Server app chunk {0} is not valid, unable to handle request"
-                              .fmt(endpointName, self.getIName()),
-                    code    : "ERR_SERVER_APP_CHUNK_INVALID"
-                });
+                next(new Errors.ServiceUnavailableError(
+                        "Endpoint {0} : Server app chunk {1} is not valid, unable to handle request"
+                                .fmt(endpointName, self.getIName()),
+                        null,
+                        "ERR_SERVER_APP_CHUNK_INVALID"));
+
+                return false;
+            }
+
+            if (!self.isAcceptingRequests()) {
+                next(self._llCreateNotAcceptingError(self, res,
+                        "Endpoint {0} : Server app chunk {1} is {2}, unable to handle request"
+                                .fmt(endpointName, self.getIName(), self.getStatus())));
+
+                return false;
+            }
+
+            self._llTrackRequest(self, res);
+
+            var validationErr = _.func(validateRequest) ? validateRequest(req) : null;
+            if (_.def(validationErr)) {
+                next(validationErr);
+
+                return false;
             }
 
-            return handlerFunc(req, res, next);
+            return AsyncUtils.callForwardingErrors(handlerFunc, [req, res, next]);
         };
     }
 
@@ -1,8 +1,9 @@
 var _               = require('./libs/corelib-web/utils.js')._;
-var _l              = require('./libs/corelib-web/logger.js').logger;
+var _l              = require('./request-logger.js').logger;
 
 var Class           = require("jsface").Class;
 var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var AsyncUtils      = require("./async-utils.js");
 
 /**
  *
@@ -13,13 +14,70 @@ var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
  * Protected methods that need to be overwritten:
  *  * _mapEndpointsToMethods()
  *
+ * Services have a lifecycle, see start() and stop(). To open connections, warm caches etc., and close them again,
+ * override the lifecycle hooks, that take a callback, cbReady(result, err), or return a Promise:
+ *  * _start(cbReady)
+ *  * _stop(cbReady)
+ *  * _checkHealth(cbReady), giving health details, or an error when the service is unhealthy
+ *
+ * While stopping, new requests are refused with a 503 and the requests in flight are drained before _stop() is
+ * called. Use a LifecycleManager to start and stop services in order of their dependencies and to serve the
+ * /health and /ready endpoints.
+ *
  * Child classes need to provide an object for the _endpointMethodMap property
  *
  */
 var Service = Class(NamedBase, {
 
+    $statics : {
+        STATUS_CREATED          : "created",
+
+        STATUS_STARTING         : "starting",
+
+        STATUS_RUNNING          : "running",
+
+        STATUS_STOPPING         : "stopping",
+
+        STATUS_STOPPED          : "stopped",
+
+        STATUS_FAILED           : "failed",
+
+        //Milliseconds to wait for requests in flight to complete when stopping
+        DEFAULT_DRAIN_TIMEOUT   : 10000
+    },
+
     _endpointTable              : null,
 
+    _middleware                 : null,
+
+    _authDefaults               : null,
+
+    _authenticatorRegistry      : null,
+
+    _version                    : null,
+
+    _deprecationDefaults        : null,
+
+    _responseCache              : null,
+
+    _rateLimitDefaults          : null,
+
+    _rateLimiter                : null,
+
+    _instrumentation            : null,
+
+    _dependencies               : null,
+
+    _drainTimeout               : null,
+
+    _status                     : null,
+
+    _numInFlight                : 0,
+
+    _cbDrained                  : null,
+
+    _stoppingSince              : null,
+
     /**
      *
      * A hash object that maps endpoint names to endpoint methods.
@@ -47,6 +105,15 @@ var Service = Class(NamedBase, {
      *
      *                                              //The URL subpath of the endpoint
      *                                              URLSubpath  : '/resource/:id/',
+     *
+     *                                              //OPTIONAL : JSON-Schema style schemas to validate the
+     *                                              //params, query, headers and body of requests with,
+     *                                              //also see RequestValidator
+     *                                              params      : {
+     *                                                  type        : 'object',
+     *                                                  properties  : { id : { type : 'integer' } },
+     *                                                  required    : ['id']
+     *                                              }
      *                                          },
      *
      *                                          ...
@@ -58,9 +125,83 @@ var Service = Class(NamedBase, {
      *
      *                                              //The URL subpath of the endpoint
      *                                              URLSubpath  : '/resource/:id/',
+     *
+     *                                              //OPTIONAL : ordered list of middleware functions,
+     *                                              //function(req, res, next), to run before the endpoint method
+     *                                              middleware  : [audit],
+     *
+     *                                              //OPTIONAL : authentication and authorization of requests,
+     *                                              //overrides config.auth, false makes the endpoint public.
+     *                                              //Also see AuthenticatorRegistry
+     *                                              auth        : { strategies : ['bearer'], roles : ['admin'] },
+     *
+     *                                              //OPTIONAL : deprecation of the endpoint, true or the date of
+     *                                              //deprecation, and the date after which the endpoint is removed.
+     *                                              //Sets the Deprecation and Sunset response headers, also see
+     *                                              //ApiVersioning
+     *                                              deprecated  : '2024-01-01',
+     *                                              sunset      : '2025-01-01',
+     *
+     *                                              //OPTIONAL : cache tags to invalidate after successful processing,
+     *                                              //GET endpoints can declare a cache definition, also see
+     *                                              //ResponseCache
+     *                                              invalidates : ['resources'],
+     *
+     *                                              //OPTIONAL : rate limit, overrides config.rateLimit, false
+     *                                              //disables rate limiting. Also see RateLimiter
+     *                                              rateLimit   : { window : '1m', max : 10, key : 'principal' },
+     *
+     *                                              //OPTIONAL : when true, the route of the endpoint is registered
+     *                                              //even when it conflicts with an earlier registered route, that
+     *                                              //then handles its requests. Also see RouteRegistry
+     *                                              allowRouteConflict : false
      *                                          }
      *                                      }
      *
+     * @param {Array} [config.middleware]       Ordered list of middleware functions, function(req, res, next), to run
+     *                                          before the methods of all endpoints of the service. These run before
+     *                                          the middleware given in the endpoint definitions.
+     *
+     * @param {Object} [config.auth]            Default auth definition, {strategies, roles, scopes}, for all endpoints
+     *                                          of the service. Properties given in the auth definition of an
+     *                                          endpoint override the defaults.
+     *
+     * @param {AuthenticatorRegistry} [config.authenticators]
+     *                                          Registry with the authentication strategies used in the auth
+     *                                          definitions. Mandatory when any endpoint requires authentication.
+     *
+     * @param {String} [config.version]         API version of the service, e.g. '2'. Several versions of a service
+     *                                          can be rendered at the same time, also see ApiVersioning and
+     *                                          RendersResponses.renderResponsesFor().
+     *
+     * @param {Object} [config.deprecation]     Default deprecation, {deprecated, sunset, deprecationLink, sunsetLink},
+     *                                          for all endpoints of the service, e.g. to deprecate a whole version.
+     *                                          Properties given in the endpoint definitions override the defaults.
+     *
+     * @param {ResponseCache} [config.responseCache]
+     *                                          Cache for the endpoints that declare a cache definition, by default the
+     *                                          shared ResponseCache.getDefault(). Also see ResponseCache.
+     *
+     * @param {Object} [config.rateLimit]       Default rate limit, {window, max, key, algorithm, group}, for all
+     *                                          endpoints of the service. Properties given in the rate limit of an
+     *                                          endpoint override the defaults. Endpoints share the default quota
+     *                                          when the default declares a group.
+     *
+     * @param {RateLimiter} [config.rateLimiter]
+     *                                          Rate limiter for the endpoints with a rate limit, by default the shared
+     *                                          RateLimiter.getDefault(). Also see RateLimiter.
+     *
+     * @param {Instrumentation} [config.instrumentation]
+     *                                          Instrumentation keeping the metrics, and tracing the requests, of the
+     *                                          endpoints, by default the shared Instrumentation.getDefault(). Also
+     *                                          see Instrumentation.
+     *
+     * @param {Array} [config.dependsOn]        Names of the services, or other lifecycle components, that need to be
+     *                                          started before this service, also see LifecycleManager.
+     *
+     * @param {Number} [config.drainTimeout=10000]
+     *                                          Milliseconds to wait for requests in flight to complete when stopping
+     *
      */
     constructor: function(serviceName, config) {
         var me = "Service::constructor";
@@ -69,6 +210,39 @@ var Service = Class(NamedBase, {
         this._valid         = true;
         this._endpointTable = _.get(config, "endpointTable");
 
+        this._middleware    = _.get(config, "middleware") || [];
+        if (!_.array(this._middleware)) {
+            _l.error(me, ("Middleware must be given as an array of functions, " +
+                          "{0} service will not function properly.").fmt(this.getIName()));
+            this._middleware    = [];
+            this._valid         = false;
+        }
+
+        this._authDefaults          = _.get(config, "auth") || null;
+        this._authenticatorRegistry = _.get(config, "authenticators") || null;
+
+        this._version               = _.get(config, "version") || null;
+        this._deprecationDefaults   = _.get(config, "deprecation") || null;
+        this._responseCache         = _.get(config, "responseCache") || null;
+        this._rateLimitDefaults     = _.get(config, "rateLimit") || null;
+        this._rateLimiter           = _.get(config, "rateLimiter") || null;
+        this._instrumentation       = _.get(config, "instrumentation") || null;
+
+        this._dependencies          = _.get(config, "dependsOn") || [];
+        if (!_.array(this._dependencies)) {
+            _l.error(me, ("Dependencies must be given as an array of names, " +
+                          "{0} service will not function properly.").fmt(this.getIName()));
+            this._dependencies  = [];
+            this._valid         = false;
+        }
+
+        this._drainTimeout          = _.number(_.get(config, "drainTimeout")) ?
+                config.drainTimeout :
+                Service.DEFAULT_DRAIN_TIMEOUT;
+        this._status                = Service.STATUS_CREATED;
+        this._numInFlight           = 0;
+        this._cbDrained             = null;
+
         this._endpointMethodMap = this._mapEndpointsToMethods();
         if (!this._endpointMethodMapValid()) {
             _l.error(me, ("Mapping from service endpoint definitions to instance methods is not valid, " +
@@ -77,6 +251,204 @@ var Service = Class(NamedBase, {
         }
     },
 
+    /**
+     *
+     * Starts the service, calling the _start() hook
+     *
+     * @param {function} [cbReady]      cbReady(success, err). When not given a promise is returned.
+     *
+     * @returns {Promise|undefined}     Promise resolving when started, when no cbReady is given
+     *
+     */
+    start : function(cbReady) {
+        var me      = this.getIName() + "::Service::start";
+        var self    = this;
+
+        return AsyncUtils.callbackOrPromise(function(cbDone) {
+            if (!self.isValid()) {
+                cbDone(false, new Error("Service {0} is invalid, unable to start".fmt(self.getIName())));
+                return;
+            }
+
+            if (self._status === Service.STATUS_RUNNING) {
+                cbDone(true);
+                return;
+            }
+
+            if (self._status === Service.STATUS_STARTING || self._status === Service.STATUS_STOPPING) {
+                cbDone(false, new Error("Service {0} is {1}, unable to start".fmt(self.getIName(), self._status)));
+                return;
+            }
+
+            _l.info(me, "Starting service ...");
+            self._status = Service.STATUS_STARTING;
+
+            AsyncUtils.callMethod(self, self._start, [], function(result, err) {
+                if (_.def(err)) {
+                    _l.error(me, "Starting service failed : ", err);
+                    self._status = Service.STATUS_FAILED;
+                    cbDone(false, err);
+                    return;
+                }
+
+                _l.info(me, "Service started");
+                self._status = Service.STATUS_RUNNING;
+                cbDone(true);
+            });
+        }, cbReady);
+    },
+
+    /**
+     *
+     * Stops the service: new requests are refused, requests in flight are drained and the _stop() hook is called
+     *
+     * @param {function} [cbReady]      cbReady(success, err). When not given a promise is returned.
+     *
+     * @returns {Promise|undefined}     Promise resolving when stopped, when no cbReady is given
+     *
+     */
+    stop : function(cbReady) {
+        var me      = this.getIName() + "::Service::stop";
+        var self    = this;
+
+        return AsyncUtils.callbackOrPromise(function(cbDone) {
+            if (self._status === Service.STATUS_STOPPED) {
+                cbDone(true);
+                return;
+            }
+
+            if (self._status === Service.STATUS_STARTING || self._status === Service.STATUS_STOPPING) {
+                cbDone(false, new Error("Service {0} is {1}, unable to stop".fmt(self.getIName(), self._status)));
+                return;
+            }
+
+            _l.info(me, "Stopping service, draining {0} requests in flight ...".fmt(self._numInFlight));
+            self._status            = Service.STATUS_STOPPING;
+            self._stoppingSince     = Date.now();
+
+            self._drain(function(drained) {
+                if (!drained) {
+                    _l.warn(me, "{0} requests still in flight after {1} ms, stopping anyway".fmt(
+                            self._numInFlight, self._drainTimeout));
+                }
+
+                AsyncUtils.callMethod(self, self._stop, [], function(result, err) {
+                    if (_.def(err)) {
+                        _l.error(me, "Stopping service failed : ", err);
+                        self._status = Service.STATUS_FAILED;
+                        cbDone(false, err);
+                        return;
+                    }
+
+                    _l.info(me, "Service stopped");
+                    self._status = Service.STATUS_STOPPED;
+                    cbDone(true);
+                });
+            });
+        }, cbReady);
+    },
+
+    /**
+     *
+     * @param {function} cbReady    cbReady(health), health is {status, lifecycle, inFlight, details}, with status
+     *                              up or down. The details are given by the _checkHealth() hook.
+     *
+     */
+    checkHealth : function(cbReady) {
+        var self    = this;
+        var health  = {
+            status      : "down",
+            lifecycle   : this._status,
+            inFlight    : this._numInFlight,
+            details     : null
+        };
+
+        if (!this.isValid() || this._status === Service.STATUS_FAILED || this._status === Service.STATUS_STOPPED) {
+            cbReady(health);
+            return;
+        }
+
+        AsyncUtils.callMethod(this, this._checkHealth, [], function(details, err) {
+            health.status   = _.def(err) ? "down" : "up";
+            health.details  = _.def(err) ? { error : _.string(err.message) ? err.message : String(err) } :
+                    (details || null);
+
+            cbReady(health);
+        });
+    },
+
+    getStatus : function() {
+        return this._status;
+    },
+
+    /**
+     *
+     * @returns {boolean}   True if the service is valid and running
+     *
+     */
+    isReady : function() {
+        return this.isValid() && this._status === Service.STATUS_RUNNING;
+    },
+
+    /**
+     *
+     * @returns {boolean}   False while stopping, after stopping and after a failed start or stop. Services that
+     *                      are not started, accept requests.
+     *
+     */
+    isAcceptingRequests : function() {
+        return this._status !== Service.STATUS_STOPPING &&
+               this._status !== Service.STATUS_STOPPED &&
+               this._status !== Service.STATUS_FAILED;
+    },
+
+    /**
+     *
+     * Called by the framework when it starts handling a request to an endpoint of the service
+     *
+     */
+    requestStarted : function() {
+        this._numInFlight += 1;
+    },
+
+    /**
+     *
+     * Called by the framework when the response to a request to an endpoint of the service is sent
+     *
+     */
+    requestEnded : function() {
+        this._numInFlight = Math.max(0, this._numInFlight - 1);
+
+        if (this._numInFlight === 0 && _.func(this._cbDrained)) {
+            this._cbDrained(true);
+        }
+    },
+
+    getNumInFlight : function() {
+        return this._numInFlight;
+    },
+
+    /**
+     *
+     * @returns {Number}    While stopping, the milliseconds until draining the requests in flight times out, such
+     *                      that refused requests can tell clients when to retry, e.g. at another instance. Else 0.
+     *
+     */
+    getRetryAfter : function() {
+        return this._status === Service.STATUS_STOPPING ?
+                Math.max(0, this._stoppingSince + this._drainTimeout - Date.now()) :
+                0;
+    },
+
+    /**
+     *
+     * @returns {Array}     Names of the services, or other lifecycle components, to start before this service
+     *
+     */
+    getDependencies : function() {
+        return this._dependencies.slice();
+    },
+
     getEndpointNames     : function() {
         var me              = this.getIName() + "::Service::getEndpointNames";
         var endpointNames   = null;
@@ -90,6 +462,132 @@ var Service = Class(NamedBase, {
         return endpointNames;
     },
 
+    /**
+     *
+     * @returns {Array} Ordered list of middleware functions to run before the methods of all endpoints of the service
+     *
+     */
+    getMiddleware : function() {
+        return this._middleware.slice();
+    },
+
+    /**
+     *
+     * @param {String} endpointName
+     *
+     * @returns {Object|null}   The auth definition, {strategies, roles, scopes}, for the endpoint: the service
+     *                          defaults overridden by the auth definition of the endpoint. Null when the endpoint
+     *                          does not require authentication.
+     *
+     */
+    getAuthDefFor : function(endpointName) {
+        var endpointAuth = _.get(this.getEndpointDefFor(endpointName), "auth");
+
+        if (endpointAuth === false) {
+            return null;
+        }
+
+        if (!_.obj(this._authDefaults) && !_.obj(endpointAuth)) {
+            return null;
+        }
+
+        var authDef = {};
+        var key     = null;
+        for (key in this._authDefaults) {
+            authDef[key] = this._authDefaults[key];
+        }
+        for (key in endpointAuth) {
+            authDef[key] = endpointAuth[key];
+        }
+
+        return authDef;
+    },
+
+    getAuthenticatorRegistry : function() {
+        return this._authenticatorRegistry;
+    },
+
+    /**
+     *
+     * @param {String} endpointName
+     *
+     * @returns {Object|null}   The rate limit, {window, max, key, algorithm, group}, for the endpoint: the service
+     *                          defaults overridden by the rate limit of the endpoint. Null when the endpoint is not
+     *                          rate limited.
+     *
+     */
+    getRateLimitFor : function(endpointName) {
+        var endpointRateLimit = _.get(this.getEndpointDefFor(endpointName), "rateLimit");
+
+        if (endpointRateLimit === false) {
+            return null;
+        }
+
+        if (!_.obj(this._rateLimitDefaults) && !_.obj(endpointRateLimit)) {
+            return null;
+        }
+
+        var rateLimit   = {};
+        var key         = null;
+        for (key in this._rateLimitDefaults) {
+            rateLimit[key] = this._rateLimitDefaults[key];
+        }
+        for (key in endpointRateLimit) {
+            rateLimit[key] = endpointRateLimit[key];
+        }
+
+        return rateLimit;
+    },
+
+    getRateLimiter : function() {
+        return this._rateLimiter;
+    },
+
+    getInstrumentation : function() {
+        return this._instrumentation;
+    },
+
+    getResponseCache : function() {
+        return this._responseCache;
+    },
+
+    getVersion : function() {
+        return this._version;
+    },
+
+    /**
+     *
+     * @param {String} endpointName
+     *
+     * @returns {Object|null}   The deprecation, {deprecated, sunset, deprecationLink, sunsetLink}, of the endpoint:
+     *                          the service defaults overridden by the endpoint definition. Null when the endpoint is
+     *                          not deprecated and has no sunset.
+     *
+     */
+    getDeprecationFor : function(endpointName) {
+        var endpointDef = this.getEndpointDefFor(endpointName);
+        var deprecation = {};
+        var keys        = ["deprecated", "sunset", "deprecationLink", "sunsetLink"];
+        var key         = null;
+
+        for (var idx in keys) {
+            key = keys[idx];
+
+            if (_.def(_.get(endpointDef, key))) {
+                deprecation[key] = endpointDef[key];
+            } else if (_.def(_.get(this._deprecationDefaults, key))) {
+                deprecation[key] = this._deprecationDefaults[key];
+            }
+        }
+
+        var deprecated = _.def(deprecation.deprecated) && deprecation.deprecated !== false;
+        if (!deprecated && !_.def(deprecation.sunset)) {
+            return null;
+        }
+
+        return deprecation;
+    },
+
     getEndpointDefFor : function(endpointName) {
         return _.get(
                 this._endpointTable,
@@ -111,6 +609,10 @@ var Service = Class(NamedBase, {
      *
      *    function(req, cbReady), with cbReady(data, err)
      *
+     *    A processing method that does not take cbReady returns the data, or a Promise (e.g. is async) resolving
+     *    with the data. Also see AsyncUtils.callProcessingMethod(). To control the response status, headers and
+     *    cookies, the data can be a ResponseEnvelope.
+     *
      *    The resulting data and err can then be given to a response rendering method.
      *    Also see RendersResponse and ServerAppChunk.
      *
@@ -136,6 +638,61 @@ var Service = Class(NamedBase, {
      *
      ****************************************************/
 
+    /**
+     *
+     * Lifecycle hook, called by start(). Override to open connections, warm caches etc.
+     *
+     * @param {function} cbReady    cbReady(result, err). Alternatively, return a Promise.
+     *
+     */
+    _start : function(cbReady) {
+        cbReady(true);
+    },
+
+    /**
+     *
+     * Lifecycle hook, called by stop() after the requests in flight are drained. Override to close connections etc.
+     *
+     * @param {function} cbReady    cbReady(result, err). Alternatively, return a Promise.
+     *
+     */
+    _stop : function(cbReady) {
+        cbReady(true);
+    },
+
+    /**
+     *
+     * Health check hook, called by checkHealth(). Override to e.g. check database connections.
+     *
+     * @param {function} cbReady    cbReady(details, err), err when the service is unhealthy. Alternatively, return
+     *                              a Promise.
+     *
+     */
+    _checkHealth : function(cbReady) {
+        cbReady(null);
+    },
+
+    _drain : function(cbReady) {
+        var self = this;
+
+        if (this._numInFlight === 0) {
+            cbReady(true);
+            return;
+        }
+
+        var timer = setTimeout(function() {
+            done(false);
+        }, this._drainTimeout);
+
+        var done = function(drained) {
+            clearTimeout(timer);
+            self._cbDrained = null;
+            cbReady(drained);
+        };
+
+        this._cbDrained = done;
+    },
+
     /**
      *
      * Builds up hash object, mapping endpoint names to endpoint methods
@@ -0,0 +1,431 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var AsyncUtils      = require("./async-utils.js");
+var Errors          = require("./errors.js");
+
+/**
+ *
+ * Writers of response streams, used by RendersResponses to stream the items of a ResponseStream to the client.
+ *
+ * A stream writer is a function(req, res, stream, options, cbDone):
+ *
+ *      stream          : the ResponseStream to write
+ *      options.status  : OPTIONAL : status of the response, e.g. given with a ResponseEnvelope
+ *      options.isOpen  : OPTIONAL : function() returning false when the stream must be ended, e.g. when the service
+ *                        stops. Checked before every item, and heartbeat, of ndjson and sse streams.
+ *      cbDone(err)     : called when the stream ended, err is given when the stream failed before anything was
+ *                        sent, such that the error can still be rendered
+ *
+ * Errors of the source after the response was started are written as last item (ndjson, sse) or abort the
+ * response (file).
+ *
+ */
+
+function getEmitter(res) {
+    return _.hasMethod(res, "on") ? res : _.get(res, "raw");
+}
+
+function isHead(req) {
+    return String(_.get(req, "method")).toUpperCase() === "HEAD";
+}
+
+function toProblem(err) {
+    return Errors.FrameworkError.from(err).toProblem({ hideStackTrace : true });
+}
+
+/**
+ *
+ * Reads the items from the reader and writes them to the response, waiting for the response to drain when its
+ * buffer is full
+ *
+ * @param {Object} reader           Reader of the response stream
+ * @param {Object} res
+ * @param {Object} state            {closed, numItems}, closed is set when the response ended
+ * @param {function} format         function(item, index) returning the String or Buffer to write for the item
+ * @param {function} isOpen         function() returning false when the stream must be ended
+ * @param {function} cbEnd          cbEnd(err), called when the source ended or failed
+ *
+ */
+function pump(reader, res, state, format, isOpen, cbEnd) {
+    var emitter = getEmitter(res);
+
+    var readNext = function() {
+        if (state.closed) {
+            return;
+        }
+
+        if (!isOpen()) {
+            cbEnd();
+            return;
+        }
+
+        reader.read(function(item, done, err) {
+            if (state.closed) {
+                return;
+            }
+
+            if (done || _.def(err)) {
+                cbEnd(err);
+                return;
+            }
+
+            var chunk = format(item, state.numItems);
+            state.numItems += 1;
+
+            if (!_.def(chunk) || res.write(chunk) !== false || !_.hasMethod(emitter, "once")) {
+                readNext();
+                return;
+            }
+
+            emitter.once("drain", readNext);
+        });
+    };
+
+    readNext();
+}
+
+/**
+ *
+ * Reads the first item before the response is started, such that errors of the source can still be rendered
+ *
+ */
+function start(req, res, reader, state, cbStarted, cbDone) {
+    reader.read(function(item, done, err) {
+        if (state.closed) {
+            return;
+        }
+
+        if (_.def(err)) {
+            reader.close();
+            cbDone(err);
+            return;
+        }
+
+        cbStarted(item, done);
+    });
+}
+
+function createState(res, reader) {
+    var state = { closed : false, numItems : 0 };
+
+    AsyncUtils.onResponseEnd(res, function() {
+        state.closed = true;
+        reader.close();
+    });
+
+    return state;
+}
+
+function alwaysOpen() {
+    return true;
+}
+
+/****************************************************
+ *
+ * BYTE RANGES
+ *
+ ****************************************************/
+
+/**
+ *
+ * @param {String} rangeHeader
+ * @param {Number} size
+ *
+ * @returns {Object|null|boolean}   {start, end} of the requested range, null when the header is not a single byte
+ *                                  range (the full content is sent), false when the range is not satisfiable
+ *
+ */
+function parseRange(rangeHeader, size) {
+    var match = /^bytes=(\d*)-(\d*)$/.exec(String(rangeHeader).trim());
+    if (!_.def(match) || (match[1] === "" && match[2] === "")) {
+        return null;
+    }
+
+    var start   = null;
+    var end     = null;
+    if (match[1] === "") {
+        //Suffix range, the last n bytes
+        start   = Math.max(size - parseInt(match[2], 10), 0);
+        end     = size - 1;
+    } else {
+        start   = parseInt(match[1], 10);
+        end     = match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    return start <= end && start < size ? { start : start, end : end } : false;
+}
+
+function getRequestedRange(req, res, stream) {
+    var headers = _.get(req, "headers") || {};
+
+    if (!stream.supportsRanges() || !_.def(headers.range) || String(req.method).toUpperCase() !== "GET") {
+        return null;
+    }
+
+    //The range only applies to the representation the client has
+    var ifRange = headers["if-range"];
+    if (_.def(ifRange) && ifRange !== res.get("Last-Modified") && ifRange !== res.get("ETag")) {
+        return null;
+    }
+
+    return parseRange(headers.range, stream.size);
+}
+
+function createContentDisposition(filename) {
+    var asciiName = String(filename).replace(/[^\x20-\x7e]|["\\]/g, "_");
+
+    return "attachment; filename=\"{0}\"; filename*=UTF-8''{1}".fmt(asciiName, encodeURIComponent(filename));
+}
+
+/****************************************************
+ *
+ * SERVER-SENT EVENTS
+ *
+ ****************************************************/
+
+function toEvent(stream, item, index) {
+    var lines   = [];
+
+    var id      = _.func(stream.eventId) ? stream.eventId(item, index) : null;
+    if (_.def(id)) {
+        lines.push("id: " + String(id).replace(/[\r\n]/g, ""));
+    }
+
+    var name    = _.func(stream.eventName) ? stream.eventName(item) : stream.eventName;
+    if (_.string(name) && !_.empty(name)) {
+        lines.push("event: " + name.replace(/[\r\n]/g, ""));
+    }
+
+    var data    = _.string(item) ? item : JSON.stringify(item);
+    String(data).split(/\r\n|\r|\n/).forEach(function(line) {
+        lines.push("data: " + line);
+    });
+
+    return lines.join("\n") + "\n\n";
+}
+
+/****************************************************
+ *
+ * STREAM WRITERS
+ *
+ ****************************************************/
+
+var StreamWriters = {
+
+    /**
+     *
+     * Writes the items as JSON lines (application/x-ndjson). An error of the source is written as last line,
+     * {"error" : problem}.
+     *
+     */
+    ndjson : function(req, res, stream, options, cbDone) {
+        var me      = "StreamWriters::ndjson";
+        var reader  = stream.createReader();
+        var state   = createState(res, reader);
+        var isOpen  = _.get(options, "isOpen") || alwaysOpen;
+
+        var format  = function(item) {
+            var line = JSON.stringify(item);
+            return _.def(line) ? line + "\n" : null;
+        };
+
+        start(req, res, reader, state, function(firstItem, done) {
+            res.status(_.get(options, "status") || 200);
+            res.set("Content-Type", "application/x-ndjson; charset=utf-8");
+
+            if (done || isHead(req)) {
+                reader.close();
+                res.end();
+                cbDone();
+                return;
+            }
+
+            var first = format(firstItem, 0);
+            state.numItems = 1;
+            if (_.def(first)) {
+                res.write(first);
+            }
+
+            pump(reader, res, state, format, isOpen, function(err) {
+                if (_.def(err)) {
+                    _l.error(me, "Stream failed after {0} items : ".fmt(state.numItems), err);
+                    res.write(JSON.stringify({ error : toProblem(err) }) + "\n");
+                }
+
+                reader.close();
+                res.end();
+                cbDone();
+            });
+        }, cbDone);
+    },
+
+    /**
+     *
+     * Writes the items as Server-Sent Events (text/event-stream). The response is started right away, with the
+     * reconnection time when given, and comments are sent as heartbeat to keep the connection open. An error of the
+     * source is written as last event, of type error with the problem details as data.
+     *
+     */
+    sse : function(req, res, stream, options, cbDone) {
+        var me      = "StreamWriters::sse";
+        var reader  = stream.createReader();
+        var state   = createState(res, reader);
+        var isOpen  = _.get(options, "isOpen") || alwaysOpen;
+        var timer   = null;
+        var ended   = false;
+
+        res.status(_.get(options, "status") || 200);
+        res.set({
+            "Content-Type"      : "text/event-stream; charset=utf-8",
+            "Cache-Control"     : "no-cache",
+            "X-Accel-Buffering" : "no"
+        });
+
+        if (isHead(req)) {
+            reader.close();
+            res.end();
+            cbDone();
+            return;
+        }
+
+        var end = function() {
+            if (ended) {
+                return;
+            }
+
+            ended = true;
+            clearInterval(timer);
+            reader.close();
+            res.end();
+            cbDone();
+        };
+
+        res.write((_.number(stream.retry) ? "retry: {0}\n".fmt(stream.retry) : "") + ":ok\n\n");
+
+        if (_.number(stream.heartbeat) && stream.heartbeat > 0) {
+            timer = setInterval(function() {
+                if (state.closed) {
+                    clearInterval(timer);
+                    return;
+                }
+
+                if (!isOpen()) {
+                    end();
+                    return;
+                }
+
+                res.write(":heartbeat\n\n");
+            }, stream.heartbeat);
+        }
+
+        pump(reader, res, state, function(item, index) {
+            return toEvent(stream, item, index);
+        }, isOpen, function(err) {
+            if (_.def(err)) {
+                _l.error(me, "Stream failed after {0} events : ".fmt(state.numItems), err);
+                res.write("event: error\ndata: {0}\n\n".fmt(JSON.stringify(toProblem(err))));
+            }
+
+            end();
+        });
+    },
+
+    /**
+     *
+     * Writes the bytes as file download. When the response stream supports ranges, a single byte range can be
+     * requested with the Range header (206 Partial Content). When the source fails after the response was started,
+     * the response is aborted.
+     *
+     */
+    file : function(req, res, stream, options, cbDone) {
+        var me      = "StreamWriters::file";
+
+        if (_.def(stream.lastModified)) {
+            res.set("Last-Modified", new Date(stream.lastModified).toUTCString());
+        }
+
+        if (stream.supportsRanges()) {
+            res.set("Accept-Ranges", "bytes");
+        }
+
+        var range = getRequestedRange(req, res, stream);
+        if (range === false) {
+            res.set("Content-Range", "bytes */{0}".fmt(stream.size));
+            cbDone(new Errors.RangeNotSatisfiableError("Range {0} is not satisfiable, size is {1} bytes"
+                    .fmt(req.headers.range, stream.size)));
+            return;
+        }
+
+        var status      = _.def(range) ? 206 : (_.get(options, "status") || 200);
+        var length      = _.def(range) ? range.end - range.start + 1 : stream.size;
+
+        var sendHeaders = function() {
+            res.status(status);
+            res.set("Content-Type", stream.contentType || "application/octet-stream");
+
+            if (_.def(stream.filename)) {
+                res.set("Content-Disposition", createContentDisposition(stream.filename));
+            }
+
+            if (_.number(length)) {
+                res.set("Content-Length", String(length));
+            }
+
+            if (_.def(range)) {
+                res.set("Content-Range", "bytes {0}-{1}/{2}".fmt(range.start, range.end, stream.size));
+            }
+        };
+
+        if (isHead(req)) {
+            sendHeaders();
+            res.end();
+            cbDone();
+            return;
+        }
+
+        var reader  = stream.createReader(range);
+        var state   = createState(res, reader);
+        var format  = function(chunk) {
+            return Buffer.isBuffer(chunk) || _.string(chunk) ? chunk : Buffer.from(chunk);
+        };
+
+        start(req, res, reader, state, function(firstChunk, done) {
+            sendHeaders();
+
+            if (done) {
+                reader.close();
+                res.end();
+                cbDone();
+                return;
+            }
+
+            res.write(format(firstChunk));
+            state.numItems = 1;
+
+            //Downloads are not ended early, a partial file is of no use
+            pump(reader, res, state, format, alwaysOpen, function(err) {
+                reader.close();
+
+                if (!_.def(err)) {
+                    res.end();
+                    cbDone();
+                    return;
+                }
+
+                _l.error(me, "Stream failed, aborting download : ", err);
+
+                var emitter = getEmitter(res);
+                if (_.hasMethod(emitter, "destroy")) {
+                    emitter.destroy(err);
+                } else {
+                    res.end();
+                }
+                cbDone();
+            });
+        }, cbDone);
+    }
+
+};
+
+module.exports = StreamWriters;
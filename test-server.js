@@ -0,0 +1,393 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var EventEmitter    = require("events").EventEmitter;
+
+var Class           = require("jsface").Class;
+var HTTPAdapter     = require("./adapters/http-adapter.js");
+var Router          = require("./adapters/router.js");
+var Facades         = require("./adapters/http-facades.js");
+var Errors          = require("./errors.js");
+
+/**
+ *
+ * Minimal stand-in for a native http.ServerResponse, capturing the status, headers and body written to it.
+ *
+ */
+var CapturingResponse = Class(EventEmitter, {
+
+    statusCode          : 200,
+
+    headersSent         : false,
+
+    finished            : false,
+
+    req                 : null,
+
+    _headers            : null,
+
+    _chunks             : null,
+
+    constructor: function(nativeReq) {
+        EventEmitter.call(this);
+
+        this.req        = nativeReq;
+        this._headers   = {};
+        this._chunks    = [];
+    },
+
+    setHeader : function(name, value) {
+        this._headers[String(name).toLowerCase()] = value;
+    },
+
+    getHeader : function(name) {
+        return this._headers[String(name).toLowerCase()];
+    },
+
+    getHeaders : function() {
+        return this._headers;
+    },
+
+    hasHeader : function(name) {
+        return _.def(this.getHeader(name));
+    },
+
+    removeHeader : function(name) {
+        delete this._headers[String(name).toLowerCase()];
+    },
+
+    writeHead : function(status, headers) {
+        this.statusCode = status;
+        for (var name in headers) {
+            this.setHeader(name, headers[name]);
+        }
+        return this;
+    },
+
+    write : function(chunk, encoding) {
+        if (this.finished) {
+            return false;
+        }
+
+        this.headersSent = true;
+        if (_.def(chunk)) {
+            this._chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), encoding));
+        }
+        return true;
+    },
+
+    end : function(chunk, encoding) {
+        if (this.finished) {
+            return this;
+        }
+
+        this.write(chunk, encoding);
+        this.finished = true;
+
+        this.emit("finish");
+        return this;
+    },
+
+    getBuffer : function() {
+        return Buffer.concat(this._chunks);
+    }
+
+});
+
+/**
+ *
+ * @class TestServer
+ *
+ * In-process server to test Services, renderers and server app chunks without starting a listener.
+ *
+ * TestServer offers the Express registration surface (get, post, put, patch, delete, ..., and use for error
+ * handlers) and is an HTTPAdapter, so it can be given to JSONRenderer, ServerAppChunk and any other class that
+ * RendersResponses. Simulated requests are dispatched to the registered routes, with the path parameters parsed
+ * from the URLSubpath of the endpoints.
+ *
+ *      var server   = new TestServer("test");
+ *      var renderer = new JSONRenderer("json", server);
+ *
+ *      renderer.renderResponsesFor(new MyService("myService"), "/api");
+ *
+ *      server.request({ method : "POST", path : "/api/resource", body : { name : "test" } })
+ *          .then(function(response) {
+ *              // response.status, response.headers, response.body
+ *          });
+ *
+ * The request body is given to the handlers as is, as if parsed by a body parser.
+ *
+ * The response given for a request has the following properties:
+ *  status      : response status code
+ *  headers     : response headers, with lower cased names
+ *  cookies     : name-value map of the cookies set by the response
+ *  text        : response body as string
+ *  body        : response body, parsed when the content type is JSON, else the same as text
+ *  raw         : response body as Buffer
+ *
+ * Requests that match no route, or for which no error handler handles the error, get a problem details response.
+ *
+ */
+var TestServer = Class(HTTPAdapter, {
+
+    _router             : null,
+
+    _timeout            : null,
+
+    /**
+     *
+     * Constructs test server
+     *
+     * @param {String} serverName
+     * @param {Object} [config]
+     * @param {Number} [config.timeout=2000]    Time in ms to wait for a response to end, before the request fails
+     *
+     */
+    constructor: function(serverName, config) {
+        TestServer.$super.call(this, serverName);
+
+        this._router    = new Router();
+        this._timeout   = _.get(config, "timeout") || 2000;
+    },
+
+    get : function(URLPath) {
+        return this._registerHandlers("get", URLPath, arguments);
+    },
+
+    post : function(URLPath) {
+        return this._registerHandlers("post", URLPath, arguments);
+    },
+
+    put : function(URLPath) {
+        return this._registerHandlers("put", URLPath, arguments);
+    },
+
+    patch : function(URLPath) {
+        return this._registerHandlers("patch", URLPath, arguments);
+    },
+
+    delete : function(URLPath) {
+        return this._registerHandlers("delete", URLPath, arguments);
+    },
+
+    head : function(URLPath) {
+        return this._registerHandlers("head", URLPath, arguments);
+    },
+
+    options : function(URLPath) {
+        return this._registerHandlers("options", URLPath, arguments);
+    },
+
+    all : function(URLPath) {
+        return this._registerHandlers("all", URLPath, arguments);
+    },
+
+    /**
+     *
+     * Only error handlers, function(err, req, res, next), are supported
+     *
+     * @param {function} errorHandler
+     *
+     */
+    use : function(errorHandler) {
+        var me = this.getIName() + "::TestServer::use";
+
+        if (!_.func(errorHandler) || errorHandler.length < 4) {
+            _l.error(me, "Only error handlers, function(err, req, res, next), can be used with a test server");
+            return this;
+        }
+
+        this.useErrorHandler(errorHandler);
+        return this;
+    },
+
+    register : function(HTTPMethod, URLPath, handlers) {
+        if (!this.supportsMethod(HTTPMethod)) {
+            return false;
+        }
+
+        this._router.add(HTTPMethod, URLPath, handlers);
+        return true;
+    },
+
+    getRoutes : function() {
+        return this._router.getRoutes();
+    },
+
+    /**
+     *
+     * Dispatches a simulated request
+     *
+     * @param {Object} options
+     * @param {String} [options.method="GET"]
+     * @param {String} options.path             URL path, may include a query string
+     * @param {Object} [options.query]          Query parameters, added to the query string of the path
+     * @param {Object} [options.headers]
+     * @param {Object} [options.cookies]        Name-value map of request cookies
+     * @param [options.body]                    Request body, given to the handlers as is
+     *
+     * @param {function} [cbReady]              cbReady(response, err). When not given a promise is returned.
+     *
+     * @returns {Promise|undefined}             Promise resolving to the response when no cbReady is given
+     *
+     */
+    request : function(options, cbReady) {
+        var self = this;
+
+        if (_.func(cbReady)) {
+            this._dispatch(options, cbReady);
+            return;
+        }
+
+        return new Promise(function(resolve, reject) {
+            self._dispatch(options, function(response, err) {
+                if (_.def(err)) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(response);
+            });
+        });
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _registerHandlers : function(HTTPMethod, URLPath, args) {
+        var handlers = Array.prototype.slice.call(args, 1);
+
+        this.register(HTTPMethod, URLPath, [].concat.apply([], handlers));
+        return this;
+    },
+
+    _dispatch : function(options, cbReady) {
+        var me          = this.getIName() + "::TestServer::_dispatch";
+        var self        = this;
+        var done        = false;
+
+        options         = options || {};
+
+        var nativeReq   = this._createNativeRequest(options);
+        var nativeRes   = new CapturingResponse(nativeReq);
+
+        var req         = new Facades.HTTPRequest(nativeReq, { body : options.body });
+        var res         = new Facades.HTTPResponse(nativeRes);
+
+        var timer = setTimeout(function() {
+            if (done) {
+                return;
+            }
+
+            done = true;
+            cbReady(null, new Error("{0} {1} : no response within {2}ms".fmt(
+                    req.method, req.originalUrl, self._timeout)));
+        }, this._timeout);
+
+        nativeRes.on("finish", function() {
+            if (done) {
+                return;
+            }
+
+            done = true;
+            clearTimeout(timer);
+            cbReady(self._createResponse(nativeRes));
+        });
+
+        var match = this._router.match(req.method, req.path);
+        if (!_.def(match)) {
+            _l.debug(me, "No route for {0} {1}".fmt(req.method, req.path));
+            this._handleError(new Errors.NotFoundError("Cannot {0} {1}".fmt(req.method, req.path)), req, res);
+            return;
+        }
+
+        req.params = match.params;
+        this._runHandlers(match.handler, req, res);
+    },
+
+    _createNativeRequest : function(options) {
+        var path        = options.path || "/";
+        var headers     = {};
+        var cookies     = [];
+
+        for (var name in options.headers) {
+            headers[name.toLowerCase()] = String(options.headers[name]);
+        }
+
+        for (var cookie in options.cookies) {
+            cookies.push(cookie + "=" + encodeURIComponent(options.cookies[cookie]));
+        }
+
+        if (cookies.length > 0) {
+            headers.cookie = _.def(headers.cookie) ? headers.cookie + "; " + cookies.join("; ") : cookies.join("; ");
+        }
+
+        if (_.def(options.body) && !_.def(headers["content-type"])) {
+            headers["content-type"] = _.string(options.body) ? "text/plain" : "application/json";
+        }
+
+        if (_.obj(options.query)) {
+            var search = this._createSearch(options.query);
+            if (search.length > 0) {
+                path += (path.indexOf("?") >= 0 ? "&" : "?") + search;
+            }
+        }
+
+        return {
+            method      : String(options.method || "GET").toUpperCase(),
+            url         : path,
+            headers     : headers,
+            socket      : { remoteAddress : "127.0.0.1" }
+        };
+    },
+
+    _createSearch : function(query) {
+        var params = new URLSearchParams();
+
+        for (var key in query) {
+            [].concat(query[key]).forEach(function(value) {
+                params.append(key, String(value));
+            });
+        }
+
+        return params.toString();
+    },
+
+    _createResponse : function(nativeRes) {
+        var raw         = nativeRes.getBuffer();
+        var headers     = nativeRes.getHeaders();
+        var text        = raw.toString("utf8");
+        var body        = text;
+        var cookies     = {};
+
+        if (/json/.test(String(headers["content-type"] || "")) && text.length > 0) {
+            try {
+                body = JSON.parse(text);
+            } catch (e) {
+                body = text;
+            }
+        }
+
+        [].concat(headers["set-cookie"] || []).forEach(function(setCookie) {
+            var parsed = Facades.parseCookies(String(setCookie).split(";")[0]);
+            for (var name in parsed) {
+                cookies[name] = parsed[name];
+            }
+        });
+
+        return {
+            status      : nativeRes.statusCode,
+            headers     : headers,
+            cookies     : cookies,
+            text        : text,
+            body        : body,
+            raw         : raw
+        };
+    }
+
+});
+
+module.exports = TestServer;
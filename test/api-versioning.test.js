@@ -0,0 +1,133 @@
+var test                = require("node:test");
+var assert              = require("assert");
+
+var Class               = require("jsface").Class;
+var Service             = require("../service.js");
+var JSONRenderer        = require("../json-renderer.js");
+var NegotiatingRenderer = require("../negotiating-renderer.js");
+var TestServer          = require("../test-server.js");
+var ApiVersioning       = require("../api-versioning.js");
+
+var describe            = test.describe;
+var it                  = test.it;
+
+var UserService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        UserService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        var version = this.getVersion();
+
+        return {
+            "get"   : function(req, cbReady) {
+                cbReady({ version : version, requested : req.apiVersion });
+            }
+        };
+    }
+});
+
+function createService(version, config) {
+    return new UserService("users", Object.assign({
+        version         : version,
+        endpointTable   : { get : { URLSubpath : "/users/:id" } }
+    }, config));
+}
+
+describe("ApiVersioning", function() {
+
+    it("normalizes and compares versions", function() {
+        assert.strictEqual(ApiVersioning.normalizeVersion(" v2.1 "), "2.1");
+        assert.strictEqual(ApiVersioning.normalizeVersion(""), null);
+        assert.ok(ApiVersioning.compareVersions("v10", "9") > 0);
+        assert.ok(ApiVersioning.compareVersions("2", "2.1") < 0);
+        assert.strictEqual(ApiVersioning.compareVersions("2.0", "v2"), 0);
+    });
+
+    describe("rendered versions", function() {
+        var server      = new TestServer("test", { timeout : 500 });
+        var json        = new JSONRenderer("json", server);
+        var negotiating = new NegotiatingRenderer("negotiating", server);
+
+        server.use(json.getErrorHandler());
+
+        json.renderResponsesFor(createService("1", {
+            endpointTable : {
+                get : {
+                    URLSubpath      : "/users/:id",
+                    deprecated      : "2024-01-01T00:00:00Z",
+                    sunset          : "2026-01-01",
+                    deprecationLink : "https://example.com/deprecation"
+                }
+            }
+        }), "/url");
+        json.renderResponsesFor(createService("v2"), "/url");
+
+        json.renderResponsesFor(createService("1", { deprecation : { deprecated : true } }), "/header", null,
+                { versioning : "header", defaultVersion : true });
+        json.renderResponsesFor(createService("2"), "/header", null, { versioning : "header" });
+
+        negotiating.renderResponsesFor(createService("1"), "/media", null, { versioning : "mediaType" });
+        negotiating.renderResponsesFor(createService("2"), "/media", null, { versioning : "mediaType" });
+
+        it("select the version by path root with the url strategy", function() {
+            return Promise.all([
+                server.request({ path : "/url/v1/users/1" }),
+                server.request({ path : "/url/v2/users/1" })
+            ]).then(function(responses) {
+                assert.deepStrictEqual(responses[0].body, { version : "1", requested : "1" });
+                assert.deepStrictEqual(responses[1].body, { version : "v2", requested : "2" });
+            });
+        });
+
+        it("add deprecation headers to the responses of deprecated endpoints", function() {
+            return Promise.all([
+                server.request({ path : "/url/v1/users/1" }),
+                server.request({ path : "/url/v2/users/1" })
+            ]).then(function(responses) {
+                assert.strictEqual(responses[0].headers.deprecation, "@1704067200");
+                assert.strictEqual(responses[0].headers.sunset, "Thu, 01 Jan 2026 00:00:00 GMT");
+                assert.deepStrictEqual([].concat(responses[0].headers.link),
+                        ["<https://example.com/deprecation>; rel=\"deprecation\""]);
+                assert.strictEqual(responses[1].headers.deprecation, undefined);
+            });
+        });
+
+        it("select the version by Accept-Version header with the header strategy", function() {
+            return Promise.all([
+                server.request({ path : "/header/users/1" }),
+                server.request({ path : "/header/users/1", headers : { "Accept-Version" : "v2" } })
+            ]).then(function(responses) {
+                assert.deepStrictEqual(responses[0].body, { version : "1", requested : "1" });
+                assert.strictEqual(responses[0].headers.deprecation, "true");
+                assert.deepStrictEqual(responses[1].body, { version : "2", requested : "2" });
+                assert.deepStrictEqual([].concat(responses[1].headers.vary), ["Accept-Version"]);
+            });
+        });
+
+        it("answer 406 for versions that are not rendered", function() {
+            return server.request({ path : "/header/users/1", headers : { "Accept-Version" : "9" } })
+                .then(function(response) {
+                    assert.strictEqual(response.status, 406);
+                    assert.strictEqual(response.body.code, "ERR_VERSION_NOT_SUPPORTED");
+                });
+        });
+
+        it("select the version by media type parameter with the mediaType strategy", function() {
+            return Promise.all([
+                server.request({ path : "/media/users/1", headers : { accept : "application/json; version=1" } }),
+                server.request({ path : "/media/users/1", headers : { accept : "application/xml;version=2" } })
+            ]).then(function(responses) {
+                assert.deepStrictEqual(responses[0].body, { version : "1", requested : "1" });
+                assert.match(responses[1].headers["content-type"], /^application\/xml/);
+                assert.match(responses[1].text, /<version>2<\/version>/);
+            });
+        });
+
+        it("are not rendered with an unknown versioning strategy", function() {
+            assert.strictEqual(json.renderResponsesFor(createService("3"), "/bogus", null, { versioning : "bogus" }),
+                    false);
+        });
+    });
+});
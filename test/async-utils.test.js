@@ -0,0 +1,189 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var AsyncUtils      = require("../async-utils.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+function callProcessingMethod(processingMethod) {
+    return new Promise(function(resolve) {
+        AsyncUtils.callProcessingMethod(processingMethod, {}, function(data, err) {
+            resolve({ data : data, err : err });
+        });
+    });
+}
+
+var MethodsService = Class(Service, {
+
+    constructor: function(serviceName) {
+        MethodsService.$super.call(this, serviceName, {
+            endpointTable : {
+                sync        : { URLSubpath : "/sync" },
+                empty       : { URLSubpath : "/empty" },
+                callback    : { URLSubpath : "/callback" },
+                promise     : { URLSubpath : "/promise" },
+                rejected    : { URLSubpath : "/rejected" }
+            }
+        });
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "sync"      : function(req) {
+                return { sync : true };
+            },
+
+            "empty"     : function(req) {
+            },
+
+            "callback"  : function(req, cbReady) {
+                setTimeout(function() {
+                    cbReady({ callback : true });
+                }, 5);
+            },
+
+            "promise"   : function(req) {
+                return Promise.resolve({ promise : true });
+            },
+
+            "rejected"  : function(req) {
+                return Promise.reject(new Error("rejected"));
+            }
+        };
+    }
+});
+
+describe("AsyncUtils", function() {
+
+    describe("callProcessingMethod()", function() {
+
+        it("gives the data passed to the callback", function() {
+            return callProcessingMethod(function(req, cbReady) {
+                cbReady({ a : 1 });
+            }).then(function(result) {
+                assert.deepStrictEqual(result, { data : { a : 1 }, err : undefined });
+            });
+        });
+
+        it("gives the value returned by methods that do not take the callback, also when undefined", function() {
+            return Promise.all([
+                callProcessingMethod(function(req) {
+                    return { a : 1 };
+                }),
+                callProcessingMethod(function(req) {
+                })
+            ]).then(function(results) {
+                assert.deepStrictEqual(results[0], { data : { a : 1 }, err : undefined });
+                assert.deepStrictEqual(results[1], { data : undefined, err : undefined });
+            });
+        });
+
+        it("gives the resolved value of a returned promise", function() {
+            return callProcessingMethod(function(req) {
+                return Promise.resolve({ a : 1 });
+            }).then(function(result) {
+                assert.deepStrictEqual(result.data, { a : 1 });
+            });
+        });
+
+        it("gives rejections and thrown exceptions as error", function() {
+            return Promise.all([
+                callProcessingMethod(function(req) {
+                    return Promise.reject(new Error("rejected"));
+                }),
+                callProcessingMethod(function(req) {
+                    throw new Error("thrown");
+                })
+            ]).then(function(results) {
+                assert.strictEqual(results[0].err.message, "rejected");
+                assert.strictEqual(results[1].err.message, "thrown");
+            });
+        });
+
+        it("waits for the callback of methods that take it, also when they return a promise", function() {
+            return callProcessingMethod(function(req, cbReady) {
+                setTimeout(function() {
+                    cbReady("from callback");
+                }, 5);
+
+                return Promise.resolve("from promise");
+            }).then(function(result) {
+                assert.strictEqual(result.data, "from callback");
+            });
+        });
+    });
+
+    describe("callMethod()", function() {
+
+        it("calls back with the result of callback and promise methods", function() {
+            var obj = {
+                factor      : 2,
+
+                withCallback : function(value, cbReady) {
+                    cbReady(value * this.factor);
+                },
+
+                withPromise : function(value) {
+                    return Promise.resolve(value * this.factor);
+                }
+            };
+
+            return new Promise(function(resolve) {
+                AsyncUtils.callMethod(obj, obj.withCallback, [2], function(fromCallback) {
+                    AsyncUtils.callMethod(obj, obj.withPromise, [3], function(fromPromise) {
+                        resolve([fromCallback, fromPromise]);
+                    });
+                });
+            }).then(function(results) {
+                assert.deepStrictEqual(results, [4, 6]);
+            });
+        });
+    });
+
+    describe("endpoint methods", function() {
+        var server      = new TestServer("test", { timeout : 500 });
+        var renderer    = new JSONRenderer("json", server);
+
+        server.use(renderer.getErrorHandler());
+        renderer.renderResponsesFor(new MethodsService("methods"), "/api");
+
+        it("render the data returned by methods that do not take a callback", function() {
+            return server.request({ path : "/api/sync" }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body, { sync : true });
+            });
+        });
+
+        it("respond when methods that do not take a callback return nothing", function() {
+            return server.request({ path : "/api/empty" }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+            });
+        });
+
+        it("render the data given to the callback", function() {
+            return server.request({ path : "/api/callback" }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body, { callback : true });
+            });
+        });
+
+        it("render the data a returned promise resolves with", function() {
+            return server.request({ path : "/api/promise" }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body, { promise : true });
+            });
+        });
+
+        it("render a rejected promise as error", function() {
+            return server.request({ path : "/api/rejected" }).then(function(response) {
+                assert.strictEqual(response.status, 500);
+                assert.strictEqual(response.body.code, "ERR_INTERNAL");
+            });
+        });
+    });
+});
@@ -0,0 +1,141 @@
+var test                    = require("node:test");
+var assert                  = require("assert");
+
+var Class                   = require("jsface").Class;
+var Service                 = require("../service.js");
+var JSONRenderer            = require("../json-renderer.js");
+var TestServer              = require("../test-server.js");
+var AuthenticatorRegistry   = require("../authenticator-registry.js");
+var Authenticators          = require("../authenticators.js");
+var InMemoryCredentialStore = require("../in-memory-credential-store.js");
+
+var describe                = test.describe;
+var it                      = test.it;
+
+var ProtectedService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        ProtectedService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        var respond = function(req, cbReady) {
+            cbReady({ principal : req.principal ? req.principal.id : null });
+        };
+
+        return { "public" : respond, "reader" : respond, "admin" : respond };
+    }
+});
+
+function createSessionAuthenticator() {
+    return new Authenticators.SessionAuthenticator("session", {
+        store : new InMemoryCredentialStore("sessions", { s1 : { id : "u3", roles : ["user"], scopes : ["read"] } })
+    });
+}
+
+describe("Authenticators", function() {
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new JSONRenderer("json", server);
+    var registry    = new AuthenticatorRegistry("auth", {
+        authenticators : {
+            bearer  : new Authenticators.BearerAuthenticator("bearer", {
+                store   : new InMemoryCredentialStore("tokens", {
+                    t1 : { id : "u1", roles : ["admin"], scopes : ["read"] },
+                    t2 : { id : "u2", roles : ["user"] }
+                }),
+                realm   : "api"
+            }),
+            apiKey  : new Authenticators.ApiKeyAuthenticator("apiKey", {
+                store       : new InMemoryCredentialStore("keys", { k1 : { id : "svc", scopes : ["read"] } }),
+                queryParam  : "api_key"
+            }),
+            session : createSessionAuthenticator()
+        }
+    });
+
+    server.use(renderer.getErrorHandler());
+    renderer.renderResponsesFor(new ProtectedService("protected", {
+        auth            : { strategies : ["bearer", "apiKey", "session"] },
+        authenticators  : registry,
+        endpointTable   : {
+            "public"    : { URLSubpath : "/public", auth : false },
+            "reader"    : { URLSubpath : "/reader", auth : { scopes : ["read"] } },
+            "admin"     : { URLSubpath : "/admin", auth : { roles : ["admin"] } }
+        }
+    }), "/api");
+
+    var request = function(path, options) {
+        return server.request(Object.assign({ path : path }, options));
+    };
+
+    it("lets requests to public endpoints through without credentials", function() {
+        return request("/api/public").then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body, { principal : null });
+        });
+    });
+
+    it("authenticates with each of the strategies", function() {
+        return Promise.all([
+            request("/api/reader", { headers : { authorization : "Bearer t1" } }),
+            request("/api/reader", { query : { api_key : "k1" } }),
+            request("/api/reader", { cookies : { sid : "s1" } })
+        ]).then(function(responses) {
+            assert.deepStrictEqual(responses.map(function(response) {
+                return [response.status, response.body.principal];
+            }), [[200, "u1"], [200, "svc"], [200, "u3"]]);
+        });
+    });
+
+    it("answers 401 with a challenge without credentials", function() {
+        return request("/api/reader").then(function(response) {
+            assert.strictEqual(response.status, 401);
+            assert.strictEqual(response.headers["www-authenticate"], "Bearer realm=\"api\"");
+            assert.strictEqual(response.body.code, "ERR_CREDENTIALS_MISSING");
+        });
+    });
+
+    it("answers 401 for unknown credentials", function() {
+        return request("/api/reader", { headers : { authorization : "Bearer unknown" } }).then(function(response) {
+            assert.strictEqual(response.status, 401);
+            assert.strictEqual(response.body.code, "ERR_INVALID_CREDENTIALS");
+        });
+    });
+
+    it("answers 401, not 500, for a malformed session cookie", function() {
+        return request("/api/reader", { headers : { cookie : "sid=%E0" } }).then(function(response) {
+            assert.strictEqual(response.status, 401);
+        });
+    });
+
+    it("answers 403 when the principal lacks the required scopes or roles", function() {
+        return Promise.all([
+            request("/api/reader", { headers : { authorization : "Bearer t2" } }),
+            request("/api/admin", { headers : { authorization : "Bearer t2" } })
+        ]).then(function(responses) {
+            assert.strictEqual(responses[0].status, 403);
+            assert.strictEqual(responses[0].body.code, "ERR_INSUFFICIENT_SCOPES");
+            assert.deepStrictEqual(responses[0].body.details, { missingScopes : ["read"] });
+            assert.strictEqual(responses[1].status, 403);
+            assert.strictEqual(responses[1].body.code, "ERR_INSUFFICIENT_ROLES");
+        });
+    });
+
+    describe("SessionAuthenticator", function() {
+
+        it("reads the session cookie from the Cookie header, a malformed one is no credential", function() {
+            var authenticator   = createSessionAuthenticator();
+            var authenticate    = function(cookie) {
+                return new Promise(function(resolve) {
+                    authenticator.authenticate({ headers : { cookie : cookie } }, function(principal, err) {
+                        resolve([principal ? principal.id : principal, err]);
+                    });
+                });
+            };
+
+            return Promise.all([authenticate("a=b; sid=s1"), authenticate("sid=%E0")]).then(function(results) {
+                assert.deepStrictEqual(results, [["u3", undefined], [null, undefined]]);
+            });
+        });
+    });
+});
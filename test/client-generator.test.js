@@ -0,0 +1,177 @@
+var test                = require("node:test");
+var assert              = require("assert");
+var fs                  = require("fs");
+var os                  = require("os");
+var path                = require("path");
+
+var Class               = require("jsface").Class;
+var Service             = require("../service.js");
+var JSONRenderer        = require("../json-renderer.js");
+var NodeHTTPAdapter     = require("../adapters/node-http-adapter.js");
+var ClientGenerator     = require("../client-generator.js");
+var ResponseEnvelope    = require("../response-envelope.js");
+var Errors              = require("../errors.js");
+
+var describe            = test.describe;
+var it                  = test.it;
+
+var UserService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        UserService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "GET user"      : function(req, cbReady) {
+                if (req.params.id === 404) {
+                    cbReady(null, new Errors.NotFoundError("No such user", { id : 404 }));
+                    return;
+                }
+
+                cbReady({ id : req.params.id, query : req.query, authorization : req.headers.authorization });
+            },
+
+            "POST user"     : function(req, cbReady) {
+                cbReady(ResponseEnvelope.created("/api/users/1", req.body));
+            },
+
+            "DELETE user"   : function(req, cbReady) {
+                cbReady(ResponseEnvelope.noContent());
+            }
+        };
+    }
+});
+
+describe("ClientGenerator", function() {
+    var adapter     = new NodeHTTPAdapter("node");
+    var renderer    = new JSONRenderer("json", adapter);
+    var server      = adapter.createServer();
+    var generator   = new ClientGenerator("users");
+    var dir         = fs.mkdtempSync(path.join(os.tmpdir(), "client-generator-"));
+    var Client      = null;
+
+    renderer.renderResponsesFor(new UserService("users", {
+        endpointTable : {
+            "GET user"      : {
+                URLSubpath  : "/users/:id",
+                params      : { type : "object", properties : { id : { type : "integer", minimum : 1 } } },
+                query       : { type : "object", properties : { verbose : { type : "boolean" } } },
+                responses   : {
+                    200 : {
+                        description : "The user",
+                        schema      : {
+                            type        : "object",
+                            properties  : { id : { type : "integer" }, name : { type : ["string", "null"] } },
+                            required    : ["id"]
+                        }
+                    }
+                }
+            },
+            "POST user"     : {
+                HTTPMethod  : "post",
+                URLSubpath  : "/users",
+                body        : { type : "object", properties : { name : { type : "string" } }, required : ["name"] }
+            },
+            "DELETE user"   : { HTTPMethod : "delete", URLSubpath : "/users/:id", clientMethod : "removeUser" }
+        }
+    }), "/api");
+
+    generator.addRenderer(renderer);
+
+    test.before(function() {
+        return new Promise(function(resolve, reject) {
+            generator.writeToFile(path.join(dir, "users-client.js"), function(filePaths, err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                Client = require(filePaths[0]);
+                server.listen(0, "127.0.0.1", resolve);
+            });
+        });
+    });
+
+    test.after(function() {
+        fs.rmSync(dir, { recursive : true, force : true });
+
+        return new Promise(function(resolve) {
+            server.close(resolve);
+        });
+    });
+
+    var createClient = function() {
+        return new Client.UsersClient({
+            baseURL : "http://127.0.0.1:{0}".fmt(server.address().port),
+            headers : { authorization : "Bearer token" }
+        });
+    };
+
+    it("names the client methods after the endpoints", function() {
+        assert.strictEqual(ClientGenerator.toMethodName("GET user-list"), "getUserList");
+        assert.strictEqual(ClientGenerator.toTypeName("users client"), "UsersClient");
+        assert.deepStrictEqual(generator.getMethods().map(function(method) {
+            return [method.methodName, method.method, method.path];
+        }), [
+            ["getUser", "GET", "/api/users/:id"],
+            ["postUser", "POST", "/api/users"],
+            ["removeUser", "DELETE", "/api/users/:id"]
+        ]);
+    });
+
+    it("generates typings from the schemas of the endpoints", function() {
+        var typings = fs.readFileSync(path.join(dir, "users-client.d.ts"), "utf8");
+
+        assert.match(typings, /export declare class UsersClient/);
+        assert.match(typings, /export type GetUserResponse = \{\n\s+id: number;\n\s+name\?: string \| null;/);
+        assert.match(typings, /postUser\(request: PostUserRequest/);
+    });
+
+    it("calls the endpoints, interpolating the params and serializing the query", function() {
+        return createClient().getUser({ params : { id : 5 }, query : { verbose : true } }).then(function(user) {
+            assert.deepStrictEqual(user, { id : 5, query : { verbose : true }, authorization : "Bearer token" });
+        });
+    });
+
+    it("sends the body and resolves responses without content with null", function() {
+        var client = createClient();
+
+        return client.postUser({ body : { name : "Ada" } }).then(function(created) {
+            assert.deepStrictEqual(created, { name : "Ada" });
+
+            return client.removeUser({ params : { id : 1 } });
+        }).then(function(result) {
+            assert.strictEqual(result, null);
+        });
+    });
+
+    it("rejects with ApiErrors decoded from the problem details", function() {
+        var client = createClient();
+
+        return client.getUser({ params : { id : 404 } }).then(function() {
+            assert.fail("The request should fail");
+        }, function(err) {
+            assert.ok(err instanceof Client.ApiError);
+            assert.deepStrictEqual([err.status, err.code, err.message, err.details], [
+                404, "ERR_NOT_FOUND", "No such user", { id : 404 }
+            ]);
+
+            return client.getUser({ params : { id : 0 } });
+        }).then(function() {
+            assert.fail("The request should fail");
+        }, function(err) {
+            assert.strictEqual(err.status, 400);
+            assert.strictEqual(err.code, "ERR_REQUEST_INVALID");
+        });
+    });
+
+    it("refuses requests without the path params", function() {
+        return createClient().getUser({}).then(function() {
+            assert.fail("The request should fail");
+        }, function(err) {
+            assert.ok(err instanceof TypeError);
+            assert.strictEqual(err.message, "Path parameter id is required");
+        });
+    });
+});
@@ -0,0 +1,173 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var Container       = require("../container.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var UserService = Class(Service, {
+
+    _repository     : null,
+
+    constructor: function(serviceName, config) {
+        UserService.$super.call(this, serviceName, config);
+
+        this._repository = config.repository;
+    },
+
+    _mapEndpointsToMethods : function() {
+        var self = this;
+
+        return {
+            "get"   : function(req, cbReady) {
+                cbReady({
+                    repository  : self._repository.name,
+                    unitOfWork  : req.resolve("unitOfWork").id,
+                    checked     : req.checked === true
+                });
+            }
+        };
+    }
+});
+
+function setChecked(req, res, next) {
+    req.checked = true;
+    next();
+}
+
+describe("Container", function() {
+
+    describe("wire()", function() {
+        var numUnits    = 0;
+        var container   = new Container("app");
+
+        container.override("repository", { name : "test repository" });
+
+        var wired = container.wire({
+            components  : {
+                server      : { value : new TestServer("test", { timeout : 500 }) },
+                repository  : { value : { name : "repository" } },
+                unitOfWork  : {
+                    factory : function(deps, req) {
+                        numUnits += 1;
+                        return { id : numUnits, path : req.path };
+                    },
+                    scope   : "request"
+                },
+                context     : {
+                    factory : function() {
+                        return container.createMiddleware();
+                    }
+                },
+                checked     : { value : setChecked },
+                users       : {
+                    class   : UserService,
+                    args    : [{
+                        endpointTable   : { get : { URLSubpath : "/users" } },
+                        repository      : { $ref : "repository" }
+                    }]
+                },
+                json        : { class : JSONRenderer, args : [Container.ref("server")] }
+            },
+            bindings    : [
+                {
+                    renderer    : "json",
+                    service     : "users",
+                    path        : "/api",
+                    options     : { middleware : ["context", "checked"] }
+                }
+            ]
+        });
+
+        var server = container.resolve("server");
+        server.use(container.resolve("json").getErrorHandler());
+
+        it("registers the components and renders the bound services", function() {
+            assert.strictEqual(wired, true);
+            assert.deepStrictEqual(container.getResolveOrder().slice(-2), ["users", "json"]);
+
+            return server.request({ path : "/api/users" }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body, {
+                    repository  : "test repository",
+                    unitOfWork  : 1,
+                    checked     : true
+                });
+            });
+        });
+
+        it("creates request scoped components once per request", function() {
+            return server.request({ path : "/api/users" }).then(function(response) {
+                assert.strictEqual(response.body.unitOfWork, 2);
+                assert.strictEqual(container.resolve("unitOfWork"), null);
+            });
+        });
+
+        it("resolves singletons once", function() {
+            assert.strictEqual(container.resolve("users"), container.resolve("users"));
+        });
+    });
+
+    it("refuses duplicate names and unknown scopes", function() {
+        var container = new Container("app");
+
+        assert.strictEqual(container.register("a", function() {
+            return 1;
+        }), true);
+        assert.strictEqual(container.register("a", function() {
+            return 2;
+        }), false);
+        assert.strictEqual(container.register("b", function() {
+            return 2;
+        }, { scope : "session" }), false);
+        assert.strictEqual(container.resolve("a"), 1);
+    });
+
+    it("does not resolve circular dependencies, failing factories and singletons using request scope", function() {
+        var container = new Container("app");
+
+        container.register("a", function() {
+            return 1;
+        }, { dependsOn : ["b"] });
+        container.register("b", function() {
+            return 2;
+        }, { dependsOn : ["a"] });
+        container.register("failing", function() {
+            throw new Error("failed");
+        });
+        container.register("perRequest", function() {
+            return {};
+        }, { scope : "request" });
+        container.register("singleton", function(deps) {
+            return deps;
+        }, { dependsOn : ["perRequest"] });
+
+        assert.strictEqual(container.getResolveOrder(), null);
+        assert.strictEqual(container.resolve("a"), null);
+        assert.strictEqual(container.resolve("failing"), null);
+        assert.strictEqual(container.resolve("singleton", {}), null);
+    });
+
+    it("re-creates the dependents of overridden components", function() {
+        var container = new Container("app");
+
+        container.register("dependency", function() {
+            return { value : 1 };
+        });
+        container.register("dependent", function(deps) {
+            return { dependency : deps.dependency };
+        }, { dependsOn : ["dependency"] });
+
+        var before = container.resolve("dependent");
+        container.override("dependency", { value : 2 });
+        var after = container.resolve("dependent");
+
+        assert.notStrictEqual(before, after);
+        assert.deepStrictEqual([before.dependency.value, after.dependency.value], [1, 2]);
+    });
+});
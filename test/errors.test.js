@@ -0,0 +1,136 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var Errors          = require("../errors.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var FailingService = Class(Service, {
+
+    constructor: function(serviceName) {
+        FailingService.$super.call(this, serviceName, {
+            endpointTable : {
+                notFound    : { URLSubpath : "/not-found" },
+                unexpected  : { URLSubpath : "/unexpected" },
+                upstream    : { URLSubpath : "/upstream" },
+                conflict    : { URLSubpath : "/conflict" }
+            }
+        });
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "notFound"      : function(req, cbReady) {
+                cbReady(null, new Errors.NotFoundError("Resource 3 not found", { id : 3 }));
+            },
+
+            "unexpected"    : function(req, cbReady) {
+                cbReady(null, new Error("secret connection string"));
+            },
+
+            "upstream"      : function(req, cbReady) {
+                cbReady(null, { statusCode : 502, message : "secret upstream host" });
+            },
+
+            "conflict"      : function(req, cbReady) {
+                cbReady(null, { status : 409, message : "Version mismatch", code : "ERR_VERSION" });
+            }
+        };
+    }
+});
+
+function createServer(config) {
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new JSONRenderer("json", server, config);
+
+    server.use(renderer.getErrorHandler());
+    renderer.renderResponsesFor(new FailingService("failing"), "/api");
+
+    return server;
+}
+
+describe("Errors", function() {
+
+    describe("FrameworkError.from()", function() {
+
+        it("converts objects with a status to the error class of the status", function() {
+            var error = Errors.FrameworkError.from({ status : 404, message : "gone", code : "ERR_GONE" });
+
+            assert.ok(error instanceof Errors.NotFoundError);
+            assert.strictEqual(error.message, "gone");
+            assert.strictEqual(error.code, "ERR_GONE");
+            assert.strictEqual(error.wrapped, false);
+        });
+
+        it("wraps errors without status, and objects with a 5xx status", function() {
+            var internal = Errors.FrameworkError.from(new Error("boom"));
+            var upstream = Errors.FrameworkError.from({ statusCode : 502, message : "secret" });
+
+            assert.ok(internal instanceof Errors.InternalError);
+            assert.strictEqual(internal.wrapped, true);
+            assert.ok(upstream instanceof Errors.BadGatewayError);
+            assert.strictEqual(upstream.wrapped, true);
+            assert.strictEqual(upstream.toProblem().detail, "Bad Gateway");
+        });
+    });
+
+    describe("rendered errors", function() {
+        var server = createServer();
+
+        it("are problem details with the status, code and details of the error", function() {
+            return server.request({ path : "/api/not-found" }).then(function(response) {
+                assert.strictEqual(response.status, 404);
+                assert.match(response.headers["content-type"], /^application\/problem\+json/);
+                assert.deepStrictEqual(response.body, {
+                    type        : "about:blank",
+                    title       : "Not Found",
+                    status      : 404,
+                    detail      : "Resource 3 not found",
+                    code        : "ERR_NOT_FOUND",
+                    details     : { id : 3 },
+                    instance    : "/api/not-found"
+                });
+            });
+        });
+
+        it("keep the message of objects with a 4xx status", function() {
+            return server.request({ path : "/api/conflict" }).then(function(response) {
+                assert.strictEqual(response.status, 409);
+                assert.strictEqual(response.body.detail, "Version mismatch");
+                assert.strictEqual(response.body.code, "ERR_VERSION");
+            });
+        });
+
+        it("hide the message and stack trace of unexpected errors by default", function() {
+            return server.request({ path : "/api/unexpected" }).then(function(response) {
+                assert.strictEqual(response.status, 500);
+                assert.strictEqual(response.body.code, "ERR_INTERNAL");
+                assert.strictEqual(response.body.detail, "Internal Server Error");
+                assert.strictEqual(response.body.stack, undefined);
+                assert.doesNotMatch(response.text, /secret/);
+            });
+        });
+
+        it("hide the message of errors with a 5xx statusCode", function() {
+            return server.request({ path : "/api/upstream" }).then(function(response) {
+                assert.strictEqual(response.status, 502);
+                assert.strictEqual(response.body.code, "ERR_BAD_GATEWAY");
+                assert.doesNotMatch(response.text, /secret/);
+            });
+        });
+
+        it("show the message and stack trace when hideStackTraces is false", function() {
+            return createServer({ hideStackTraces : false }).request({ path : "/api/unexpected" })
+                .then(function(response) {
+                    assert.strictEqual(response.status, 500);
+                    assert.strictEqual(response.body.detail, "secret connection string");
+                    assert.ok(Array.isArray(response.body.stack));
+                });
+        });
+    });
+});
@@ -0,0 +1,191 @@
+var test                    = require("node:test");
+var assert                  = require("assert");
+
+var Class                   = require("jsface").Class;
+var Service                 = require("../service.js");
+var JSONRenderer            = require("../json-renderer.js");
+var TestServer              = require("../test-server.js");
+var Instrumentation         = require("../instrumentation.js");
+var MetricsRegistry         = require("../metrics-registry.js");
+var AuthenticatorRegistry   = require("../authenticator-registry.js");
+var Authenticators          = require("../authenticators.js");
+var InMemoryCredentialStore = require("../in-memory-credential-store.js");
+var Errors                  = require("../errors.js");
+
+var describe                = test.describe;
+var it                      = test.it;
+
+var MeasuredService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        MeasuredService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        var respond = function(req, cbReady) {
+            cbReady({ measured : true });
+        };
+
+        return {
+            "ok"        : respond,
+            "limited"   : respond,
+            "protected" : respond,
+
+            "missing"   : function(req, cbReady) {
+                cbReady(null, new Errors.NotFoundError("No such resource"));
+            },
+
+            "failing"   : function(req) {
+                throw new Error("failed");
+            }
+        };
+    }
+});
+
+function createTracer(spans) {
+    return {
+        startSpan : function(name, options) {
+            var span = {
+                name        : name,
+                attributes  : Object.assign({}, options.attributes),
+                events      : [],
+                status      : null,
+                ended       : false,
+
+                setAttribute : function(key, value) {
+                    this.attributes[key] = value;
+                },
+
+                addEvent : function(event) {
+                    this.events.push(event);
+                },
+
+                setStatus : function(status) {
+                    this.status = status;
+                },
+
+                recordException : function() {
+                },
+
+                end : function() {
+                    this.ended = true;
+                }
+            };
+
+            spans.push(span);
+            return span;
+        }
+    };
+}
+
+describe("Instrumentation", function() {
+    var spans           = [];
+    var instrumentation = new Instrumentation("instrumentation", { tracer : createTracer(spans) });
+    var registry        = instrumentation.getRegistry();
+    var server          = new TestServer("test", { timeout : 500 });
+    var renderer        = new JSONRenderer("json", server);
+
+    server.use(renderer.getErrorHandler());
+    renderer.renderResponsesFor(new MeasuredService("measured", {
+        instrumentation : instrumentation,
+        authenticators  : new AuthenticatorRegistry("auth", {
+            authenticators : {
+                bearer : new Authenticators.BearerAuthenticator("bearer", {
+                    store : new InMemoryCredentialStore("tokens", {})
+                })
+            }
+        }),
+        endpointTable   : {
+            "ok"        : { URLSubpath : "/ok" },
+            "limited"   : { URLSubpath : "/limited", rateLimit : { max : 1, window : "1m" } },
+            "protected" : { URLSubpath : "/protected", auth : { strategies : ["bearer"] } },
+            "missing"   : { URLSubpath : "/missing" },
+            "failing"   : { URLSubpath : "/failing" }
+        }
+    }), "/api");
+    registry.registerMetricsEndpoint(server);
+
+    var countRequests = function(endpoint, status) {
+        return registry.getValue(Instrumentation.REQUESTS_TOTAL, {
+            service     : "measured",
+            endpoint    : endpoint,
+            method      : "GET",
+            status      : String(status)
+        });
+    };
+
+    test.before(function() {
+        return ["/api/ok", "/api/ok", "/api/missing", "/api/failing", "/api/limited", "/api/limited", "/api/protected"]
+            .reduce(function(previous, path) {
+                return previous.then(function() {
+                    return server.request({ path : path });
+                });
+            }, Promise.resolve());
+    });
+
+    it("counts the handled requests by status", function() {
+        assert.strictEqual(countRequests("ok", 200), 2);
+        assert.strictEqual(countRequests("missing", 404), 1);
+        assert.strictEqual(countRequests("failing", 500), 1);
+    });
+
+    it("counts requests refused by middleware", function() {
+        assert.strictEqual(countRequests("limited", 200), 1);
+        assert.strictEqual(countRequests("limited", 429), 1);
+        assert.strictEqual(countRequests("protected", 401), 1);
+    });
+
+    it("counts the errors by code and measures durations", function() {
+        var labels = { service : "measured", endpoint : "ok" };
+
+        assert.strictEqual(registry.getValue(Instrumentation.ERRORS_TOTAL,
+                { service : "measured", endpoint : "missing", code : "ERR_NOT_FOUND" }), 1);
+        assert.strictEqual(registry.getValue(Instrumentation.REQUEST_DURATION, labels).count, 2);
+        assert.strictEqual(registry.getValue(Instrumentation.PROCESSING_DURATION, labels).count, 2);
+        assert.strictEqual(registry.getValue(Instrumentation.REQUESTS_IN_FLIGHT, labels), 0);
+    });
+
+    it("traces the requests, with the error status for 5xx responses", function() {
+        var failing = spans.filter(function(span) {
+            return span.attributes["nodechunks.endpoint"] === "failing";
+        });
+
+        assert.strictEqual(spans.length, 7);
+        assert.ok(spans.every(function(span) {
+            return span.ended;
+        }));
+        assert.strictEqual(failing[0].name, "measured failing");
+        assert.strictEqual(failing[0].status.message, "ERR_INTERNAL");
+        assert.strictEqual(spans[0].status, null);
+    });
+
+    it("exposes the metrics in the Prometheus text format", function() {
+        return server.request({ path : "/metrics" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers["content-type"], /^text\/plain; version=0.0.4/);
+            assert.match(response.text,
+                    /nodechunks_requests_total\{service="measured",endpoint="ok",method="GET",status="200"\} 2/);
+        });
+    });
+
+    describe("MetricsRegistry", function() {
+
+        it("refuses invalid names and redefinitions with another type", function() {
+            var metrics = new MetricsRegistry("metrics");
+
+            assert.strictEqual(metrics.counter("jobs_total"), true);
+            assert.strictEqual(metrics.gauge("jobs_total"), false);
+            assert.strictEqual(metrics.counter("bad name"), false);
+        });
+
+        it("escapes label values", function() {
+            var metrics = new MetricsRegistry("metrics");
+
+            metrics.counter("jobs_total", "Jobs");
+            metrics.inc("jobs_total", { queue : "a\"b\n" });
+
+            assert.strictEqual(metrics.getValue("jobs_total", { queue : "a\"b\n" }), 1);
+            assert.match(metrics.toPrometheus(), /jobs_total\{queue="a\\"b\\n"\} 1/);
+        });
+    });
+});
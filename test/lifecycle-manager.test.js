@@ -0,0 +1,212 @@
+var test                = require("node:test");
+var assert              = require("assert");
+
+var Class               = require("jsface").Class;
+var Service             = require("../service.js");
+var JSONRenderer        = require("../json-renderer.js");
+var TestServer          = require("../test-server.js");
+var LifecycleManager    = require("../lifecycle-manager.js");
+
+var describe            = test.describe;
+var it                  = test.it;
+
+var ManagedService = Class(Service, {
+
+    _log            : null,
+
+    constructor: function(serviceName, config, log) {
+        ManagedService.$super.call(this, serviceName, config);
+
+        this._log = log;
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "slow"  : function(req, cbReady) {
+                setTimeout(function() {
+                    cbReady({ slow : true });
+                }, 50);
+            }
+        };
+    },
+
+    _start : function() {
+        this._log.push("start " + this.getIName());
+
+        return this.getIName() === "failing" ? Promise.reject(new Error("Unable to connect")) : Promise.resolve();
+    },
+
+    _stop : function(cbReady) {
+        this._log.push("stop " + this.getIName());
+        cbReady(true);
+    },
+
+    _checkHealth : function(cbReady) {
+        cbReady({ ping : "ok" }, this.getIName() === "sick" ? new Error("Ping failed") : undefined);
+    }
+});
+
+function getNames(components) {
+    return components.map(function(component) {
+        return component.getIName();
+    });
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+describe("LifecycleManager", function() {
+
+    describe("with a server", function() {
+        var log         = [];
+        var server      = new TestServer("test", { timeout : 500 });
+        var renderer    = new JSONRenderer("json", server);
+        var manager     = new LifecycleManager("app", { server : server });
+
+        var db          = new ManagedService("db", { endpointTable : {} }, log);
+        var users       = new ManagedService("users", {
+            endpointTable   : { slow : { URLSubpath : "/slow" } },
+            dependsOn       : ["db"],
+            drainTimeout    : 1000
+        }, log);
+        var cache       = new ManagedService("cache", { endpointTable : {}, dependsOn : ["db"] }, log);
+
+        server.use(renderer.getErrorHandler());
+        renderer.renderResponsesFor(users, "/api");
+
+        manager.add(users);
+        manager.add(cache);
+        manager.add(db);
+
+        it("refuses components with the name of an added component", function() {
+            assert.strictEqual(manager.add(db), false);
+        });
+
+        it("starts dependencies first", function() {
+            assert.deepStrictEqual(getNames(manager.getStartOrder()), ["db", "users", "cache"]);
+
+            return server.request({ path : "/ready" }).then(function(response) {
+                assert.strictEqual(response.status, 503);
+
+                return manager.start();
+            }).then(function() {
+                assert.deepStrictEqual(log, ["start db", "start users", "start cache"]);
+
+                return server.request({ path : "/ready" });
+            }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body, {
+                    status      : "ready",
+                    components  : { users : true, cache : true, db : true }
+                });
+            });
+        });
+
+        it("reports the health of the components", function() {
+            return server.request({ path : "/health" }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(response.headers["cache-control"], "no-store");
+                assert.strictEqual(response.body.status, "up");
+                assert.deepStrictEqual(response.body.components.users, {
+                    status      : "up",
+                    lifecycle   : "running",
+                    inFlight    : 0,
+                    details     : { ping : "ok" }
+                });
+            });
+        });
+
+        it("refuses new requests while stopping, finishing the requests in flight", function() {
+            var inFlight = server.request({ path : "/api/slow" });
+            var stopped  = null;
+
+            return wait(10).then(function() {
+                assert.strictEqual(users.getNumInFlight(), 1);
+
+                stopped = manager.stop();
+                return wait(10);
+            }).then(function() {
+                return Promise.all([server.request({ path : "/api/slow" }), server.request({ path : "/ready" })]);
+            }).then(function(responses) {
+                var refused = responses[0];
+
+                assert.strictEqual(refused.status, 503);
+                assert.strictEqual(refused.body.code, "ERR_SERVICE_STOPPING");
+                assert.ok(Number(refused.headers["retry-after"]) >= 1);
+                assert.strictEqual(refused.body.details.retryAfter, Number(refused.headers["retry-after"]));
+                assert.strictEqual(responses[1].status, 503);
+
+                return inFlight;
+            }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+
+                return stopped;
+            }).then(function() {
+                assert.deepStrictEqual(log.slice(3), ["stop cache", "stop users", "stop db"]);
+                assert.strictEqual(users.getStatus(), Service.STATUS_STOPPED);
+            });
+        });
+
+        it("refuses requests to stopped services with ERR_SERVICE_NOT_RUNNING", function() {
+            return server.request({ path : "/api/slow" }).then(function(response) {
+                assert.strictEqual(response.status, 503);
+                assert.strictEqual(response.body.code, "ERR_SERVICE_NOT_RUNNING");
+                assert.strictEqual(response.headers["retry-after"], undefined);
+            });
+        });
+    });
+
+    it("stops the started components when starting fails", function() {
+        var log         = [];
+        var manager     = new LifecycleManager("app");
+        var base        = new ManagedService("base", { endpointTable : {} }, log);
+
+        manager.add(new ManagedService("failing", { endpointTable : {}, dependsOn : ["base"] }, log));
+        manager.add(base);
+
+        return manager.start().then(function() {
+            assert.fail("Starting should fail");
+        }, function(err) {
+            assert.match(err.message, /Unable to connect/);
+            assert.deepStrictEqual(log, ["start base", "start failing", "stop base"]);
+            assert.strictEqual(base.getStatus(), Service.STATUS_STOPPED);
+        });
+    });
+
+    it("reports unhealthy components", function() {
+        var manager = new LifecycleManager("app");
+        var sick    = new ManagedService("sick", { endpointTable : {} }, []);
+
+        manager.add(sick);
+
+        return manager.start().then(function() {
+            return new Promise(function(resolve) {
+                manager.checkHealth(resolve);
+            });
+        }).then(function(report) {
+            assert.strictEqual(report.status, "down");
+            assert.strictEqual(report.components.sick.status, "down");
+        });
+    });
+
+    it("fails to start components with circular or unknown dependencies", function() {
+        var manager = new LifecycleManager("app");
+
+        manager.add(new ManagedService("a", { endpointTable : {}, dependsOn : ["b"] }, []));
+        manager.add(new ManagedService("b", { endpointTable : {}, dependsOn : ["a"] }, []));
+
+        assert.strictEqual(manager.getStartOrder(), null);
+
+        return new Promise(function(resolve) {
+            manager.start(function(success, err) {
+                resolve([success, err]);
+            });
+        }).then(function(result) {
+            assert.strictEqual(result[0], false);
+            assert.ok(result[1] instanceof Error);
+        });
+    });
+});
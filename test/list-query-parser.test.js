@@ -0,0 +1,171 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var ListQueryParser = require("../list-query-parser.js");
+var ListResult      = require("../list-result.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var ITEMS = [];
+for (var idx = 0; idx < 45; idx++) {
+    ITEMS.push({ id : idx });
+}
+
+var ItemService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        ItemService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "list"      : function(req, cbReady) {
+                var listQuery = req.listQuery;
+
+                cbReady(new ListResult({
+                    items   : ITEMS.slice(listQuery.offset, listQuery.offset + listQuery.limit),
+                    total   : ITEMS.length
+                }));
+            },
+
+            "array"     : function(req, cbReady) {
+                var listQuery = req.listQuery;
+
+                cbReady(ITEMS.slice(listQuery.offset, listQuery.offset + listQuery.limit + 1));
+            },
+
+            "all"       : function(req, cbReady) {
+                cbReady(ITEMS);
+            },
+
+            "cursor"    : function(req) {
+                var start = Number(req.listQuery.cursor || 0);
+                var end   = start + req.listQuery.limit;
+
+                return new ListResult({
+                    items       : ITEMS.slice(start, end),
+                    nextCursor  : end < ITEMS.length ? end : null,
+                    prevCursor  : start > 0 ? Math.max(0, start - req.listQuery.limit) : null
+                });
+            }
+        };
+    }
+});
+
+describe("ListQueryParser", function() {
+
+    describe("parse()", function() {
+        var parser = new ListQueryParser({
+            filters         : ["status"],
+            sort            : ["id", "name"],
+            defaultSort     : "-id",
+            maxLimit        : 20
+        });
+
+        it("parses pagination, sorting and filters", function() {
+            var parsed = parser.parse({ query : { page : "2", limit : "10", sort : "name,-id", status : ["a", "b"] } });
+
+            assert.deepStrictEqual(parsed, {
+                listQuery   : {
+                    page        : 2,
+                    limit       : 10,
+                    offset      : 10,
+                    cursor      : null,
+                    sort        : [{ field : "name", direction : "asc" }, { field : "id", direction : "desc" }],
+                    filters     : { status : ["a", "b"] }
+                },
+                errors      : []
+            });
+        });
+
+        it("uses the defaults of the collection definition", function() {
+            var listQuery = parser.parse({ query : {} }).listQuery;
+
+            assert.strictEqual(listQuery.page, 1);
+            assert.strictEqual(listQuery.limit, ListQueryParser.DEFAULTS.defaultLimit);
+            assert.deepStrictEqual(listQuery.sort, [{ field : "id", direction : "desc" }]);
+        });
+
+        it("gives errors for invalid parameters", function() {
+            assert.deepStrictEqual(parser.parse({ query : { limit : "50", sort : "foo", page : "0" } }).errors.map(
+                function(error) {
+                    return error.path;
+                }), ["limit", "page", "sort"]);
+            assert.deepStrictEqual(parser.parse({ query : { page : "1", cursor : "x" } }).errors, [{
+                location    : "query",
+                path        : "cursor",
+                message     : "cursor can not be combined with page"
+            }]);
+        });
+    });
+
+    describe("collection endpoints", function() {
+        var server      = new TestServer("test", { timeout : 500 });
+        var renderer    = new JSONRenderer("json", server);
+
+        server.use(renderer.getErrorHandler());
+        renderer.renderResponsesFor(new ItemService("items", {
+            endpointTable : {
+                list    : { URLSubpath : "/items", collection : { filters : ["status"], maxLimit : 20 } },
+                array   : { URLSubpath : "/array", collection : { defaultLimit : 10 } },
+                all     : { URLSubpath : "/all", collection : { defaultLimit : 10 } },
+                cursor  : { URLSubpath : "/cursor", collection : { defaultLimit : 10 } }
+            }
+        }), "/api");
+
+        it("render list results as envelope with links to the pages", function() {
+            return server.request({ path : "/api/items?page=2&limit=10&status=a" }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(response.body.data.length, 10);
+                assert.strictEqual(response.body.data[0].id, 10);
+                assert.deepStrictEqual([response.body.meta.page, response.body.meta.total], [2, 45]);
+                assert.deepStrictEqual(response.body.meta.filters, { status : "a" });
+                assert.strictEqual(response.body.links.next, "/api/items?page=3&limit=10&status=a");
+                assert.strictEqual(response.body.links.last, "/api/items?page=5&limit=10&status=a");
+                assert.match(String(response.headers.link), /<\/api\/items\?page=1&limit=10&status=a>; rel="first"/);
+            });
+        });
+
+        it("answer 400 with the errors of invalid list queries", function() {
+            return server.request({ path : "/api/items?limit=50" }).then(function(response) {
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.details[0].message, "limit should be at most 20");
+            });
+        });
+
+        it("cut plain arrays to the limit, an item more tells there is a next page", function() {
+            return Promise.all([
+                server.request({ path : "/api/array?page=4" }),
+                server.request({ path : "/api/array?page=5" })
+            ]).then(function(responses) {
+                assert.strictEqual(responses[0].body.data.length, 10);
+                assert.strictEqual(responses[0].body.links.next, "/api/array?page=5");
+                assert.strictEqual(responses[1].body.data.length, 5);
+                assert.strictEqual(responses[1].body.links.next, undefined);
+            });
+        });
+
+        it("render no more items than the limit", function() {
+            return server.request({ path : "/api/all" }).then(function(response) {
+                assert.strictEqual(response.body.data.length, 10);
+                assert.strictEqual(response.body.links.next, "/api/all?page=2");
+            });
+        });
+
+        it("link to the pages of cursors", function() {
+            return server.request({ path : "/api/cursor?cursor=10&x=1" }).then(function(response) {
+                assert.deepStrictEqual(response.body.links, {
+                    self    : "/api/cursor?cursor=10&x=1",
+                    first   : "/api/cursor?x=1",
+                    prev    : "/api/cursor?cursor=0&x=1",
+                    next    : "/api/cursor?cursor=20&x=1"
+                });
+            });
+        });
+    });
+});
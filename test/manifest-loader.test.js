@@ -0,0 +1,168 @@
+var test            = require("node:test");
+var assert          = require("assert");
+var fs              = require("fs");
+var os              = require("os");
+var path            = require("path");
+
+var ManifestLoader  = require("../manifest-loader.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var ROOT_DIR        = path.join(__dirname, "..");
+
+var USERS_MODULE    = [
+    "var Class   = require(" + JSON.stringify(require.resolve("jsface")) + ").Class;",
+    "var Service = require(" + JSON.stringify(path.join(ROOT_DIR, "service.js")) + ");",
+    "",
+    "var UserService = Class(Service, {",
+    "    constructor: function(serviceName, config) {",
+    "        UserService.$super.call(this, serviceName, config);",
+    "        this._db = config.db;",
+    "    },",
+    "",
+    "    _mapEndpointsToMethods : function() {",
+    "        var self = this;",
+    "        return {",
+    "            get : function(req, cbReady) {",
+    "                cbReady({ service : self.getIName(), db : self._db });",
+    "            }",
+    "        };",
+    "    }",
+    "});",
+    "",
+    "module.exports = { UserService : UserService };"
+].join("\n");
+
+var SERVER_MODULE   = [
+    "var TestServer = require(" + JSON.stringify(path.join(ROOT_DIR, "test-server.js")) + ");",
+    "",
+    "module.exports = new TestServer('manifest', { timeout : 500 });"
+].join("\n");
+
+var MANIFEST        = {
+    name            : "shop",
+    components      : {
+        server          : { module : "./server.js" },
+        users           : {
+            "class"         : "./services/users.js#UserService",
+            args            : [{
+                endpointTable   : { $module : "./services/endpoints.json" },
+                db              : { $env : "MANIFEST_TEST_DB_URL", "default" : "mem://" }
+            }]
+        },
+        json            : { "class" : path.join(ROOT_DIR, "json-renderer.js"), args : [{ $ref : "server" }] }
+    },
+    bindings        : [{ renderer : "json", service : "users", path : "/api" }],
+    lifecycle       : { server : "server" },
+    environments    : {
+        production      : { bindings : [{ renderer : "json", service : "users", path : "/prod" }] }
+    }
+};
+
+var INVALID_MANIFEST = {
+    components      : {
+        a               : { "class" : "./a.js", value : 1 },
+        b               : { factory : "./b.js", scope : "weird" },
+        c               : { "class" : "./c.js", args : [{ $ref : "nope" }] }
+    },
+    bindings        : [{ renderer : "json", service : "b", path : 3 }]
+};
+
+describe("ManifestLoader", function() {
+    var dir = null;
+
+    test.before(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-loader-"));
+
+        fs.mkdirSync(path.join(dir, "services"));
+        fs.writeFileSync(path.join(dir, "services", "users.js"), USERS_MODULE);
+        fs.writeFileSync(path.join(dir, "services", "endpoints.json"),
+                JSON.stringify({ get : { URLSubpath : "/users" } }));
+        fs.writeFileSync(path.join(dir, "server.js"), SERVER_MODULE);
+        fs.writeFileSync(path.join(dir, "app.json"), JSON.stringify(MANIFEST));
+        fs.writeFileSync(path.join(dir, "invalid.json"), JSON.stringify(INVALID_MANIFEST));
+        fs.writeFileSync(path.join(dir, "broken.json"), "{ components :");
+    });
+
+    test.after(function() {
+        fs.rmSync(dir, { recursive : true, force : true });
+    });
+
+    it("builds and starts the app described by the manifest", function() {
+        var loader = new ManifestLoader("loader", { environment : "development" });
+
+        return loader.loadApp(path.join(dir, "app.json")).then(function(container) {
+            var server = container.resolve("server");
+            server.use(container.resolve("json").getErrorHandler());
+
+            return Promise.all([server.request({ path : "/api/users" }), server.request({ path : "/ready" })]);
+        }).then(function(responses) {
+            assert.strictEqual(responses[0].status, 200);
+            assert.deepStrictEqual(responses[0].body, { service : "users", db : "mem://" });
+            assert.strictEqual(responses[1].status, 200);
+        });
+    });
+
+    it("applies the settings of the environment and reads values from environment variables", function() {
+        var loader = new ManifestLoader("loader", { environment : "production" });
+
+        process.env.MANIFEST_TEST_DB_URL = "postgres://db";
+
+        return new Promise(function(resolve) {
+            loader.loadFile(path.join(dir, "app.json"), resolve);
+        }).then(function(manifest) {
+            assert.deepStrictEqual(manifest.bindings, [{ renderer : "json", service : "users", path : "/prod" }]);
+            assert.strictEqual(manifest.environments, undefined);
+
+            var container = loader.build(manifest, dir);
+            delete process.env.MANIFEST_TEST_DB_URL;
+
+            return container.resolve("server").request({ path : "/prod/users" });
+        }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body, { service : "users", db : "postgres://db" });
+        });
+    });
+
+    it("takes the environment from NODE_ENV by default", function() {
+        var loader = new ManifestLoader("loader");
+
+        assert.strictEqual(loader.getEnvironment(), process.env.NODE_ENV || ManifestLoader.DEFAULT_ENVIRONMENT);
+    });
+
+    it("refuses invalid manifests, listing the errors", function() {
+        var loader = new ManifestLoader("loader");
+
+        return new Promise(function(resolve) {
+            loader.loadFile(path.join(dir, "invalid.json"), function(manifest, err) {
+                resolve([manifest, err]);
+            });
+        }).then(function(result) {
+            var message = result[1].message;
+
+            assert.strictEqual(result[0], null);
+            assert.match(message, /component a : definition needs exactly one of class, factory, module, value/);
+            assert.match(message, /component b : unknown scope \[weird\]/);
+            assert.match(message, /component c : reference to unknown component nope/);
+            assert.match(message, /binding 0 : renderer must be the name of a component/);
+            assert.match(message, /binding 0 : path must be a string/);
+        });
+    });
+
+    it("fails to load manifests that can not be read or parsed", function() {
+        var loader = new ManifestLoader("loader");
+
+        return loader.loadApp(path.join(dir, "missing.json")).then(function() {
+            assert.fail("Loading should fail");
+        }, function(err) {
+            assert.strictEqual(err.code, "ENOENT");
+
+            return loader.loadApp(path.join(dir, "broken.json"));
+        }).then(function() {
+            assert.fail("Loading should fail");
+        }, function(err) {
+            assert.match(err.message, /^Unable to parse manifest/);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var ServerAppChunk  = require("../server-app-chunk.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+function trace(tag) {
+    return function(req, res, next) {
+        req.trail = (req.trail || []).concat([tag]);
+        next();
+    };
+}
+
+var TrailService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        TrailService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "traced"    : function(req, cbReady) {
+                cbReady({ trail : req.trail });
+            },
+
+            "refused"   : function(req, cbReady) {
+                cbReady({ called : true });
+            }
+        };
+    }
+});
+
+var TrailChunk = Class(ServerAppChunk, {
+
+    constructor: function(chunkName, config) {
+        TrailChunk.$super.call(this, chunkName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "view"      : function(req, res, next) {
+                res.json({ trail : req.trail });
+            }
+        };
+    }
+});
+
+describe("Middleware", function() {
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new JSONRenderer("json", server);
+
+    server.use(renderer.getErrorHandler());
+
+    renderer.renderResponsesFor(new TrailService("trail", {
+        middleware      : [trace("service")],
+        endpointTable   : {
+            traced  : { URLSubpath : "/traced", middleware : [trace("endpoint")] },
+            refused : {
+                URLSubpath  : "/refused",
+                middleware  : [function(req, res, next) {
+                    res.status(418).json({ refused : true });
+                }]
+            }
+        }
+    }), "/api", null, { middleware : [trace("options")] });
+
+    new TrailChunk("chunk", {
+        server          : server,
+        URLPathRoot     : "/app",
+        middleware      : [trace("chunk")],
+        endpointTable   : {
+            view    : { URLSubpath : "/view", middleware : [trace("endpoint")] }
+        }
+    });
+
+    it("runs the middleware of the options, the service and the endpoint, in that order", function() {
+        return server.request({ path : "/api/traced" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.trail, ["options", "service", "endpoint"]);
+        });
+    });
+
+    it("does not call the endpoint method when middleware ends the response", function() {
+        return server.request({ path : "/api/refused" }).then(function(response) {
+            assert.strictEqual(response.status, 418);
+            assert.deepStrictEqual(response.body, { refused : true });
+        });
+    });
+
+    it("runs the middleware of the server app chunk before the middleware of its endpoints", function() {
+        return server.request({ path : "/app/view" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.trail, ["chunk", "endpoint"]);
+        });
+    });
+});
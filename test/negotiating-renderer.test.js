@@ -0,0 +1,94 @@
+var test                = require("node:test");
+var assert              = require("assert");
+
+var Class               = require("jsface").Class;
+var Service             = require("../service.js");
+var NegotiatingRenderer = require("../negotiating-renderer.js");
+var TestServer          = require("../test-server.js");
+var Errors              = require("../errors.js");
+
+var describe            = test.describe;
+var it                  = test.it;
+
+var ItemsService = Class(Service, {
+
+    constructor: function(serviceName) {
+        ItemsService.$super.call(this, serviceName, {
+            endpointTable : {
+                items   : { URLSubpath : "/items" },
+                missing : { URLSubpath : "/missing" }
+            }
+        });
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "items"     : function(req, cbReady) {
+                cbReady({ items : [{ id : 1, name : "a, \"b\"" }, { id : 2, name : "c" }] });
+            },
+
+            "missing"   : function(req, cbReady) {
+                cbReady(null, new Errors.NotFoundError("No such item"));
+            }
+        };
+    }
+});
+
+describe("NegotiatingRenderer", function() {
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new NegotiatingRenderer("negotiating", server);
+
+    server.use(renderer.getErrorHandler());
+    renderer.renderResponsesFor(new ItemsService("items"), "/api");
+
+    var request = function(path, accept) {
+        return server.request({ path : path, headers : accept ? { accept : accept } : {} });
+    };
+
+    it("renders JSON when the client accepts any format", function() {
+        return request("/api/items", "*/*").then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers["content-type"], /^application\/json/);
+            assert.strictEqual(response.body.items.length, 2);
+        });
+    });
+
+    it("renders the format the client prefers", function() {
+        return request("/api/items", "application/yaml;q=0.5, text/csv;q=0.9").then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers["content-type"], /^text\/csv/);
+            assert.strictEqual(response.text.split(/\r?\n/)[0], "id,name");
+            assert.match(response.text, /"a, ""b"""/);
+        });
+    });
+
+    it("renders the format of the format query parameter, whatever the client accepts", function() {
+        return request("/api/items?format=xml", "text/csv").then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers["content-type"], /^application\/xml/);
+            assert.match(response.text, /<name>a, &quot;b&quot;<\/name>/);
+        });
+    });
+
+    it("answers 406 when none of the accepted formats is available", function() {
+        return request("/api/items", "image/png").then(function(response) {
+            assert.strictEqual(response.status, 406);
+        });
+    });
+
+    it("answers 400 naming the available formats for an unknown format query parameter", function() {
+        return request("/api/items?format=foo").then(function(response) {
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, "ERR_FORMAT_UNKNOWN");
+            assert.match(response.body.detail, /json, xml, csv, yaml, msgpack/);
+        });
+    });
+
+    it("renders errors in the negotiated format", function() {
+        return request("/api/missing", "application/xml").then(function(response) {
+            assert.strictEqual(response.status, 404);
+            assert.match(response.headers["content-type"], /xml/);
+            assert.match(response.text, /No such item/);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+var test            = require("node:test");
+var assert          = require("assert");
+var http            = require("http");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var ServerAppChunk  = require("../server-app-chunk.js");
+var JSONRenderer    = require("../json-renderer.js");
+var NodeHTTPAdapter = require("../adapters/node-http-adapter.js");
+var Errors          = require("../errors.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var ResourceService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        ResourceService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "get"       : function(req, cbReady) {
+                cbReady({ id : req.params.id, query : req.query });
+            },
+
+            "post"      : function(req, cbReady) {
+                cbReady({ received : req.body });
+            },
+
+            "missing"   : function(req, cbReady) {
+                cbReady(null, new Errors.NotFoundError("No such resource"));
+            }
+        };
+    }
+});
+
+var PageChunk = Class(ServerAppChunk, {
+
+    constructor: function(chunkName, config) {
+        PageChunk.$super.call(this, chunkName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "hello"     : function(req, res, next) {
+                res.status(200).send("<p>" + req.params.name + "</p>");
+            }
+        };
+    }
+});
+
+describe("NodeHTTPAdapter", function() {
+    var adapter     = new NodeHTTPAdapter("node", { bodyLimit : 64 });
+    var renderer    = new JSONRenderer("json", adapter);
+    var server      = adapter.createServer();
+
+    renderer.renderResponsesFor(new ResourceService("resources", {
+        endpointTable : {
+            "get"       : {
+                URLSubpath  : "/resources/:id",
+                params      : { type : "object", properties : { id : { type : "integer" } } }
+            },
+            "post"      : { HTTPMethod : "post", URLSubpath : "/resources" },
+            "missing"   : { URLSubpath : "/missing" }
+        }
+    }), "/api");
+
+    new PageChunk("pages", {
+        server          : adapter,
+        URLPathRoot     : "/app",
+        endpointTable   : { hello : { URLSubpath : "/hello/:name" } }
+    });
+
+    var request = function(method, path, body) {
+        return new Promise(function(resolve, reject) {
+            var nativeReq = http.request({
+                port    : server.address().port,
+                method  : method,
+                path    : path,
+                headers : { "content-type" : "application/json" }
+            }, function(nativeRes) {
+                var text = "";
+
+                nativeRes.setEncoding("utf8");
+                nativeRes.on("data", function(chunk) {
+                    text += chunk;
+                });
+                nativeRes.on("end", function() {
+                    resolve({ status : nativeRes.statusCode, headers : nativeRes.headers, text : text });
+                });
+            });
+
+            nativeReq.on("error", reject);
+            nativeReq.end(body);
+        });
+    };
+
+    test.before(function() {
+        return new Promise(function(resolve) {
+            server.listen(0, "127.0.0.1", resolve);
+        });
+    });
+
+    test.after(function() {
+        return new Promise(function(resolve) {
+            server.close(resolve);
+        });
+    });
+
+    it("routes requests to the endpoints with their path parameters and query", function() {
+        return request("GET", "/api/resources/5?tag=a&tag=b").then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers["content-type"], /^application\/json/);
+            assert.deepStrictEqual(JSON.parse(response.text), { id : 5, query : { tag : ["a", "b"] } });
+        });
+    });
+
+    it("parses JSON request bodies, refusing bodies over the limit", function() {
+        return Promise.all([
+            request("POST", "/api/resources", "{\"name\":\"a\"}"),
+            request("POST", "/api/resources", JSON.stringify({ name : new Array(100).join("a") }))
+        ]).then(function(responses) {
+            assert.strictEqual(responses[0].status, 200);
+            assert.deepStrictEqual(JSON.parse(responses[0].text), { received : { name : "a" } });
+            assert.strictEqual(responses[1].status, 413);
+        });
+    });
+
+    it("renders errors as problem details", function() {
+        return Promise.all([
+            request("GET", "/api/resources/x"),
+            request("GET", "/api/missing")
+        ]).then(function(responses) {
+            assert.strictEqual(responses[0].status, 400);
+            assert.strictEqual(JSON.parse(responses[0].text).code, "ERR_REQUEST_INVALID");
+            assert.strictEqual(responses[1].status, 404);
+            assert.match(responses[1].headers["content-type"], /^application\/problem\+json/);
+            assert.strictEqual(JSON.parse(responses[1].text).detail, "No such resource");
+        });
+    });
+
+    it("runs the handlers of server app chunks", function() {
+        return request("GET", "/app/hello/bob").then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers["content-type"], /^text\/html/);
+            assert.strictEqual(response.text, "<p>bob</p>");
+        });
+    });
+
+    it("answers 404 problem details for requests matching no route", function() {
+        return request("GET", "/nothing").then(function(response) {
+            assert.strictEqual(response.status, 404);
+            assert.strictEqual(JSON.parse(response.text).detail, "Cannot GET /nothing");
+        });
+    });
+});
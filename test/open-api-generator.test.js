@@ -0,0 +1,100 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var OpenAPIGenerator= require("../open-api-generator.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var ResourceService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        ResourceService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        var respond = function(req, cbReady) {
+            cbReady({});
+        };
+
+        return { "GET resource" : respond, "POST resource" : respond };
+    }
+});
+
+describe("OpenAPIGenerator", function() {
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new JSONRenderer("json", server);
+    var generator   = new OpenAPIGenerator("Resources API", { info : { version : "2.0.0" } });
+
+    renderer.renderResponsesFor(new ResourceService("resources", {
+        endpointTable : {
+            "GET resource"  : {
+                URLSubpath  : "/resources/:id",
+                summary     : "Get a resource",
+                params      : { type : "object", properties : { id : { type : "integer", exclusiveMinimum : 0 } } },
+                query       : {
+                    type        : "object",
+                    properties  : { fields : { type : ["string", "null"] } },
+                    required    : ["fields"]
+                },
+                responses   : {
+                    200 : {
+                        description : "The resource",
+                        schema      : { type : "object", properties : { kind : { const : "resource" } } }
+                    },
+                    404 : "Resource not found"
+                }
+            },
+            "POST resource" : {
+                HTTPMethod  : "post",
+                URLSubpath  : "/resources",
+                body        : { type : "object", properties : { size : { type : ["integer", "string"] } } }
+            }
+        }
+    }), "/api");
+
+    generator.addRenderer(renderer);
+    generator.registerDocumentEndpoint(server);
+
+    it("describes the operations of the rendered endpoints", function() {
+        var document = generator.generate();
+
+        assert.strictEqual(document.openapi, "3.0.3");
+        assert.deepStrictEqual(document.info, { title : "Resources API", version : "2.0.0" });
+        assert.deepStrictEqual(Object.keys(document.paths).sort(), ["/api/resources", "/api/resources/{id}"]);
+
+        var operation = document.paths["/api/resources/{id}"].get;
+        assert.strictEqual(operation.summary, "Get a resource");
+        assert.deepStrictEqual(operation.tags, ["resources"]);
+        assert.deepStrictEqual(operation.parameters.map(function(parameter) {
+            return [parameter.in, parameter.name, parameter.required];
+        }), [["path", "id", true], ["query", "fields", true]]);
+        assert.strictEqual(operation.responses["404"].description, "Resource not found");
+    });
+
+    it("converts JSON Schema keywords to OpenAPI 3.0 schema objects", function() {
+        var paths       = generator.generate().paths;
+        var operation   = paths["/api/resources/{id}"].get;
+
+        assert.deepStrictEqual(operation.parameters[0].schema,
+                { type : "integer", minimum : 0, exclusiveMinimum : true });
+        assert.deepStrictEqual(operation.parameters[1].schema, { type : "string", nullable : true });
+        assert.deepStrictEqual(operation.responses["200"].content["application/json"].schema.properties.kind,
+                { enum : ["resource"] });
+        assert.deepStrictEqual(paths["/api/resources"].post.requestBody.content["application/json"].schema, {
+            type        : "object",
+            properties  : { size : { anyOf : [{ type : "integer" }, { type : "string" }] } }
+        });
+    });
+
+    it("serves the document", function() {
+        return server.request({ path : "/openapi.json" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body, generator.generate());
+        });
+    });
+});
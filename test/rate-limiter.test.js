@@ -0,0 +1,144 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var RateLimiter     = require("../rate-limiter.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var LimitedService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        LimitedService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        var respond = function(req, cbReady) {
+            cbReady({ limited : true });
+        };
+
+        return { "a" : respond, "b" : respond, "free" : respond, "bucket" : respond, "perPrincipal" : respond };
+    }
+});
+
+function setPrincipal(req, res, next) {
+    req.principal = { id : req.get("x-user") };
+    next();
+}
+
+function createServer(serviceName, endpointTable, config) {
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new JSONRenderer("json", server);
+
+    server.use(renderer.getErrorHandler());
+    assert.strictEqual(renderer.renderResponsesFor(new LimitedService(serviceName, Object.assign({
+        endpointTable : endpointTable
+    }, config)), "/api"), true);
+
+    return server;
+}
+
+function requestAll(server, requests) {
+    var responses = [];
+
+    return requests.reduce(function(previous, request) {
+        return previous.then(function() {
+            return server.request(request);
+        }).then(function(response) {
+            responses.push(response);
+        });
+    }, Promise.resolve()).then(function() {
+        return responses;
+    });
+}
+
+function getStatuses(responses) {
+    return responses.map(function(response) {
+        return response.status;
+    });
+}
+
+describe("RateLimiter", function() {
+
+    it("parses windows to milliseconds", function() {
+        assert.strictEqual(RateLimiter.parseWindow("15m"), 900000);
+        assert.strictEqual(RateLimiter.parseWindow(2), 2000);
+        assert.strictEqual(RateLimiter.parseWindow("x"), null);
+        assert.strictEqual(RateLimiter.parseWindow(0), null);
+    });
+
+    it("refuses requests over the limit with 429 and Retry-After", function() {
+        var server = createServer("single", {
+            a : { URLSubpath : "/a", rateLimit : { max : 2, window : "1m" } }
+        });
+
+        return requestAll(server, [{ path : "/api/a" }, { path : "/api/a" }, { path : "/api/a" }])
+            .then(function(responses) {
+                var first   = responses[0];
+                var refused = responses[2];
+
+                assert.deepStrictEqual(getStatuses(responses), [200, 200, 429]);
+                assert.strictEqual(first.headers["ratelimit-limit"], "2");
+                assert.strictEqual(first.headers["ratelimit-remaining"], "1");
+                assert.strictEqual(refused.headers["ratelimit-remaining"], "0");
+                assert.ok(Number(refused.headers["retry-after"]) >= 1);
+                assert.strictEqual(refused.body.code, "ERR_RATE_LIMITED");
+            });
+    });
+
+    it("shares the quota between the endpoints of a group, unless they opt out", function() {
+        var server = createServer("grouped", {
+            a       : { URLSubpath : "/a" },
+            b       : { URLSubpath : "/b" },
+            free    : { URLSubpath : "/free", rateLimit : false }
+        }, { rateLimit : { window : "1m", max : 3, group : "shared" } });
+
+        return requestAll(server, [
+            { path : "/api/a" }, { path : "/api/b" }, { path : "/api/a" }, { path : "/api/b" }, { path : "/api/free" }
+        ]).then(function(responses) {
+            assert.deepStrictEqual(getStatuses(responses), [200, 200, 200, 429, 200]);
+            assert.strictEqual(responses[4].headers["ratelimit-limit"], undefined);
+        });
+    });
+
+    it("limits with a token bucket", function() {
+        var server = createServer("bucket", {
+            bucket : { URLSubpath : "/bucket", rateLimit : { algorithm : "tokenBucket", max : 2, window : "1m" } }
+        });
+
+        return requestAll(server, [{ path : "/api/bucket" }, { path : "/api/bucket" }, { path : "/api/bucket" }])
+            .then(function(responses) {
+                assert.deepStrictEqual(getStatuses(responses), [200, 200, 429]);
+            });
+    });
+
+    it("limits per principal", function() {
+        var server = createServer("principals", {
+            perPrincipal : {
+                URLSubpath  : "/principal",
+                rateLimit   : { key : "principal", max : 1, window : "1m" },
+                middleware  : [setPrincipal]
+            }
+        });
+
+        return requestAll(server, [
+            { path : "/api/principal", headers : { "x-user" : "u1" } },
+            { path : "/api/principal", headers : { "x-user" : "u2" } },
+            { path : "/api/principal", headers : { "x-user" : "u1" } }
+        ]).then(function(responses) {
+            assert.deepStrictEqual(getStatuses(responses), [200, 200, 429]);
+        });
+    });
+
+    it("refuses invalid rate limit definitions", function() {
+        var renderer = new JSONRenderer("json", new TestServer("test"));
+
+        assert.strictEqual(renderer.renderResponsesFor(new LimitedService("invalid", {
+            endpointTable : { a : { URLSubpath : "/a", rateLimit : { max : 0, window : 1 } } }
+        }), "/api"), false);
+    });
+});
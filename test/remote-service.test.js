@@ -0,0 +1,282 @@
+var test            = require("node:test");
+var assert          = require("assert");
+var stream          = require("stream");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var RemoteService   = require("../remote-service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var NodeHTTPAdapter = require("../adapters/node-http-adapter.js");
+var ResponseEnvelope= require("../response-envelope.js");
+var ResponseStream  = require("../response-stream.js");
+var CircuitBreaker  = require("../circuit-breaker.js");
+var Errors          = require("../errors.js");
+
+var describe        = test.describe;
+var it              = test.it;
+var before          = test.before;
+var after           = test.after;
+
+var UsersService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        UsersService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "GET user"  : function(req, cbReady) {
+                if (req.params.id === "404") {
+                    cbReady(null, new Errors.NotFoundError("User {0} not found".fmt(req.params.id)));
+                    return;
+                }
+
+                cbReady({ id : req.params.id, query : req.query, authorization : req.headers.authorization });
+            },
+
+            "POST user" : function(req, cbReady) {
+                cbReady(ResponseEnvelope.created("/api/users/2", req.body));
+            },
+
+            "GET users" : function(req, cbReady) {
+                cbReady(["a", "b", "c"]);
+            },
+
+            "GET lines" : function(req) {
+                return new ResponseStream(stream.Readable.from([{ n : 1 }, { n : 2 }]));
+            },
+
+            //Unavailable for the first two requests of every three
+            "GET flaky" : function(req, cbReady) {
+                numFlakyCalls += 1;
+                if (numFlakyCalls % 3 !== 0) {
+                    cbReady(null, new Errors.ServiceUnavailableError("Try again"));
+                    return;
+                }
+
+                cbReady({ calls : numFlakyCalls });
+            },
+
+            "POST job"  : function(req, cbReady) {
+                numJobCalls += 1;
+                cbReady(null, new Errors.ServiceUnavailableError("Try again"));
+            },
+
+            "GET slow"  : function(req, cbReady) {
+                setTimeout(function() {
+                    cbReady({ slow : true });
+                }, 200);
+            }
+        };
+    }
+});
+
+var numFlakyCalls   = 0;
+var numJobCalls     = 0;
+
+var ENDPOINT_TABLE = {
+    "GET user"  : { URLSubpath : "/users/:id" },
+    "POST user" : {
+        HTTPMethod  : "post",
+        URLSubpath  : "/users",
+        body        : { type : "object", required : ["name"], properties : { name : { type : "string" } } }
+    },
+    "GET users" : { URLSubpath : "/users", collection : { defaultLimit : 2 } },
+    "GET lines" : { URLSubpath : "/lines" },
+    "GET flaky" : { URLSubpath : "/flaky" },
+    "POST job"  : { HTTPMethod : "post", URLSubpath : "/jobs" },
+    "GET slow"  : { URLSubpath : "/slow" }
+};
+
+describe("RemoteService", function() {
+    var remoteServer    = null;
+    var baseURL         = null;
+    var server          = null;
+
+    before(function() {
+        var adapter         = new NodeHTTPAdapter("remote");
+        var remoteRenderer  = new JSONRenderer("remote", adapter);
+
+        adapter.useErrorHandler(remoteRenderer.getErrorHandler());
+        remoteRenderer.renderResponsesFor(new UsersService("users", { endpointTable : ENDPOINT_TABLE }), "/api");
+        remoteRenderer.renderIntrospectionEndpoint();
+
+        remoteServer = adapter.createServer();
+
+        return new Promise(function(resolve) {
+            remoteServer.listen(0, "127.0.0.1", resolve);
+        }).then(function() {
+            baseURL = "http://127.0.0.1:" + remoteServer.address().port;
+
+            var users = new RemoteService("users", { baseURL : baseURL, timeout : 500 });
+            return users.load().then(function() {
+                server = new TestServer("test", { timeout : 1000 });
+
+                var renderer = new JSONRenderer("json", server);
+                server.use(renderer.getErrorHandler());
+                assert.strictEqual(renderer.renderResponsesFor(users, "/proxy"), true);
+            });
+        });
+    });
+
+    after(function() {
+        remoteServer.closeAllConnections();
+
+        return new Promise(function(resolve) {
+            remoteServer.close(resolve);
+        });
+    });
+
+    it("forwards path parameters, query and headers to the other app", function() {
+        return server.request({
+            path    : "/proxy/users/1",
+            query   : { fields : "name" },
+            headers : { Authorization : "Bearer token" }
+        }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body, {
+                id              : "1",
+                query           : { fields : "name" },
+                authorization   : "Bearer token"
+            });
+        });
+    });
+
+    it("forwards the body and the status and Location header of the response", function() {
+        return server.request({ method : "POST", path : "/proxy/users", body : { name : "Alice" } })
+            .then(function(response) {
+                assert.strictEqual(response.status, 201);
+                assert.strictEqual(response.headers.location, "/api/users/2");
+                assert.deepStrictEqual(response.body, { name : "Alice" });
+            });
+    });
+
+    it("gives the errors of the other app", function() {
+        return server.request({ path : "/proxy/users/404" }).then(function(response) {
+            assert.strictEqual(response.status, 404);
+            assert.strictEqual(response.body.code, "ERR_NOT_FOUND");
+        });
+    });
+
+    it("gives the validation errors of the other app", function() {
+        return server.request({ method : "POST", path : "/proxy/users", body : {} }).then(function(response) {
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, "ERR_REQUEST_INVALID");
+        });
+    });
+
+    it("fails with 502 when the other app can not be reached, and opens the circuit", function() {
+        var unreachable = new RemoteService("users", {
+            baseURL         : "http://127.0.0.1:1",
+            endpointTable   : ENDPOINT_TABLE,
+            servicePathRoot : "/api",
+            retries         : 0,
+            circuitBreaker  : { threshold : 1, resetTimeout : 60000 }
+        });
+
+        return unreachable.forward("GET user", { params : { id : "1" } }).then(function() {
+            assert.fail("Request to unreachable app succeeded");
+        }, function(err) {
+            assert.strictEqual(err.status, 502);
+
+            return unreachable.forward("GET user", { params : { id : "1" } });
+        }).then(function() {
+            assert.fail("Request with open circuit succeeded");
+        }, function(err) {
+            assert.strictEqual(err.status, 503);
+            assert.strictEqual(err.code, "ERR_CIRCUIT_OPEN");
+        });
+    });
+
+    it("gives list results of collections, with the links pointing to this app", function() {
+        return server.request({ path : "/proxy/users" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.data, ["a", "b"]);
+            assert.strictEqual(response.body.links.next, "/proxy/users?page=2");
+        });
+    });
+
+    it("streams the JSON lines of the other app", function() {
+        return server.request({ path : "/proxy/lines" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.text, "{\"n\":1}\n{\"n\":2}\n");
+        });
+    });
+
+    it("retries idempotent requests only", function() {
+        var users = new RemoteService("users", {
+            baseURL         : baseURL,
+            endpointTable   : ENDPOINT_TABLE,
+            servicePathRoot : "/api",
+            retryDelay      : 10
+        });
+
+        numFlakyCalls = 0;
+
+        return users.forward("GET flaky", {}).then(function(data) {
+            assert.deepStrictEqual(data, { calls : 3 });
+
+            return users.forward("POST job", { body : {} });
+        }).then(function() {
+            assert.fail("Request to unavailable endpoint succeeded");
+        }, function(err) {
+            assert.strictEqual(err.status, 503);
+            assert.strictEqual(numJobCalls, 1);
+        });
+    });
+
+    it("fails with 504 when the other app does not respond in time", function() {
+        var users = new RemoteService("users", {
+            baseURL         : baseURL,
+            endpointTable   : ENDPOINT_TABLE,
+            servicePathRoot : "/api",
+            timeout         : 50,
+            retries         : 0
+        });
+
+        return users.forward("GET slow", {}).then(function() {
+            assert.fail("Request to slow endpoint succeeded");
+        }, function(err) {
+            assert.strictEqual(err.status, 504);
+        });
+    });
+
+    it("fails to load services the other app does not render", function() {
+        var orders = new RemoteService("orders", { baseURL : baseURL });
+
+        return orders.load().then(function() {
+            assert.fail("Loading unknown service succeeded");
+        }, function(err) {
+            assert.strictEqual(err.status, 404);
+            assert.match(err.message, /available are : users/);
+            assert.strictEqual(orders.isLoaded(), false);
+        });
+    });
+
+    describe("CircuitBreaker", function() {
+
+        it("opens after consecutive failures, allowing one trial request after the reset timeout", function() {
+            var breaker = new CircuitBreaker("breaker", { threshold : 2, resetTimeout : 20 });
+
+            breaker.recordFailure();
+            assert.strictEqual(breaker.allowRequest(), true);
+            breaker.recordFailure();
+            assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_OPEN);
+            assert.strictEqual(breaker.allowRequest(), false);
+            assert.ok(breaker.getRetryAfter() > 0);
+
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 30);
+            }).then(function() {
+                assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_HALF_OPEN);
+                assert.strictEqual(breaker.allowRequest(), true);
+                assert.strictEqual(breaker.allowRequest(), false);
+
+                breaker.recordSuccess();
+                assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_CLOSED);
+                assert.strictEqual(breaker.getStats().failures, 0);
+            });
+        });
+    });
+});
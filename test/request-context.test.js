@@ -0,0 +1,139 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var RequestContext  = require("../request-context.js");
+var logger          = require("../request-logger.js").logger;
+
+var describe        = test.describe;
+var it              = test.it;
+
+var ContextService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        ContextService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "get"   : function(req) {
+                return new Promise(function(resolve) {
+                    setTimeout(resolve, 5);
+                }).then(function() {
+                    var context = RequestContext.current();
+
+                    logger.info("test::get", "Processing");
+                    return {
+                        requestId   : context.requestId,
+                        sameAsReq   : context === req.context,
+                        endpoint    : context.endpointName,
+                        principal   : context.toJSON().principal
+                    };
+                });
+            },
+
+            "fail"  : function(req, cbReady) {
+                setTimeout(function() {
+                    cbReady(null, new Error("failed"));
+                }, 1);
+            }
+        };
+    }
+});
+
+function setPrincipal(req, res, next) {
+    req.principal = { id : 7 };
+    next();
+}
+
+describe("RequestContext", function() {
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new JSONRenderer("json", server);
+    var lines       = [];
+
+    server.use(renderer.getErrorHandler());
+    renderer.renderResponsesFor(new ContextService("context", {
+        middleware      : [setPrincipal],
+        endpointTable   : {
+            get     : { URLSubpath : "/context" },
+            fail    : { URLSubpath : "/fail" }
+        }
+    }), "/api");
+
+    test.before(function() {
+        logger.configure({
+            format  : "json",
+            level   : "debug",
+            write   : function(line) {
+                lines.push(JSON.parse(line));
+            }
+        });
+    });
+
+    test.after(function() {
+        logger.configure({ format : "text" });
+    });
+
+    it("is the current context of the request during processing", function() {
+        return server.request({ path : "/api/context" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body, {
+                requestId   : response.headers["x-request-id"],
+                sameAsReq   : true,
+                endpoint    : "get",
+                principal   : "7"
+            });
+            assert.strictEqual(RequestContext.current(), null);
+        });
+    });
+
+    it("takes the request ID from the X-Request-Id header, when valid", function() {
+        return Promise.all([
+            server.request({ path : "/api/context", headers : { "X-Request-Id" : "abc-123" } }),
+            server.request({ path : "/api/context", headers : { "X-Request-Id" : "bad id" } })
+        ]).then(function(responses) {
+            assert.strictEqual(responses[0].headers["x-request-id"], "abc-123");
+            assert.strictEqual(responses[0].body.requestId, "abc-123");
+            assert.notStrictEqual(responses[1].headers["x-request-id"], "bad id");
+            assert.match(responses[1].headers["x-request-id"], RequestContext.REQUEST_ID_PATTERN);
+        });
+    });
+
+    it("echoes the request ID in error responses", function() {
+        return server.request({ path : "/api/fail", headers : { "X-Request-Id" : "fail-1" } }).then(function(response) {
+            assert.strictEqual(response.status, 500);
+            assert.strictEqual(response.headers["x-request-id"], "fail-1");
+        });
+    });
+
+    it("is added to the log output of the request", function() {
+        return server.request({ path : "/api/context", headers : { "X-Request-Id" : "logged-1" } }).then(function() {
+            var logged = lines.filter(function(line) {
+                return line.requestId === "logged-1";
+            });
+
+            var processing = logged.filter(function(line) {
+                return line.source === "test::get";
+            })[0];
+
+            assert.strictEqual(processing.message, "Processing");
+            assert.deepStrictEqual([processing.service, processing.endpoint, processing.principal],
+                    ["context", "get", "7"]);
+            assert.ok(logged.some(function(line) {
+                return /Request completed with status 200/.test(line.message);
+            }));
+        });
+    });
+
+    describe("request logger", function() {
+
+        it("is not changed by invalid configurations", function() {
+            assert.strictEqual(logger.configure({ format : "xml" }), false);
+            assert.strictEqual(logger.configure({ level : "verbose" }), false);
+            assert.strictEqual(logger.getFormat(), "json");
+        });
+    });
+});
@@ -0,0 +1,112 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var RequestValidator= require("../request-validator.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var ENDPOINT_DEF = {
+    HTTPMethod  : "post",
+    URLSubpath  : "/resources/:id",
+    params      : {
+        type        : "object",
+        properties  : { id : { type : "integer", minimum : 1 } },
+        required    : ["id"]
+    },
+    query       : {
+        type                    : "object",
+        properties              : { verbose : { type : "boolean" } },
+        additionalProperties    : false
+    },
+    body        : {
+        type        : "object",
+        properties  : {
+            name    : { type : "string", minLength : 1 },
+            email   : { type : "string", format : "email" },
+            tags    : { type : "array", items : { type : "string" }, maxItems : 2 }
+        },
+        required    : ["name"]
+    }
+};
+
+var ResourceService = Class(Service, {
+
+    constructor: function(serviceName) {
+        ResourceService.$super.call(this, serviceName, { endpointTable : { update : ENDPOINT_DEF } });
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "update"    : function(req, cbReady) {
+                cbReady({ id : req.params.id, verbose : req.query.verbose, name : req.body.name });
+            }
+        };
+    }
+});
+
+describe("RequestValidator", function() {
+
+    describe("validate()", function() {
+        var validator = new RequestValidator(ENDPOINT_DEF);
+
+        it("gives no errors for a valid request and coerces params and query values", function() {
+            var req = { params : { id : "5" }, query : { verbose : "true" }, headers : {}, body : { name : "a" } };
+
+            assert.deepStrictEqual(validator.validate(req), []);
+            assert.strictEqual(req.params.id, 5);
+            assert.strictEqual(req.query.verbose, true);
+        });
+
+        it("gives an error, with location and path, for every violation", function() {
+            var req = {
+                params  : { id : "0" },
+                query   : { other : "x" },
+                headers : {},
+                body    : { email : "no-email", tags : ["a", "b", 3] }
+            };
+
+            var paths = validator.validate(req).map(function(error) {
+                return error.location + ":" + error.path;
+            });
+
+            assert.deepStrictEqual(paths.sort(), [
+                "body:email", "body:name", "body:tags", "body:tags[2]", "params:id", "query:other"
+            ]);
+        });
+    });
+
+    describe("rendered endpoints", function() {
+        var server      = new TestServer("test", { timeout : 500 });
+        var renderer    = new JSONRenderer("json", server);
+
+        server.use(renderer.getErrorHandler());
+        renderer.renderResponsesFor(new ResourceService("resources"), "/api");
+
+        it("call the endpoint method with the coerced values of valid requests", function() {
+            return server.request({
+                method  : "POST",
+                path    : "/api/resources/5?verbose=false",
+                body    : { name : "a" }
+            }).then(function(response) {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body, { id : 5, verbose : false, name : "a" });
+            });
+        });
+
+        it("answer invalid requests with 400 problem details listing the errors", function() {
+            return server.request({ method : "POST", path : "/api/resources/abc", body : {} }).then(function(response) {
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.code, "ERR_REQUEST_INVALID");
+                assert.deepStrictEqual(response.body.details, [
+                    { location : "params", path : "id", message : "id should be of type integer" },
+                    { location : "body", path : "name", message : "name is required" }
+                ]);
+            });
+        });
+    });
+});
@@ -0,0 +1,173 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var ResponseCache   = require("../response-cache.js");
+var MemoryCacheStore= require("../memory-cache-store.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var UsersService = Class(Service, {
+
+    _users          : null,
+
+    _numCalls       : 0,
+
+    constructor: function(serviceName, config) {
+        UsersService.$super.call(this, serviceName, config);
+
+        this._users     = { 1 : "Alice" };
+        this._numCalls  = 0;
+    },
+
+    getNumCalls : function() {
+        return this._numCalls;
+    },
+
+    _mapEndpointsToMethods : function() {
+        var self = this;
+
+        return {
+            "get"   : function(req, cbReady) {
+                self._numCalls += 1;
+                cbReady({ id : req.params.id, name : self._users[req.params.id] });
+            },
+
+            "put"   : function(req, cbReady) {
+                self._users[req.params.id] = req.body.name;
+                cbReady({ id : req.params.id, name : req.body.name });
+            }
+        };
+    }
+});
+
+describe("ResponseCache", function() {
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new JSONRenderer("json", server);
+    var users       = new UsersService("users", {
+        endpointTable : {
+            get     : {
+                URLSubpath  : "/users/:id",
+                cache       : {
+                    ttl     : 30,
+                    tags    : function(req) {
+                        return ["user:" + req.params.id];
+                    }
+                }
+            },
+            put     : {
+                HTTPMethod  : "put",
+                URLSubpath  : "/users/:id",
+                invalidates : function(req) {
+                    return ["user:" + req.params.id];
+                }
+            }
+        },
+        responseCache : new ResponseCache("cache", { store : new MemoryCacheStore("store") })
+    });
+
+    server.use(renderer.getErrorHandler());
+    renderer.renderResponsesFor(users, "/api");
+
+    var etag = null;
+
+    it("processes the first request and caches the result", function() {
+        return server.request({ path : "/api/users/1" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers["x-cache"], "MISS");
+            assert.deepStrictEqual(response.body, { id : "1", name : "Alice" });
+            assert.ok(response.headers.etag);
+            assert.strictEqual(response.headers["cache-control"], "max-age=30");
+            assert.strictEqual(users.getNumCalls(), 1);
+
+            etag = response.headers.etag;
+        });
+    });
+
+    it("answers the next request from the cache", function() {
+        return server.request({ path : "/api/users/1" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers["x-cache"], "HIT");
+            assert.deepStrictEqual(response.body, { id : "1", name : "Alice" });
+            assert.strictEqual(users.getNumCalls(), 1);
+        });
+    });
+
+    it("answers conditional requests with 304 when the ETag matches", function() {
+        return server.request({ path : "/api/users/1", headers : { "If-None-Match" : etag } }).then(function(response) {
+            assert.strictEqual(response.status, 304);
+            assert.strictEqual(response.text, "");
+            assert.strictEqual(users.getNumCalls(), 1);
+        });
+    });
+
+    it("invalidates the tagged entries after a successful update", function() {
+        return server.request({ method : "PUT", path : "/api/users/1", body : { name : "Bob" } }).then(function() {
+            return server.request({ path : "/api/users/1", headers : { "If-None-Match" : etag } });
+        }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers["x-cache"], "MISS");
+            assert.deepStrictEqual(response.body, { id : "1", name : "Bob" });
+            assert.notStrictEqual(response.headers.etag, etag);
+            assert.strictEqual(users.getNumCalls(), 2);
+        });
+    });
+
+    describe("MemoryCacheStore", function() {
+
+        var get = function(store, key) {
+            return new Promise(function(resolve) {
+                store.get(key, resolve);
+            });
+        };
+
+        it("keeps copies of the entries", function() {
+            var store   = new MemoryCacheStore("store");
+            var entry   = { data : { name : "Alice" } };
+
+            store.set("user:1", entry, 30, []);
+            entry.data.name = "Bob";
+
+            return get(store, "user:1").then(function(cached) {
+                assert.deepStrictEqual(cached, { data : { name : "Alice" } });
+
+                cached.data.name = "Carol";
+                return get(store, "user:1");
+            }).then(function(cached) {
+                assert.deepStrictEqual(cached, { data : { name : "Alice" } });
+            });
+        });
+
+        it("evicts the least recently used entries over the maximum", function() {
+            var store = new MemoryCacheStore("store", { maxEntries : 2 });
+
+            store.set("a", 1, 30, []);
+            store.set("b", 2, 30, []);
+
+            return get(store, "a").then(function() {
+                store.set("c", 3, 30, []);
+                return Promise.all([get(store, "a"), get(store, "b"), get(store, "c")]);
+            }).then(function(entries) {
+                assert.deepStrictEqual(entries, [1, null, 3]);
+            });
+        });
+
+        it("calls back after get() returns", function() {
+            var store       = new MemoryCacheStore("store");
+            var returned    = false;
+
+            return new Promise(function(resolve) {
+                store.get("missing", function(entry) {
+                    resolve([entry, returned]);
+                });
+                returned = true;
+            }).then(function(result) {
+                assert.deepStrictEqual(result, [null, true]);
+            });
+        });
+    });
+});
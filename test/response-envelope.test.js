@@ -0,0 +1,99 @@
+var test                = require("node:test");
+var assert              = require("assert");
+
+var Class               = require("jsface").Class;
+var Service             = require("../service.js");
+var JSONRenderer        = require("../json-renderer.js");
+var NegotiatingRenderer = require("../negotiating-renderer.js");
+var TestServer          = require("../test-server.js");
+var ResponseEnvelope    = require("../response-envelope.js");
+
+var describe            = test.describe;
+var it                  = test.it;
+
+var ResourceService = Class(Service, {
+
+    constructor: function(serviceName) {
+        ResourceService.$super.call(this, serviceName, {
+            endpointTable : {
+                create  : { HTTPMethod : "post", URLSubpath : "/resources" },
+                remove  : { HTTPMethod : "delete", URLSubpath : "/resources/:id" },
+                replace : { HTTPMethod : "put", URLSubpath : "/resources/:id" }
+            }
+        });
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "create"    : function(req) {
+                return new ResponseEnvelope({
+                    status  : 202,
+                    headers : { "X-Queue" : "main" },
+                    cookies : { tracking : "a b", session : { value : "s1", options : { httpOnly : true } } },
+                    body    : { id : 1 }
+                });
+            },
+
+            "remove"    : function(req, cbReady) {
+                cbReady(ResponseEnvelope.noContent());
+            },
+
+            "replace"   : function(req) {
+                return Promise.resolve(ResponseEnvelope.created("/resources/" + req.params.id, { id : 2 }));
+            }
+        };
+    }
+});
+
+describe("ResponseEnvelope", function() {
+    var server      = new TestServer("test", { timeout : 500 });
+    var json        = new JSONRenderer("json", server);
+    var negotiating = new NegotiatingRenderer("negotiating", server);
+    var service     = new ResourceService("resources");
+
+    server.use(json.getErrorHandler());
+    json.renderResponsesFor(service, "/api");
+    negotiating.renderResponsesFor(service, "/negotiated");
+
+    it("recognizes envelopes", function() {
+        assert.strictEqual(ResponseEnvelope.isEnvelope(ResponseEnvelope.noContent()), true);
+        assert.strictEqual(ResponseEnvelope.isEnvelope({ status : 204 }), false);
+    });
+
+    it("sets the status, headers and cookies of the response and renders the body", function() {
+        return server.request({ method : "POST", path : "/api/resources" }).then(function(response) {
+            assert.strictEqual(response.status, 202);
+            assert.strictEqual(response.headers["x-queue"], "main");
+            assert.deepStrictEqual(response.cookies, { tracking : "a b", session : "s1" });
+            assert.ok([].concat(response.headers["set-cookie"]).some(function(setCookie) {
+                return /^session=s1;.*HttpOnly/i.test(setCookie);
+            }));
+            assert.deepStrictEqual(response.body, { id : 1 });
+        });
+    });
+
+    it("renders created responses with a Location header", function() {
+        return server.request({ method : "PUT", path : "/api/resources/2" }).then(function(response) {
+            assert.strictEqual(response.status, 201);
+            assert.strictEqual(response.headers.location, "/resources/2");
+            assert.deepStrictEqual(response.body, { id : 2 });
+        });
+    });
+
+    it("renders no content responses without body", function() {
+        return server.request({ method : "DELETE", path : "/api/resources/1" }).then(function(response) {
+            assert.strictEqual(response.status, 204);
+            assert.strictEqual(response.text, "");
+        });
+    });
+
+    it("renders the body in the negotiated format", function() {
+        return server.request({ method : "POST", path : "/negotiated/resources", query : { format : "yaml" } })
+            .then(function(response) {
+                assert.strictEqual(response.status, 202);
+                assert.strictEqual(response.headers["x-queue"], "main");
+                assert.match(response.headers["content-type"], /yaml/);
+                assert.match(response.text, /id: 1/);
+            });
+    });
+});
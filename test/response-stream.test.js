@@ -0,0 +1,219 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var fs              = require("fs");
+var os              = require("os");
+var path            = require("path");
+var stream          = require("stream");
+var EventEmitter    = require("events").EventEmitter;
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var ResponseStream  = require("../response-stream.js");
+
+var describe        = test.describe;
+var it              = test.it;
+var before          = test.before;
+var after           = test.after;
+
+var CONTENTS        = "0123456789abcdefghij";
+
+var FilesService = Class(Service, {
+
+    _filePath       : null,
+
+    constructor: function(serviceName, filePath) {
+        FilesService.$super.call(this, serviceName, {
+            endpointTable : {
+                file        : { URLSubpath : "/file" },
+                lines       : { URLSubpath : "/lines" },
+                progress    : { URLSubpath : "/progress" },
+                failing     : { URLSubpath : "/failing" }
+            }
+        });
+
+        this._filePath = filePath;
+    },
+
+    _mapEndpointsToMethods : function() {
+        var self = this;
+
+        return {
+            "file"  : function(req) {
+                return ResponseStream.file(self._filePath, { contentType : "text/plain" });
+            },
+
+            "lines"     : function(req) {
+                return new ResponseStream(stream.Readable.from([{ line : 1 }, { line : 2 }]));
+            },
+
+            //Emits steps up to 3, after the step of the last event received by a reconnecting client
+            "progress"  : function(req) {
+                var progress    = new EventEmitter();
+                var step        = Number(ResponseStream.getLastEventId(req)) || 0;
+                var emitNext    = function() {
+                    step += 1;
+                    progress.emit("progress", { step : step });
+
+                    if (step < 3) {
+                        setTimeout(emitNext, 30);
+                    } else {
+                        progress.emit("done");
+                    }
+                };
+
+                setTimeout(emitNext, 30);
+
+                return new ResponseStream(progress, {
+                    format      : ResponseStream.FORMAT_SSE,
+                    events      : { data : "progress", end : "done" },
+                    eventName   : "progress",
+                    eventId     : function(item) {
+                        return item.step;
+                    },
+                    retry       : 3000,
+                    heartbeat   : 20
+                });
+            },
+
+            "failing"   : function(req) {
+                return createFailingIterator(["first\nline", "second"]);
+            }
+        };
+    }
+});
+
+//Async iterator giving the items and then failing
+function createFailingIterator(items) {
+    var idx = 0;
+
+    var iterator = {
+        next : function() {
+            if (idx < items.length) {
+                idx += 1;
+                return Promise.resolve({ value : items[idx - 1], done : false });
+            }
+
+            return Promise.reject(new Error("Source failed"));
+        }
+    };
+
+    iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+    };
+
+    return iterator;
+}
+
+function getEvents(text) {
+    return text.split("\n\n").filter(function(event) {
+        return /^(id|event|data):/m.test(event);
+    });
+}
+
+describe("ResponseStream", function() {
+    var dir     = null;
+    var server  = null;
+
+    before(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "response-stream-"));
+        fs.writeFileSync(path.join(dir, "file.txt"), CONTENTS);
+
+        server = new TestServer("test", { timeout : 500 });
+
+        var renderer = new JSONRenderer("json", server);
+        server.use(renderer.getErrorHandler());
+        renderer.renderResponsesFor(new FilesService("files", path.join(dir, "file.txt")), "/api");
+    });
+
+    after(function() {
+        fs.rmSync(dir, { recursive : true, force : true });
+    });
+
+    it("streams the whole file without Range header", function() {
+        return server.request({ path : "/api/file" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers["accept-ranges"], "bytes");
+            assert.strictEqual(response.headers["content-length"], String(CONTENTS.length));
+            assert.strictEqual(response.text, CONTENTS);
+        });
+    });
+
+    it("streams the requested byte range", function() {
+        return server.request({ path : "/api/file", headers : { range : "bytes=2-5" } }).then(function(response) {
+            assert.strictEqual(response.status, 206);
+            assert.strictEqual(response.headers["content-range"], "bytes 2-5/20");
+            assert.strictEqual(response.text, "2345");
+        });
+    });
+
+    it("streams the last bytes for a suffix range", function() {
+        return server.request({ path : "/api/file", headers : { range : "bytes=-3" } }).then(function(response) {
+            assert.strictEqual(response.status, 206);
+            assert.strictEqual(response.headers["content-range"], "bytes 17-19/20");
+            assert.strictEqual(response.text, "hij");
+        });
+    });
+
+    it("refuses unsatisfiable ranges with 416", function() {
+        return server.request({ path : "/api/file", headers : { range : "bytes=30-" } }).then(function(response) {
+            assert.strictEqual(response.status, 416);
+            assert.strictEqual(response.headers["content-range"], "bytes */20");
+            assert.strictEqual(response.body.code, "ERR_RANGE_NOT_SATISFIABLE");
+        });
+    });
+
+    it("ignores the range when If-Range does not match", function() {
+        return server.request({
+            path    : "/api/file",
+            headers : { range : "bytes=2-5", "if-range" : "Wed, 21 Oct 2015 07:28:00 GMT" }
+        }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.text, CONTENTS);
+        });
+    });
+
+    it("streams items as JSON lines", function() {
+        return server.request({ path : "/api/lines" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.text, "{\"line\":1}\n{\"line\":2}\n");
+        });
+    });
+
+    it("streams Server-Sent Events, with reconnection time and heartbeats", function() {
+        return server.request({ path : "/api/progress" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers["content-type"], /^text\/event-stream/);
+            assert.strictEqual(response.headers["cache-control"], "no-cache");
+            assert.ok(response.text.indexOf("retry: 3000\n:ok\n\n") === 0);
+            assert.match(response.text, /:heartbeat\n\n/);
+            assert.deepStrictEqual(getEvents(response.text), [
+                "id: 1\nevent: progress\ndata: {\"step\":1}",
+                "id: 2\nevent: progress\ndata: {\"step\":2}",
+                "id: 3\nevent: progress\ndata: {\"step\":3}"
+            ]);
+        });
+    });
+
+    it("resumes Server-Sent Events after the last event received", function() {
+        return server.request({ path : "/api/progress", headers : { "Last-Event-ID" : "2" } }).then(function(response) {
+            assert.deepStrictEqual(getEvents(response.text), ["id: 3\nevent: progress\ndata: {\"step\":3}"]);
+        });
+    });
+
+    it("streams Server-Sent Events when accepted, ending with an error event when the source fails", function() {
+        return server.request({
+            path    : "/api/failing",
+            headers : { accept : "text/event-stream" }
+        }).then(function(response) {
+            var events = getEvents(response.text);
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(events.slice(0, 2), ["data: first\ndata: line", "data: second"]);
+            assert.match(events[2], /^event: error\ndata: /);
+            assert.strictEqual(JSON.parse(events[2].split("data: ")[1]).code, "ERR_INTERNAL");
+        });
+    });
+});
@@ -0,0 +1,126 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var JSONRenderer    = require("../json-renderer.js");
+var TestServer      = require("../test-server.js");
+var RouteRegistry   = require("../route-registry.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var UserService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        UserService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        var serviceName = this.getIName();
+
+        return {
+            "get"   : function(req, cbReady) {
+                cbReady({ service : serviceName });
+            },
+
+            "list"  : function(req, cbReady) {
+                cbReady([]);
+            }
+        };
+    }
+});
+
+function cookieParser(req, res, next) {
+    next();
+}
+
+describe("RouteRegistry", function() {
+
+    it("refuses routes conflicting with an earlier route, ignoring parameter names", function() {
+        var registry = new RouteRegistry("routes");
+
+        var first    = registry.add({ method : "get", path : "/users/:id", endpoint : "get" });
+        var refused  = registry.add({ method : "GET", path : "/users/:userId", endpoint : "other" });
+
+        assert.strictEqual(first.method, "GET");
+        assert.strictEqual(refused, null);
+        assert.deepStrictEqual(registry.getRoutes(), [first]);
+        assert.strictEqual(registry.getRefused()[0].conflictsWith, first);
+        assert.strictEqual(registry.hasConflicts(), false);
+        assert.strictEqual(registry.report(), false);
+    });
+
+    it("records allowed conflicts as shadowed routes", function() {
+        var registry = new RouteRegistry("routes");
+
+        var first    = registry.add({ method : "get", path : "/users", endpoint : "list" });
+        var shadowed = registry.add({ method : "get", path : "/users", endpoint : "other" }, true);
+
+        assert.strictEqual(registry.getRoutes().length, 2);
+        assert.deepStrictEqual(registry.getConflicts(), [{ route : shadowed, shadowedBy : first }]);
+        assert.strictEqual(registry.find("get", "/users"), first);
+        assert.strictEqual(registry.add({ method : "get" }), null);
+    });
+
+    describe("with renderers", function() {
+        var server      = new TestServer("test", { timeout : 500 });
+        var renderer    = new JSONRenderer("json", server);
+        var registry    = renderer.getRouteRegistry();
+
+        server.use(renderer.getErrorHandler());
+
+        var usersRendered = renderer.renderResponsesFor(new UserService("users", {
+            middleware      : [cookieParser],
+            endpointTable   : {
+                get     : { URLSubpath : "/users/:id" },
+                list    : { URLSubpath : "/users" }
+            }
+        }), "/api");
+
+        var peopleRendered = renderer.renderResponsesFor(new UserService("people", {
+            endpointTable   : {
+                get     : { URLSubpath : "/users/:userId" },
+                list    : { URLSubpath : "/people" }
+            }
+        }), "/api");
+
+        var membersRendered = renderer.renderResponsesFor(new UserService("members", {
+            endpointTable   : {
+                get     : { URLSubpath : "/members/:id" },
+                list    : { URLSubpath : "/users", allowRouteConflict : true }
+            }
+        }), "/api");
+
+        it("shares the registry of the server", function() {
+            assert.strictEqual(registry, server.getRouteRegistry());
+        });
+
+        it("records the routes of the rendered endpoints with their middleware", function() {
+            var route = registry.find("get", "/api/users/3");
+
+            assert.strictEqual(usersRendered, true);
+            assert.deepStrictEqual([route.owner, route.service, route.endpoint, route.method, route.path],
+                    ["json", "users", "get", "GET", "/api/users/:id"]);
+            assert.ok(route.middleware.indexOf("cookieParser") >= 0);
+            assert.match(registry.toTable({ service : "users" }), /GET\s+\/api\/users\/:id\s+json\s+users\s+get/);
+        });
+
+        it("do not render endpoints of which the route is refused", function() {
+            assert.strictEqual(peopleRendered, false);
+            assert.deepStrictEqual(registry.getRoutes({ service : "people" }).map(function(route) {
+                return route.path;
+            }), ["/api/people"]);
+
+            return server.request({ path : "/api/users/3" }).then(function(response) {
+                assert.deepStrictEqual(response.body, { service : "users" });
+            });
+        });
+
+        it("render endpoints of which a conflict is allowed", function() {
+            assert.strictEqual(membersRendered, true);
+            assert.strictEqual(registry.getConflicts()[0].route.service, "members");
+            assert.strictEqual(registry.getConflicts()[0].shadowedBy.service, "users");
+        });
+    });
+});
@@ -0,0 +1,112 @@
+var test            = require("node:test");
+var assert          = require("assert");
+
+var TestServer      = require("../test-server.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+describe("TestServer", function() {
+    var server = new TestServer("test", { timeout : 50 });
+
+    server.get("/echo/:id", function(req, res) {
+        res.cookie("seen", req.cookies.visitor + " " + req.params.id);
+        res.set("X-Path", req.path);
+        res.json({ id : req.params.id, query : req.query, cookie : req.get("cookie") });
+    });
+
+    server.post("/echo", function(req, res, next) {
+        next();
+    }, function(req, res) {
+        res.status(201).json({ body : req.body });
+    });
+
+    server.get("/failing", function(req, res, next) {
+        next(new Error("failed"));
+    });
+
+    server.get("/silent", function(req, res) {
+    });
+
+    it("dispatches requests to the routes, with path parameters, query and cookies", function() {
+        return server.request({
+            path    : "/echo/7?a=1",
+            query   : { b : "2" },
+            headers : { cookie : "theme=dark" },
+            cookies : { visitor : "v 1" }
+        }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers["x-path"], "/echo/7");
+            assert.deepStrictEqual(response.body, {
+                id      : "7",
+                query   : { a : "1", b : "2" },
+                cookie  : "theme=dark; visitor=v%201"
+            });
+            assert.deepStrictEqual(response.cookies, { seen : "v 1 7" });
+            assert.strictEqual(response.text, JSON.stringify(response.body));
+            assert.ok(Buffer.isBuffer(response.raw));
+        });
+    });
+
+    it("gives the body to the handlers as is and runs all handlers of a route", function() {
+        return server.request({ method : "POST", path : "/echo", body : { list : [1, 2] } }).then(function(response) {
+            assert.strictEqual(response.status, 201);
+            assert.deepStrictEqual(response.body, { body : { list : [1, 2] } });
+        });
+    });
+
+    it("answers 404 problem details for requests matching no route", function() {
+        return server.request({ method : "DELETE", path : "/echo/7" }).then(function(response) {
+            assert.strictEqual(response.status, 404);
+            assert.match(response.headers["content-type"], /^application\/problem\+json/);
+            assert.strictEqual(response.body.code, "ERR_NOT_FOUND");
+        });
+    });
+
+    it("answers 500 problem details for errors no error handler handles", function() {
+        return server.request({ path : "/failing" }).then(function(response) {
+            assert.strictEqual(response.status, 500);
+            assert.strictEqual(response.body.code, "ERR_INTERNAL");
+        });
+    });
+
+    it("fails requests without response within the timeout", function() {
+        return server.request({ path : "/silent" }).then(function() {
+            assert.fail("The request should time out");
+        }, function(err) {
+            assert.match(err.message, /GET \/silent : no response within 50ms/);
+        });
+    });
+
+    it("calls back with the response when given a callback", function() {
+        return new Promise(function(resolve) {
+            server.request({ path : "/echo/1" }, function(response, err) {
+                resolve([response.status, err]);
+            });
+        }).then(function(result) {
+            assert.deepStrictEqual(result, [200, undefined]);
+        });
+    });
+
+    it("only uses error handlers", function() {
+        var errorHandled = false;
+        var withErrors   = new TestServer("test");
+
+        withErrors.get("/failing", function(req, res, next) {
+            next(new Error("failed"));
+        });
+
+        withErrors.use(function(req, res, next) {
+            next();
+        }).use(function(err, req, res, next) {
+            errorHandled = true;
+            res.status(503).send("unavailable");
+        });
+
+        return withErrors.request({ path : "/failing" }).then(function(response) {
+            assert.strictEqual(errorHandled, true);
+            assert.strictEqual(response.status, 503);
+            assert.strictEqual(response.body, "unavailable");
+        });
+    });
+});
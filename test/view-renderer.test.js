@@ -0,0 +1,197 @@
+var test            = require("node:test");
+var assert          = require("assert");
+var fs              = require("fs");
+var os              = require("os");
+var path            = require("path");
+
+var Class           = require("jsface").Class;
+var Service         = require("../service.js");
+var TestServer      = require("../test-server.js");
+var ViewRenderer    = require("../view-renderer.js");
+var Errors          = require("../errors.js");
+
+var describe        = test.describe;
+var it              = test.it;
+
+var ViewService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        ViewService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "GET user"  : function(req, cbReady) {
+                cbReady({ name : "Ada" });
+            },
+
+            "list"      : function(req, cbReady) {
+                cbReady(["Ada", "Grace"]);
+            },
+
+            "missing"   : function(req, cbReady) {
+                cbReady(null, new Errors.NotFoundError("No such user"));
+            }
+        };
+    }
+});
+
+//Replaces {{name}} with the local and {{> name}} with the registered partial
+function createEngine(partials) {
+    var substitute = function(source, locals) {
+        return source.replace(/\{\{\s*(>?)\s*([\w\/.]+)\s*\}\}/g, function(match, isPartial, name) {
+            if (isPartial) {
+                return substitute(partials[name], locals);
+            }
+
+            return name.split(".").reduce(function(value, key) {
+                return value === null || value === undefined ? value : value[key];
+            }, locals);
+        });
+    };
+
+    return {
+        extension       : ".tpl",
+
+        compile         : function(source) {
+            return function(locals) {
+                return substitute(source, locals);
+            };
+        },
+
+        registerPartial : function(name, source) {
+            partials[name] = source;
+        }
+    };
+}
+
+function writeViews(dir, files) {
+    for (var file in files) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive : true });
+        fs.writeFileSync(path.join(dir, file), files[file]);
+    }
+}
+
+describe("ViewRenderer", function() {
+    var dir         = fs.mkdtempSync(path.join(os.tmpdir(), "view-renderer-"));
+    var server      = new TestServer("test", { timeout : 500 });
+    var renderer    = new ViewRenderer("views", server, {
+        views       : dir,
+        engine      : createEngine({}),
+        layout      : "layouts/main",
+        locals      : { title : "Shop" },
+        templates   : {
+            "list"      : { template : "users/list", layout : false }
+        }
+    });
+
+    writeViews(dir, {
+        "layouts/main.tpl"          : "<title>{{title}}</title><main>{{body}}</main>",
+        "get-user.tpl"              : "<p>{{> forms/name}}</p>",
+        "users/list.tpl"            : "<ul>{{data}}</ul>",
+        "partials/forms/name.tpl"   : "<b>{{name}}</b>",
+        "error.tpl"                 : "<h1>{{status}} {{error.title}}</h1>"
+    });
+
+    server.use(renderer.getErrorHandler());
+    renderer.renderResponsesFor(new ViewService("users", {
+        endpointTable   : {
+            "GET user"  : { URLSubpath : "/user" },
+            "list"      : { URLSubpath : "/list" },
+            "missing"   : { URLSubpath : "/missing" }
+        }
+    }), "/users");
+
+    test.after(function() {
+        fs.rmSync(dir, { recursive : true, force : true });
+    });
+
+    it("renders the template named by convention in the layout, with the partials", function() {
+        return server.request({ path : "/users/user" }).then(function(response) {
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers["content-type"], /^text\/html/);
+            assert.strictEqual(response.text, "<title>Shop</title><main><p><b>Ada</b></p></main>");
+        });
+    });
+
+    it("renders mapped templates, without layout when configured, with the data as local", function() {
+        assert.strictEqual(renderer.getTemplateFor("list"), "users/list");
+        assert.strictEqual(renderer.getLayoutFor("list"), null);
+
+        return server.request({ path : "/users/list" }).then(function(response) {
+            assert.strictEqual(response.text, "<ul>Ada,Grace</ul>");
+        });
+    });
+
+    it("renders errors with the error template and the status of the error", function() {
+        return server.request({ path : "/users/missing" }).then(function(response) {
+            assert.strictEqual(response.status, 404);
+            assert.strictEqual(response.text, "<title>Shop</title><main><h1>404 Not Found</h1></main>");
+        });
+    });
+
+    it("renders templates outside of requests", function() {
+        return renderer.render("users/list", { data : "Ada" }).then(function(html) {
+            assert.strictEqual(html, "<title>Shop</title><main><ul>Ada</ul></main>");
+
+            return renderer.render("get-user", { name : "Grace" }, { layout : false });
+        }).then(function(html) {
+            assert.strictEqual(html, "<p><b>Grace</b></p>");
+        });
+    });
+
+    it("refuses templates outside of the views directory", function() {
+        return renderer.render("../secrets", {}).then(function() {
+            assert.fail("Rendering should fail");
+        }, function(err) {
+            assert.match(err.message, /outside of the views directory/);
+        });
+    });
+
+    it("renders errors as problem details when the error template can not be rendered", function() {
+        var fallbackServer  = new TestServer("fallback", { timeout : 500 });
+        var fallback        = new ViewRenderer("fallback", fallbackServer, {
+            views           : dir,
+            engine          : createEngine({}),
+            errorTemplate   : "no-such-template"
+        });
+
+        fallback.renderResponsesFor(new ViewService("users", {
+            endpointTable   : { "missing" : { URLSubpath : "/missing" } }
+        }), "/users");
+
+        return fallbackServer.request({ path : "/users/missing" }).then(function(response) {
+            assert.strictEqual(response.status, 404);
+            assert.strictEqual(response.body.code, "ERR_NOT_FOUND");
+        });
+    });
+
+    it("caches compiled templates when configured", function() {
+        var cached = new ViewRenderer("cached", new TestServer("cached"), {
+            views   : dir,
+            engine  : createEngine({}),
+            cache   : true
+        });
+
+        writeViews(dir, { "cached.tpl" : "first" });
+
+        return cached.render("cached").then(function() {
+            writeViews(dir, { "cached.tpl" : "second" });
+
+            return Promise.all([cached.render("cached"), renderer.render("cached", {}, { layout : false })]);
+        }).then(function(htmls) {
+            assert.deepStrictEqual(htmls, ["first", "second"]);
+        });
+    });
+
+    it("is not valid with an unknown engine or without views directory", function() {
+        var invalidServer = new TestServer("invalid");
+
+        assert.strictEqual(renderer.isValid(), true);
+        assert.strictEqual(new ViewRenderer("invalid", invalidServer, {
+            views   : dir,
+            engine  : "mustache"
+        }).isValid(), false);
+        assert.strictEqual(new ViewRenderer("invalid", invalidServer, { engine : createEngine({}) }).isValid(), false);
+    });
+});
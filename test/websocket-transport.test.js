@@ -0,0 +1,257 @@
+var test                    = require("node:test");
+var assert                  = require("assert");
+var EventEmitter            = require("events").EventEmitter;
+
+var Class                   = require("jsface").Class;
+var Service                 = require("../service.js");
+var WebSocketTransport      = require("../websocket-transport.js");
+var AuthenticatorRegistry   = require("../authenticator-registry.js");
+var Authenticators          = require("../authenticators.js");
+var InMemoryCredentialStore = require("../in-memory-credential-store.js");
+var ResponseEnvelope        = require("../response-envelope.js");
+var ResponseStream          = require("../response-stream.js");
+
+var describe                = test.describe;
+var it                      = test.it;
+
+var RealtimeService = Class(Service, {
+
+    constructor: function(serviceName, config) {
+        RealtimeService.$super.call(this, serviceName, config);
+    },
+
+    _mapEndpointsToMethods : function() {
+        return {
+            "GET user"      : function(req, cbReady) {
+                cbReady({ id : req.params.id, path : req.path, principal : req.principal.id, query : req.query });
+            },
+
+            "POST user"     : function(req) {
+                return Promise.resolve(ResponseEnvelope.created("/users/1", req.body));
+            },
+
+            "GET list"      : function(req, cbReady) {
+                cbReady([1, 2, 3]);
+            },
+
+            "GET ticks"     : function(req) {
+                return new ResponseStream(createTicks(3));
+            },
+
+            "GET forever"   : function(req) {
+                return new ResponseStream(createTicks(Infinity));
+            },
+
+            "GET slow"      : function(req, cbReady) {
+                setTimeout(function() {
+                    cbReady({ slow : true });
+                }, 50);
+            }
+        };
+    }
+});
+
+//Event emitter emitting numTicks data events, 5ms apart, and an end event. Stops when no longer listened to.
+function createTicks(numTicks) {
+    var ticks       = new EventEmitter();
+    var numEmitted  = 0;
+    var timer       = setInterval(function() {
+        if (numEmitted >= numTicks || ticks.listenerCount("data") === 0) {
+            clearInterval(timer);
+            ticks.emit("end");
+            return;
+        }
+
+        ticks.emit("data", { tick : numEmitted });
+        numEmitted += 1;
+    }, 5);
+
+    return ticks;
+}
+
+//Socket keeping the sent messages, emitting sent events for them
+function createSocket() {
+    var socket = new EventEmitter();
+
+    socket.readyState   = WebSocketTransport.STATE_OPEN;
+    socket.messages     = [];
+
+    socket.send = function(text, cbSent) {
+        var message = JSON.parse(text);
+
+        socket.messages.push(message);
+        setImmediate(function() {
+            socket.emit("sent", message);
+            cbSent();
+        });
+    };
+
+    return socket;
+}
+
+//Resolves with the messages of the request up to the response, error or end message
+function request(socket, message) {
+    var messages = [];
+
+    return new Promise(function(resolve) {
+        var onSent = function(sent) {
+            if (sent.id !== message.id) {
+                return;
+            }
+
+            messages.push(sent);
+            if (sent.type !== WebSocketTransport.MESSAGE_DATA) {
+                socket.removeListener("sent", onSent);
+                resolve(messages);
+            }
+        };
+
+        socket.on("sent", onSent);
+        socket.emit("message", Buffer.from(JSON.stringify(message)));
+    });
+}
+
+describe("WebSocketTransport", function() {
+    var server      = new EventEmitter();
+    var socket      = createSocket();
+    var service     = new RealtimeService("users", {
+        authenticators  : new AuthenticatorRegistry("auth", {
+            authenticators : {
+                bearer : new Authenticators.BearerAuthenticator("bearer", {
+                    store : new InMemoryCredentialStore("tokens", { "secret" : { id : "alice" } })
+                })
+            }
+        }),
+        endpointTable   : {
+            "GET user"      : {
+                URLSubpath  : "/users/:id",
+                auth        : { strategies : ["bearer"] },
+                params      : { type : "object", properties : { id : { type : "integer", minimum : 1 } } }
+            },
+            "POST user"     : { HTTPMethod : "post", URLSubpath : "/users" },
+            "GET list"      : { URLSubpath : "/list", collection : { defaultLimit : 2 } },
+            "GET ticks"     : { URLSubpath : "/ticks" },
+            "GET forever"   : { URLSubpath : "/forever" },
+            "GET slow"      : { URLSubpath : "/slow" }
+        },
+        drainTimeout    : 1000
+    });
+    var transport   = new WebSocketTransport("realtime", { server : server, services : [service] });
+
+    server.emit("connection", socket, { headers : { Authorization : "Bearer secret" } });
+
+    it("handles the connections of the server", function() {
+        assert.strictEqual(transport.isValid(), true);
+        assert.deepStrictEqual(transport.getServiceNames(), ["users"]);
+        assert.strictEqual(transport.getNumConnections(), 1);
+    });
+
+    it("responds to requests, authenticated with the headers of the handshake", function() {
+        return request(socket, { id : 1, endpoint : "GET user", params : { id : 5 }, query : { fields : 1 } })
+            .then(function(messages) {
+                assert.deepStrictEqual(messages, [{
+                    id      : 1,
+                    type    : WebSocketTransport.MESSAGE_RESPONSE,
+                    status  : 200,
+                    data    : { id : 5, path : "/users/5", principal : "alice", query : { fields : "1" } }
+                }]);
+            });
+    });
+
+    it("validates and authenticates requests as HTTP requests", function() {
+        return Promise.all([
+            request(socket, { id : 2, endpoint : "GET user", params : { id : 0 } }),
+            request(socket, { id : 3, endpoint : "GET user", params : { id : 5 }, headers : { authorization : "x" } })
+        ]).then(function(results) {
+            assert.strictEqual(results[0][0].type, WebSocketTransport.MESSAGE_ERROR);
+            assert.strictEqual(results[0][0].error.code, "ERR_REQUEST_INVALID");
+            assert.strictEqual(results[1][0].error.status, 401);
+        });
+    });
+
+    it("sends the status of response envelopes and list results of collections", function() {
+        return Promise.all([
+            request(socket, { id : 4, endpoint : "POST user", body : { name : "Ada" } }),
+            request(socket, { id : 5, endpoint : "GET list" })
+        ]).then(function(results) {
+            assert.strictEqual(results[0][0].status, 201);
+            assert.deepStrictEqual(results[0][0].data, { name : "Ada" });
+            assert.deepStrictEqual(results[1][0].data.data, [1, 2]);
+            assert.strictEqual(results[1][0].data.links.next, "/list?page=2");
+        });
+    });
+
+    it("refuses invalid messages and unknown endpoints", function() {
+        return Promise.all([
+            request(socket, { id : 6, endpoint : "constructor" }),
+            request(socket, { id : 7, type : "publish", endpoint : "GET list" })
+        ]).then(function(results) {
+            assert.strictEqual(results[0][0].error.code, "ERR_ENDPOINT_UNKNOWN");
+            assert.strictEqual(results[1][0].error.code, "ERR_MESSAGE_INVALID");
+
+            var sent = new Promise(function(resolve) {
+                socket.once("sent", resolve);
+            });
+            socket.emit("message", "not json");
+
+            return sent;
+        }).then(function(message) {
+            assert.strictEqual(message.id, null);
+            assert.strictEqual(message.error.code, "ERR_MESSAGE_INVALID");
+        });
+    });
+
+    it("sends the items of streams as data messages", function() {
+        return request(socket, { id : 8, endpoint : "GET ticks" }).then(function(messages) {
+            assert.deepStrictEqual(messages.map(function(message) {
+                return message.type === WebSocketTransport.MESSAGE_DATA ? message.data.tick : message.type;
+            }), [0, 1, 2, WebSocketTransport.MESSAGE_END]);
+        });
+    });
+
+    it("ends subscriptions when the client unsubscribes", function() {
+        var subscribed = request(socket, { id : 9, endpoint : "GET forever" });
+
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 20);
+        }).then(function() {
+            assert.strictEqual(service.getNumInFlight(), 1);
+            socket.emit("message", JSON.stringify({ id : 9, type : WebSocketTransport.MESSAGE_UNSUBSCRIBE }));
+
+            return subscribed;
+        }).then(function(messages) {
+            assert.ok(messages.length > 1);
+            assert.strictEqual(messages[messages.length - 1].type, WebSocketTransport.MESSAGE_END);
+            assert.strictEqual(service.getNumInFlight(), 0);
+        });
+    });
+
+    it("refuses requests while the service stops, with the time to retry after", function() {
+        var inFlight    = request(socket, { id : 10, endpoint : "GET slow" });
+        var stopped     = service.stop();
+
+        return request(socket, { id : 11, endpoint : "GET list" }).then(function(messages) {
+            var error = messages[0].error;
+
+            assert.strictEqual(error.status, 503);
+            assert.strictEqual(error.code, "ERR_SERVICE_STOPPING");
+            assert.ok(error.details.retryAfter >= 1);
+
+            return inFlight;
+        }).then(function(messages) {
+            assert.deepStrictEqual(messages[0].data, { slow : true });
+
+            return stopped;
+        }).then(function() {
+            return request(socket, { id : 12, endpoint : "GET list" });
+        }).then(function(messages) {
+            assert.strictEqual(messages[0].error.code, "ERR_SERVICE_NOT_RUNNING");
+        });
+    });
+
+    it("forgets closed connections", function() {
+        socket.emit("close");
+
+        assert.strictEqual(transport.getNumConnections(), 0);
+    });
+});
@@ -0,0 +1,154 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var Class           = require("jsface").Class;
+var NamedBase       = require("./libs/corelib-web/base.js").NamedBase;
+var ApiVersioning   = require("./api-versioning.js");
+var AsyncUtils      = require("./async-utils.js");
+var Errors          = require("./errors.js");
+
+/**
+ *
+ * @class VersionDispatcher
+ *
+ * Dispatches requests to a route that is shared by several versions of an endpoint, to the handlers of the
+ * version requested with the header or mediaType versioning strategy, also see ApiVersioning.
+ *
+ * Requests that do not specify a version are handled by the default version; this is the version added as
+ * default, or else the highest version. Requests for an unknown version fail with a NotAcceptableError,
+ * with code ERR_VERSION_NOT_SUPPORTED.
+ *
+ */
+var VersionDispatcher = Class(NamedBase, {
+
+    _strategy           : null,
+
+    _versions           : null,
+
+    _defaultVersion     : null,
+
+    /**
+     *
+     * @param {String} dispatcherName
+     * @param {String} strategy         header or mediaType
+     *
+     */
+    constructor: function(dispatcherName, strategy) {
+        var me = "VersionDispatcher::constructor";
+
+        VersionDispatcher.$super.call(this, dispatcherName);
+
+        this._strategy  = strategy;
+        this._versions  = {};
+
+        if (strategy !== ApiVersioning.STRATEGY_HEADER && strategy !== ApiVersioning.STRATEGY_MEDIA_TYPE) {
+            _l.error(me, "Versioning strategy [{0}] can not be dispatched, {1} will not function properly".fmt(
+                    strategy, dispatcherName));
+            this._valid = false;
+        }
+    },
+
+    getStrategy : function() {
+        return this._strategy;
+    },
+
+    getVersions : function() {
+        return Object.keys(this._versions).sort(ApiVersioning.compareVersions);
+    },
+
+    /**
+     *
+     * @param version
+     * @param {Array} handlers          Ordered list of functions, function(req, res, next), handling the version
+     * @param {boolean} [isDefault]     When true, requests without version are handled by this version
+     *
+     * @returns {boolean}               True on success, false when the version was already added
+     *
+     */
+    addVersion : function(version, handlers, isDefault) {
+        var me = this.getIName() + "::VersionDispatcher::addVersion";
+
+        version = ApiVersioning.normalizeVersion(version);
+        if (!_.def(version) || !_.array(handlers)) {
+            _l.error(me, "Version and list of handlers required, unable to add version");
+            return false;
+        }
+
+        if (_.def(this._versions[version])) {
+            _l.error(me, "Version {0} already added, unable to add version".fmt(version));
+            return false;
+        }
+
+        this._versions[version] = handlers;
+        if (isDefault === true) {
+            this._defaultVersion = version;
+        }
+
+        return true;
+    },
+
+    /**
+     *
+     * @returns {String|null}   The version handling requests that do not specify a version
+     *
+     */
+    getDefaultVersion : function() {
+        if (_.def(this._defaultVersion)) {
+            return this._defaultVersion;
+        }
+
+        var versions = this.getVersions();
+        return versions.length > 0 ? versions[versions.length - 1] : null;
+    },
+
+    /**
+     *
+     * @returns {function}  Handler, function(req, res, next), to register for the shared route
+     *
+     */
+    getHandler : function() {
+        return this._dispatch.bind(this);
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _dispatch : function(req, res, next) {
+        var version = ApiVersioning.getRequestedVersion(req, this._strategy);
+
+        res.append("Vary", this._strategy === ApiVersioning.STRATEGY_HEADER ? ApiVersioning.VERSION_HEADER : "Accept");
+
+        if (!_.def(version)) {
+            version = this.getDefaultVersion();
+        }
+
+        var handlers = this._versions[version];
+        if (!_.array(handlers)) {
+            next(new Errors.NotAcceptableError(
+                    "API version {0} is not supported".fmt(version),
+                    { supportedVersions : this.getVersions() },
+                    "ERR_VERSION_NOT_SUPPORTED"));
+            return;
+        }
+
+        req.apiVersion = version;
+
+        var idx = 0;
+        var nextHandler = function(err) {
+            if (_.def(err) || idx >= handlers.length) {
+                next(err);
+                return;
+            }
+
+            AsyncUtils.callForwardingErrors(handlers[idx++], [req, res, nextHandler]);
+        };
+
+        nextHandler();
+    }
+
+});
+
+module.exports = VersionDispatcher;
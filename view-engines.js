@@ -0,0 +1,122 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+
+/**
+ *
+ * Built-in template engines, used by the ViewRenderer. Every built-in engine is created by a factory function,
+ * function([engineOptions]), and requires its npm package to be installed (ejs, handlebars or pug).
+ *
+ * A template engine is an object with the following properties:
+ *
+ *      {
+ *          //File extension of the templates
+ *          extension       : '.ejs',
+ *
+ *          //Compiles the template source, returns a function(locals) returning the rendered String.
+ *          //options is {filename, viewsDir}, filename is the path of the template file
+ *          compile         : function(source, options) { ... },
+ *
+ *          //OPTIONAL : registers a partial, for engines that can not include other template files themselves
+ *          registerPartial : function(name, source) { ... }
+ *      }
+ *
+ */
+
+function requireEngine(packageName) {
+    try {
+        return require(packageName);
+    } catch (err) {
+        //Errors loading an installed package are not hidden
+        if (err.code !== "MODULE_NOT_FOUND") {
+            throw err;
+        }
+
+        throw new Error("The {0} package is required to render {0} views, install it with npm".fmt(packageName));
+    }
+}
+
+function withOptions(engineOptions, options) {
+    var merged  = {};
+    var key     = null;
+
+    for (key in engineOptions) {
+        merged[key] = engineOptions[key];
+    }
+
+    for (key in options) {
+        merged[key] = options[key];
+    }
+
+    return merged;
+}
+
+var ViewEngines = {
+
+    /**
+     *
+     * EJS, partials are included with <%- include('partials/header') %>, relative to the template, or with
+     * include('/partials/header') relative to the views directory
+     *
+     */
+    ejs : function(engineOptions) {
+        var ejs = requireEngine("ejs");
+
+        return {
+            extension   : ".ejs",
+
+            compile     : function(source, options) {
+                return ejs.compile(source, withOptions(engineOptions, {
+                    filename    : options.filename,
+                    root        : options.viewsDir
+                }));
+            }
+        };
+    },
+
+    /**
+     *
+     * Handlebars, partials are registered by the ViewRenderer and included with {{> header}}
+     *
+     */
+    handlebars : function(engineOptions) {
+        //Own environment, such that partials of different renderers do not mix
+        var handlebars = requireEngine("handlebars").create();
+
+        return {
+            extension       : ".hbs",
+
+            compile         : function(source, options) {
+                return handlebars.compile(source, engineOptions);
+            },
+
+            registerPartial : function(name, source) {
+                handlebars.registerPartial(name, source);
+            }
+        };
+    },
+
+    /**
+     *
+     * Pug, partials are included with include partials/header, relative to the template, or with
+     * include /partials/header relative to the views directory
+     *
+     */
+    pug : function(engineOptions) {
+        var pug = requireEngine("pug");
+
+        return {
+            extension   : ".pug",
+
+            compile     : function(source, options) {
+                return pug.compile(source, withOptions(engineOptions, {
+                    filename    : options.filename,
+                    basedir     : options.viewsDir
+                }));
+            }
+        };
+    }
+
+};
+
+ViewEngines.hbs = ViewEngines.handlebars;
+
+module.exports = ViewEngines;
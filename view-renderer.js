@@ -0,0 +1,567 @@
+var _               = require('./libs/corelib-web/utils.js')._;
+var _l              = require('./request-logger.js').logger;
+
+var fs              = require("fs");
+var path            = require("path");
+
+var Class           = require("jsface").Class;
+var JSONRenderer    = require("./json-renderer.js");
+var ViewEngines     = require("./view-engines.js");
+var AsyncUtils      = require("./async-utils.js");
+
+/**
+ *
+ * Lists the files in a directory and its subdirectories
+ *
+ * @param {String} dir
+ * @param {function} cbReady    cbReady(files, err), files are paths relative to dir
+ *
+ */
+function listFiles(dir, cbReady) {
+    fs.readdir(dir, { withFileTypes : true }, function(readErr, entries) {
+        if (_.def(readErr)) {
+            cbReady(null, readErr);
+            return;
+        }
+
+        var files       = [];
+        var firstErr    = null;
+        var numPending  = 1;
+        var done        = function(err) {
+            firstErr    = firstErr || err || null;
+            numPending  -= 1;
+            if (numPending === 0) {
+                cbReady(_.def(firstErr) ? null : files, firstErr || undefined);
+            }
+        };
+
+        entries.forEach(function(entry) {
+            if (!entry.isDirectory()) {
+                files.push(entry.name);
+                return;
+            }
+
+            numPending += 1;
+            listFiles(path.join(dir, entry.name), function(subdirFiles, err) {
+                (subdirFiles || []).forEach(function(file) {
+                    files.push(path.join(entry.name, file));
+                });
+
+                done(err);
+            });
+        });
+
+        done();
+    });
+}
+
+/**
+ *
+ * @class ViewRenderer
+ *
+ * Renders responses as HTML views, using templates, for requests handled by service instances, registered using the
+ * renderResponsesFor() method. E.g.:
+ *
+ *      var viewRenderer = new ViewRenderer("views", server, {
+ *          views       : __dirname + "/views",
+ *          engine      : "handlebars",
+ *          layout      : "layouts/main",
+ *          templates   : {
+ *              "GET user" : "users/profile"
+ *          }
+ *      });
+ *
+ *      viewRenderer.renderResponsesFor(userService, "/users");
+ *
+ * The template of an endpoint is given by the templates map, or else by convention: the endpoint name in lower case
+ * with all other characters than letters and digits replaced by dashes, e.g. "GET user-list" renders
+ * views/get-user-list.hbs. Override _getConventionalTemplateName() to use another convention.
+ *
+ * The locals of a template are the default locals, the res.locals, the properties of the data when the data is an
+ * object and the data itself as data. When a layout is used, the view is rendered first and then passed to the
+ * layout as body, e.g. {{{body}}} with Handlebars or <%- body %> with EJS.
+ *
+ * Built-in engines are ejs (default), handlebars and pug, also see ViewEngines; other engines can be given as
+ * engine object. Partials are files in the partials directory of the views, engines that can not include other
+ * templates themselves (like Handlebars) get them registered by name, e.g. views/partials/forms/field.hbs is
+ * registered as forms/field.
+ *
+ * Errors are rendered with the error template, with locals error, the problem details of the error (also see
+ * JSONRenderer), and status. When the error template can not be rendered, the error is rendered as problem details.
+ * To render errors passed to next() elsewhere the same way, register the error handler of the renderer at the
+ * server, also see JSONRenderer.
+ *
+ * A ServerAppChunk can render the responses of its endpoints with a view renderer, see config.viewRenderer of
+ * ServerAppChunk.
+ *
+ */
+var ViewRenderer = Class(JSONRenderer, {
+
+    _viewsDir           : null,
+
+    _engine             : null,
+
+    _templates          : null,
+
+    _layout             : null,
+
+    _partialsDir        : null,
+
+    _errorTemplate      : null,
+
+    _locals             : null,
+
+    _cache              : false,
+
+    //Maps template file paths to compiled templates, when caching
+    _compiled           : null,
+
+    _partialsLoaded     : false,
+
+    /**
+     *
+     * Constructs view renderer
+     *
+     * @param {String} rendererName                 Name of renderer
+     * @param {Object} server                       HTTP server object on which to register request handlers (through
+     *                                              renderResponsesFor())
+     *
+     * @param {Object} config                       Configuration object, also see JSONRenderer
+     * @param {String} config.views                 Directory with the templates
+     * @param {String|Object} [config.engine='ejs'] Name of a built-in engine or template engine object, also see
+     *                                              ViewEngines
+     * @param {Object} [config.engineOptions]       Options for the built-in engine
+     * @param {Object} [config.templates]           Object mapping endpoint names to template names, or to
+     *                                              {template, layout} to use another layout, or no layout (false), for
+     *                                              the endpoint. Template names are relative to the views directory,
+     *                                              without extension.
+     * @param {String} [config.layout]              Template name of the default layout, by default no layout is used
+     * @param {String} [config.partials='partials'] Directory with the partials, relative to the views directory
+     * @param {String|boolean} [config.errorTemplate='error']
+     *                                              Template name of the error view, false to render errors as problem
+     *                                              details
+     * @param {Object} [config.locals]              Default locals of all templates, e.g. the app title
+     * @param {boolean} [config.cache]              When true, compiled templates and partials are cached. Default is
+     *                                              true when NODE_ENV is production.
+     *
+     */
+    constructor: function(rendererName, server, config) {
+        var me = "ViewRenderer::constructor";
+
+        ViewRenderer.$super.call(this, rendererName, server, config);
+
+        this._compiled = {};
+
+        this._viewsDir = _.get(config, "views");
+        if (!_.string(this._viewsDir) || _.empty(this._viewsDir)) {
+            _l.error(me, "No views directory given, view renderer {0} will not function properly".fmt(rendererName));
+            this._valid = false;
+        } else {
+            this._viewsDir = path.resolve(this._viewsDir);
+        }
+
+        this._engine = this._createEngine(_.get(config, "engine") || "ejs", _.get(config, "engineOptions"));
+        if (!_.def(this._engine)) {
+            _l.error(me, "Invalid template engine, view renderer {0} will not function properly".fmt(rendererName));
+            this._valid = false;
+        }
+
+        this._templates     = _.get(config, "templates") || {};
+        this._layout        = _.get(config, "layout") || null;
+        this._partialsDir   = _.get(config, "partials") || "partials";
+
+        var errorTemplate   = _.get(config, "errorTemplate");
+        this._errorTemplate = errorTemplate === false ? null : (errorTemplate || "error");
+
+        this._locals        = _.get(config, "locals") || {};
+
+        var cache           = _.get(config, "cache");
+        this._cache         = _.def(cache) ? cache === true : process.env.NODE_ENV === "production";
+    },
+
+    getViewsDir : function() {
+        return this._viewsDir;
+    },
+
+    getRenderMethodForEndpoint : function(endpointName) {
+        return this._renderView.bind(this, endpointName);
+    },
+
+    /**
+     *
+     * @param {String} endpointName
+     * @returns {String}    Name of the template to render the responses of the endpoint with
+     *
+     */
+    getTemplateFor : function(endpointName) {
+        var mapped = this._templates[endpointName];
+
+        if (_.string(mapped)) {
+            return mapped;
+        }
+
+        return _.string(_.get(mapped, "template")) ? mapped.template : this._getConventionalTemplateName(endpointName);
+    },
+
+    /**
+     *
+     * @param {String} endpointName
+     * @returns {String|null}   Name of the layout template to render the responses of the endpoint in, null for none
+     *
+     */
+    getLayoutFor : function(endpointName) {
+        var layout = _.get(this._templates[endpointName], "layout");
+
+        if (layout === false) {
+            return null;
+        }
+
+        return _.string(layout) ? layout : this._layout;
+    },
+
+    /**
+     *
+     * Renders a template to HTML
+     *
+     * @param {String} templateName     Template name, relative to the views directory, without extension
+     * @param {Object} [locals]         Locals of the template, the default locals are added
+     * @param {Object} [options]
+     * @param {String|boolean} [options.layout]
+     *                                  Template name of the layout, false for none. Default is the configured layout.
+     * @param {function} [cbReady]      cbReady(html, err). When not given a promise is returned.
+     *
+     * @returns {Promise|undefined}     Promise resolving to the HTML, when no cbReady is given
+     *
+     */
+    render : function(templateName, locals, options, cbReady) {
+        var self = this;
+
+        if (_.func(options)) {
+            cbReady = options;
+            options = null;
+        }
+
+        var layout = _.get(options, "layout");
+        if (!_.def(layout)) {
+            layout = this._layout;
+        }
+
+        locals = this._createLocals(null, locals);
+
+        return AsyncUtils.callbackOrPromise(function(cbDone) {
+            self._renderTemplate(templateName, locals, layout || null, cbDone);
+        }, cbReady);
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _createEngine : function(engine, engineOptions) {
+        var me = this.getIName() + "::ViewRenderer::_createEngine";
+
+        if (_.string(engine)) {
+            if (!_.func(ViewEngines[engine])) {
+                _l.error(me, "Unknown template engine {0}, built-in engines are ejs, handlebars and pug".fmt(engine));
+                return null;
+            }
+
+            try {
+                engine = ViewEngines[engine](engineOptions);
+            } catch (err) {
+                _l.error(me, "Unable to create template engine {0} : ".fmt(engine), err);
+                return null;
+            }
+        }
+
+        if (!_.obj(engine) || !_.func(engine.compile) || !_.string(engine.extension)) {
+            _l.error(me, "Template engine must have an extension and a compile function, also see ViewEngines");
+            return null;
+        }
+
+        return engine;
+    },
+
+    /**
+     *
+     * @param {String} endpointName
+     * @returns {String}    Template name by convention, e.g. get-user-list for endpoint "GET user-list"
+     *
+     * @protected
+     */
+    _getConventionalTemplateName : function(endpointName) {
+        return String(endpointName).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    },
+
+    _createLocals : function(res, data) {
+        var locals  = {};
+        var sources = [this._locals, _.get(res, "locals")];
+        var key     = null;
+
+        if (_.obj(data) && !_.array(data)) {
+            sources.push(data);
+        }
+
+        for (var idx in sources) {
+            for (key in sources[idx]) {
+                locals[key] = sources[idx][key];
+            }
+        }
+
+        if (!_.obj(data) || _.array(data) || !("data" in data)) {
+            locals.data = data;
+        }
+
+        return locals;
+    },
+
+    _renderView : function(endpointName, req, res, next, data, err, status) {
+        var self = this;
+
+        if (_.def(err)) {
+            if (!this._renderErrors) {
+                next(err);
+                return;
+            }
+
+            this._renderError(req, res, err);
+            return;
+        }
+
+        if (_.number(status)) {
+            res = res.status(status);
+        }
+
+        if (_.obj(this._responseHeaders)) {
+            res = res.set(this._responseHeaders);
+        }
+
+        if (this._isBodylessStatus(status)) {
+            res.end();
+            return;
+        }
+
+        var locals = this._createLocals(res, data);
+
+        this._renderTemplate(this.getTemplateFor(endpointName), locals, this.getLayoutFor(endpointName),
+                function(html, renderErr) {
+            if (_.def(renderErr)) {
+                self._renderError(req, res, renderErr);
+                return;
+            }
+
+            self._sendBody(req, res, html, "text/html; charset=utf-8");
+        });
+    },
+
+    _renderError : function(req, res, err) {
+        var me      = this.getIName() + "::ViewRenderer::_renderError";
+        var self    = this;
+
+        if (!_.def(this._errorTemplate)) {
+            ViewRenderer.$superp._renderError.call(this, req, res, err);
+            return;
+        }
+
+        var problem = this._createProblem(req, err);
+        var locals  = this._createLocals(res, { error : problem, status : problem.status });
+
+        this._renderTemplate(this._errorTemplate, locals, this._layout, function(html, renderErr) {
+            if (_.def(renderErr)) {
+                _l.error(me, "Unable to render error template {0}, rendering problem details : "
+                        .fmt(self._errorTemplate), renderErr);
+
+                ViewRenderer.$superp._renderError.call(self, req, res, err);
+                return;
+            }
+
+            res = res.status(problem.status);
+
+            if (_.obj(self._responseHeaders)) {
+                res = res.set(self._responseHeaders);
+            }
+
+            res.set("Content-Type", "text/html; charset=utf-8");
+            res.send(html);
+        });
+    },
+
+    /**
+     *
+     * Renders the template, and the layout with the rendered template as body
+     *
+     * @param {String} templateName
+     * @param {Object} locals
+     * @param {String|null} layout
+     * @param {function} cbReady        cbReady(html, err)
+     *
+     * @protected
+     */
+    _renderTemplate : function(templateName, locals, layout, cbReady) {
+        var self = this;
+
+        this._getTemplate(templateName, function(template, err) {
+            if (_.def(err)) {
+                cbReady(null, err);
+                return;
+            }
+
+            var html = null;
+            try {
+                html = String(template(locals));
+            } catch (renderErr) {
+                cbReady(null, renderErr);
+                return;
+            }
+
+            if (!_.string(layout)) {
+                cbReady(html);
+                return;
+            }
+
+            var layoutLocals = {};
+            for (var key in locals) {
+                layoutLocals[key] = locals[key];
+            }
+            layoutLocals.body = html;
+
+            self._renderTemplate(layout, layoutLocals, null, cbReady);
+        });
+    },
+
+    /**
+     *
+     * @param {String} templateName
+     * @param {function} cbReady        cbReady(template, err), template is the compiled template function
+     *
+     * @protected
+     */
+    _getTemplate : function(templateName, cbReady) {
+        var self        = this;
+        var filename    = this._resolveTemplatePath(templateName);
+
+        if (!_.def(filename)) {
+            cbReady(null, new Error("Template {0} is outside of the views directory".fmt(templateName)));
+            return;
+        }
+
+        if (this._cache && _.func(this._compiled[filename])) {
+            cbReady(this._compiled[filename]);
+            return;
+        }
+
+        this._loadPartials(function(partialsErr) {
+            if (_.def(partialsErr)) {
+                cbReady(null, partialsErr);
+                return;
+            }
+
+            fs.readFile(filename, "utf8", function(readErr, source) {
+                if (_.def(readErr)) {
+                    cbReady(null, readErr);
+                    return;
+                }
+
+                var template = null;
+                try {
+                    template = self._engine.compile(source, { filename : filename, viewsDir : self._viewsDir });
+                } catch (err) {
+                    cbReady(null, err);
+                    return;
+                }
+
+                if (self._cache) {
+                    self._compiled[filename] = template;
+                }
+
+                cbReady(template);
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} templateName
+     * @returns {String|null}   Path of the template file, null when it is outside of the views directory
+     *
+     * @protected
+     */
+    _resolveTemplatePath : function(templateName) {
+        var extension   = this._engine.extension;
+        var filename    = path.resolve(this._viewsDir, String(templateName));
+
+        if (path.extname(filename) !== extension) {
+            filename += extension;
+        }
+
+        return filename.indexOf(this._viewsDir + path.sep) === 0 ? filename : null;
+    },
+
+    /**
+     *
+     * Registers the partials at engines that can not include other templates themselves. When caching, the partials
+     * are loaded once, otherwise before every template is compiled, such that changes are picked up.
+     *
+     * @param {function} cbReady    cbReady(err)
+     *
+     * @protected
+     */
+    _loadPartials : function(cbReady) {
+        var self        = this;
+        var partialsDir = path.resolve(this._viewsDir, this._partialsDir);
+        var extension   = this._engine.extension;
+
+        if (!_.func(this._engine.registerPartial) || (this._cache && this._partialsLoaded)) {
+            cbReady();
+            return;
+        }
+
+        listFiles(partialsDir, function(files, readErr) {
+            if (_.def(readErr)) {
+                //No partials directory, no partials
+                cbReady(readErr.code === "ENOENT" ? undefined : readErr);
+                return;
+            }
+
+            files = files.filter(function(file) {
+                return path.extname(file) === extension;
+            });
+
+            if (_.empty(files)) {
+                self._partialsLoaded = true;
+                cbReady();
+                return;
+            }
+
+            var numPending  = files.length;
+            var firstErr    = null;
+            var done        = function() {
+                numPending -= 1;
+                if (numPending > 0) {
+                    return;
+                }
+
+                self._partialsLoaded = !_.def(firstErr);
+                cbReady(firstErr || undefined);
+            };
+
+            files.forEach(function(file) {
+                fs.readFile(path.join(partialsDir, file), "utf8", function(err, source) {
+                    if (_.def(err)) {
+                        firstErr = firstErr || err;
+                    } else {
+                        var name = file.slice(0, -extension.length).split(path.sep).join("/");
+                        self._engine.registerPartial(name, source);
+                    }
+
+                    done();
+                });
+            });
+        });
+    }
+
+});
+
+module.exports = ViewRenderer;
@@ -0,0 +1,736 @@
+var _                   = require('./libs/corelib-web/utils.js')._;
+var _l                  = require('./request-logger.js').logger;
+
+var Class               = require("jsface").Class;
+var NamedBase           = require("./libs/corelib-web/base.js").NamedBase;
+var RequestValidator    = require("./request-validator.js");
+var ListQueryParser     = require("./list-query-parser.js");
+var ListResult          = require("./list-result.js");
+var ResponseEnvelope    = require("./response-envelope.js");
+var ResponseStream      = require("./response-stream.js");
+var RequestContext      = require("./request-context.js");
+var RendersResponses    = require("./renders-responses.js");
+var RateLimiter         = require("./rate-limiter.js");
+var Instrumentation     = require("./instrumentation.js");
+var AsyncUtils          = require("./async-utils.js");
+var Errors              = require("./errors.js");
+
+/**
+ *
+ * @returns {Object}    Response given to the middleware checking requests and to the instrumentation, keeping the
+ *                      status and the headers set
+ *
+ */
+function createResponse() {
+    var headers = {};
+
+    return {
+        statusCode  : null,
+
+        headers     : headers,
+
+        set         : function(name, value) {
+            if (_.obj(name)) {
+                for (var key in name) {
+                    headers[key.toLowerCase()] = name[key];
+                }
+            } else {
+                headers[String(name).toLowerCase()] = value;
+            }
+
+            return this;
+        }
+    };
+}
+
+/**
+ *
+ * @class WebSocketTransport
+ *
+ * Makes the endpoints of services available over WebSocket connections, using the same endpoint methods, request
+ * validation and auth definitions as for HTTP requests. E.g.:
+ *
+ *      var wss         = new WebSocketServer({ server : httpServer, path : "/ws" });     //ws package
+ *      var transport   = new WebSocketTransport("realtime", { server : wss, services : [userService] });
+ *
+ * Clients send requests as JSON messages:
+ *
+ *      {
+ *          id          : 7,                    //Request ID, chosen by the client, unique per connection
+ *          type        : "request",            //OPTIONAL : request (default) or unsubscribe
+ *          service     : "users",              //OPTIONAL when the transport has one service
+ *          endpoint    : "GET user",
+ *          params      : { id : 12 },          //OPTIONAL : path parameters, as req.params
+ *          query       : { fields : "name" },  //OPTIONAL : as req.query
+ *          headers     : { authorization : "Bearer ..." },
+ *                                              //OPTIONAL : added to the headers of the WebSocket handshake request
+ *          body        : { ... }               //OPTIONAL : as req.body
+ *      }
+ *
+ * and receive the response, or error, with the same ID:
+ *
+ *      { id : 7, type : "response", status : 200, data : { ... } }
+ *      { id : 7, type : "error", error : { type, title, status, detail, code, ... } }    //Problem details
+ *
+ * When the endpoint method gives a stream source or ResponseStream (also see ResponseStream), the request becomes a
+ * subscription: every item is sent as { id, type : "data", data } (byte chunks base64 encoded, with
+ * encoding : "base64"), followed by { id, type : "end" }, or by an error message when the stream fails. Clients end
+ * subscriptions with { id, type : "unsubscribe" }. Subscriptions also end when the service stops.
+ *
+ * Requests are handled with a request context (see RequestContext), authenticated and authorized according to the
+ * auth definitions of the endpoints (see AuthenticatorRegistry), rate limited (see RateLimiter), validated against
+ * the schemas of the endpoint definitions (see RequestValidator) and, for collection endpoints, given a list query
+ * (see ListQueryParser). Rate limits are shared with the HTTP requests to the same endpoints. Every request is
+ * measured by the instrumentation of the service, as requests over HTTP, also see Instrumentation.
+ *
+ */
+var WebSocketTransport = Class(NamedBase, {
+
+    $statics : {
+        REQUIRED_SERVICE_IF : {
+            methods : ["getIName", "getEndpointNames", "getEndpointDefFor", "getMethodForEndpoint"]
+        },
+
+        MESSAGE_REQUEST     : "request",
+        MESSAGE_UNSUBSCRIBE : "unsubscribe",
+        MESSAGE_RESPONSE    : "response",
+        MESSAGE_DATA        : "data",
+        MESSAGE_END         : "end",
+        MESSAGE_ERROR       : "error",
+
+        //readyState of open WebSockets
+        STATE_OPEN          : 1
+    },
+
+    //Maps service names to {service, handlers}, handlers maps endpoint names to request handler functions
+    _services           : null,
+
+    _connections        : null,
+
+    _hideStackTraces    : true,
+
+    /**
+     *
+     * Constructs WebSocket transport
+     *
+     * @param {String} transportName
+     * @param {Object} [config]
+     * @param {Object} [config.server]              WebSocket server emitting connection events with the socket and the
+     *                                              handshake request, e.g. a WebSocketServer of the ws package.
+     *                                              Also see attach().
+     * @param {Array} [config.services]             Services to make available, also see addService()
+     * @param {boolean} [config.hideStackTraces]    When false, stack traces and messages of unexpected errors are
+     *                                              send to the client, only use this for development. Default is
+     *                                              true.
+     *
+     */
+    constructor: function(transportName, config) {
+        var me = "WebSocketTransport::constructor";
+
+        WebSocketTransport.$super.call(this, transportName);
+
+        this._services      = {};
+        this._connections   = [];
+
+        this._hideStackTraces = _.get(config, "hideStackTraces") !== false;
+
+        var services = _.get(config, "services") || [];
+        for (var idx in services) {
+            if (!this.addService(services[idx])) {
+                this._valid = false;
+            }
+        }
+
+        var server = _.get(config, "server");
+        if (_.def(server) && !this.attach(server)) {
+            this._valid = false;
+        }
+
+        if (!this._valid) {
+            _l.error(me, "Errors occurred while constructing WebSocket transport {0}, it will not function properly"
+                    .fmt(transportName));
+        }
+    },
+
+    /**
+     *
+     * Makes the endpoints of the service available
+     *
+     * @param {Object} service
+     * @returns {boolean}       True on success
+     *
+     */
+    addService : function(service) {
+        var me = this.getIName() + "::WebSocketTransport::addService";
+
+        if (!_.interfaceAdheres(service, WebSocketTransport.REQUIRED_SERVICE_IF)) {
+            _l.error(me, "The provided service does not adhere to the required interface, unable to add. " +
+                         "Required interface definition : ", _.stringify(WebSocketTransport.REQUIRED_SERVICE_IF));
+            return false;
+        }
+
+        var serviceName = service.getIName();
+        if (_.def(this._services[serviceName])) {
+            _l.error(me, "A service named {0} is already added".fmt(serviceName));
+            return false;
+        }
+
+        var handlers        = {};
+        var endpointNames   = service.getEndpointNames() || [];
+        for (var idx in endpointNames) {
+            var endpointName = endpointNames[idx];
+
+            handlers[endpointName] = this._createRequestHandler(service, endpointName);
+            if (!_.func(handlers[endpointName])) {
+                _l.error(me, "Service {0}, endpoint {1} : unable to create request handler, unable to add service"
+                        .fmt(serviceName, endpointName));
+                return false;
+            }
+        }
+
+        this._services[serviceName] = {
+            service     : service,
+            handlers    : handlers
+        };
+
+        return true;
+    },
+
+    getServiceNames : function() {
+        return Object.keys(this._services);
+    },
+
+    /**
+     *
+     * Handles the connections of the WebSocket server
+     *
+     * @param {Object} server   WebSocket server emitting connection events, function(socket, request)
+     * @returns {boolean}       True on success
+     *
+     */
+    attach : function(server) {
+        var me      = this.getIName() + "::WebSocketTransport::attach";
+        var self    = this;
+
+        if (!_.hasMethod(server, "on")) {
+            _l.error(me, "WebSocket server does not emit connection events, unable to attach");
+            return false;
+        }
+
+        server.on("connection", function(socket, request) {
+            self.handleConnection(socket, request);
+        });
+
+        return true;
+    },
+
+    /**
+     *
+     * Handles the messages of a WebSocket connection
+     *
+     * @param {Object} socket           WebSocket, with send(data, cbSent) and emitting message and close events
+     * @param {Object} [request]        The handshake request
+     *
+     */
+    handleConnection : function(socket, request) {
+        var self        = this;
+        var connection  = {
+            socket          : socket,
+            request         : request || {},
+            subscriptions   : {}
+        };
+
+        this._connections.push(connection);
+
+        socket.on("message", function(data) {
+            self._handleMessage(connection, data);
+        });
+
+        socket.on("close", function() {
+            self._connections.splice(self._connections.indexOf(connection), 1);
+
+            for (var id in connection.subscriptions) {
+                connection.subscriptions[id].close();
+            }
+            connection.subscriptions = {};
+        });
+    },
+
+    getNumConnections : function() {
+        return this._connections.length;
+    },
+
+    /****************************************************
+     *
+     * PROTECTED METHODS
+     *
+     ****************************************************/
+
+    _handleMessage : function(connection, data) {
+        var message = null;
+        try {
+            message = JSON.parse(String(data));
+        } catch (err) {
+            this._sendError(connection, null, new Errors.ValidationError(
+                    "Message is not valid JSON", null, "ERR_MESSAGE_INVALID"));
+            return;
+        }
+
+        var id = _.get(message, "id");
+        if (!_.obj(message) || (!_.string(id) && !_.number(id))) {
+            this._sendError(connection, null, new Errors.ValidationError(
+                    "Message must be an object with a string or number id", null, "ERR_MESSAGE_INVALID"));
+            return;
+        }
+
+        var type = message.type || WebSocketTransport.MESSAGE_REQUEST;
+        if (type === WebSocketTransport.MESSAGE_UNSUBSCRIBE) {
+            var subscription = connection.subscriptions[id];
+            if (_.def(subscription)) {
+                subscription.close();
+                this._send(connection, { id : id, type : WebSocketTransport.MESSAGE_END });
+            }
+            return;
+        }
+
+        if (type !== WebSocketTransport.MESSAGE_REQUEST) {
+            this._sendError(connection, id, new Errors.ValidationError(
+                    "Unknown message type {0}".fmt(type), null, "ERR_MESSAGE_INVALID"));
+            return;
+        }
+
+        if (_.def(connection.subscriptions[id])) {
+            this._sendError(connection, id, new Errors.ConflictError(
+                    "Request id {0} is in use by a subscription".fmt(id), null, "ERR_REQUEST_ID_IN_USE"));
+            return;
+        }
+
+        var serviceNames    = this.getServiceNames();
+        var serviceName     = message.service || (serviceNames.length === 1 ? serviceNames[0] : null);
+        var handlers        = this._services.hasOwnProperty(serviceName) ? this._services[serviceName].handlers : {};
+        var handler         = handlers.hasOwnProperty(message.endpoint) ? handlers[message.endpoint] : null;
+        if (!_.func(handler)) {
+            this._sendError(connection, id, new Errors.NotFoundError(
+                    "Service {0} has no endpoint {1}".fmt(serviceName, message.endpoint), null,
+                    "ERR_ENDPOINT_UNKNOWN"));
+            return;
+        }
+
+        handler(connection, message);
+    },
+
+    /**
+     *
+     * @returns {function|null}     function(connection, message) handling requests to the endpoint, null when the
+     *                              auth, rate limit or collection definition of the endpoint is invalid
+     *
+     * @protected
+     */
+    _createRequestHandler : function(service, endpointName) {
+        var me              = this.getIName() + "::WebSocketTransport::_createRequestHandler";
+        var self            = this;
+        var endpointDef     = service.getEndpointDefFor(endpointName) || {};
+        var endpointMethod  = service.getMethodForEndpoint(endpointName);
+
+        if (!_.func(endpointMethod)) {
+            _l.error(me, "Endpoint {0} : no processing method found for endpoint".fmt(endpointName));
+            return null;
+        }
+
+        //Checks run in order, function(req, res, cbChecked) with cbChecked(err)
+        var checks = [];
+
+        var authDef = _.hasMethod(service, "getAuthDefFor") ? service.getAuthDefFor(endpointName) : endpointDef.auth;
+        if (_.obj(authDef)) {
+            var registry        = _.exec(service, "getAuthenticatorRegistry");
+            var authMiddleware  = _.hasMethod(registry, "createMiddleware") ?
+                    registry.createMiddleware(endpointName, authDef) :
+                    null;
+            if (!_.func(authMiddleware)) {
+                _l.error(me, "Endpoint {0} : unable to create authentication for endpoint".fmt(endpointName));
+                return null;
+            }
+
+            checks.push(function(req, res, cbChecked) {
+                authMiddleware(req, res, cbChecked);
+            });
+        }
+
+        var rateLimitDef = _.hasMethod(service, "getRateLimitFor") ?
+                service.getRateLimitFor(endpointName) :
+                endpointDef.rateLimit;
+        if (_.obj(rateLimitDef)) {
+            //Same quota as for HTTP requests, see RendersResponses
+            var rateLimiter         = _.exec(service, "getRateLimiter") || RateLimiter.getDefault();
+            var rateLimitMiddleware = rateLimiter.createMiddleware(
+                    service.getIName() + "|" + (rateLimitDef.group || endpointName), rateLimitDef);
+            if (!_.func(rateLimitMiddleware)) {
+                _l.error(me, "Endpoint {0} : unable to create rate limit for endpoint".fmt(endpointName));
+                return null;
+            }
+
+            checks.push(function(req, res, cbChecked) {
+                rateLimitMiddleware(req, res, cbChecked);
+            });
+        }
+
+        if (ListQueryParser.isCollection(endpointDef)) {
+            var parser = new ListQueryParser(endpointDef.collection);
+
+            checks.push(function(req, res, cbChecked) {
+                var parsed = parser.parse(req);
+                if (!_.empty(parsed.errors)) {
+                    cbChecked(new Errors.ValidationError(
+                            "Endpoint {0} : list query is invalid".fmt(endpointName),
+                            parsed.errors,
+                            "ERR_LIST_QUERY_INVALID"));
+                    return;
+                }
+
+                req.listQuery = parsed.listQuery;
+                cbChecked();
+            });
+        }
+
+        if (RequestValidator.hasSchemas(endpointDef)) {
+            var validator = new RequestValidator(endpointDef);
+
+            checks.push(function(req, res, cbChecked) {
+                var errors = validator.validate(req);
+                cbChecked(_.empty(errors) ? undefined : new Errors.ValidationError(
+                        "Endpoint {0} : request is invalid".fmt(endpointName),
+                        errors,
+                        "ERR_REQUEST_INVALID"));
+            });
+        }
+
+        var instrumentation = _.exec(service, "getInstrumentation") || Instrumentation.getDefault();
+        var serviceName     = service.getIName();
+
+        return function(connection, message) {
+            var id              = message.id;
+
+            var req             = self._createRequest(connection, endpointDef, message);
+            var res             = createResponse();
+            var context         = new RequestContext(req, serviceName, endpointName);
+            req.context         = context;
+            context.measurement = instrumentation.start(serviceName, endpointName, req, res);
+
+            var untrackRequest  = null;
+            var ended           = false;
+            var requestEnded    = function(err, status) {
+                if (ended) {
+                    return;
+                }
+                ended = true;
+
+                res.statusCode = _.def(err) ? Errors.FrameworkError.from(err).status : (status || 200);
+                context.measurement.errorOccurred(err);
+                context.measurement.end();
+
+                if (_.func(untrackRequest)) {
+                    untrackRequest();
+                }
+            };
+
+            var refuse          = function(err) {
+                self._sendError(connection, id, err);
+                requestEnded(err);
+            };
+
+            if (_.func(service.isValid) && !service.isValid()) {
+                refuse(new Errors.ServiceUnavailableError(
+                        "Service {0} invalid, unable to handle request to endpoint {1}"
+                                .fmt(serviceName, endpointName),
+                        null,
+                        "ERR_SERVICE_INVALID"));
+                return;
+            }
+
+            if (_.func(service.isAcceptingRequests) && !service.isAcceptingRequests()) {
+                refuse(RendersResponses.prototype._llCreateNotAcceptingError.call(self, service, res,
+                        "Service {0} is {1}, unable to handle request to endpoint {2}"
+                                .fmt(serviceName, service.getStatus(), endpointName)));
+                return;
+            }
+
+            untrackRequest = self._trackRequest(service);
+
+            RequestContext.run(context, function() {
+                var runCheck = function(idx) {
+                    if (idx >= checks.length) {
+                        AsyncUtils.callProcessingMethod(endpointMethod, req, function(data, err) {
+                            context.measurement.processingEnded(err);
+                            self._sendResult(connection, service, id, req, data, err, requestEnded);
+                        });
+                        return;
+                    }
+
+                    checks[idx](req, res, function(err) {
+                        if (_.def(err)) {
+                            refuse(err);
+                            return;
+                        }
+
+                        runCheck(idx + 1);
+                    });
+                };
+
+                runCheck(0);
+            });
+        };
+    },
+
+    /**
+     *
+     * Creates the request given to the checks and the endpoint method, with the path and url of the endpoint, such
+     * that links in list results are meaningful to the client
+     *
+     * @protected
+     */
+    _createRequest : function(connection, endpointDef, message) {
+        var upgradeReq  = connection.request;
+        var headers     = {};
+        var query       = {};
+        var key         = null;
+
+        for (key in upgradeReq.headers) {
+            headers[key.toLowerCase()] = upgradeReq.headers[key];
+        }
+        for (key in message.headers) {
+            headers[key.toLowerCase()] = String(message.headers[key]);
+        }
+
+        //Query values are strings, as in URLs
+        for (key in message.query) {
+            query[key] = _.array(message.query[key]) ? message.query[key].map(String) : String(message.query[key]);
+        }
+
+        var params  = _.obj(message.params) ? message.params : {};
+        var path    = String(endpointDef.URLSubpath || "/").replace(/:(\w+)/g, function(match, name) {
+            return _.def(params[name]) ? encodeURIComponent(params[name]) : match;
+        });
+        var search  = new URLSearchParams(query).toString();
+
+        return {
+            method          : String(endpointDef.HTTPMethod || "get").toUpperCase(),
+            path            : path,
+            url             : search.length > 0 ? path + "?" + search : path,
+            originalUrl     : search.length > 0 ? path + "?" + search : path,
+            params          : params,
+            query           : query,
+            headers         : headers,
+            body            : message.body,
+            ip              : _.get(_.get(upgradeReq, "socket"), "remoteAddress"),
+            socket          : upgradeReq.socket,
+            transport       : "websocket",
+
+            get             : function(name) {
+                return headers[String(name).toLowerCase()];
+            }
+        };
+    },
+
+    /**
+     *
+     * @returns {function}  function() to call when the request ended
+     *
+     * @protected
+     */
+    _trackRequest : function(service) {
+        var ended = false;
+
+        if (_.hasMethod(service, "requestStarted")) {
+            service.requestStarted();
+        }
+
+        return function() {
+            if (ended) {
+                return;
+            }
+
+            ended = true;
+            if (_.hasMethod(service, "requestEnded")) {
+                service.requestEnded();
+            }
+        };
+    },
+
+    /**
+     *
+     * @param {Object} connection
+     * @param {Object} service
+     * @param {String|Number} id
+     * @param {Object} req
+     * @param data
+     * @param err
+     * @param {function} requestEnded   function(err, status) to call when the request ended
+     *
+     * @protected
+     */
+    _sendResult : function(connection, service, id, req, data, err, requestEnded) {
+        if (_.def(err)) {
+            this._sendError(connection, id, err);
+            requestEnded(err);
+            return;
+        }
+
+        var status = 200;
+        if (ResponseEnvelope.isEnvelope(data)) {
+            status  = data.status || status;
+            data    = data.body;
+        }
+
+        if (ResponseStream.isResponseStream(data) || ResponseStream.isStreamSource(data)) {
+            this._subscribe(connection, service, id, ResponseStream.from(data), function() {
+                requestEnded(undefined, status);
+            });
+            return;
+        }
+
+        //Plain arrays are cut to the limit, as for HTTP requests, see RendersResponses
+        if (_.obj(req.listQuery) && (ListResult.isListResult(data) || _.array(data))) {
+            var limit = req.listQuery.limit;
+
+            data = (ListResult.isListResult(data) ? data : new ListResult({
+                items   : data.slice(0, limit),
+                hasMore : data.length > limit
+            })).toEnvelope(req);
+        }
+
+        this._send(connection, {
+            id      : id,
+            type    : WebSocketTransport.MESSAGE_RESPONSE,
+            status  : status,
+            data    : data
+        });
+        requestEnded(undefined, status);
+    },
+
+    /**
+     *
+     * Sends the items of the stream as data messages, until the stream ends, the client unsubscribes, the connection
+     * closes or the service stops accepting requests
+     *
+     * @protected
+     */
+    _subscribe : function(connection, service, id, stream, requestEnded) {
+        var me      = this.getIName() + "::WebSocketTransport::_subscribe";
+        var self    = this;
+        var reader  = stream.createReader();
+        var closed  = false;
+
+        var close   = function() {
+            if (closed) {
+                return;
+            }
+
+            closed = true;
+            reader.close();
+            delete connection.subscriptions[id];
+            requestEnded();
+        };
+
+        connection.subscriptions[id] = { close : close };
+
+        var readNext = function() {
+            if (closed) {
+                return;
+            }
+
+            if (_.func(service.isAcceptingRequests) && !service.isAcceptingRequests()) {
+                close();
+                self._send(connection, { id : id, type : WebSocketTransport.MESSAGE_END });
+                return;
+            }
+
+            reader.read(function(item, done, err) {
+                if (closed) {
+                    return;
+                }
+
+                if (_.def(err)) {
+                    _l.error(me, "Subscription {0} failed : ".fmt(id), err);
+                    close();
+                    self._sendError(connection, id, err);
+                    return;
+                }
+
+                if (done) {
+                    close();
+                    self._send(connection, { id : id, type : WebSocketTransport.MESSAGE_END });
+                    return;
+                }
+
+                var message = { id : id, type : WebSocketTransport.MESSAGE_DATA, data : item };
+                if (Buffer.isBuffer(item)) {
+                    message.data        = item.toString("base64");
+                    message.encoding    = "base64";
+                }
+
+                //The next item is read when the message is handed to the network, not to flood slow clients
+                self._send(connection, message, readNext);
+            });
+        };
+
+        readNext();
+    },
+
+    /**
+     *
+     * @param {Object} connection
+     * @param {Object} message
+     * @param {function} [cbSent]   Called when the message is sent, not when the connection is closed
+     *
+     * @protected
+     */
+    _send : function(connection, message, cbSent) {
+        var me      = this.getIName() + "::WebSocketTransport::_send";
+        var socket  = connection.socket;
+
+        if (_.def(socket.readyState) && socket.readyState !== WebSocketTransport.STATE_OPEN) {
+            return;
+        }
+
+        var text = null;
+        try {
+            text = JSON.stringify(message);
+        } catch (err) {
+            _l.error(me, "Unable to serialize message {0} : ".fmt(message.id), err);
+            text = JSON.stringify({
+                id      : message.id,
+                type    : WebSocketTransport.MESSAGE_ERROR,
+                error   : Errors.FrameworkError.from(err).toProblem({ hideStackTrace : true })
+            });
+        }
+
+        socket.send(text, function(err) {
+            if (_.def(err)) {
+                _l.error(me, "Unable to send message {0} : ".fmt(message.id), err);
+                return;
+            }
+
+            if (_.func(cbSent)) {
+                cbSent();
+            }
+        });
+    },
+
+    _sendError : function(connection, id, err) {
+        var me      = this.getIName() + "::WebSocketTransport::_sendError";
+        var error   = Errors.FrameworkError.from(err);
+
+        if (error.status >= 500) {
+            _l.error(me, "Request {0} failed : ".fmt(id), error.stack);
+        }
+
+        this._send(connection, {
+            id      : id,
+            type    : WebSocketTransport.MESSAGE_ERROR,
+            error   : error.toProblem({ hideStackTrace : this._hideStackTraces })
+        });
+    }
+
+});
+
+module.exports = WebSocketTransport;